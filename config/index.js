@@ -0,0 +1,339 @@
+const fs = require("fs");
+const path = require("path");
+const SCHEMA = require("./schema.json");
+
+/**
+ * Network profiles for the scripts and the test harness.
+ *
+ * Every profile has the shape described by config/schema.json:
+ *   dukong   testnet-config.json, the MANTRA Dukong testnet (also read by lotus-bot and quickswap-bot)
+ *   fork     the dukong profile, for FORK=1 runs on top of the testnet state
+ *   local    the dukong profile with every address unset; test/fixtures/local-*.js deploy and fill it
+ *   mainnet  config/profiles/mainnet.json
+ *
+ * The profile is picked when this module loads (see resolveNetwork) but not validated there:
+ * hardhat.config.js loads this module for every task, and a broken profile must not stop
+ * `compile` or runs that never read it. Whatever uses the selected profile checks it instead
+ * (assertValidConfig in the preflight suite and validate-wiring, validateConfig in `lpv doctor`).
+ * `config` is the single object every module reads; test/utils/config.js applyConfig() swaps its
+ * contents, which is how the offline suites point everything at their local stack.
+ *
+ * The zero address means "not deployed on this network". The accessors below return null for it,
+ * so callers never mistake a placeholder for a contract.
+ */
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+const PROFILES = {
+  local: null,
+  fork: path.join(__dirname, "..", "testnet-config.json"),
+  dukong: path.join(__dirname, "..", "testnet-config.json"),
+  mainnet: path.join(__dirname, "profiles", "mainnet.json")
+};
+
+// Other names for the profiles: the lpv CLI and Hardhat call Dukong "testnet", and Hardhat's
+// localhost is a `hardhat node` chain, where nothing is deployed until a fixture does it.
+const ALIASES = { testnet: "dukong", localhost: "local" };
+
+/**
+ * The CLM vaults the suites know. vault_<key> and strategy_<key> sit on pools.<dex>.<poolKey> and
+ * trade the config.pairs entry for token0Symbol/token1Symbol, which also gives their fee tier.
+ */
+const VAULT_SPECS = [
+  { key: "usdc_musd", name: "Lotus USDC-mUSD", dex: "lotus", poolKey: "USDC_mUSD", token0Symbol: "USDC", token1Symbol: "mUSD" },
+  { key: "usdt_usdc", name: "Lotus USDT-USDC", dex: "lotus", poolKey: "USDT_USDC", token0Symbol: "USDT", token1Symbol: "USDC" },
+  { key: "wom_musd", name: "Lotus wOM-mUSD", dex: "lotus", poolKey: "wOM_mUSD", token0Symbol: "wOM", token1Symbol: "mUSD" },
+  { key: "usdt_musd", name: "QuickSwap USDT-mUSD", dex: "quickswap", poolKey: "USDT_mUSD", token0Symbol: "USDT", token1Symbol: "mUSD" },
+  { key: "wom_usdc", name: "QuickSwap wOM-USDC", dex: "quickswap", poolKey: "wOM_USDC", token0Symbol: "wOM", token1Symbol: "USDC" }
+];
+
+function configError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function isSet(address) {
+  return typeof address === "string" && ADDRESS_PATTERN.test(address) && address !== ZERO_ADDRESS;
+}
+
+function orNull(address) {
+  return isSet(address) ? address : null;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Entries of an address section without its _notes.
+function addressEntries(section) {
+  return Object.entries(section || {}).filter(([key]) => !key.startsWith("_"));
+}
+
+function flagValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  return i >= 0 ? argv[i + 1] : undefined;
+}
+
+/**
+ * Which profile to load: `network`, else CONFIG_NETWORK, else the process's --network argument
+ * (`hardhat test --network testnet`, `lpv --network local`), else HARDHAT_NETWORK. The in-process
+ * hardhat network, and no network at all, mean dukong, or fork when FORK=1.
+ *
+ * @returns {string} a PROFILES key
+ * @throws {Error} code CONFIG_UNKNOWN_NETWORK
+ */
+function resolveNetwork({ network, env = process.env, argv = process.argv } = {}) {
+  const requested = network || env.CONFIG_NETWORK || flagValue(argv, "--network") || env.HARDHAT_NETWORK;
+  if (!requested || requested === "hardhat") {
+    return ["1", "true"].includes(String(env.FORK || "").toLowerCase()) ? "fork" : "dukong";
+  }
+  const name = ALIASES[requested] || requested;
+  if (!Object.prototype.hasOwnProperty.call(PROFILES, name)) {
+    throw configError("CONFIG_UNKNOWN_NETWORK", `Unknown network ${requested} (expected ${[...Object.keys(PROFILES), ...Object.keys(ALIASES)].join(", ")})`);
+  }
+  return name;
+}
+
+// The dukong profile with every address unset and a Hardhat network_info.
+function localProfile() {
+  const profile = loadProfile("dukong");
+  const unset = (section) => Object.fromEntries(Object.entries(section).map(([k, v]) => [k, k.startsWith("_") ? v : ZERO_ADDRESS]));
+  return {
+    ...profile,
+    network: "local",
+    vaults: unset(profile.vaults),
+    strategies: unset(profile.strategies),
+    quickswap: unset(profile.quickswap),
+    lotus: unset(profile.lotus),
+    pools: { ...profile.pools, lotus: unset(profile.pools.lotus), quickswap: unset(profile.pools.quickswap) },
+    tokens: unset(profile.tokens),
+    network_info: { name: "Hardhat Local", explorer: "", chainId: 31337, rpcUrl: "http://127.0.0.1:8545", currency: "ETH" }
+  };
+}
+
+/**
+ * A fresh copy of a profile, read from disk (not the shared, possibly overridden `config`).
+ * @param {string} name a PROFILES key or alias
+ */
+function loadProfile(name) {
+  const resolved = ALIASES[name] || name;
+  if (!Object.prototype.hasOwnProperty.call(PROFILES, resolved)) {
+    throw configError("CONFIG_UNKNOWN_NETWORK", `Unknown network ${name} (expected ${Object.keys(PROFILES).join(", ")})`);
+  }
+  if (resolved === "local") return localProfile();
+  return JSON.parse(fs.readFileSync(PROFILES[resolved], "utf8"));
+}
+
+function resolveRef(ref) {
+  return ref.replace(/^#\//, "").split("/").reduce((node, key) => node[key], SCHEMA);
+}
+
+function typeMatches(value, type) {
+  switch (type) {
+    case "object":
+      return isPlainObject(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// The JSON Schema keywords config/schema.json uses: $ref, allOf, type, enum, pattern, minimum,
+// maximum, required, properties, patternProperties, additionalProperties and items.
+function checkSchema(value, schema, where, errors) {
+  if (schema.$ref) return checkSchema(value, resolveRef(schema.$ref), where, errors);
+  for (const sub of schema.allOf || []) checkSchema(value, sub, where, errors);
+  if (schema.type && !typeMatches(value, schema.type)) {
+    errors.push(`${where} must be ${schema.type === "array" || schema.type === "object" || schema.type === "integer" ? "an" : "a"} ${schema.type}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${where} must be one of ${schema.enum.join(", ")}`);
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(schema.pattern === ADDRESS_PATTERN.source ? `${where} must be an address, got ${value}` : `${where} must match ${schema.pattern}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where} must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where} must be at most ${schema.maximum}`);
+  if (schema.items) value.forEach((item, i) => checkSchema(item, schema.items, `${where}[${i}]`, errors));
+
+  if (!isPlainObject(value)) return;
+  for (const key of schema.required || []) {
+    if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${where}: missing '${key}'`);
+  }
+  for (const [key, item] of Object.entries(value)) {
+    const at = `${where}.${key}`;
+    const subs = Object.entries(schema.patternProperties || {}).filter(([pattern]) => new RegExp(pattern).test(key)).map(([, sub]) => sub);
+    if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) subs.push(schema.properties[key]);
+    if (subs.length) subs.forEach((sub) => checkSchema(item, sub, at, errors));
+    else if (schema.additionalProperties === false) errors.push(`${at} is not an allowed key`);
+    else if (isPlainObject(schema.additionalProperties)) checkSchema(item, schema.additionalProperties, at, errors);
+  }
+}
+
+// Cross-references the schema cannot express: pairs -> tokens, vaults -> pools/tokens/pairs.
+function checkReferences(cfg, errors, warnings) {
+  for (const [symbol, address] of addressEntries(cfg.tokens)) {
+    if (!isSet(address)) warnings.push(`tokens.${symbol} is a zero-address placeholder`);
+  }
+
+  const names = new Set();
+  cfg.pairs.forEach((pair, i) => {
+    const where = `pairs[${i}] (${pair.name})`;
+    if (names.has(pair.name)) errors.push(`${where} repeats an earlier pair name`);
+    names.add(pair.name);
+    for (const symbol of [pair.token0, pair.token1]) {
+      if (!Object.prototype.hasOwnProperty.call(cfg.tokens, symbol)) errors.push(`${where} references unknown token ${symbol}`);
+      else if (!isSet(cfg.tokens[symbol])) warnings.push(`${where} references unset token ${symbol}`);
+    }
+  });
+
+  for (const dex of ["lotus", "quickswap"]) {
+    if (addressEntries(cfg.pools[dex]).some(([, address]) => isSet(address)) && !isSet(cfg[dex].factory)) {
+      errors.push(`pools.${dex} lists pools but ${dex}.factory is unset`);
+    }
+  }
+
+  const owners = new Map();
+  for (const [key, address] of addressEntries(cfg.vaults)) {
+    if (!isSet(address)) continue;
+    const where = `vaults.${key}`;
+    const lower = address.toLowerCase();
+    if (owners.has(lower)) errors.push(`${where} has the same address as vaults.${owners.get(lower)}`);
+    owners.set(lower, key);
+
+    const spec = VAULT_SPECS.find((s) => `vault_${s.key}` === key);
+    if (!spec) {
+      errors.push(`${where} is not a known vault (add it to VAULT_SPECS in config/index.js)`);
+      continue;
+    }
+    if (!isSet(cfg.pools[spec.dex][spec.poolKey])) errors.push(`${where} has no pool: pools.${spec.dex}.${spec.poolKey} is unset`);
+    for (const symbol of [spec.token0Symbol, spec.token1Symbol]) {
+      if (!isSet(cfg.tokens[symbol])) errors.push(`${where} trades ${symbol} but tokens.${symbol} is unset`);
+    }
+    if (!findPair(cfg, spec.token0Symbol, spec.token1Symbol)) errors.push(`${where} has no pairs entry for ${spec.token0Symbol}/${spec.token1Symbol}`);
+    if (!isSet(cfg.strategies[`strategy_${spec.key}`])) warnings.push(`${where} has no strategies.strategy_${spec.key}, so vault.strategy() is not cross-checked`);
+  }
+  for (const [key, address] of addressEntries(cfg.strategies)) {
+    if (isSet(address) && !isSet(cfg.vaults[key.replace(/^strategy_/, "vault_")])) warnings.push(`strategies.${key} has no matching vault`);
+  }
+}
+
+/**
+ * Check a config object against config/schema.json, then its cross-references.
+ * @returns {{ errors: string[], warnings: string[] }} errors make a profile unusable
+ */
+function validateConfig(cfg) {
+  const errors = [];
+  const warnings = [];
+  checkSchema(cfg, SCHEMA, "config", errors);
+  // The reference checks assume the schema's shape.
+  if (!errors.length) checkReferences(cfg, errors, warnings);
+  return { errors, warnings };
+}
+
+/** @throws {Error} code CONFIG_INVALID, details { network, errors, warnings } */
+function assertValidConfig(cfg, network) {
+  const { errors, warnings } = validateConfig(cfg);
+  if (errors.length) {
+    throw configError("CONFIG_INVALID", `Config for ${network} is invalid:\n  - ${errors.join("\n  - ")}`, { network, errors, warnings });
+  }
+  return { warnings };
+}
+
+const NETWORK = resolveNetwork();
+const config = loadProfile(NETWORK);
+
+// Accessors: they read the shared `config`, so they follow applyConfig() overrides.
+
+/** The selected profile (a PROFILES key), whatever applyConfig() did since. */
+function getProfileName() {
+  return NETWORK;
+}
+
+/** config.network, the name reports and abis/discovered/<network> use. */
+function getNetworkName() {
+  return config.network || "testnet";
+}
+
+/** @returns {number|null} */
+function getChainId() {
+  return config.network_info?.chainId ?? null;
+}
+
+/** @returns {string|null} the token's address; null when unknown or a placeholder */
+function getTokenAddress(symbol) {
+  return orNull(config.tokens?.[symbol]);
+}
+
+/** @returns {{ symbol: string, address: string }[]} deployed tokens only */
+function getTokens() {
+  return addressEntries(config.tokens)
+    .filter(([, address]) => isSet(address))
+    .map(([symbol, address]) => ({ symbol, address }));
+}
+
+/** @returns {string|null} pools.<dex>.<key> */
+function getPoolAddress(dex, key) {
+  return orNull(config.pools?.[dex]?.[key]);
+}
+
+/** @returns {string|null} a DEX contract, e.g. getDexAddress("lotus", "quoterV2") */
+function getDexAddress(dex, name) {
+  return orNull(config[dex]?.[name]);
+}
+
+function findPair(cfg, symbolA, symbolB) {
+  return (cfg.pairs || []).find((p) => (p.token0 === symbolA && p.token1 === symbolB) || (p.token0 === symbolB && p.token1 === symbolA));
+}
+
+/**
+ * @returns {object[]} config.pairs with token addresses: { name, token0, token1, feeTier,
+ *   token0Address, token1Address }, addresses null when unset
+ */
+function getPairs() {
+  return (config.pairs || []).map((p) => ({ ...p, token0Address: getTokenAddress(p.token0), token1Address: getTokenAddress(p.token1) }));
+}
+
+/**
+ * Every VAULT_SPECS entry with its addresses from the config, null when unset: { key, name, dex,
+ * poolKey, token0Symbol, token1Symbol, vault, expectedStrategy, pool, token0, token1, feeTier }.
+ */
+function getVaults() {
+  return VAULT_SPECS.map((spec) => ({
+    ...spec,
+    vault: orNull(config.vaults?.[`vault_${spec.key}`]),
+    expectedStrategy: orNull(config.strategies?.[`strategy_${spec.key}`]),
+    pool: getPoolAddress(spec.dex, spec.poolKey),
+    token0: getTokenAddress(spec.token0Symbol),
+    token1: getTokenAddress(spec.token1Symbol),
+    feeTier: findPair(config, spec.token0Symbol, spec.token1Symbol)?.feeTier ?? null
+  }));
+}
+
+module.exports = {
+  ZERO_ADDRESS,
+  PROFILES,
+  VAULT_SPECS,
+  config,
+  isSet,
+  resolveNetwork,
+  loadProfile,
+  validateConfig,
+  assertValidConfig,
+  getProfileName,
+  getNetworkName,
+  getChainId,
+  getTokenAddress,
+  getTokens,
+  getPoolAddress,
+  getDexAddress,
+  getPairs,
+  getVaults
+};
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
  * @title DirectPoolSwapper
@@ -16,41 +17,99 @@ interface IAlgebraPool {
         uint160 limitSqrtPrice,
         bytes calldata data
     ) external returns (int256 amount0, int256 amount1);
-    
+
     function token0() external view returns (address);
     function token1() external view returns (address);
 }
 
+interface IAlgebraFactory {
+    function poolByPair(address tokenA, address tokenB) external view returns (address pool);
+}
+
 contract DirectPoolSwapper {
+    using SafeERC20 for IERC20;
+
+    struct ExactInputParams {
+        address pool;
+        bool zeroToOne;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 limitSqrtPrice; // 0 = no limit
+    }
+
+    struct ExactOutputParams {
+        address pool;
+        bool zeroToOne;
+        address recipient;
+        uint256 deadline;
+        uint256 amountOut;
+        uint256 amountInMaximum;
+        uint160 limitSqrtPrice; // 0 = no limit
+    }
+
+    struct ExactInputPathParams {
+        bytes path; // abi.encodePacked(tokenIn, tokenMid..., tokenOut); each hop is factory.poolByPair
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+    }
+
+    uint160 private constant MIN_SQRT_RATIO_PLUS_ONE = 4295128740;
+    uint160 private constant MAX_SQRT_RATIO_MINUS_ONE = 1461446703485210103287273052203988822378723970341;
+
+    /// @notice Algebra factory used to check that a pool is genuine (poolByPair, not CREATE2)
+    address public immutable factory;
+
+    // Set only for the duration of a swap; the callback honours nothing else.
+    // (Plain storage rather than transient storage: the project targets the paris EVM.)
+    address private _activePool;
+    address private _activePayer;
+    bool private _quoting;
+
+    error UnknownPool(address pool);
+    error UnauthorizedCallback(address caller);
+    error SwapInProgress();
+    error TransactionTooOld(uint256 deadline);
+    error TooLittleReceived(uint256 amountOut, uint256 amountOutMinimum);
+    error TooMuchRequested(uint256 amountIn, uint256 amountInMaximum);
+    error AmountTooLarge();
+    error InvalidPath();
+    error QuoteResult(int256 amount0Delta, int256 amount1Delta);
+
+    constructor(address factory_) {
+        factory = factory_;
+    }
+
     /// @notice Callback for Algebra pool swaps
-    /// @dev Called by the pool after the swap to collect payment
+    /// @dev Only the pool of the in-flight swap may call this, and it is paid by that swap's caller.
+    ///      `data` is ignored, so a caller cannot name a payer.
     function algebraSwapCallback(
         int256 amount0Delta,
         int256 amount1Delta,
-        bytes calldata data
+        bytes calldata
     ) external {
-        // The pool that called us
-        address pool = msg.sender;
-        
-        // Decode the payer from data
-        address payer = abi.decode(data, (address));
-        
+        address pool = _activePool;
+        if (pool == address(0) || msg.sender != pool) revert UnauthorizedCallback(msg.sender);
+        if (_quoting) revert QuoteResult(amount0Delta, amount1Delta);
+        address payer = _activePayer;
+
         // Determine which token we owe
         if (amount0Delta > 0) {
-            address token0 = IAlgebraPool(pool).token0();
-            // Transfer tokens from payer to pool
-            // Note: payer must have approved this contract
-            IERC20(token0).transferFrom(payer, pool, uint256(amount0Delta));
+            _pay(IAlgebraPool(pool).token0(), payer, pool, uint256(amount0Delta));
         }
         if (amount1Delta > 0) {
-            address token1 = IAlgebraPool(pool).token1();
-            IERC20(token1).transferFrom(payer, pool, uint256(amount1Delta));
+            _pay(IAlgebraPool(pool).token1(), payer, pool, uint256(amount1Delta));
         }
     }
-    
+
     /**
      * @notice Execute a swap on a specific pool
-     * @param pool The pool address to swap on
+     * @dev Legacy entry point: exact input, output to msg.sender, no min-out or deadline.
+     *      Prefer exactInput/exactOutput.
+     * @param pool The pool address to swap on; must be registered in the factory for its token pair
      * @param zeroToOne True if swapping token0 for token1
      * @param amountIn The amount to swap (positive = exact input)
      * @param limitSqrtPrice Price limit (0 = no limit)
@@ -63,33 +122,195 @@ contract DirectPoolSwapper {
         int256 amountIn,
         uint160 limitSqrtPrice
     ) external returns (int256 amount0, int256 amount1) {
-        // Encode msg.sender as the payer for the callback
-        bytes memory data = abi.encode(msg.sender);
-        
-        // Call the pool directly
-        (amount0, amount1) = IAlgebraPool(pool).swap(
-            msg.sender, // recipient gets the output tokens
-            zeroToOne,
-            amountIn, // positive = exact input
-            limitSqrtPrice == 0 
-                ? (zeroToOne ? 4295128740 : 1461446703485210103287273052203988822378723970341) 
-                : limitSqrtPrice,
-            data
+        return _swap(pool, zeroToOne, amountIn, limitSqrtPrice, msg.sender, msg.sender);
+    }
+
+    /**
+     * @notice Swap exactly `amountIn` and revert unless at least `amountOutMinimum` reaches `recipient`
+     * @return amountOut Output paid by the pool to `recipient`
+     */
+    function exactInput(ExactInputParams calldata params) external returns (uint256 amountOut) {
+        _checkDeadline(params.deadline);
+        if (params.amountIn > uint256(type(int256).max)) revert AmountTooLarge();
+
+        (int256 amount0, int256 amount1) = _swap(
+            params.pool,
+            params.zeroToOne,
+            int256(params.amountIn),
+            params.limitSqrtPrice,
+            params.recipient,
+            msg.sender
         );
+
+        amountOut = uint256(-(params.zeroToOne ? amount1 : amount0));
+        if (amountOut < params.amountOutMinimum) revert TooLittleReceived(amountOut, params.amountOutMinimum);
+    }
+
+    /**
+     * @notice Receive exactly `amountOut` at `recipient`, paying at most `amountInMaximum`
+     * @dev A price limit that stops the swap early yields less than `amountOut` and reverts.
+     * @return amountIn Input pulled from msg.sender
+     */
+    function exactOutput(ExactOutputParams calldata params) external returns (uint256 amountIn) {
+        _checkDeadline(params.deadline);
+        if (params.amountOut > uint256(type(int256).max)) revert AmountTooLarge();
+
+        (int256 amount0, int256 amount1) = _swap(
+            params.pool,
+            params.zeroToOne,
+            -int256(params.amountOut),
+            params.limitSqrtPrice,
+            params.recipient,
+            msg.sender
+        );
+
+        amountIn = uint256(params.zeroToOne ? amount0 : amount1);
+        uint256 received = uint256(-(params.zeroToOne ? amount1 : amount0));
+        if (received < params.amountOut) revert TooLittleReceived(received, params.amountOut);
+        if (amountIn > params.amountInMaximum) revert TooMuchRequested(amountIn, params.amountInMaximum);
+    }
+
+    /**
+     * @notice Multi-hop exact-input swap along `params.path`
+     * @dev Intermediate outputs are held by this contract and paid into the next hop;
+     *      only the final hop pays `recipient`.
+     * @return amountOut Output of the last hop
+     */
+    function exactInputPath(ExactInputPathParams calldata params) external returns (uint256 amountOut) {
+        _checkDeadline(params.deadline);
+        if (params.amountIn > uint256(type(int256).max)) revert AmountTooLarge();
+        uint256 hops = _hopCount(params.path);
+
+        amountOut = params.amountIn;
+        address payer = msg.sender;
+        for (uint256 i = 0; i < hops; i++) {
+            (address tokenIn, address tokenOut) = _hop(params.path, i);
+            bool zeroToOne = tokenIn < tokenOut;
+            address recipient = i + 1 == hops ? params.recipient : address(this);
+
+            (int256 amount0, int256 amount1) = _swap(
+                _poolFor(tokenIn, tokenOut),
+                zeroToOne,
+                int256(amountOut),
+                0,
+                recipient,
+                payer
+            );
+            amountOut = uint256(-(zeroToOne ? amount1 : amount0));
+            payer = address(this);
+        }
+
+        if (amountOut < params.amountOutMinimum) revert TooLittleReceived(amountOut, params.amountOutMinimum);
     }
-    
+
     /**
-     * @notice Get a quote for a swap (will revert with amounts)
+     * @notice Output of exactInputPath for `amountIn`, without moving any funds
+     * @dev Not a view: each hop runs the real pool swap and reverts from the callback with the
+     *      deltas, so call it with eth_call (ethers callStatic). Hops are quoted one after the
+     *      other against current pool state, so a path that reuses a pool is only approximate.
      */
-    function quoteSwap(
+    function quoteExactInputPath(bytes calldata path, uint256 amountIn) external returns (uint256 amountOut) {
+        if (_activePool != address(0)) revert SwapInProgress();
+        if (amountIn > uint256(type(int256).max)) revert AmountTooLarge();
+        uint256 hops = _hopCount(path);
+
+        amountOut = amountIn;
+        _quoting = true;
+        for (uint256 i = 0; i < hops; i++) {
+            (address tokenIn, address tokenOut) = _hop(path, i);
+            bool zeroToOne = tokenIn < tokenOut;
+            address pool = _poolFor(tokenIn, tokenOut);
+
+            _activePool = pool;
+            try IAlgebraPool(pool).swap(
+                address(this),
+                zeroToOne,
+                int256(amountOut),
+                zeroToOne ? MIN_SQRT_RATIO_PLUS_ONE : MAX_SQRT_RATIO_MINUS_ONE,
+                ""
+            ) returns (int256, int256) {
+                revert InvalidPath(); // unreachable with a pool that calls back
+            } catch (bytes memory reason) {
+                (int256 amount0, int256 amount1) = _decodeQuote(reason);
+                amountOut = uint256(-(zeroToOne ? amount1 : amount0));
+            }
+        }
+        _quoting = false;
+        _activePool = address(0);
+    }
+
+    /// @dev Positive amountRequired = exact input, negative = exact output (Algebra convention)
+    function _swap(
         address pool,
         bool zeroToOne,
-        int256 amountIn
-    ) external returns (int256 amount0, int256 amount1) {
-        try this.swap(pool, zeroToOne, amountIn, 0) returns (int256 a0, int256 a1) {
-            return (a0, a1);
-        } catch {
-            revert("Quote failed");
+        int256 amountRequired,
+        uint160 limitSqrtPrice,
+        address recipient,
+        address payer
+    ) private returns (int256 amount0, int256 amount1) {
+        if (_activePool != address(0)) revert SwapInProgress();
+        _requireGenuinePool(pool);
+
+        _activePool = pool;
+        _activePayer = payer;
+
+        // Call the pool directly
+        (amount0, amount1) = IAlgebraPool(pool).swap(
+            recipient,
+            zeroToOne,
+            amountRequired,
+            limitSqrtPrice == 0 ? (zeroToOne ? MIN_SQRT_RATIO_PLUS_ONE : MAX_SQRT_RATIO_MINUS_ONE) : limitSqrtPrice,
+            ""
+        );
+
+        _activePool = address(0);
+        _activePayer = address(0);
+    }
+
+    function _pay(address token, address payer, address pool, uint256 amount) private {
+        if (payer == address(this)) {
+            IERC20(token).safeTransfer(pool, amount);
+        } else {
+            IERC20(token).safeTransferFrom(payer, pool, amount);
         }
     }
+
+    function _hopCount(bytes calldata path) private pure returns (uint256) {
+        if (path.length < 40 || path.length % 20 != 0) revert InvalidPath();
+        return path.length / 20 - 1;
+    }
+
+    function _hop(bytes calldata path, uint256 i) private pure returns (address tokenIn, address tokenOut) {
+        tokenIn = address(bytes20(path[i * 20:i * 20 + 20]));
+        tokenOut = address(bytes20(path[i * 20 + 20:i * 20 + 40]));
+    }
+
+    function _poolFor(address tokenA, address tokenB) private view returns (address pool) {
+        pool = IAlgebraFactory(factory).poolByPair(tokenA, tokenB);
+        if (pool == address(0)) revert UnknownPool(pool);
+    }
+
+    /// @dev Unwraps QuoteResult; any other revert from the pool is bubbled up unchanged.
+    function _decodeQuote(bytes memory reason) private pure returns (int256 amount0, int256 amount1) {
+        if (reason.length != 68 || bytes4(reason) != QuoteResult.selector) {
+            assembly {
+                revert(add(reason, 32), mload(reason))
+            }
+        }
+        assembly {
+            amount0 := mload(add(reason, 36))
+            amount1 := mload(add(reason, 68))
+        }
+    }
+
+    function _checkDeadline(uint256 deadline) private view {
+        if (block.timestamp > deadline) revert TransactionTooOld(deadline);
+    }
+
+    function _requireGenuinePool(address pool) private view {
+        if (pool.code.length == 0) revert UnknownPool(pool);
+        address token0 = IAlgebraPool(pool).token0();
+        address token1 = IAlgebraPool(pool).token1();
+        if (IAlgebraFactory(factory).poolByPair(token0, token1) != pool) revert UnknownPool(pool);
+    }
 }
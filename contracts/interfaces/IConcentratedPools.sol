@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @notice Subset of the Lotus (UniV3-style) pool ABI used by the reference strategy
+ */
+interface IUniV3PoolLike {
+    function token0() external view returns (address);
+    function token1() external view returns (address);
+    function tickSpacing() external view returns (int24);
+
+    function slot0()
+        external
+        view
+        returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, uint8, bool unlocked);
+
+    function feeGrowthGlobal0X128() external view returns (uint256);
+    function feeGrowthGlobal1X128() external view returns (uint256);
+
+    function ticks(int24 tick)
+        external
+        view
+        returns (
+            uint128 liquidityGross,
+            int128 liquidityNet,
+            uint256 feeGrowthOutside0X128,
+            uint256 feeGrowthOutside1X128,
+            int56,
+            uint160,
+            uint32,
+            bool initialized
+        );
+
+    function positions(bytes32 key)
+        external
+        view
+        returns (uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1);
+
+    function mint(address recipient, int24 tickLower, int24 tickUpper, uint128 amount, bytes calldata data)
+        external
+        returns (uint256 amount0, uint256 amount1);
+
+    function burn(int24 tickLower, int24 tickUpper, uint128 amount) external returns (uint256 amount0, uint256 amount1);
+
+    function collect(address recipient, int24 tickLower, int24 tickUpper, uint128 amount0Requested, uint128 amount1Requested)
+        external
+        returns (uint128 amount0, uint128 amount1);
+
+    function observe(uint32[] calldata secondsAgos)
+        external
+        view
+        returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s);
+}
+
+/**
+ * @notice Subset of the QuickSwap (Algebra Integral) pool ABI used by the reference strategy
+ */
+interface IAlgebraPoolLike {
+    function token0() external view returns (address);
+    function token1() external view returns (address);
+    function tickSpacing() external view returns (int24);
+
+    function safelyGetStateOfAMM()
+        external
+        view
+        returns (uint160 sqrtPrice, int24 tick, uint16 lastFee, uint8 pluginConfig, uint128 activeLiquidity, int24 nextTick, int24 previousTick);
+
+    function plugin() external view returns (address);
+
+    function totalFeeGrowth0Token() external view returns (uint256);
+    function totalFeeGrowth1Token() external view returns (uint256);
+
+    function ticks(int24 tick)
+        external
+        view
+        returns (
+            uint256 liquidityTotal,
+            int128 liquidityDelta,
+            int24 prevTick,
+            int24 nextTick,
+            uint256 outerFeeGrowth0Token,
+            uint256 outerFeeGrowth1Token
+        );
+
+    function positions(bytes32 key)
+        external
+        view
+        returns (uint256 liquidity, uint256 innerFeeGrowth0Token, uint256 innerFeeGrowth1Token, uint128 fees0, uint128 fees1);
+
+    function mint(
+        address leftoversRecipient,
+        address recipient,
+        int24 bottomTick,
+        int24 topTick,
+        uint128 liquidityDesired,
+        bytes calldata data
+    ) external returns (uint256 amount0, uint256 amount1, uint128 liquidityActual);
+
+    function burn(int24 bottomTick, int24 topTick, uint128 amount, bytes calldata data)
+        external
+        returns (uint256 amount0, uint256 amount1);
+
+    function collect(address recipient, int24 bottomTick, int24 topTick, uint128 amount0Requested, uint128 amount1Requested)
+        external
+        returns (uint128 amount0, uint128 amount1);
+}
+
+/**
+ * @notice Oracle read of an Algebra Integral plugin (the volatility oracle)
+ */
+interface IAlgebraPluginLike {
+    function getTimepoints(uint32[] calldata secondsAgos)
+        external
+        view
+        returns (int56[] memory tickCumulatives, uint88[] memory volatilityCumulatives);
+}
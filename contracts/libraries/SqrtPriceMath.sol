@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+/**
+ * @title SqrtPriceMath
+ * @notice Token amount <-> Q64.96 sqrt price math for concentrated liquidity (UniV3 port)
+ */
+library SqrtPriceMath {
+    using SafeCast for uint256;
+
+    uint256 internal constant Q96 = 0x1000000000000000000000000;
+
+    function _divRoundingUp(uint256 x, uint256 y) private pure returns (uint256 z) {
+        z = x / y + (x % y == 0 ? 0 : 1);
+    }
+
+    function getNextSqrtPriceFromAmount0RoundingUp(
+        uint160 sqrtPX96,
+        uint128 liquidity,
+        uint256 amount,
+        bool add
+    ) internal pure returns (uint160) {
+        if (amount == 0) return sqrtPX96;
+        uint256 numerator1 = uint256(liquidity) << 96;
+
+        if (add) {
+            unchecked {
+                uint256 product = amount * sqrtPX96;
+                if (product / amount == sqrtPX96) {
+                    uint256 denominator = numerator1 + product;
+                    if (denominator >= numerator1) {
+                        return uint160(Math.mulDiv(numerator1, sqrtPX96, denominator, Math.Rounding.Ceil));
+                    }
+                }
+            }
+            return uint160(_divRoundingUp(numerator1, (numerator1 / sqrtPX96) + amount));
+        }
+
+        uint256 product2;
+        unchecked {
+            product2 = amount * sqrtPX96;
+        }
+        require(product2 / amount == sqrtPX96 && numerator1 > product2, "SPM0");
+        return Math.mulDiv(numerator1, sqrtPX96, numerator1 - product2, Math.Rounding.Ceil).toUint160();
+    }
+
+    function getNextSqrtPriceFromAmount1RoundingDown(
+        uint160 sqrtPX96,
+        uint128 liquidity,
+        uint256 amount,
+        bool add
+    ) internal pure returns (uint160) {
+        if (add) {
+            uint256 quotient = amount <= type(uint160).max
+                ? (amount << 96) / liquidity
+                : Math.mulDiv(amount, Q96, liquidity);
+            return (uint256(sqrtPX96) + quotient).toUint160();
+        }
+
+        uint256 quotient2 = amount <= type(uint160).max
+            ? _divRoundingUp(amount << 96, liquidity)
+            : Math.mulDiv(amount, Q96, liquidity, Math.Rounding.Ceil);
+        require(sqrtPX96 > quotient2, "SPM1");
+        return uint160(sqrtPX96 - quotient2);
+    }
+
+    function getNextSqrtPriceFromInput(
+        uint160 sqrtPX96,
+        uint128 liquidity,
+        uint256 amountIn,
+        bool zeroForOne
+    ) internal pure returns (uint160) {
+        require(sqrtPX96 > 0 && liquidity > 0, "SPM2");
+        return zeroForOne
+            ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountIn, true)
+            : getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountIn, true);
+    }
+
+    function getNextSqrtPriceFromOutput(
+        uint160 sqrtPX96,
+        uint128 liquidity,
+        uint256 amountOut,
+        bool zeroForOne
+    ) internal pure returns (uint160) {
+        require(sqrtPX96 > 0 && liquidity > 0, "SPM2");
+        return zeroForOne
+            ? getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountOut, false)
+            : getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountOut, false);
+    }
+
+    function getAmount0Delta(
+        uint160 sqrtRatioAX96,
+        uint160 sqrtRatioBX96,
+        uint128 liquidity,
+        bool roundUp
+    ) internal pure returns (uint256) {
+        if (sqrtRatioAX96 > sqrtRatioBX96) (sqrtRatioAX96, sqrtRatioBX96) = (sqrtRatioBX96, sqrtRatioAX96);
+        require(sqrtRatioAX96 > 0, "SPM3");
+
+        uint256 numerator1 = uint256(liquidity) << 96;
+        uint256 numerator2 = sqrtRatioBX96 - sqrtRatioAX96;
+
+        return roundUp
+            ? _divRoundingUp(Math.mulDiv(numerator1, numerator2, sqrtRatioBX96, Math.Rounding.Ceil), sqrtRatioAX96)
+            : Math.mulDiv(numerator1, numerator2, sqrtRatioBX96) / sqrtRatioAX96;
+    }
+
+    function getAmount1Delta(
+        uint160 sqrtRatioAX96,
+        uint160 sqrtRatioBX96,
+        uint128 liquidity,
+        bool roundUp
+    ) internal pure returns (uint256) {
+        if (sqrtRatioAX96 > sqrtRatioBX96) (sqrtRatioAX96, sqrtRatioBX96) = (sqrtRatioBX96, sqrtRatioAX96);
+
+        return roundUp
+            ? Math.mulDiv(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96, Math.Rounding.Ceil)
+            : Math.mulDiv(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96);
+    }
+
+    /// @notice Signed token0 delta: positive (rounded up) when adding liquidity, negative when removing
+    function getAmount0Delta(uint160 sqrtRatioAX96, uint160 sqrtRatioBX96, int128 liquidity) internal pure returns (int256) {
+        return liquidity < 0
+            ? -getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, uint128(-liquidity), false).toInt256()
+            : getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, uint128(liquidity), true).toInt256();
+    }
+
+    /// @notice Signed token1 delta: positive (rounded up) when adding liquidity, negative when removing
+    function getAmount1Delta(uint160 sqrtRatioAX96, uint160 sqrtRatioBX96, int128 liquidity) internal pure returns (int256) {
+        return liquidity < 0
+            ? -getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, uint128(-liquidity), false).toInt256()
+            : getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, uint128(liquidity), true).toInt256();
+    }
+}
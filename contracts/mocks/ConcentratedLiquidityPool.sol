@@ -0,0 +1,602 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "../libraries/TickMath.sol";
+import "../libraries/SqrtPriceMath.sol";
+import "../libraries/SwapMath.sol";
+
+/**
+ * @title ConcentratedLiquidityPool
+ * @notice Shared concentrated-liquidity core for the local UniV3 and Algebra mock pools
+ * @dev Implements the UniV3 swap loop, tick crossing, fee growth and position accounting.
+ *      Initialized ticks are kept in a sorted array instead of a bitmap; the DEX-specific
+ *      front-ends (MockUniV3Pool, MockAlgebraPool) expose the on-chain getter/callback shapes
+ *      the harness talks to. Protocol fees are intentionally left out. The oracle only
+ *      accumulates ticks: one observation per block in which the tick changed, unbounded.
+ */
+abstract contract ConcentratedLiquidityPool {
+    using SafeERC20 for IERC20;
+    using SafeCast for uint256;
+
+    struct TickInfo {
+        uint128 liquidityGross;
+        int128 liquidityNet;
+        uint256 feeGrowthOutside0X128;
+        uint256 feeGrowthOutside1X128;
+        bool initialized;
+    }
+
+    struct Position {
+        uint128 liquidity;
+        uint256 feeGrowthInside0LastX128;
+        uint256 feeGrowthInside1LastX128;
+        uint128 tokensOwed0;
+        uint128 tokensOwed1;
+    }
+
+    /// @dev tickCumulative is the sum of tick * seconds up to blockTimestamp
+    struct Observation {
+        uint32 blockTimestamp;
+        int56 tickCumulative;
+    }
+
+    struct SwapState {
+        int256 amountSpecifiedRemaining;
+        int256 amountCalculated;
+        uint160 sqrtPriceX96;
+        int24 tick;
+        uint256 feeGrowthGlobalX128;
+        uint128 liquidity;
+    }
+
+    struct StepComputations {
+        uint160 sqrtPriceStartX96;
+        int24 tickNext;
+        bool initialized;
+        uint160 sqrtPriceNextX96;
+        uint256 amountIn;
+        uint256 amountOut;
+        uint256 feeAmount;
+    }
+
+    uint256 internal constant Q128 = 0x100000000000000000000000000000000;
+
+    address public immutable factory;
+    address public immutable token0;
+    address public immutable token1;
+    int24 public immutable tickSpacing;
+
+    uint24 internal _fee;
+    uint160 internal _sqrtPriceX96;
+    int24 internal _tick;
+    bool internal _unlocked;
+
+    uint128 public liquidity;
+    uint256 internal _feeGrowthGlobal0X128;
+    uint256 internal _feeGrowthGlobal1X128;
+
+    mapping(int24 => TickInfo) internal _ticks;
+    mapping(bytes32 => Position) internal _positions;
+    int24[] internal _initializedTicks;
+    Observation[] internal _observations;
+
+    event Initialize(uint160 sqrtPriceX96, int24 tick);
+    event Mint(
+        address sender,
+        address indexed owner,
+        int24 indexed tickLower,
+        int24 indexed tickUpper,
+        uint128 amount,
+        uint256 amount0,
+        uint256 amount1
+    );
+    event Burn(
+        address indexed owner,
+        int24 indexed tickLower,
+        int24 indexed tickUpper,
+        uint128 amount,
+        uint256 amount0,
+        uint256 amount1
+    );
+    event Collect(
+        address indexed owner,
+        address recipient,
+        int24 indexed tickLower,
+        int24 indexed tickUpper,
+        uint128 amount0,
+        uint128 amount1
+    );
+    event Swap(
+        address indexed sender,
+        address indexed recipient,
+        int256 amount0,
+        int256 amount1,
+        uint160 sqrtPriceX96,
+        uint128 liquidity,
+        int24 tick
+    );
+
+    modifier lock() {
+        require(_unlocked, "LOK");
+        _unlocked = false;
+        _;
+        _unlocked = true;
+    }
+
+    constructor(address factory_, address tokenA, address tokenB, uint24 fee_, int24 tickSpacing_) {
+        require(tokenA != tokenB && tokenA != address(0) && tokenB != address(0), "TOKENS");
+        require(tickSpacing_ > 0, "TS");
+        factory = factory_;
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        _fee = fee_;
+        tickSpacing = tickSpacing_;
+    }
+
+    // ---------------------------------------------------------------------
+    // DEX-specific hooks
+    // ---------------------------------------------------------------------
+
+    function _positionKey(address owner, int24 tickLower, int24 tickUpper) internal pure virtual returns (bytes32);
+
+    function _mintCallback(uint256 amount0Owed, uint256 amount1Owed, bytes calldata data) internal virtual;
+
+    function _swapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) internal virtual;
+
+    // ---------------------------------------------------------------------
+    // Views shared by both front-ends
+    // ---------------------------------------------------------------------
+
+    /// @notice Sorted list of initialized ticks (convenience for tests; not part of either DEX ABI)
+    function initializedTicks() external view returns (int24[] memory) {
+        return _initializedTicks;
+    }
+
+    function _toInt128(uint128 x) private pure returns (int128) {
+        require(x <= uint128(type(int128).max), "LO");
+        return int128(x);
+    }
+
+    function _balance0() internal view returns (uint256) {
+        return IERC20(token0).balanceOf(address(this));
+    }
+
+    function _balance1() internal view returns (uint256) {
+        return IERC20(token1).balanceOf(address(this));
+    }
+
+    function _getFeeGrowthInside(int24 tickLower, int24 tickUpper)
+        internal
+        view
+        returns (uint256 feeGrowthInside0X128, uint256 feeGrowthInside1X128)
+    {
+        TickInfo storage lower = _ticks[tickLower];
+        TickInfo storage upper = _ticks[tickUpper];
+
+        unchecked {
+            uint256 below0;
+            uint256 below1;
+            if (_tick >= tickLower) {
+                below0 = lower.feeGrowthOutside0X128;
+                below1 = lower.feeGrowthOutside1X128;
+            } else {
+                below0 = _feeGrowthGlobal0X128 - lower.feeGrowthOutside0X128;
+                below1 = _feeGrowthGlobal1X128 - lower.feeGrowthOutside1X128;
+            }
+
+            uint256 above0;
+            uint256 above1;
+            if (_tick < tickUpper) {
+                above0 = upper.feeGrowthOutside0X128;
+                above1 = upper.feeGrowthOutside1X128;
+            } else {
+                above0 = _feeGrowthGlobal0X128 - upper.feeGrowthOutside0X128;
+                above1 = _feeGrowthGlobal1X128 - upper.feeGrowthOutside1X128;
+            }
+
+            feeGrowthInside0X128 = _feeGrowthGlobal0X128 - below0 - above0;
+            feeGrowthInside1X128 = _feeGrowthGlobal1X128 - below1 - above1;
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // Oracle
+    // ---------------------------------------------------------------------
+
+    /// @dev Record the accumulator up to this block before the tick changes; the first change in a block wins
+    function _writeObservation() private {
+        Observation memory last = _observations[_observations.length - 1];
+        if (last.blockTimestamp == uint32(block.timestamp)) return;
+        _observations.push(Observation(uint32(block.timestamp), _accumulate(last, uint32(block.timestamp), _tick)));
+    }
+
+    function _accumulate(Observation memory from, uint32 time, int24 tick) private pure returns (int56) {
+        return from.tickCumulative + int56(tick) * int56(uint56(time - from.blockTimestamp));
+    }
+
+    /// @dev Tick accumulator `secondsAgo` before this block; reverts "OLD" before the first observation
+    function _observeSingle(uint32 secondsAgo) private view returns (int56) {
+        uint32 target = uint32(block.timestamp) - secondsAgo;
+        uint256 high = _observations.length - 1;
+        Observation memory last = _observations[high];
+        if (target >= last.blockTimestamp) return _accumulate(last, target, _tick);
+        require(target >= _observations[0].blockTimestamp, "OLD");
+
+        // Observations [low] <= target < [high]; the tick did not change between the two.
+        uint256 low = 0;
+        while (high - low > 1) {
+            uint256 mid = (low + high) >> 1;
+            if (_observations[mid].blockTimestamp <= target) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        Observation memory before = _observations[low];
+        Observation memory next = _observations[high];
+        int56 tickBetween = (next.tickCumulative - before.tickCumulative) /
+            int56(uint56(next.blockTimestamp - before.blockTimestamp));
+        return _accumulate(before, target, int24(tickBetween));
+    }
+
+    function _observe(uint32[] calldata secondsAgos) internal view returns (int56[] memory tickCumulatives) {
+        tickCumulatives = new int56[](secondsAgos.length);
+        for (uint256 i = 0; i < secondsAgos.length; i++) {
+            tickCumulatives[i] = _observeSingle(secondsAgos[i]);
+        }
+    }
+
+    /// @dev Index of the latest observation and the number of observations (0 before initialize)
+    function _observationState() internal view returns (uint16 index, uint16 cardinality) {
+        cardinality = uint16(_observations.length);
+        index = cardinality == 0 ? 0 : cardinality - 1;
+    }
+
+    // ---------------------------------------------------------------------
+    // Sorted initialized-tick list
+    // ---------------------------------------------------------------------
+
+    /// @dev Index of the first initialized tick strictly greater than `tick`
+    function _upperBound(int24 tick) internal view returns (uint256 low) {
+        uint256 high = _initializedTicks.length;
+        while (low < high) {
+            uint256 mid = (low + high) >> 1;
+            if (_initializedTicks[mid] > tick) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+    }
+
+    function _insertTick(int24 tick) private {
+        uint256 i = _upperBound(tick);
+        _initializedTicks.push(tick);
+        for (uint256 j = _initializedTicks.length - 1; j > i; j--) {
+            _initializedTicks[j] = _initializedTicks[j - 1];
+        }
+        _initializedTicks[i] = tick;
+    }
+
+    function _removeTick(int24 tick) private {
+        uint256 i = _upperBound(tick);
+        require(i > 0 && _initializedTicks[i - 1] == tick, "TNI");
+        for (uint256 j = i - 1; j + 1 < _initializedTicks.length; j++) {
+            _initializedTicks[j] = _initializedTicks[j + 1];
+        }
+        _initializedTicks.pop();
+    }
+
+    /// @dev lte: greatest initialized tick <= tick; otherwise smallest initialized tick > tick
+    function _nextInitializedTick(int24 tick, bool lte) internal view returns (int24 next, bool initialized) {
+        uint256 i = _upperBound(tick);
+        if (lte) {
+            if (i == 0) return (TickMath.MIN_TICK, false);
+            return (_initializedTicks[i - 1], true);
+        }
+        if (i == _initializedTicks.length) return (TickMath.MAX_TICK, false);
+        return (_initializedTicks[i], true);
+    }
+
+    // ---------------------------------------------------------------------
+    // Core state transitions
+    // ---------------------------------------------------------------------
+
+    function _initialize(uint160 sqrtPriceX96) internal {
+        require(_sqrtPriceX96 == 0, "AI");
+        int24 tick = TickMath.getTickAtSqrtRatio(sqrtPriceX96);
+        _sqrtPriceX96 = sqrtPriceX96;
+        _tick = tick;
+        _unlocked = true;
+        _observations.push(Observation(uint32(block.timestamp), 0));
+        emit Initialize(sqrtPriceX96, tick);
+    }
+
+    function _updateTick(int24 tick, int128 liquidityDelta, bool upper) private returns (bool flipped) {
+        TickInfo storage info = _ticks[tick];
+
+        uint128 liquidityGrossBefore = info.liquidityGross;
+        uint128 liquidityGrossAfter = liquidityDelta < 0
+            ? liquidityGrossBefore - uint128(-liquidityDelta)
+            : liquidityGrossBefore + uint128(liquidityDelta);
+
+        flipped = (liquidityGrossAfter == 0) != (liquidityGrossBefore == 0);
+
+        if (liquidityGrossBefore == 0) {
+            // By convention all fee growth before a tick was initialized happened below it
+            if (tick <= _tick) {
+                info.feeGrowthOutside0X128 = _feeGrowthGlobal0X128;
+                info.feeGrowthOutside1X128 = _feeGrowthGlobal1X128;
+            }
+            info.initialized = true;
+        }
+
+        info.liquidityGross = liquidityGrossAfter;
+        info.liquidityNet = upper ? info.liquidityNet - liquidityDelta : info.liquidityNet + liquidityDelta;
+    }
+
+    function _crossTick(int24 tick, uint256 feeGrowthGlobal0X128, uint256 feeGrowthGlobal1X128)
+        private
+        returns (int128 liquidityNet)
+    {
+        TickInfo storage info = _ticks[tick];
+        unchecked {
+            info.feeGrowthOutside0X128 = feeGrowthGlobal0X128 - info.feeGrowthOutside0X128;
+            info.feeGrowthOutside1X128 = feeGrowthGlobal1X128 - info.feeGrowthOutside1X128;
+        }
+        liquidityNet = info.liquidityNet;
+    }
+
+    function _checkTicks(int24 tickLower, int24 tickUpper) private view {
+        require(tickLower < tickUpper, "TLU");
+        require(tickLower >= TickMath.MIN_TICK, "TLM");
+        require(tickUpper <= TickMath.MAX_TICK, "TUM");
+        require(tickLower % tickSpacing == 0 && tickUpper % tickSpacing == 0, "TS");
+    }
+
+    function _updatePosition(address owner, int24 tickLower, int24 tickUpper, int128 liquidityDelta) private {
+        bool flippedLower;
+        bool flippedUpper;
+        if (liquidityDelta != 0) {
+            flippedLower = _updateTick(tickLower, liquidityDelta, false);
+            flippedUpper = _updateTick(tickUpper, liquidityDelta, true);
+            if (flippedLower && liquidityDelta > 0) _insertTick(tickLower);
+            if (flippedUpper && liquidityDelta > 0) _insertTick(tickUpper);
+        }
+
+        (uint256 feeGrowthInside0X128, uint256 feeGrowthInside1X128) = _getFeeGrowthInside(tickLower, tickUpper);
+
+        Position storage position = _positions[_positionKey(owner, tickLower, tickUpper)];
+        if (liquidityDelta == 0) require(position.liquidity > 0, "NP");
+
+        uint128 tokensOwed0;
+        uint128 tokensOwed1;
+        unchecked {
+            tokensOwed0 = uint128(
+                Math.mulDiv(feeGrowthInside0X128 - position.feeGrowthInside0LastX128, position.liquidity, Q128)
+            );
+            tokensOwed1 = uint128(
+                Math.mulDiv(feeGrowthInside1X128 - position.feeGrowthInside1LastX128, position.liquidity, Q128)
+            );
+        }
+
+        if (liquidityDelta != 0) {
+            position.liquidity = liquidityDelta < 0
+                ? position.liquidity - uint128(-liquidityDelta)
+                : position.liquidity + uint128(liquidityDelta);
+        }
+        position.feeGrowthInside0LastX128 = feeGrowthInside0X128;
+        position.feeGrowthInside1LastX128 = feeGrowthInside1X128;
+        if (tokensOwed0 > 0 || tokensOwed1 > 0) {
+            unchecked {
+                // overflow is acceptable, owners have to withdraw before hitting type(uint128).max
+                position.tokensOwed0 += tokensOwed0;
+                position.tokensOwed1 += tokensOwed1;
+            }
+        }
+
+        if (liquidityDelta < 0) {
+            if (flippedLower) {
+                delete _ticks[tickLower];
+                _removeTick(tickLower);
+            }
+            if (flippedUpper) {
+                delete _ticks[tickUpper];
+                _removeTick(tickUpper);
+            }
+        }
+    }
+
+    function _modifyPosition(address owner, int24 tickLower, int24 tickUpper, int128 liquidityDelta)
+        internal
+        returns (int256 amount0, int256 amount1)
+    {
+        _checkTicks(tickLower, tickUpper);
+        _updatePosition(owner, tickLower, tickUpper, liquidityDelta);
+
+        if (liquidityDelta == 0) return (0, 0);
+
+        uint160 sqrtLower = TickMath.getSqrtRatioAtTick(tickLower);
+        uint160 sqrtUpper = TickMath.getSqrtRatioAtTick(tickUpper);
+
+        if (_tick < tickLower) {
+            amount0 = SqrtPriceMath.getAmount0Delta(sqrtLower, sqrtUpper, liquidityDelta);
+        } else if (_tick < tickUpper) {
+            amount0 = SqrtPriceMath.getAmount0Delta(_sqrtPriceX96, sqrtUpper, liquidityDelta);
+            amount1 = SqrtPriceMath.getAmount1Delta(sqrtLower, _sqrtPriceX96, liquidityDelta);
+            liquidity = liquidityDelta < 0
+                ? liquidity - uint128(-liquidityDelta)
+                : liquidity + uint128(liquidityDelta);
+        } else {
+            amount1 = SqrtPriceMath.getAmount1Delta(sqrtLower, sqrtUpper, liquidityDelta);
+        }
+    }
+
+    function _mint(address recipient, int24 tickLower, int24 tickUpper, uint128 amount, bytes calldata data)
+        internal
+        returns (uint256 amount0, uint256 amount1)
+    {
+        require(amount > 0, "AMT");
+        (int256 amount0Int, int256 amount1Int) = _modifyPosition(recipient, tickLower, tickUpper, _toInt128(amount));
+        amount0 = uint256(amount0Int);
+        amount1 = uint256(amount1Int);
+
+        uint256 balance0Before = amount0 > 0 ? _balance0() : 0;
+        uint256 balance1Before = amount1 > 0 ? _balance1() : 0;
+        _mintCallback(amount0, amount1, data);
+        if (amount0 > 0) require(balance0Before + amount0 <= _balance0(), "M0");
+        if (amount1 > 0) require(balance1Before + amount1 <= _balance1(), "M1");
+
+        emit Mint(msg.sender, recipient, tickLower, tickUpper, amount, amount0, amount1);
+    }
+
+    function _burn(int24 tickLower, int24 tickUpper, uint128 amount)
+        internal
+        returns (uint256 amount0, uint256 amount1)
+    {
+        (int256 amount0Int, int256 amount1Int) =
+            _modifyPosition(msg.sender, tickLower, tickUpper, -_toInt128(amount));
+
+        amount0 = uint256(-amount0Int);
+        amount1 = uint256(-amount1Int);
+
+        if (amount0 > 0 || amount1 > 0) {
+            Position storage position = _positions[_positionKey(msg.sender, tickLower, tickUpper)];
+            position.tokensOwed0 += uint128(amount0);
+            position.tokensOwed1 += uint128(amount1);
+        }
+
+        emit Burn(msg.sender, tickLower, tickUpper, amount, amount0, amount1);
+    }
+
+    function _collect(
+        address recipient,
+        int24 tickLower,
+        int24 tickUpper,
+        uint128 amount0Requested,
+        uint128 amount1Requested
+    ) internal returns (uint128 amount0, uint128 amount1) {
+        Position storage position = _positions[_positionKey(msg.sender, tickLower, tickUpper)];
+
+        amount0 = amount0Requested > position.tokensOwed0 ? position.tokensOwed0 : amount0Requested;
+        amount1 = amount1Requested > position.tokensOwed1 ? position.tokensOwed1 : amount1Requested;
+
+        if (amount0 > 0) {
+            position.tokensOwed0 -= amount0;
+            IERC20(token0).safeTransfer(recipient, amount0);
+        }
+        if (amount1 > 0) {
+            position.tokensOwed1 -= amount1;
+            IERC20(token1).safeTransfer(recipient, amount1);
+        }
+
+        emit Collect(msg.sender, recipient, tickLower, tickUpper, amount0, amount1);
+    }
+
+    function _swap(
+        address recipient,
+        bool zeroForOne,
+        int256 amountSpecified,
+        uint160 sqrtPriceLimitX96,
+        bytes calldata data
+    ) internal returns (int256 amount0, int256 amount1) {
+        require(amountSpecified != 0, "AS");
+        require(
+            zeroForOne
+                ? sqrtPriceLimitX96 < _sqrtPriceX96 && sqrtPriceLimitX96 > TickMath.MIN_SQRT_RATIO
+                : sqrtPriceLimitX96 > _sqrtPriceX96 && sqrtPriceLimitX96 < TickMath.MAX_SQRT_RATIO,
+            "SPL"
+        );
+
+        bool exactInput = amountSpecified > 0;
+
+        SwapState memory state = SwapState({
+            amountSpecifiedRemaining: amountSpecified,
+            amountCalculated: 0,
+            sqrtPriceX96: _sqrtPriceX96,
+            tick: _tick,
+            feeGrowthGlobalX128: zeroForOne ? _feeGrowthGlobal0X128 : _feeGrowthGlobal1X128,
+            liquidity: liquidity
+        });
+
+        while (state.amountSpecifiedRemaining != 0 && state.sqrtPriceX96 != sqrtPriceLimitX96) {
+            StepComputations memory step;
+            step.sqrtPriceStartX96 = state.sqrtPriceX96;
+
+            (step.tickNext, step.initialized) = _nextInitializedTick(state.tick, zeroForOne);
+            if (step.tickNext < TickMath.MIN_TICK) step.tickNext = TickMath.MIN_TICK;
+            else if (step.tickNext > TickMath.MAX_TICK) step.tickNext = TickMath.MAX_TICK;
+
+            step.sqrtPriceNextX96 = TickMath.getSqrtRatioAtTick(step.tickNext);
+
+            (state.sqrtPriceX96, step.amountIn, step.amountOut, step.feeAmount) = SwapMath.computeSwapStep(
+                state.sqrtPriceX96,
+                (zeroForOne ? step.sqrtPriceNextX96 < sqrtPriceLimitX96 : step.sqrtPriceNextX96 > sqrtPriceLimitX96)
+                    ? sqrtPriceLimitX96
+                    : step.sqrtPriceNextX96,
+                state.liquidity,
+                state.amountSpecifiedRemaining,
+                _fee
+            );
+
+            if (exactInput) {
+                state.amountSpecifiedRemaining -= (step.amountIn + step.feeAmount).toInt256();
+                state.amountCalculated -= step.amountOut.toInt256();
+            } else {
+                state.amountSpecifiedRemaining += step.amountOut.toInt256();
+                state.amountCalculated += (step.amountIn + step.feeAmount).toInt256();
+            }
+
+            if (state.liquidity > 0) {
+                unchecked {
+                    state.feeGrowthGlobalX128 += Math.mulDiv(step.feeAmount, Q128, state.liquidity);
+                }
+            }
+
+            if (state.sqrtPriceX96 == step.sqrtPriceNextX96) {
+                if (step.initialized) {
+                    int128 liquidityNet = _crossTick(
+                        step.tickNext,
+                        zeroForOne ? state.feeGrowthGlobalX128 : _feeGrowthGlobal0X128,
+                        zeroForOne ? _feeGrowthGlobal1X128 : state.feeGrowthGlobalX128
+                    );
+                    if (zeroForOne) liquidityNet = -liquidityNet;
+                    state.liquidity = liquidityNet < 0
+                        ? state.liquidity - uint128(-liquidityNet)
+                        : state.liquidity + uint128(liquidityNet);
+                }
+                state.tick = zeroForOne ? step.tickNext - 1 : step.tickNext;
+            } else if (state.sqrtPriceX96 != step.sqrtPriceStartX96) {
+                state.tick = TickMath.getTickAtSqrtRatio(state.sqrtPriceX96);
+            }
+        }
+
+        _sqrtPriceX96 = state.sqrtPriceX96;
+        if (state.tick != _tick) _writeObservation();
+        _tick = state.tick;
+        liquidity = state.liquidity;
+        if (zeroForOne) _feeGrowthGlobal0X128 = state.feeGrowthGlobalX128;
+        else _feeGrowthGlobal1X128 = state.feeGrowthGlobalX128;
+
+        (amount0, amount1) = zeroForOne == exactInput
+            ? (amountSpecified - state.amountSpecifiedRemaining, state.amountCalculated)
+            : (state.amountCalculated, amountSpecified - state.amountSpecifiedRemaining);
+
+        if (zeroForOne) {
+            if (amount1 < 0) IERC20(token1).safeTransfer(recipient, uint256(-amount1));
+            uint256 balance0Before = _balance0();
+            _swapCallback(amount0, amount1, data);
+            require(balance0Before + uint256(amount0) <= _balance0(), "IIA");
+        } else {
+            if (amount0 < 0) IERC20(token0).safeTransfer(recipient, uint256(-amount0));
+            uint256 balance1Before = _balance1();
+            _swapCallback(amount0, amount1, data);
+            require(balance1Before + uint256(amount1) <= _balance1(), "IIA");
+        }
+
+        emit Swap(msg.sender, recipient, amount0, amount1, state.sqrtPriceX96, state.liquidity, state.tick);
+    }
+}
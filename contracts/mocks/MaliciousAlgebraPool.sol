@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IPoolCallbacks.sol";
+
+/**
+ * @title MaliciousAlgebraPool
+ * @notice Pool impostor used to prove DirectPoolSwapper cannot be tricked into spending approvals
+ * @dev Reports real token0/token1 so a swapper that trusts them would pay out, but is not registered
+ *      in any factory. Both entry points ask the swapper to pull `amount` of token0 from `victim`.
+ */
+contract MaliciousAlgebraPool {
+    address public immutable token0;
+    address public immutable token1;
+
+    address public victim;
+    uint256 public amount;
+
+    constructor(address token0_, address token1_) {
+        token0 = token0_;
+        token1 = token1_;
+    }
+
+    function setTarget(address victim_, uint256 amount_) external {
+        victim = victim_;
+        amount = amount_;
+    }
+
+    /// @notice Reached when the swapper is asked to swap on this "pool"
+    function swap(address, bool, int256, uint160, bytes calldata) external returns (int256, int256) {
+        IAlgebraSwapCallback(msg.sender).algebraSwapCallback(int256(amount), 0, abi.encode(victim));
+        return (int256(amount), 0);
+    }
+
+    /// @notice Call the swapper's callback directly, outside of any swap
+    function drain(address swapper) external {
+        IAlgebraSwapCallback(swapper).algebraSwapCallback(int256(amount), 0, abi.encode(victim));
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockAlgebraPool.sol";
+
+/**
+ * @title MockAlgebraFactory
+ * @notice QuickSwap-style factory: one pool per pair, looked up via poolByPair(tokenA, tokenB)
+ * @dev Also acts as its own pool deployer, so poolDeployer() returns this contract.
+ */
+contract MockAlgebraFactory {
+    address public owner;
+    uint16 public defaultFee = 500;
+    int24 public defaultTickSpacing = 60;
+
+    mapping(address => mapping(address => address)) public poolByPair;
+
+    event Pool(address indexed token0, address indexed token1, address pool);
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function poolDeployer() external view returns (address) {
+        return address(this);
+    }
+
+    function setDefaultConfiguration(uint16 fee, int24 tickSpacing) external {
+        require(msg.sender == owner, "NOT_OWNER");
+        require(tickSpacing > 0, "TS");
+        defaultFee = fee;
+        defaultTickSpacing = tickSpacing;
+    }
+
+    function createPool(address tokenA, address tokenB) external returns (address pool) {
+        require(tokenA != tokenB, "IDENTICAL");
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        require(token0 != address(0), "ZERO");
+        require(poolByPair[token0][token1] == address(0), "EXISTS");
+
+        pool = address(new MockAlgebraPool(address(this), token0, token1, defaultFee, defaultTickSpacing));
+        poolByPair[token0][token1] = pool;
+        poolByPair[token1][token0] = pool;
+        emit Pool(token0, token1, pool);
+    }
+}
@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ConcentratedLiquidityPool.sol";
+import "../interfaces/IPoolCallbacks.sol";
+
+/**
+ * @title MockAlgebraPool
+ * @notice Local stand-in for a QuickSwap (Algebra Integral) pool
+ * @dev Exposes safelyGetStateOfAMM, the 7-field globalState read by test/utils/pool-state.js,
+ *      totalFeeGrowth*Token, linked-list style ticks() and packed (non-hashed) position keys.
+ *      The fee is static. The pool is its own plugin: plugin() returns address(this) and
+ *      getTimepoints() serves tick cumulatives from the core's oracle (volatility reads as zero).
+ */
+contract MockAlgebraPool is ConcentratedLiquidityPool {
+    constructor(address factory_, address tokenA, address tokenB, uint16 fee_, int24 tickSpacing_)
+        ConcentratedLiquidityPool(factory_, tokenA, tokenB, fee_, tickSpacing_)
+    {}
+
+    function fee() external view returns (uint16) {
+        return uint16(_fee);
+    }
+
+    function plugin() external view returns (address) {
+        return address(this);
+    }
+
+    /// @notice Algebra plugin oracle read
+    function getTimepoints(uint32[] calldata secondsAgos)
+        external
+        view
+        returns (int56[] memory tickCumulatives, uint88[] memory volatilityCumulatives)
+    {
+        tickCumulatives = _observe(secondsAgos);
+        volatilityCumulatives = new uint88[](secondsAgos.length);
+    }
+
+    function globalState()
+        external
+        view
+        returns (
+            uint160 price,
+            int24 tick,
+            uint16 lastFee,
+            uint16 timepointIndex,
+            uint8 communityFeeToken0,
+            uint8 communityFeeToken1,
+            bool unlocked
+        )
+    {
+        (uint16 index, ) = _observationState();
+        return (_sqrtPriceX96, _tick, uint16(_fee), index, 0, 0, _unlocked);
+    }
+
+    function safelyGetStateOfAMM()
+        external
+        view
+        returns (
+            uint160 sqrtPrice,
+            int24 tick,
+            uint16 lastFee,
+            uint8 pluginConfig,
+            uint128 activeLiquidity,
+            int24 nextTick,
+            int24 previousTick
+        )
+    {
+        (previousTick, ) = _nextInitializedTick(_tick, true);
+        (nextTick, ) = _nextInitializedTick(_tick, false);
+        return (_sqrtPriceX96, _tick, uint16(_fee), 0, liquidity, nextTick, previousTick);
+    }
+
+    function totalFeeGrowth0Token() external view returns (uint256) {
+        return _feeGrowthGlobal0X128;
+    }
+
+    function totalFeeGrowth1Token() external view returns (uint256) {
+        return _feeGrowthGlobal1X128;
+    }
+
+    function ticks(int24 tick)
+        external
+        view
+        returns (
+            uint256 liquidityTotal,
+            int128 liquidityDelta,
+            int24 prevTick,
+            int24 nextTick,
+            uint256 outerFeeGrowth0Token,
+            uint256 outerFeeGrowth1Token
+        )
+    {
+        TickInfo storage info = _ticks[tick];
+        if (info.initialized) {
+            (prevTick, ) = _nextInitializedTick(tick - 1, true);
+            (nextTick, ) = _nextInitializedTick(tick, false);
+        }
+        return (
+            info.liquidityGross,
+            info.liquidityNet,
+            prevTick,
+            nextTick,
+            info.feeGrowthOutside0X128,
+            info.feeGrowthOutside1X128
+        );
+    }
+
+    function positions(bytes32 key)
+        external
+        view
+        returns (
+            uint256 _liquidity,
+            uint256 innerFeeGrowth0Token,
+            uint256 innerFeeGrowth1Token,
+            uint128 fees0,
+            uint128 fees1
+        )
+    {
+        Position storage position = _positions[key];
+        return (
+            position.liquidity,
+            position.feeGrowthInside0LastX128,
+            position.feeGrowthInside1LastX128,
+            position.tokensOwed0,
+            position.tokensOwed1
+        );
+    }
+
+    function initialize(uint160 initialPrice) external {
+        _initialize(initialPrice);
+    }
+
+    /// @dev leftoversRecipient is accepted for ABI compatibility; the mock always mints exactly liquidityDesired
+    function mint(
+        address,
+        address recipient,
+        int24 bottomTick,
+        int24 topTick,
+        uint128 liquidityDesired,
+        bytes calldata data
+    ) external lock returns (uint256 amount0, uint256 amount1, uint128 liquidityActual) {
+        (amount0, amount1) = _mint(recipient, bottomTick, topTick, liquidityDesired, data);
+        liquidityActual = liquidityDesired;
+    }
+
+    function burn(int24 bottomTick, int24 topTick, uint128 amount, bytes calldata)
+        external
+        lock
+        returns (uint256 amount0, uint256 amount1)
+    {
+        return _burn(bottomTick, topTick, amount);
+    }
+
+    function collect(
+        address recipient,
+        int24 bottomTick,
+        int24 topTick,
+        uint128 amount0Requested,
+        uint128 amount1Requested
+    ) external lock returns (uint128 amount0, uint128 amount1) {
+        return _collect(recipient, bottomTick, topTick, amount0Requested, amount1Requested);
+    }
+
+    function swap(
+        address recipient,
+        bool zeroToOne,
+        int256 amountRequired,
+        uint160 limitSqrtPrice,
+        bytes calldata data
+    ) external lock returns (int256 amount0, int256 amount1) {
+        return _swap(recipient, zeroToOne, amountRequired, limitSqrtPrice, data);
+    }
+
+    function _positionKey(address owner, int24 bottomTick, int24 topTick) internal pure override returns (bytes32 key) {
+        assembly {
+            key := or(shl(24, or(shl(24, owner), and(bottomTick, 0xFFFFFF))), and(topTick, 0xFFFFFF))
+        }
+    }
+
+    function _mintCallback(uint256 amount0Owed, uint256 amount1Owed, bytes calldata data) internal override {
+        IAlgebraMintCallback(msg.sender).algebraMintCallback(amount0Owed, amount1Owed, data);
+    }
+
+    function _swapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) internal override {
+        IAlgebraSwapCallback(msg.sender).algebraSwapCallback(amount0Delta, amount1Delta, data);
+    }
+}
@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../libraries/TickMath.sol";
+import "../libraries/LiquidityAmounts.sol";
+import "./MockUniV3Pool.sol";
+import "./MockAlgebraPool.sol";
+
+/**
+ * @title MockLiquidityProvider
+ * @notice Seeds liquidity into the local mock pools; positions are owned by this contract
+ * @dev Tokens are pulled from msg.sender inside the mint callback, so callers approve this contract first.
+ */
+contract MockLiquidityProvider is IUniswapV3MintCallback, IAlgebraMintCallback {
+    using SafeERC20 for IERC20;
+
+    struct MintCallbackData {
+        address pool;
+        address payer;
+    }
+
+    /**
+     * @notice Add as much liquidity as amount0Desired/amount1Desired allow at the current price
+     * @param algebra True for MockAlgebraPool, false for MockUniV3Pool
+     */
+    function addLiquidity(
+        address pool,
+        bool algebra,
+        int24 tickLower,
+        int24 tickUpper,
+        uint256 amount0Desired,
+        uint256 amount1Desired
+    ) external returns (uint128 liquidity, uint256 amount0, uint256 amount1) {
+        uint160 sqrtPriceX96;
+        if (algebra) {
+            (sqrtPriceX96, , , , , , ) = MockAlgebraPool(pool).globalState();
+        } else {
+            (sqrtPriceX96, , , , , , ) = MockUniV3Pool(pool).slot0();
+        }
+
+        liquidity = LiquidityAmounts.getLiquidityForAmounts(
+            sqrtPriceX96,
+            TickMath.getSqrtRatioAtTick(tickLower),
+            TickMath.getSqrtRatioAtTick(tickUpper),
+            amount0Desired,
+            amount1Desired
+        );
+        require(liquidity > 0, "ZERO_LIQUIDITY");
+
+        bytes memory data = abi.encode(MintCallbackData({pool: pool, payer: msg.sender}));
+        if (algebra) {
+            (amount0, amount1, ) = MockAlgebraPool(pool).mint(
+                msg.sender,
+                address(this),
+                tickLower,
+                tickUpper,
+                liquidity,
+                data
+            );
+        } else {
+            (amount0, amount1) = MockUniV3Pool(pool).mint(address(this), tickLower, tickUpper, liquidity, data);
+        }
+    }
+
+    function uniswapV3MintCallback(uint256 amount0Owed, uint256 amount1Owed, bytes calldata data) external override {
+        _pay(amount0Owed, amount1Owed, data);
+    }
+
+    function algebraMintCallback(uint256 amount0Owed, uint256 amount1Owed, bytes calldata data) external override {
+        _pay(amount0Owed, amount1Owed, data);
+    }
+
+    function _pay(uint256 amount0Owed, uint256 amount1Owed, bytes calldata data) private {
+        MintCallbackData memory decoded = abi.decode(data, (MintCallbackData));
+        require(msg.sender == decoded.pool, "NOT_POOL");
+
+        if (amount0Owed > 0) {
+            IERC20(MockUniV3Pool(msg.sender).token0()).safeTransferFrom(decoded.payer, msg.sender, amount0Owed);
+        }
+        if (amount1Owed > 0) {
+            IERC20(MockUniV3Pool(msg.sender).token1()).safeTransferFrom(decoded.payer, msg.sender, amount1Owed);
+        }
+    }
+}
@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../libraries/TickMath.sol";
+import "./MockUniV3Factory.sol";
+
+/**
+ * @title MockQuoterV2
+ * @notice Lotus-style (UniV3 QuoterV2) quoteExactInputSingle against MockUniV3Factory pools
+ * @dev Same technique as the real quoter: run the pool swap, revert from the callback with the
+ *      result and decode it. Not a view; call it with eth_call.
+ */
+contract MockQuoterV2 is IUniswapV3SwapCallback {
+    struct QuoteExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint256 amountIn;
+        uint24 fee;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    MockUniV3Factory public immutable factory;
+
+    constructor(address factory_) {
+        factory = MockUniV3Factory(factory_);
+    }
+
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external view override {
+        require(amount0Delta > 0 || amount1Delta > 0, "NO_DELTA");
+        (address tokenIn, address tokenOut, uint24 fee) = abi.decode(data, (address, address, uint24));
+        require(msg.sender == factory.getPool(tokenIn, tokenOut, fee), "NOT_POOL");
+
+        uint256 amountOut = uint256(-(tokenIn < tokenOut ? amount1Delta : amount0Delta));
+        (uint160 sqrtPriceX96After, int24 tickAfter, , , , , ) = MockUniV3Pool(msg.sender).slot0();
+        assembly {
+            let ptr := mload(0x40)
+            mstore(ptr, amountOut)
+            mstore(add(ptr, 0x20), sqrtPriceX96After)
+            mstore(add(ptr, 0x40), tickAfter)
+            revert(ptr, 96)
+        }
+    }
+
+    function quoteExactInputSingle(QuoteExactInputSingleParams memory params)
+        external
+        returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)
+    {
+        address pool = factory.getPool(params.tokenIn, params.tokenOut, params.fee);
+        require(pool != address(0), "POOL");
+        (, int24 tickBefore, , , , , ) = MockUniV3Pool(pool).slot0();
+
+        int24 tickAfter;
+        (amountOut, sqrtPriceX96After, tickAfter, gasEstimate) = _simulate(pool, params);
+        initializedTicksCrossed = _countInitializedTicksCrossed(pool, tickBefore, tickAfter);
+    }
+
+    function _simulate(address pool, QuoteExactInputSingleParams memory params)
+        private
+        returns (uint256 amountOut, uint160 sqrtPriceX96After, int24 tickAfter, uint256 gasEstimate)
+    {
+        bool zeroForOne = params.tokenIn < params.tokenOut;
+        uint160 limit = params.sqrtPriceLimitX96;
+        if (limit == 0) limit = zeroForOne ? TickMath.MIN_SQRT_RATIO + 1 : TickMath.MAX_SQRT_RATIO - 1;
+        bytes memory data = abi.encode(params.tokenIn, params.tokenOut, params.fee);
+
+        uint256 gasBefore = gasleft();
+        try MockUniV3Pool(pool).swap(address(this), zeroForOne, int256(params.amountIn), limit, data) {
+            revert("UNREACHABLE");
+        } catch (bytes memory reason) {
+            gasEstimate = gasBefore - gasleft();
+            (amountOut, sqrtPriceX96After, tickAfter) = _parseRevertReason(reason);
+        }
+    }
+
+    function _parseRevertReason(bytes memory reason)
+        private
+        pure
+        returns (uint256 amountOut, uint160 sqrtPriceX96After, int24 tickAfter)
+    {
+        if (reason.length != 96) {
+            assembly {
+                revert(add(reason, 32), mload(reason))
+            }
+        }
+        return abi.decode(reason, (uint256, uint160, int24));
+    }
+
+    function _countInitializedTicksCrossed(address pool, int24 tickBefore, int24 tickAfter)
+        private
+        view
+        returns (uint32 crossed)
+    {
+        (int24 lo, int24 hi) = tickBefore < tickAfter ? (tickBefore, tickAfter) : (tickAfter, tickBefore);
+        int24[] memory initialized = MockUniV3Pool(pool).initializedTicks();
+        for (uint256 i = 0; i < initialized.length; i++) {
+            if (initialized[i] > lo && initialized[i] <= hi) crossed++;
+        }
+    }
+}
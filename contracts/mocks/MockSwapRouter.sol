@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../libraries/TickMath.sol";
+import "./MockUniV3Factory.sol";
+
+/**
+ * @title MockSwapRouter
+ * @notice Lotus-style (UniV3 SwapRouter) exactInputSingle / exactOutputSingle against MockUniV3Factory pools
+ */
+contract MockSwapRouter is IUniswapV3SwapCallback {
+    using SafeERC20 for IERC20;
+
+    struct ExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    struct ExactOutputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        address recipient;
+        uint256 deadline;
+        uint256 amountOut;
+        uint256 amountInMaximum;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    struct SwapCallbackData {
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        address payer;
+    }
+
+    MockUniV3Factory public immutable factory;
+
+    constructor(address factory_) {
+        factory = MockUniV3Factory(factory_);
+    }
+
+    modifier checkDeadline(uint256 deadline) {
+        require(block.timestamp <= deadline, "Transaction too old");
+        _;
+    }
+
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external override {
+        require(amount0Delta > 0 || amount1Delta > 0, "NO_DELTA");
+        SwapCallbackData memory decoded = abi.decode(data, (SwapCallbackData));
+        require(msg.sender == factory.getPool(decoded.tokenIn, decoded.tokenOut, decoded.fee), "NOT_POOL");
+
+        uint256 amountToPay = amount0Delta > 0 ? uint256(amount0Delta) : uint256(amount1Delta);
+        IERC20(decoded.tokenIn).safeTransferFrom(decoded.payer, msg.sender, amountToPay);
+    }
+
+    function exactInputSingle(ExactInputSingleParams calldata params)
+        external
+        payable
+        checkDeadline(params.deadline)
+        returns (uint256 amountOut)
+    {
+        (int256 amount0, int256 amount1, bool zeroForOne) = _swap(
+            SwapCallbackData({tokenIn: params.tokenIn, tokenOut: params.tokenOut, fee: params.fee, payer: msg.sender}),
+            params.recipient,
+            int256(params.amountIn),
+            params.sqrtPriceLimitX96
+        );
+        amountOut = uint256(-(zeroForOne ? amount1 : amount0));
+        require(amountOut >= params.amountOutMinimum, "Too little received");
+    }
+
+    function exactOutputSingle(ExactOutputSingleParams calldata params)
+        external
+        payable
+        checkDeadline(params.deadline)
+        returns (uint256 amountIn)
+    {
+        (int256 amount0, int256 amount1, bool zeroForOne) = _swap(
+            SwapCallbackData({tokenIn: params.tokenIn, tokenOut: params.tokenOut, fee: params.fee, payer: msg.sender}),
+            params.recipient,
+            -int256(params.amountOut),
+            params.sqrtPriceLimitX96
+        );
+        uint256 amountOutReceived;
+        (amountIn, amountOutReceived) = zeroForOne
+            ? (uint256(amount0), uint256(-amount1))
+            : (uint256(amount1), uint256(-amount0));
+        // A price limit can stop the swap early; UniV3 requires the full output in that case
+        if (params.sqrtPriceLimitX96 == 0) require(amountOutReceived == params.amountOut, "OUT");
+        require(amountIn <= params.amountInMaximum, "Too much requested");
+    }
+
+    function _swap(
+        SwapCallbackData memory route,
+        address recipient,
+        int256 amountSpecified,
+        uint160 sqrtPriceLimitX96
+    ) private returns (int256 amount0, int256 amount1, bool zeroForOne) {
+        address pool = factory.getPool(route.tokenIn, route.tokenOut, route.fee);
+        require(pool != address(0), "POOL");
+        zeroForOne = route.tokenIn < route.tokenOut;
+
+        if (sqrtPriceLimitX96 == 0) {
+            sqrtPriceLimitX96 = zeroForOne ? TickMath.MIN_SQRT_RATIO + 1 : TickMath.MAX_SQRT_RATIO - 1;
+        }
+        (amount0, amount1) = MockUniV3Pool(pool).swap(
+            recipient,
+            zeroForOne,
+            amountSpecified,
+            sqrtPriceLimitX96,
+            abi.encode(route)
+        );
+    }
+}
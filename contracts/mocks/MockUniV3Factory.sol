@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockUniV3Pool.sol";
+
+/**
+ * @title MockUniV3Factory
+ * @notice Lotus-style factory: getPool(tokenA, tokenB, fee) and the standard fee -> tickSpacing table
+ */
+contract MockUniV3Factory {
+    address public owner;
+
+    mapping(uint24 => int24) public feeAmountTickSpacing;
+    mapping(address => mapping(address => mapping(uint24 => address))) public getPool;
+
+    event PoolCreated(
+        address indexed token0,
+        address indexed token1,
+        uint24 indexed fee,
+        int24 tickSpacing,
+        address pool
+    );
+    event FeeAmountEnabled(uint24 indexed fee, int24 indexed tickSpacing);
+
+    constructor() {
+        owner = msg.sender;
+        _enableFeeAmount(100, 1);
+        _enableFeeAmount(500, 10);
+        _enableFeeAmount(3000, 60);
+        _enableFeeAmount(10000, 200);
+    }
+
+    function enableFeeAmount(uint24 fee, int24 tickSpacing) external {
+        require(msg.sender == owner, "NOT_OWNER");
+        require(feeAmountTickSpacing[fee] == 0, "FEE_ENABLED");
+        _enableFeeAmount(fee, tickSpacing);
+    }
+
+    function createPool(address tokenA, address tokenB, uint24 fee) external returns (address pool) {
+        require(tokenA != tokenB, "IDENTICAL");
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        require(token0 != address(0), "ZERO");
+        int24 tickSpacing = feeAmountTickSpacing[fee];
+        require(tickSpacing != 0, "FEE");
+        require(getPool[token0][token1][fee] == address(0), "EXISTS");
+
+        pool = address(new MockUniV3Pool(address(this), token0, token1, fee, tickSpacing));
+        getPool[token0][token1][fee] = pool;
+        getPool[token1][token0][fee] = pool;
+        emit PoolCreated(token0, token1, fee, tickSpacing, pool);
+    }
+
+    function _enableFeeAmount(uint24 fee, int24 tickSpacing) private {
+        feeAmountTickSpacing[fee] = tickSpacing;
+        emit FeeAmountEnabled(fee, tickSpacing);
+    }
+}
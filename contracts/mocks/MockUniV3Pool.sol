@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ConcentratedLiquidityPool.sol";
+import "../interfaces/IPoolCallbacks.sol";
+
+/**
+ * @title MockUniV3Pool
+ * @notice Local stand-in for a Lotus (UniV3-style) pool: slot0, feeGrowthGlobal, ticks, positions, tickBitmap
+ * @dev Deployed by MockUniV3Factory. observe() serves tick cumulatives from the core's oracle;
+ *      seconds-per-liquidity and the per-tick oracle fields are reported as zero.
+ */
+contract MockUniV3Pool is ConcentratedLiquidityPool {
+    constructor(address factory_, address tokenA, address tokenB, uint24 fee_, int24 tickSpacing_)
+        ConcentratedLiquidityPool(factory_, tokenA, tokenB, fee_, tickSpacing_)
+    {}
+
+    function fee() external view returns (uint24) {
+        return _fee;
+    }
+
+    function slot0()
+        external
+        view
+        returns (
+            uint160 sqrtPriceX96,
+            int24 tick,
+            uint16 observationIndex,
+            uint16 observationCardinality,
+            uint16 observationCardinalityNext,
+            uint8 feeProtocol,
+            bool unlocked
+        )
+    {
+        (uint16 index, uint16 cardinality) = _observationState();
+        return (_sqrtPriceX96, _tick, index, cardinality, cardinality, 0, _unlocked);
+    }
+
+    function observe(uint32[] calldata secondsAgos)
+        external
+        view
+        returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s)
+    {
+        tickCumulatives = _observe(secondsAgos);
+        secondsPerLiquidityCumulativeX128s = new uint160[](secondsAgos.length);
+    }
+
+    function observations(uint256 index)
+        external
+        view
+        returns (uint32 blockTimestamp, int56 tickCumulative, uint160 secondsPerLiquidityCumulativeX128, bool initialized)
+    {
+        if (index >= _observations.length) return (0, 0, 0, false);
+        Observation storage observation = _observations[index];
+        return (observation.blockTimestamp, observation.tickCumulative, 0, true);
+    }
+
+    function feeGrowthGlobal0X128() external view returns (uint256) {
+        return _feeGrowthGlobal0X128;
+    }
+
+    function feeGrowthGlobal1X128() external view returns (uint256) {
+        return _feeGrowthGlobal1X128;
+    }
+
+    function ticks(int24 tick)
+        external
+        view
+        returns (
+            uint128 liquidityGross,
+            int128 liquidityNet,
+            uint256 feeGrowthOutside0X128,
+            uint256 feeGrowthOutside1X128,
+            int56 tickCumulativeOutside,
+            uint160 secondsPerLiquidityOutsideX128,
+            uint32 secondsOutside,
+            bool initialized
+        )
+    {
+        TickInfo storage info = _ticks[tick];
+        return (
+            info.liquidityGross,
+            info.liquidityNet,
+            info.feeGrowthOutside0X128,
+            info.feeGrowthOutside1X128,
+            0,
+            0,
+            0,
+            info.initialized
+        );
+    }
+
+    function positions(bytes32 key)
+        external
+        view
+        returns (
+            uint128 _liquidity,
+            uint256 feeGrowthInside0LastX128,
+            uint256 feeGrowthInside1LastX128,
+            uint128 tokensOwed0,
+            uint128 tokensOwed1
+        )
+    {
+        Position storage position = _positions[key];
+        return (
+            position.liquidity,
+            position.feeGrowthInside0LastX128,
+            position.feeGrowthInside1LastX128,
+            position.tokensOwed0,
+            position.tokensOwed1
+        );
+    }
+
+    /// @notice UniV3 tick bitmap word, derived from the sorted initialized-tick list
+    function tickBitmap(int16 wordPos) external view returns (uint256 word) {
+        int256 spacing = int256(tickSpacing);
+        int256 firstTick = int256(wordPos) * 256 * spacing;
+        int256 lastTick = firstTick + 256 * spacing;
+        if (firstTick > TickMath.MAX_TICK || lastTick <= TickMath.MIN_TICK) return 0;
+
+        uint256 i = firstTick <= type(int24).min ? 0 : _upperBound(int24(firstTick - 1));
+        for (; i < _initializedTicks.length && int256(_initializedTicks[i]) < lastTick; i++) {
+            uint256 bitPos = uint256((int256(_initializedTicks[i]) - firstTick) / spacing);
+            word |= uint256(1) << bitPos;
+        }
+    }
+
+    function initialize(uint160 sqrtPriceX96) external {
+        _initialize(sqrtPriceX96);
+    }
+
+    function mint(address recipient, int24 tickLower, int24 tickUpper, uint128 amount, bytes calldata data)
+        external
+        lock
+        returns (uint256 amount0, uint256 amount1)
+    {
+        return _mint(recipient, tickLower, tickUpper, amount, data);
+    }
+
+    function burn(int24 tickLower, int24 tickUpper, uint128 amount)
+        external
+        lock
+        returns (uint256 amount0, uint256 amount1)
+    {
+        return _burn(tickLower, tickUpper, amount);
+    }
+
+    function collect(
+        address recipient,
+        int24 tickLower,
+        int24 tickUpper,
+        uint128 amount0Requested,
+        uint128 amount1Requested
+    ) external lock returns (uint128 amount0, uint128 amount1) {
+        return _collect(recipient, tickLower, tickUpper, amount0Requested, amount1Requested);
+    }
+
+    function swap(
+        address recipient,
+        bool zeroForOne,
+        int256 amountSpecified,
+        uint160 sqrtPriceLimitX96,
+        bytes calldata data
+    ) external lock returns (int256 amount0, int256 amount1) {
+        return _swap(recipient, zeroForOne, amountSpecified, sqrtPriceLimitX96, data);
+    }
+
+    function _positionKey(address owner, int24 tickLower, int24 tickUpper) internal pure override returns (bytes32) {
+        return keccak256(abi.encodePacked(owner, tickLower, tickUpper));
+    }
+
+    function _mintCallback(uint256 amount0Owed, uint256 amount1Owed, bytes calldata data) internal override {
+        IUniswapV3MintCallback(msg.sender).uniswapV3MintCallback(amount0Owed, amount1Owed, data);
+    }
+
+    function _swapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) internal override {
+        IUniswapV3SwapCallback(msg.sender).uniswapV3SwapCallback(amount0Delta, amount1Delta, data);
+    }
+}
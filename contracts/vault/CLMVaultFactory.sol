@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./ReferenceCLMVault.sol";
+
+/**
+ * @title CLMVaultFactory
+ * @notice Deploys ReferenceCLMVault instances as EIP-1167 minimal proxies, like the testnet vaults
+ * @dev The caller becomes the vault owner and must still call strategy.setVault(vault).
+ */
+contract CLMVaultFactory {
+    address public immutable implementation;
+
+    event VaultCreated(address indexed vault, address indexed strategy, address indexed owner);
+
+    constructor() {
+        implementation = address(new ReferenceCLMVault());
+    }
+
+    function createVault(address strategy, string calldata name, string calldata symbol) external returns (address vault) {
+        vault = Clones.clone(implementation);
+        ReferenceCLMVault(vault).initialize(strategy, name, symbol, msg.sender);
+        emit VaultCreated(vault, strategy, msg.sender);
+    }
+}
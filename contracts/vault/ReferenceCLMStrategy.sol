@@ -0,0 +1,531 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/IConcentratedPools.sol";
+import "../interfaces/IPoolCallbacks.sol";
+import "../libraries/TickMath.sol";
+import "../libraries/LiquidityAmounts.sol";
+
+/**
+ * @title ReferenceCLMStrategy
+ * @notice Reference concentrated-liquidity strategy exposing the surface the test suite probes on
+ *         the testnet strategies (positionMain/range/lpToken0/lpToken1/fees0/fees1/rebalance/harvest)
+ * @dev Works against either a Lotus (UniV3-style) or a QuickSwap (Algebra Integral) pool.
+ *
+ *      Liquidity is split into two positions:
+ *      - main: [floor(tick) - width*spacing, floor(tick) + width*spacing], re-centred by rebalance()
+ *      - alt:  single-sided leftovers, one spacing above (token0) or at/below (token1) the current tick
+ *
+ *      fees0/fees1 are lifetime totals of fees collected from the pool; unclaimedFees0/1 are the
+ *      fees the pool currently owes the strategy. Collected fees are compounded, not paid out.
+ *
+ *      Once the owner sets a twapInterval, rebalance() only runs while the spot tick is within
+ *      maxTickDeviation of the pool's TWAP over that interval (isCalm()), like Beefy CLM's guard.
+ */
+contract ReferenceCLMStrategy is Ownable, IUniswapV3MintCallback, IAlgebraMintCallback {
+    using SafeERC20 for IERC20;
+
+    struct Position {
+        int24 tickLower;
+        int24 tickUpper;
+        uint128 liquidity;
+    }
+
+    uint256 private constant Q96 = 0x1000000000000000000000000;
+    uint256 private constant Q128 = 0x100000000000000000000000000000000;
+    uint128 private constant RATIO_LIQUIDITY = 1e24;
+
+    address public immutable pool;
+    address public immutable lpToken0;
+    address public immutable lpToken1;
+    bool public immutable isAlgebra;
+    int24 public immutable tickSpacing;
+
+    address public vault;
+    address public keeper;
+    /// @notice Half-width of the main position, in tick spacings
+    int24 public positionWidth;
+
+    Position public positionMain;
+    Position public positionAlt;
+
+    uint256 public fees0;
+    uint256 public fees1;
+    uint256 public lastHarvest;
+
+    /// @notice TWAP window in seconds rebalance() checks the spot tick against; 0 disables the check
+    uint32 public twapInterval;
+    /// @notice Largest |tick - twap()| at which rebalance() still runs
+    int56 public maxTickDeviation;
+
+    error NotKeeper();
+    error NotVault();
+    error NotPool();
+    error VaultAlreadySet();
+    error InvalidWidth();
+    error InvalidDeviation();
+    error TwapDisabled();
+    error NotCalm();
+
+    event SetVault(address vault);
+    event SetKeeper(address keeper);
+    event SetPositionWidth(int24 width);
+    event SetTwapInterval(uint32 interval);
+    event SetDeviation(int56 maxTickDeviation);
+    event ClaimedFees(uint256 fee0, uint256 fee1);
+    event Harvest(uint256 fee0, uint256 fee1);
+    event Rebalance(int24 tickLower, int24 tickUpper, uint128 liquidity);
+
+    modifier onlyManager() {
+        if (msg.sender != owner() && msg.sender != keeper) revert NotKeeper();
+        _;
+    }
+
+    modifier onlyVault() {
+        if (msg.sender != vault) revert NotVault();
+        _;
+    }
+
+    constructor(address pool_, bool isAlgebra_, int24 positionWidth_, address keeper_) Ownable(msg.sender) {
+        if (positionWidth_ <= 0) revert InvalidWidth();
+        pool = pool_;
+        isAlgebra = isAlgebra_;
+        lpToken0 = IUniV3PoolLike(pool_).token0();
+        lpToken1 = IUniV3PoolLike(pool_).token1();
+        tickSpacing = IUniV3PoolLike(pool_).tickSpacing();
+        positionWidth = positionWidth_;
+        keeper = keeper_;
+    }
+
+    // ------------------------------------------------------------------
+    // Admin
+    // ------------------------------------------------------------------
+
+    /// @notice One-time wiring to the vault that owns this strategy's deposits
+    function setVault(address vault_) external onlyOwner {
+        if (vault != address(0)) revert VaultAlreadySet();
+        vault = vault_;
+        emit SetVault(vault_);
+    }
+
+    function setKeeper(address keeper_) external onlyOwner {
+        keeper = keeper_;
+        emit SetKeeper(keeper_);
+    }
+
+    /// @notice Takes effect on the next rebalance()
+    function setPositionWidth(int24 width) external onlyOwner {
+        if (width <= 0) revert InvalidWidth();
+        positionWidth = width;
+        emit SetPositionWidth(width);
+    }
+
+    /// @notice 0 turns the TWAP check off
+    function setTwapInterval(uint32 interval) external onlyOwner {
+        twapInterval = interval;
+        emit SetTwapInterval(interval);
+    }
+
+    function setDeviation(int56 maxDeviation) external onlyOwner {
+        if (maxDeviation < 0) revert InvalidDeviation();
+        maxTickDeviation = maxDeviation;
+        emit SetDeviation(maxDeviation);
+    }
+
+    // ------------------------------------------------------------------
+    // Views
+    // ------------------------------------------------------------------
+
+    /// @notice Main position ticks
+    function range() external view returns (int24 lowerTick, int24 upperTick) {
+        return (positionMain.tickLower, positionMain.tickUpper);
+    }
+
+    function tick() external view returns (int24 currentTick) {
+        (, currentTick) = _poolState();
+    }
+
+    /// @notice Mean tick over the last twapInterval seconds, rounded towards negative infinity
+    function twap() public view returns (int56 twapTick) {
+        if (twapInterval == 0) revert TwapDisabled();
+        uint32[] memory secondsAgos = new uint32[](2);
+        secondsAgos[0] = twapInterval;
+        int56[] memory tickCumulatives;
+        if (isAlgebra) {
+            (tickCumulatives, ) = IAlgebraPluginLike(IAlgebraPoolLike(pool).plugin()).getTimepoints(secondsAgos);
+        } else {
+            (tickCumulatives, ) = IUniV3PoolLike(pool).observe(secondsAgos);
+        }
+        int56 delta = tickCumulatives[1] - tickCumulatives[0];
+        twapTick = delta / int56(uint56(twapInterval));
+        if (delta < 0 && delta % int56(uint56(twapInterval)) != 0) twapTick--;
+    }
+
+    /// @notice Whether the spot tick is within maxTickDeviation of twap() (always true with the check off)
+    function isCalm() public view returns (bool) {
+        if (twapInterval == 0) return true;
+        (, int24 currentTick) = _poolState();
+        int56 deviation = int56(currentTick) - twap();
+        if (deviation < 0) deviation = -deviation;
+        return deviation <= maxTickDeviation;
+    }
+
+    /// @notice Price of token0 in token1 (raw units), scaled by 1e36
+    function price() external view returns (uint256) {
+        (uint160 sqrtPriceX96, ) = _poolState();
+        return Math.mulDiv(_priceX96(sqrtPriceX96), 1e36, Q96);
+    }
+
+    /// @notice Price of token0 in token1 (raw units) as a Q96 fixed-point number
+    function priceX96() external view returns (uint256) {
+        (uint160 sqrtPriceX96, ) = _poolState();
+        return _priceX96(sqrtPriceX96);
+    }
+
+    /// @notice Idle tokens plus the principal of both positions at the current price
+    function balances() external view returns (uint256 amount0, uint256 amount1) {
+        (uint256 this0, uint256 this1) = balancesOfThis();
+        (uint256 pool0, uint256 pool1) = balancesOfPool();
+        return (this0 + pool0, this1 + pool1);
+    }
+
+    function balancesOfThis() public view returns (uint256 amount0, uint256 amount1) {
+        return (IERC20(lpToken0).balanceOf(address(this)), IERC20(lpToken1).balanceOf(address(this)));
+    }
+
+    function balancesOfPool() public view returns (uint256 amount0, uint256 amount1) {
+        (uint160 sqrtPriceX96, ) = _poolState();
+        (amount0, amount1) = _amountsForPosition(positionMain, sqrtPriceX96);
+        (uint256 alt0, uint256 alt1) = _amountsForPosition(positionAlt, sqrtPriceX96);
+        amount0 += alt0;
+        amount1 += alt1;
+    }
+
+    function unclaimedFees0() external view returns (uint256 amount0) {
+        (amount0, ) = unclaimedFees();
+    }
+
+    function unclaimedFees1() external view returns (uint256 amount1) {
+        (, amount1) = unclaimedFees();
+    }
+
+    /// @notice Fees owed by the pool to both positions (tokensOwed plus uncheckpointed fee growth)
+    function unclaimedFees() public view returns (uint256 amount0, uint256 amount1) {
+        (, int24 currentTick) = _poolState();
+        (amount0, amount1) = _pendingFees(positionMain, currentTick);
+        (uint256 alt0, uint256 alt1) = _pendingFees(positionAlt, currentTick);
+        amount0 += alt0;
+        amount1 += alt1;
+    }
+
+    /**
+     * @notice Token ratio a deposit is matched against when the vault has no shares yet
+     * @dev Amounts needed for a fixed liquidity in the main range (or the range rebalance() would pick)
+     */
+    function depositRatio() external view returns (uint256 amount0, uint256 amount1) {
+        (uint160 sqrtPriceX96, int24 currentTick) = _poolState();
+        Position memory main = positionMain;
+        if (main.tickLower == main.tickUpper) {
+            (main.tickLower, main.tickUpper) = _mainTicks(currentTick);
+        }
+        main.liquidity = RATIO_LIQUIDITY;
+        return _amountsForPosition(main, sqrtPriceX96);
+    }
+
+    // ------------------------------------------------------------------
+    // Vault hooks
+    // ------------------------------------------------------------------
+
+    /// @notice Claim fees and pull all liquidity so the vault can price shares off idle balances
+    function beforeAction() external onlyVault {
+        _claimEarnings();
+        _removeLiquidity();
+    }
+
+    /// @notice Redeploy idle balances after the vault has transferred a deposit in
+    function deposit() external onlyVault {
+        _addLiquidity();
+    }
+
+    function withdraw(uint256 amount0, uint256 amount1, address to) external onlyVault {
+        if (amount0 > 0) IERC20(lpToken0).safeTransfer(to, amount0);
+        if (amount1 > 0) IERC20(lpToken1).safeTransfer(to, amount1);
+        _addLiquidity();
+    }
+
+    // ------------------------------------------------------------------
+    // Keeper actions
+    // ------------------------------------------------------------------
+
+    /// @notice Collect fees and compound them into the existing ranges
+    function harvest() external onlyManager {
+        (uint256 fee0, uint256 fee1) = _claimEarnings();
+        _removeLiquidity();
+        _addLiquidity();
+        lastHarvest = block.timestamp;
+        emit Harvest(fee0, fee1);
+    }
+
+    /// @notice Re-centre the main position on the current tick; refused while the price is off its TWAP
+    function rebalance() external onlyManager {
+        if (!isCalm()) revert NotCalm();
+        _claimEarnings();
+        _removeLiquidity();
+        (, int24 currentTick) = _poolState();
+        (positionMain.tickLower, positionMain.tickUpper) = _mainTicks(currentTick);
+        _addLiquidity();
+        emit Rebalance(positionMain.tickLower, positionMain.tickUpper, positionMain.liquidity);
+    }
+
+    // ------------------------------------------------------------------
+    // Pool callbacks
+    // ------------------------------------------------------------------
+
+    function uniswapV3MintCallback(uint256 amount0Owed, uint256 amount1Owed, bytes calldata) external override {
+        _payPool(amount0Owed, amount1Owed);
+    }
+
+    function algebraMintCallback(uint256 amount0Owed, uint256 amount1Owed, bytes calldata) external override {
+        _payPool(amount0Owed, amount1Owed);
+    }
+
+    // ------------------------------------------------------------------
+    // Internals
+    // ------------------------------------------------------------------
+
+    function _payPool(uint256 amount0Owed, uint256 amount1Owed) private {
+        if (msg.sender != pool) revert NotPool();
+        if (amount0Owed > 0) IERC20(lpToken0).safeTransfer(pool, amount0Owed);
+        if (amount1Owed > 0) IERC20(lpToken1).safeTransfer(pool, amount1Owed);
+    }
+
+    function _claimEarnings() private returns (uint256 fee0, uint256 fee1) {
+        (fee0, fee1) = _collectFees(positionMain);
+        (uint256 alt0, uint256 alt1) = _collectFees(positionAlt);
+        fee0 += alt0;
+        fee1 += alt1;
+
+        fees0 += fee0;
+        fees1 += fee1;
+        emit ClaimedFees(fee0, fee1);
+    }
+
+    /// @dev A zero-liquidity burn checkpoints fee growth into tokensOwed, which is then collected
+    function _collectFees(Position memory position) private returns (uint256 fee0, uint256 fee1) {
+        if (position.liquidity == 0) return (0, 0);
+        _burn(position.tickLower, position.tickUpper, 0);
+        return _collect(position.tickLower, position.tickUpper);
+    }
+
+    function _removeLiquidity() private {
+        Position memory main = positionMain;
+        if (main.liquidity > 0) {
+            _burn(main.tickLower, main.tickUpper, main.liquidity);
+            _collect(main.tickLower, main.tickUpper);
+            positionMain.liquidity = 0;
+        }
+
+        Position memory alt = positionAlt;
+        if (alt.liquidity > 0) {
+            _burn(alt.tickLower, alt.tickUpper, alt.liquidity);
+            _collect(alt.tickLower, alt.tickUpper);
+            positionAlt.liquidity = 0;
+        }
+    }
+
+    function _addLiquidity() private {
+        (uint160 sqrtPriceX96, int24 currentTick) = _poolState();
+        if (positionMain.tickLower == positionMain.tickUpper) {
+            (positionMain.tickLower, positionMain.tickUpper) = _mainTicks(currentTick);
+        }
+
+        (uint256 bal0, uint256 bal1) = balancesOfThis();
+        uint128 liquidity = _liquidityFor(positionMain, sqrtPriceX96, bal0, bal1);
+        if (liquidity > 0) {
+            _mint(positionMain.tickLower, positionMain.tickUpper, liquidity);
+            positionMain.liquidity = liquidity;
+        }
+
+        // Whatever did not fit the main ratio goes single-sided into the alt range.
+        (bal0, bal1) = balancesOfThis();
+        bool leftoverIs0 = Math.mulDiv(bal0, _priceX96(sqrtPriceX96), Q96) > bal1;
+        (positionAlt.tickLower, positionAlt.tickUpper) = _altTicks(currentTick, leftoverIs0);
+        liquidity = _liquidityFor(positionAlt, sqrtPriceX96, leftoverIs0 ? bal0 : 0, leftoverIs0 ? 0 : bal1);
+        if (liquidity > 0) {
+            _mint(positionAlt.tickLower, positionAlt.tickUpper, liquidity);
+            positionAlt.liquidity = liquidity;
+        }
+    }
+
+    function _mainTicks(int24 currentTick) private view returns (int24 tickLower, int24 tickUpper) {
+        int24 floorTick = _floor(currentTick);
+        int24 halfWidth = positionWidth * tickSpacing;
+        return (floorTick - halfWidth, floorTick + halfWidth);
+    }
+
+    function _altTicks(int24 currentTick, bool leftoverIs0) private view returns (int24 tickLower, int24 tickUpper) {
+        int24 floorTick = _floor(currentTick);
+        int24 width = positionWidth * tickSpacing;
+        if (leftoverIs0) {
+            // Entirely above the current price -> token0 only
+            return (floorTick + tickSpacing, floorTick + tickSpacing + width);
+        }
+        // Entirely at/below the current price -> token1 only
+        return (floorTick - width, floorTick);
+    }
+
+    function _floor(int24 currentTick) private view returns (int24) {
+        int24 compressed = currentTick / tickSpacing;
+        if (currentTick < 0 && currentTick % tickSpacing != 0) compressed--;
+        return compressed * tickSpacing;
+    }
+
+    function _liquidityFor(Position memory position, uint160 sqrtPriceX96, uint256 amount0, uint256 amount1)
+        private
+        pure
+        returns (uint128)
+    {
+        return
+            LiquidityAmounts.getLiquidityForAmounts(
+                sqrtPriceX96,
+                TickMath.getSqrtRatioAtTick(position.tickLower),
+                TickMath.getSqrtRatioAtTick(position.tickUpper),
+                amount0,
+                amount1
+            );
+    }
+
+    function _amountsForPosition(Position memory position, uint160 sqrtPriceX96)
+        private
+        pure
+        returns (uint256 amount0, uint256 amount1)
+    {
+        if (position.liquidity == 0) return (0, 0);
+        return
+            LiquidityAmounts.getAmountsForLiquidity(
+                sqrtPriceX96,
+                TickMath.getSqrtRatioAtTick(position.tickLower),
+                TickMath.getSqrtRatioAtTick(position.tickUpper),
+                position.liquidity
+            );
+    }
+
+    function _priceX96(uint160 sqrtPriceX96) private pure returns (uint256) {
+        return Math.mulDiv(sqrtPriceX96, sqrtPriceX96, Q96);
+    }
+
+    function _pendingFees(Position memory position, int24 currentTick)
+        private
+        view
+        returns (uint256 amount0, uint256 amount1)
+    {
+        if (position.tickLower == position.tickUpper) return (0, 0);
+
+        (uint256 last0, uint256 last1, uint128 owed0, uint128 owed1) = _positionInfo(position);
+        amount0 = owed0;
+        amount1 = owed1;
+        if (position.liquidity == 0) return (amount0, amount1);
+
+        (uint256 inside0, uint256 inside1) = _feeGrowthInside(position.tickLower, position.tickUpper, currentTick);
+        // Fee growth is modular, exactly as in the pool.
+        unchecked {
+            amount0 += Math.mulDiv(inside0 - last0, position.liquidity, Q128);
+            amount1 += Math.mulDiv(inside1 - last1, position.liquidity, Q128);
+        }
+    }
+
+    function _feeGrowthInside(int24 tickLower, int24 tickUpper, int24 currentTick)
+        private
+        view
+        returns (uint256 inside0, uint256 inside1)
+    {
+        (uint256 global0, uint256 global1) = _feeGrowthGlobal();
+        (uint256 lower0, uint256 lower1) = _feeGrowthOutside(tickLower);
+        (uint256 upper0, uint256 upper1) = _feeGrowthOutside(tickUpper);
+
+        unchecked {
+            uint256 below0 = currentTick >= tickLower ? lower0 : global0 - lower0;
+            uint256 below1 = currentTick >= tickLower ? lower1 : global1 - lower1;
+            uint256 above0 = currentTick < tickUpper ? upper0 : global0 - upper0;
+            uint256 above1 = currentTick < tickUpper ? upper1 : global1 - upper1;
+            inside0 = global0 - below0 - above0;
+            inside1 = global1 - below1 - above1;
+        }
+    }
+
+    function _poolState() private view returns (uint160 sqrtPriceX96, int24 currentTick) {
+        if (isAlgebra) {
+            (sqrtPriceX96, currentTick, , , , , ) = IAlgebraPoolLike(pool).safelyGetStateOfAMM();
+        } else {
+            (sqrtPriceX96, currentTick, , , , , ) = IUniV3PoolLike(pool).slot0();
+        }
+    }
+
+    function _feeGrowthGlobal() private view returns (uint256 global0, uint256 global1) {
+        if (isAlgebra) {
+            return (IAlgebraPoolLike(pool).totalFeeGrowth0Token(), IAlgebraPoolLike(pool).totalFeeGrowth1Token());
+        }
+        return (IUniV3PoolLike(pool).feeGrowthGlobal0X128(), IUniV3PoolLike(pool).feeGrowthGlobal1X128());
+    }
+
+    function _feeGrowthOutside(int24 tickIndex) private view returns (uint256 outside0, uint256 outside1) {
+        if (isAlgebra) {
+            (, , , , outside0, outside1) = IAlgebraPoolLike(pool).ticks(tickIndex);
+        } else {
+            (, , outside0, outside1, , , , ) = IUniV3PoolLike(pool).ticks(tickIndex);
+        }
+    }
+
+    function _positionInfo(Position memory position)
+        private
+        view
+        returns (uint256 inside0Last, uint256 inside1Last, uint128 owed0, uint128 owed1)
+    {
+        bytes32 key = _positionKey(position.tickLower, position.tickUpper);
+        if (isAlgebra) {
+            (, inside0Last, inside1Last, owed0, owed1) = IAlgebraPoolLike(pool).positions(key);
+        } else {
+            (, inside0Last, inside1Last, owed0, owed1) = IUniV3PoolLike(pool).positions(key);
+        }
+    }
+
+    /// @dev UniV3 hashes (owner, lower, upper); Algebra Integral packs them into the key directly
+    function _positionKey(int24 tickLower, int24 tickUpper) private view returns (bytes32 key) {
+        if (isAlgebra) {
+            assembly {
+                key := or(
+                    shl(48, address()),
+                    or(shl(24, and(tickLower, 0xFFFFFF)), and(tickUpper, 0xFFFFFF))
+                )
+            }
+        } else {
+            key = keccak256(abi.encodePacked(address(this), tickLower, tickUpper));
+        }
+    }
+
+    function _mint(int24 tickLower, int24 tickUpper, uint128 liquidity) private {
+        if (isAlgebra) {
+            IAlgebraPoolLike(pool).mint(address(this), address(this), tickLower, tickUpper, liquidity, "");
+        } else {
+            IUniV3PoolLike(pool).mint(address(this), tickLower, tickUpper, liquidity, "");
+        }
+    }
+
+    function _burn(int24 tickLower, int24 tickUpper, uint128 liquidity) private {
+        if (isAlgebra) {
+            IAlgebraPoolLike(pool).burn(tickLower, tickUpper, liquidity, "");
+        } else {
+            IUniV3PoolLike(pool).burn(tickLower, tickUpper, liquidity);
+        }
+    }
+
+    function _collect(int24 tickLower, int24 tickUpper) private returns (uint256 amount0, uint256 amount1) {
+        // collect() has the same signature on both pool kinds.
+        return
+            IUniV3PoolLike(pool).collect(address(this), tickLower, tickUpper, type(uint128).max, type(uint128).max);
+    }
+}
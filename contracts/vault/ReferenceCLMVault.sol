@@ -0,0 +1,191 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./ReferenceCLMStrategy.sol";
+
+/**
+ * @title ReferenceCLMVault
+ * @notice Reference CLM vault exposing the ABI probed on the testnet vaults:
+ *         deposit() (0xd0e30db0), previewDeposit(uint256,uint256), withdraw(uint256,uint256,uint256[,address]),
+ *         withdrawAll(uint256,uint256), balances(), strategy() and paused()
+ * @dev Deployed as an EIP-1167 clone by CLMVaultFactory, so state is set in initialize().
+ *
+ *      deposit() takes no amounts: it pulls min(allowance, balance) of each token from the caller,
+ *      trimmed to the vault's current token ratio. Approve exactly what should be deposited.
+ *
+ *      Shares are valued in token1: amount1 + amount0 * price. The first deposit permanently locks
+ *      MINIMUM_SHARES at the dead address to blunt share-inflation attacks.
+ */
+contract ReferenceCLMVault is ERC20, Pausable {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant MINIMUM_SHARES = 10 ** 3;
+    address private constant DEAD = 0x000000000000000000000000000000000000dEaD;
+    uint256 private constant Q96 = 0x1000000000000000000000000;
+
+    ReferenceCLMStrategy public strategy;
+    address public owner;
+
+    string private _vaultName;
+    string private _vaultSymbol;
+    bool private _initialized;
+
+    error AlreadyInitialized();
+    error NotOwner();
+    error ZeroShares();
+    error TooLittleReceived(uint256 amount0, uint256 amount1);
+
+    event Deposit(address indexed user, uint256 shares, uint256 amount0, uint256 amount1);
+    event Withdraw(address indexed user, address indexed to, uint256 shares, uint256 amount0, uint256 amount1);
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner();
+        _;
+    }
+
+    /// @dev Locks the implementation; clones start with empty storage and call initialize()
+    constructor() ERC20("", "") {
+        _initialized = true;
+    }
+
+    function initialize(address strategy_, string calldata name_, string calldata symbol_, address owner_) external {
+        if (_initialized) revert AlreadyInitialized();
+        _initialized = true;
+        strategy = ReferenceCLMStrategy(strategy_);
+        _vaultName = name_;
+        _vaultSymbol = symbol_;
+        owner = owner_;
+    }
+
+    function name() public view override returns (string memory) {
+        return _vaultName;
+    }
+
+    function symbol() public view override returns (string memory) {
+        return _vaultSymbol;
+    }
+
+    /// @notice The underlying pool
+    function want() external view returns (address) {
+        return strategy.pool();
+    }
+
+    function wants() external view returns (address token0, address token1) {
+        return (strategy.lpToken0(), strategy.lpToken1());
+    }
+
+    function balances() public view returns (uint256 amount0, uint256 amount1) {
+        return strategy.balances();
+    }
+
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @notice Shares minted for a deposit of up to amount0/amount1 at the current state
+     * @dev Includes fees the strategy would claim first, so it matches what deposit() mints.
+     */
+    function previewDeposit(uint256 amount0, uint256 amount1) external view returns (uint256 shares) {
+        (uint256 total0, uint256 total1) = strategy.balances();
+        (uint256 fee0, uint256 fee1) = strategy.unclaimedFees();
+        (shares, , ) = _previewDeposit(amount0, amount1, total0 + fee0, total1 + fee1);
+    }
+
+    /// @notice Deposit min(allowance, balance) of both tokens, trimmed to the vault ratio
+    function deposit() external whenNotPaused returns (uint256 shares) {
+        strategy.beforeAction();
+
+        IERC20 token0 = IERC20(strategy.lpToken0());
+        IERC20 token1 = IERC20(strategy.lpToken1());
+        uint256 amount0 = Math.min(token0.allowance(msg.sender, address(this)), token0.balanceOf(msg.sender));
+        uint256 amount1 = Math.min(token1.allowance(msg.sender, address(this)), token1.balanceOf(msg.sender));
+
+        (uint256 total0, uint256 total1) = strategy.balances();
+        (shares, amount0, amount1) = _previewDeposit(amount0, amount1, total0, total1);
+        if (shares == 0) revert ZeroShares();
+
+        if (amount0 > 0) token0.safeTransferFrom(msg.sender, address(strategy), amount0);
+        if (amount1 > 0) token1.safeTransferFrom(msg.sender, address(strategy), amount1);
+        strategy.deposit();
+
+        if (totalSupply() == 0) _mint(DEAD, MINIMUM_SHARES);
+        _mint(msg.sender, shares);
+        emit Deposit(msg.sender, shares, amount0, amount1);
+    }
+
+    function withdrawAll(uint256 amount0Min, uint256 amount1Min) external returns (uint256 amount0, uint256 amount1) {
+        return withdraw(balanceOf(msg.sender), amount0Min, amount1Min, msg.sender);
+    }
+
+    function withdraw(uint256 shares, uint256 amount0Min, uint256 amount1Min)
+        external
+        returns (uint256 amount0, uint256 amount1)
+    {
+        return withdraw(shares, amount0Min, amount1Min, msg.sender);
+    }
+
+    function withdraw(uint256 shares, uint256 amount0Min, uint256 amount1Min, address to)
+        public
+        returns (uint256 amount0, uint256 amount1)
+    {
+        if (shares == 0) revert ZeroShares();
+        strategy.beforeAction();
+
+        (uint256 total0, uint256 total1) = strategy.balances();
+        uint256 supply = totalSupply();
+        amount0 = Math.mulDiv(total0, shares, supply);
+        amount1 = Math.mulDiv(total1, shares, supply);
+        if (amount0 < amount0Min || amount1 < amount1Min) revert TooLittleReceived(amount0, amount1);
+
+        _burn(msg.sender, shares);
+        strategy.withdraw(amount0, amount1, to);
+        emit Withdraw(msg.sender, to, shares, amount0, amount1);
+    }
+
+    /**
+     * @dev Trims amount0/amount1 to the vault ratio (or the strategy's range ratio for the first
+     *      deposit) and values the result in token1 against total0/total1.
+     */
+    function _previewDeposit(uint256 amount0, uint256 amount1, uint256 total0, uint256 total1)
+        private
+        view
+        returns (uint256 shares, uint256 used0, uint256 used1)
+    {
+        uint256 supply = totalSupply();
+        (uint256 ratio0, uint256 ratio1) = supply == 0 ? strategy.depositRatio() : (total0, total1);
+        (used0, used1) = _fitRatio(amount0, amount1, ratio0, ratio1);
+
+        uint256 priceX96 = strategy.priceX96();
+        uint256 value = Math.mulDiv(used0, priceX96, Q96) + used1;
+        if (supply == 0) {
+            shares = value > MINIMUM_SHARES ? value - MINIMUM_SHARES : 0;
+        } else {
+            uint256 totalValue = Math.mulDiv(total0, priceX96, Q96) + total1;
+            shares = totalValue == 0 ? 0 : Math.mulDiv(value, supply, totalValue);
+        }
+    }
+
+    function _fitRatio(uint256 amount0, uint256 amount1, uint256 ratio0, uint256 ratio1)
+        private
+        pure
+        returns (uint256, uint256)
+    {
+        if (ratio0 == 0 && ratio1 == 0) return (0, 0);
+        if (ratio0 == 0) return (0, amount1);
+        if (ratio1 == 0) return (amount0, 0);
+
+        uint256 needed1 = Math.mulDiv(amount0, ratio1, ratio0);
+        if (needed1 <= amount1) return (amount0, needed1);
+        return (Math.mulDiv(amount1, ratio0, ratio1), amount1);
+    }
+}
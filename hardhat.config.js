@@ -1,6 +1,7 @@
 require("@nomiclabs/hardhat-waffle");
 require("@nomiclabs/hardhat-ethers");
 require("dotenv").config();
+const { loadProfile } = require("./config");
 
 /**
  * Hardhat configuration for LP Vault testing
@@ -12,8 +13,32 @@ require("dotenv").config();
 // WARNING: Never commit private keys to git!
 // Use environment variables in production
 const TESTNET_RPC_URL = process.env.TESTNET_RPC_URL || "http://localhost:8545";
+const MAINNET_RPC_URL = process.env.MAINNET_RPC_URL || loadProfile("mainnet").network_info.rpcUrl || "http://localhost:8545";
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
 
+// Fork mode (FORK=1): the in-process hardhat network runs on top of the testnet state.
+// Pin FORK_BLOCK_NUMBER to make runs replayable; Hardhat only caches RPC responses
+// (under <FORK_CACHE_DIR>/hardhat-network-fork) when the block is pinned.
+const FORK = ["1", "true"].includes(String(process.env.FORK || "").toLowerCase());
+const FORK_RPC_URL = process.env.FORK_RPC_URL || TESTNET_RPC_URL;
+const FORK_BLOCK_NUMBER = process.env.FORK_BLOCK_NUMBER ? parseInt(process.env.FORK_BLOCK_NUMBER, 10) : undefined;
+const FORK_CACHE_DIR = process.env.FORK_CACHE_DIR || "./cache";
+
+// Chain ids come from the network profiles (config/index.js).
+const DUKONG_CHAIN_ID = loadProfile("dukong").network_info.chainId;
+const MAINNET_CHAIN_ID = loadProfile("mainnet").network_info.chainId;
+
+const forkNetwork = {
+  chainId: DUKONG_CHAIN_ID,
+  forking: {
+    url: FORK_RPC_URL,
+    blockNumber: FORK_BLOCK_NUMBER,
+    enabled: true
+  },
+  // The testnet wallet, so the harness sees its forked token balances; gas is topped up locally.
+  accounts: [{ privateKey: PRIVATE_KEY, balance: "1000000000000000000000" }]
+};
+
 module.exports = {
   solidity: {
     version: "0.8.20",
@@ -25,13 +50,22 @@ module.exports = {
     }
   },
   networks: {
-    hardhat: {
-      chainId: 31337
-    },
+    hardhat: FORK
+      ? forkNetwork
+      : {
+          chainId: 31337
+        },
     testnet: {
       url: TESTNET_RPC_URL,
       accounts: [PRIVATE_KEY],
-      chainId: 5887, // MANTRA Dukong Testnet
+      chainId: DUKONG_CHAIN_ID, // MANTRA Dukong Testnet
+      gasPrice: "auto",
+      gas: "auto"
+    },
+    mainnet: {
+      url: MAINNET_RPC_URL,
+      accounts: [PRIVATE_KEY],
+      chainId: MAINNET_CHAIN_ID, // MANTRA Mainnet; config/profiles/mainnet.json
       gasPrice: "auto",
       gas: "auto"
     }
@@ -39,7 +73,7 @@ module.exports = {
   paths: {
     sources: "./contracts",
     tests: "./test",
-    cache: "./cache",
+    cache: FORK ? FORK_CACHE_DIR : "./cache",
     artifacts: "./artifacts"
   },
   mocha: {
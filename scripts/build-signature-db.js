@@ -0,0 +1,261 @@
+/**
+ * Build the offline signature database (abis/signatures.json) used by ABI discovery
+ * (test/utils/abi-discovery.js) in place of 4byte.directory lookups.
+ *
+ * It lists function and custom-error signatures. Sources, deduplicated by signature:
+ *   - the curated list below: ERC20, Ownable, Pausable, proxy/UUPS and ERC4626 functions, the
+ *     Beefy-style CLM vault and strategy surface, and the deposit/withdraw variants and probe
+ *     views that debug-probe-vault-impl.js and inspect-vault.js try by hand
+ *   - the fragment lists in test/utils/abis.js
+ *   - the compiled contracts under artifacts/contracts (run `npx hardhat compile` first)
+ *
+ * Usage:
+ *   node scripts/build-signature-db.js [--out <path>] [--no-artifacts]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const abis = require("../test/utils/abis");
+
+const ROOT = path.join(__dirname, "..");
+const DEFAULT_OUT = path.join(ROOT, "abis", "signatures.json");
+const ARTIFACTS_DIR = path.join(ROOT, "artifacts", "contracts");
+
+const CURATED = [
+  // ERC20 / ERC20Permit
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function increaseAllowance(address spender, uint256 addedValue) returns (bool)",
+  "function decreaseAllowance(address spender, uint256 subtractedValue) returns (bool)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+
+  // Ownable / Ownable2Step / Pausable / AccessControl
+  "function owner() view returns (address)",
+  "function transferOwnership(address newOwner)",
+  "function renounceOwnership()",
+  "function pendingOwner() view returns (address)",
+  "function acceptOwnership()",
+  "function paused() view returns (bool)",
+  "function pause()",
+  "function unpause()",
+  "function panic()",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+
+  // Proxies, UUPS, initializers
+  "function implementation() view returns (address)",
+  "function upgradeTo(address newImplementation)",
+  "function upgradeToAndCall(address newImplementation, bytes data) payable",
+  "function proxiableUUID() view returns (bytes32)",
+  "function UPGRADE_INTERFACE_VERSION() view returns (string)",
+  "function initialize()",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+
+  // ERC4626
+  "function asset() view returns (address)",
+  "function totalAssets() view returns (uint256)",
+  "function convertToShares(uint256 assets) view returns (uint256)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+  "function maxDeposit(address receiver) view returns (uint256)",
+  "function maxWithdraw(address owner) view returns (uint256)",
+  "function previewRedeem(uint256 shares) view returns (uint256)",
+  "function deposit(uint256 assets, address receiver) returns (uint256 shares)",
+  "function mint(uint256 shares, address receiver) returns (uint256 assets)",
+  "function redeem(uint256 shares, address receiver, address owner) returns (uint256 assets)",
+  "function withdraw(uint256 assets, address receiver, address owner) returns (uint256 shares)",
+
+  // CLM vault
+  "function strategy() view returns (address)",
+  "function want() view returns (address)",
+  "function wants() view returns (address token0, address token1)",
+  "function pool() view returns (address)",
+  "function swapFee() view returns (uint256)",
+  "function price() view returns (uint256)",
+  "function balances() view returns (uint256 amount0, uint256 amount1)",
+  "function getBalances() view returns (uint256, uint256)",
+  "function balance() view returns (uint256)",
+  "function getPricePerFullShare() view returns (uint256)",
+  "function pricePerShare() view returns (uint256)",
+  "function isCalm() view returns (bool)",
+  "function deposit() returns (uint256 shares)",
+  "function deposit(uint256 amount0, uint256 amount1, uint256 minShares)",
+  "function deposit(uint256 amount0, uint256 amount1, uint256 minShares, address to)",
+  "function deposit(uint256 amount0, uint256 amount1, uint256 amount0Min, uint256 amount1Min)",
+  "function deposit(uint256 amount0, uint256 amount1, uint256 amount0Min, uint256 amount1Min, address to)",
+  "function deposit(uint256 amount0, uint256 amount1, address to)",
+  "function deposit(uint256 amount0, uint256 amount1)",
+  "function deposit(uint256 amount)",
+  "function depositAll()",
+  "function previewDeposit(uint256 amount0, uint256 amount1) view returns (uint256 shares)",
+  "function previewDeposit(uint256 amount0, uint256 amount1) view returns (uint256 shares, uint256 fee0, uint256 fee1)",
+  "function previewWithdraw(uint256 shares) view returns (uint256 amount0, uint256 amount1)",
+  "function mint(uint256 amount0, uint256 amount1, uint256 minShares)",
+  "function mint(uint256 amount0, uint256 amount1, uint256 minShares, address to)",
+  "function withdraw(uint256 shares)",
+  "function withdraw(uint256 shares, uint256 amount0Min, uint256 amount1Min) returns (uint256 amount0, uint256 amount1)",
+  "function withdraw(uint256 shares, uint256 amount0Min, uint256 amount1Min, address to) returns (uint256 amount0, uint256 amount1)",
+  "function withdraw(uint256 shares, address to, address owner)",
+  "function withdrawAll()",
+  "function withdrawAll(uint256 amount0Min, uint256 amount1Min) returns (uint256 amount0, uint256 amount1)",
+  "function inCaseTokensGetStuck(address token)",
+
+  // CLM strategy
+  "function vault() view returns (address)",
+  "function keeper() view returns (address)",
+  "function lpToken0() view returns (address)",
+  "function lpToken1() view returns (address)",
+  "function native() view returns (address)",
+  "function unirouter() view returns (address)",
+  "function balancesOfThis() view returns (uint256 token0Bal, uint256 token1Bal)",
+  "function balancesOfPool() view returns (uint256 token0Bal, uint256 token1Bal, uint256 mainAmount0, uint256 mainAmount1, uint256 altAmount0, uint256 altAmount1)",
+  "function sqrtPrice() view returns (uint160)",
+  "function currentTick() view returns (int24)",
+  "function tick() view returns (int24)",
+  "function range() view returns (int24 lowerTick, int24 upperTick)",
+  "function ticks() view returns (int24, int24)",
+  "function tickLower() view returns (int24)",
+  "function tickUpper() view returns (int24)",
+  "function getPositionTicks() view returns (int24, int24)",
+  "function positionTicks() view returns (int24, int24)",
+  "function position() view returns (int24, int24, uint128)",
+  "function positionMain() view returns (int24 tickLower, int24 tickUpper, uint128 liquidity)",
+  "function positionAlt() view returns (int24 tickLower, int24 tickUpper, uint128 liquidity)",
+  "function positionWidth() view returns (int24)",
+  "function liquidity() view returns (uint128)",
+  "function totalLiquidity() view returns (uint128)",
+  "function twap() view returns (int56)",
+  "function twapInterval() view returns (uint32)",
+  "function maxTickDeviation() view returns (int56)",
+  "function lastHarvest() view returns (uint256)",
+  "function lastPositionAdjustment() view returns (uint256)",
+  "function fees() view returns (uint256, uint256)",
+  "function fees0() view returns (uint256)",
+  "function fees1() view returns (uint256)",
+  "function pendingFees() view returns (uint256, uint256)",
+  "function unclaimedFees() view returns (uint256, uint256)",
+  "function accumulatedFees() view returns (uint256, uint256)",
+  "function harvest()",
+  "function harvest(address callFeeRecipient)",
+  "function claimEarnings()",
+  "function rebalance()",
+  "function moveTicks()",
+  "function beforeAction()",
+  "function retireVault()",
+  "function setVault(address vault)",
+  "function setKeeper(address keeper)",
+  "function setPositionWidth(int24 width)",
+  "function setTwapInterval(uint32 interval)",
+  "function setDeviation(int56 maxDeviation)",
+  "function setUnirouter(address unirouter)",
+
+  // OpenZeppelin 5 errors
+  "error OwnableUnauthorizedAccount(address account)",
+  "error OwnableInvalidOwner(address owner)",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error ReentrancyGuardReentrantCall()",
+  "error InvalidInitialization()",
+  "error NotInitializing()",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InvalidSender(address sender)",
+  "error ERC20InvalidReceiver(address receiver)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InvalidApprover(address approver)",
+  "error ERC20InvalidSpender(address spender)",
+  "error SafeERC20FailedOperation(address token)",
+  "error AddressEmptyCode(address target)",
+  "error FailedCall()",
+  "error FailedInnerCall()",
+  "error ERC1967InvalidImplementation(address implementation)",
+  "error UUPSUnauthorizedCallContext()",
+  "error SafeCastOverflowedUintDowncast(uint8 bits, uint256 value)",
+  "error SafeCastOverflowedUintToInt(uint256 value)",
+
+  // Beefy-style CLM vault and strategy errors
+  "error NotCalm()",
+  "error NotVault()",
+  "error NotManager()",
+  "error TooLittleReceived(uint256 amount, uint256 minimum)",
+  "error TooMuchSlippage()",
+  "error InvalidTicks()",
+  "error InvalidInput()",
+  "error NoShares()"
+];
+
+function parseArgs(argv) {
+  const args = { out: DEFAULT_OUT, artifacts: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--out") args.out = argv[++i];
+    else if (arg === "--no-artifacts") args.artifacts = false;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  return args;
+}
+
+function artifactFragments() {
+  const out = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (entry.name.endsWith(".json") && !entry.name.endsWith(".dbg.json")) {
+        const { abi } = JSON.parse(fs.readFileSync(full, "utf8"));
+        if (Array.isArray(abi)) out.push(...abi);
+      }
+    }
+  };
+  if (fs.existsSync(ARTIFACTS_DIR)) walk(ARTIFACTS_DIR);
+  return out;
+}
+
+// Human-readable function and error signatures, one per distinct signature, sorted by name.
+function buildSignatures({ artifacts = true } = {}) {
+  const lists = [CURATED, ...Object.values(abis)];
+  if (artifacts) lists.push(artifactFragments());
+  const signatures = { function: new Map(), error: new Map() };
+  for (const list of lists) {
+    for (const item of list) {
+      const fragment = ethers.utils.Fragment.from(item);
+      const byKey = fragment && (fragment.type === "function" || fragment.type === "error") ? signatures[fragment.type] : null;
+      if (byKey && !byKey.has(fragment.format())) byKey.set(fragment.format(), fragment.format(ethers.utils.FormatTypes.full));
+    }
+  }
+  const sorted = (byKey) => [...byKey.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, full]) => full);
+  return { functions: sorted(signatures.function), errors: sorted(signatures.error) };
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  const { functions, errors } = buildSignatures(args);
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, `${JSON.stringify({ version: 1, functions, errors }, null, 2)}\n`);
+  console.log(`✅ ${functions.length} function(s), ${errors.length} error(s) -> ${path.relative(ROOT, args.out)}`);
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  buildSignatures,
+  parseArgs
+};
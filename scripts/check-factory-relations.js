@@ -3,7 +3,7 @@
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 async function main() {
   console.log("=== Pool-Factory Relationship Check ===\n");
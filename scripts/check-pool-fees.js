@@ -3,10 +3,12 @@
  * 
  * Checks the actual fee tiers of pools used by the narrowed vault tests
  * (Lotus USDC/mUSD + Lotus USDT/USDC).
+ *
+ * Superseded by `lpv pool fees` (scripts/lpv.js).
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 // UniV3-style pool ABI
 const UNIV3_POOL_ABI = [
@@ -3,10 +3,12 @@
  *
  * Checks the balances of the tokens required for the current vault tests,
  * plus OM for gas.
+ *
+ * Superseded by `lpv tokens balances` (scripts/lpv.js).
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 const ERC20_ABI = [
   "function balanceOf(address account) external view returns (uint256)",
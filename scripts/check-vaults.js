@@ -5,10 +5,12 @@
  * - What pool each vault is connected to
  * - Current positions and liquidity
  * - Token pair information
+ *
+ * Superseded by `lpv vault inspect` and `lpv doctor` (scripts/lpv.js).
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 // Common CLM Vault ABI (Beefy-style concentrated liquidity vault)
 const VAULT_ABI = [
@@ -3,7 +3,7 @@
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 // Algebra V4 Pool ABI (using safelyGetStateOfAMM)
 const ALGEBRA_V4_POOL_ABI = [
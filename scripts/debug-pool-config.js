@@ -3,7 +3,7 @@
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 const ALGEBRA_FACTORY_ABI = [
   "function poolByPair(address, address) view returns (address)"
@@ -3,7 +3,7 @@
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 // Try multiple possible pool interfaces
 const POOL_ABI = [
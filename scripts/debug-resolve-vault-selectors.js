@@ -4,6 +4,9 @@
 
   Usage:
     HARDHAT_NETWORK=testnet node scripts/debug-resolve-vault-selectors.js
+
+  Superseded by scripts/discover-abi.js, which resolves selectors offline
+  and follows EIP-1967 proxies as well.
 */
 
 const hre = require('hardhat');
@@ -1,4 +1,5 @@
 const { ethers } = require('hardhat');
+const { config } = require('../config');
 
 /**
  * Deploy and test the DirectPoolSwapper contract
@@ -12,8 +13,11 @@ async function main() {
   console.log("\n=== Deploying DirectPoolSwapper ===");
   const DirectPoolSwapper = await ethers.getContractFactory("DirectPoolSwapper");
   
+  // The swapper only trusts pools registered in this factory (poolByPair)
+  console.log("Algebra factory:", config.quickswap.factory);
+
   // Use 50 gwei gas price (testnet requirement)
-  const swapper = await DirectPoolSwapper.deploy({
+  const swapper = await DirectPoolSwapper.deploy(config.quickswap.factory, {
     gasPrice: ethers.utils.parseUnits("50", "gwei")
   });
   await swapper.deployed();
@@ -3,7 +3,7 @@
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 // Algebra pool ABI (QuickSwap uses Algebra V3)
 const ALGEBRA_POOL_ABI = [
@@ -0,0 +1,123 @@
+/**
+ * ABI Discovery
+ *
+ * Follows each vault (and, with --strategies, its strategy) through EIP-1167 / EIP-1967 proxies,
+ * resolves the implementation's selectors against the offline signature database
+ * (abis/signatures.json plus the compiled artifacts), probes its zero-argument views and writes
+ * one ABI per implementation to abis/discovered/<network>/ (see test/utils/abi-discovery.js).
+ * The harness merges those ABIs into its own fragment lists through withDiscoveredAbi().
+ *
+ * Usage:
+ *   node scripts/discover-abi.js [--vault <name|key|address>]... [--address <address>]...
+ *                                [--strategies] [--no-probe] [--out <dir>] [--json]
+ *
+ * Examples:
+ *   HARDHAT_NETWORK=testnet node scripts/discover-abi.js
+ *   HARDHAT_NETWORK=testnet node scripts/discover-abi.js --vault usdt_usdc --strategies
+ *   HARDHAT_NETWORK=testnet node scripts/discover-abi.js --address 0x... --no-probe --json
+ *
+ * Regenerate the signature database with `node scripts/build-signature-db.js` after adding
+ * contracts or fragment lists.
+ */
+
+const { ethers } = require("hardhat");
+const { selectVaults } = require("../test/utils/vault-configs");
+const { getNetworkName } = require("../test/utils/config");
+const { VAULT_MIN_ABI } = require("../test/utils/abis");
+const { DEFAULT_DISCOVERED_DIR, resolveImplementation, loadSignatureDb, discoverAbi, writeDiscoveredAbi } = require("../test/utils/abi-discovery");
+
+function parseArgs(argv) {
+  const args = { vaults: [], addresses: [], strategies: false, probe: true, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--vault") args.vaults.push(argv[++i]);
+    else if (arg === "--address") {
+      const address = argv[++i];
+      if (!ethers.utils.isAddress(address || "")) throw new Error(`--address needs an address, got ${address}`);
+      args.addresses.push(ethers.utils.getAddress(address));
+    } else if (arg === "--strategies") args.strategies = true;
+    else if (arg === "--no-probe") args.probe = false;
+    else if (arg === "--out") args.out = argv[++i];
+    else if (arg === "--json") args.json = true;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  return args;
+}
+
+// Addresses to discover, with a label each; vaults first, then their strategies.
+async function collectTargets(provider, args, vaults) {
+  const targets = vaults.map((v) => ({ label: v.name, address: v.vault }));
+  if (args.strategies) {
+    for (const v of vaults) {
+      const strategy = await new ethers.Contract(v.vault, VAULT_MIN_ABI, provider).strategy();
+      targets.push({ label: `${v.name} strategy`, address: strategy });
+    }
+  }
+  for (const address of args.addresses) targets.push({ label: address, address });
+  return targets;
+}
+
+async function main() {
+  let args;
+  let vaults;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    vaults = args.addresses.length && !args.vaults.length ? [] : selectVaults(args.vaults);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const provider = ethers.provider;
+  const network = getNetworkName();
+  const dir = args.out || DEFAULT_DISCOVERED_DIR;
+  const db = loadSignatureDb();
+
+  // Clones of one implementation share a single discovery; the first proxy is the one probed.
+  const byImplementation = new Map();
+  for (const target of await collectTargets(provider, args, vaults)) {
+    const { implementation } = await resolveImplementation(provider, target.address);
+    const group = byImplementation.get(implementation) || [];
+    group.push(target);
+    byImplementation.set(implementation, group);
+  }
+
+  const results = [];
+  for (const [implementation, targets] of byImplementation) {
+    const result = await discoverAbi(provider, targets[0].address, { db, probe: args.probe });
+    const file = writeDiscoveredAbi(result, { proxies: targets.map((t) => t.address), network, dir });
+    results.push({ implementation, targets, file, result });
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(results.map(({ targets, file, result }) => ({ targets, file, ...result })), null, 2));
+    return;
+  }
+  for (const { implementation, targets, file, result } of results) {
+    const hops = result.proxyChain.map((h) => h.proxy).join(" -> ") || "not a proxy";
+    console.log(`\n🔎 ${implementation} (${hops})`);
+    console.log(`   used by: ${targets.map((t) => t.label).join(", ")}`);
+    console.log(`   selectors: ${result.selectors}, resolved: ${result.functions.length}, unresolved: ${result.unresolved.length}, errors: ${result.errors.length}`);
+    for (const f of result.functions) {
+      const probe = !f.probe ? "" : f.probe.ok ? ` = ${JSON.stringify(f.probe.value !== undefined ? f.probe.value : f.probe.raw)}` : ` ✗ ${f.probe.reason}`;
+      const alternatives = f.alternatives.length ? ` (or ${f.alternatives.join(" | ")})` : "";
+      console.log(`   ${f.selector} ${f.signature}${alternatives}${probe}`);
+    }
+    if (result.unresolved.length) console.log(`   unresolved: ${result.unresolved.join(" ")}`);
+    if (result.errors.length) console.log(`   errors: ${result.errors.map((e) => e.signature.replace(/^error /, "")).join(", ")}`);
+    console.log(`   📄 ${file}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(`❌ ${error.code ? `[${error.code}] ` : ""}${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseArgs
+};
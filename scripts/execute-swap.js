@@ -1,9 +1,11 @@
 /**
  * Execute actual swap transaction (not simulation) and check on-chain result
+ *
+ * Superseded by `lpv swap` (scripts/lpv.js).
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 // Full SwapRouter ABI from Algebra V4
 const SWAP_ROUTER_ABI = [
@@ -0,0 +1,118 @@
+/**
+ * Event Indexer
+ *
+ * Pulls the logs of every configured vault, its strategy and its pool (Deposit, Withdraw,
+ * Transfer, Rebalance, Harvest, ClaimedFees, Swap, Mint, Burn, Collect), decodes them and keeps
+ * them in a JSONL store keyed by block (see test/utils/event-index.js). Each run continues from
+ * the last synced block, then prints a query over the whole store.
+ *
+ * Usage:
+ *   node scripts/index-events.js [--vault <name|key|address>]... [--from-block <n>] [--to-block <n>]
+ *                                [--confirmations <n>] [--chunk <blocks>] [--dir <path>]
+ *                                [--query summary|rebalances|events] [--event <name>] [--json]
+ *
+ * Examples:
+ *   HARDHAT_NETWORK=testnet node scripts/index-events.js --from-block 1200000
+ *   HARDHAT_NETWORK=testnet node scripts/index-events.js --vault usdt_usdc --query rebalances
+ *   HARDHAT_NETWORK=testnet node scripts/index-events.js --query events --event Swap --json
+ *
+ * --from-block only applies to a new store; start it at the vaults' deployment block on testnet.
+ */
+
+const { ethers } = require("hardhat");
+const { getClmVaultConfigs, selectVaults } = require("../test/utils/vault-configs");
+const { getNetworkName } = require("../test/utils/config");
+const { EventIndex, defaultIndexDir, indexTargets } = require("../test/utils/event-index");
+
+const NUMBER_FLAGS = {
+  "--from-block": "fromBlock",
+  "--to-block": "toBlock",
+  "--confirmations": "confirmations",
+  "--chunk": "chunkBlocks"
+};
+const QUERIES = ["summary", "rebalances", "events"];
+
+function parseArgs(argv) {
+  const args = { vaults: [], query: "summary", json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--vault") args.vaults.push(argv[++i]);
+    else if (arg === "--dir") args.dir = argv[++i];
+    else if (arg === "--event") args.event = argv[++i];
+    else if (arg === "--json") args.json = true;
+    else if (arg === "--query") {
+      args.query = argv[++i];
+      if (!QUERIES.includes(args.query)) throw new Error(`--query must be one of ${QUERIES.join(", ")}`);
+    } else if (NUMBER_FLAGS[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < 0) throw new Error(`${arg} needs a non-negative integer`);
+      args[NUMBER_FLAGS[arg]] = value;
+    } else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  return args;
+}
+
+// The query's result: rows for --json, printed lines otherwise.
+function runQuery(index, args, vaults) {
+  if (args.query === "rebalances") {
+    const rows = vaults.flatMap((v) => index.rebalances(v.name).map((r) => ({ vault: v.name, ...r })));
+    const lines = rows.map((r) => `  ${r.vault} block ${r.blockNumber}: [${r.tickLower}, ${r.tickUpper}) liquidity=${r.liquidity} (${r.source}) ${r.transactionHash}`);
+    return { rows, lines };
+  }
+  if (args.query === "events") {
+    const rows = vaults.flatMap((v) => index.events({ vault: v.name, event: args.event }));
+    const lines = rows.map((e) => `  ${e.blockNumber}/${e.logIndex} ${e.vault} ${e.kind} ${e.event || "(unknown)"} ${JSON.stringify(e.args || {})}`);
+    return { rows, lines };
+  }
+  const names = new Set(vaults.map((v) => v.name));
+  const rows = index.summary().filter((r) => names.has(r.vault) && (!args.event || r.event === args.event));
+  const lines = rows.map((r) => `  ${r.vault} ${r.kind} ${r.event || "(unknown)"}: ${r.count} (blocks ${r.firstBlock}-${r.lastBlock})`);
+  return { rows, lines };
+}
+
+async function main() {
+  let args;
+  let vaults;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    vaults = selectVaults(args.vaults);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const provider = ethers.provider;
+  const { chainId } = await provider.getNetwork();
+  // The store always covers every configured vault; --vault only narrows the query.
+  const targets = await indexTargets(provider, getClmVaultConfigs());
+  const index = new EventIndex(provider, {
+    targets,
+    dir: args.dir || defaultIndexDir(getNetworkName(), chainId),
+    chunkBlocks: args.chunkBlocks,
+    confirmations: args.confirmations
+  });
+
+  const sync = await index.sync({ fromBlock: args.fromBlock, toBlock: args.toBlock });
+  const { rows, lines } = runQuery(index, args, vaults);
+  if (args.json) {
+    console.log(JSON.stringify({ sync, dir: index.dir, query: args.query, rows }, null, 2));
+    return;
+  }
+  if (sync.reset) console.log(`⚠️  Store reset: ${sync.reset}`);
+  console.log(`📚 ${index.dir}: blocks ${sync.fromBlock}-${sync.toBlock}, ${sync.events} new event(s) in ${sync.blocks} block(s)`);
+  console.log(`\n${args.query}${args.event ? ` (${args.event})` : ""}:`);
+  console.log(lines.length ? lines.join("\n") : "  (none)");
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(`❌ ${error.code ? `[${error.code}] ` : ""}${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseArgs
+};
@@ -0,0 +1,116 @@
+/**
+ * Keeper Simulator
+ *
+ * Watches the configured CLM vaults and calls rebalance()/harvest() when the keeper policy says
+ * so (see scripts/utils/keeper.js). Dry-run by default: decisions are simulated from the
+ * strategy's keeper address and nothing is sent. --live sends them, and only runs on the local
+ * Hardhat network or a fork (FORK=1), where the keeper is impersonated.
+ * Every decision is written to the test-results report.
+ *
+ * Usage:
+ *   node scripts/keeper.js [--vault <name|key|address>]... [--rounds <n>] [--interval-ms <ms>]
+ *                          [--out-of-range-ticks <n>] [--max-twap-deviation <ticks>] [--twap-window <sec>]
+ *                          [--min-harvest-interval <sec>] [--min-rebalance-interval <sec>] [--no-harvest] [--live]
+ *
+ * Examples:
+ *   HARDHAT_NETWORK=testnet node scripts/keeper.js --rounds 10 --interval-ms 60000
+ *   FORK=1 node scripts/keeper.js --live --vault usdt_musd --max-twap-deviation 50
+ */
+
+const { ethers } = require("hardhat");
+const { Keeper } = require("./utils/keeper");
+const { selectVaults } = require("../test/utils/vault-configs");
+const { createRunReporter } = require("../test/utils/reporting");
+const { getNetworkName } = require("../test/utils/config");
+const { usingRemoteNetwork } = require("../test/utils/testnet-signer");
+
+const NUMBER_FLAGS = {
+  "--rounds": "rounds",
+  "--interval-ms": "intervalMs",
+  "--out-of-range-ticks": "outOfRangeTicks",
+  "--max-twap-deviation": "maxTwapDeviationTicks",
+  "--twap-window": "twapWindowSec",
+  "--min-harvest-interval": "minHarvestIntervalSec",
+  "--min-rebalance-interval": "minRebalanceIntervalSec"
+};
+const POLICY_FIELDS = ["outOfRangeTicks", "maxTwapDeviationTicks", "twapWindowSec", "minHarvestIntervalSec", "minRebalanceIntervalSec"];
+
+function parseArgs(argv) {
+  const args = { vaults: [], rounds: 1, intervalMs: 60000, live: false, policy: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--vault") args.vaults.push(argv[++i]);
+    else if (arg === "--live") args.live = true;
+    else if (arg === "--no-harvest") args.policy.minHarvestIntervalSec = null;
+    else if (NUMBER_FLAGS[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value)) throw new Error(`${arg} needs a number`);
+      const field = NUMBER_FLAGS[arg];
+      if (POLICY_FIELDS.includes(field)) args.policy[field] = value;
+      else args[field] = value;
+    } else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  return args;
+}
+
+async function main() {
+  let args;
+  let vaults;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    vaults = selectVaults(args.vaults);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (args.live && usingRemoteNetwork()) {
+    console.error("❌ --live only runs on the local Hardhat network or a fork (FORK=1); drop it for a dry run");
+    process.exit(1);
+  }
+
+  const [signer] = await ethers.getSigners();
+  console.log(`\n🤖 Keeper (${args.live ? "live" : "dry-run"}) as ${await signer.getAddress()} on ${getNetworkName()}, ${vaults.length} vault(s)`);
+
+  const reporter = createRunReporter({ suite: "keeper", network: getNetworkName() });
+  reporter.addDiagnostic({ type: "keeper-policy", live: args.live, ...args.policy });
+  const keeper = new Keeper(signer, { vaults, policy: args.policy, live: args.live });
+
+  let failed = 0;
+  await keeper.run({
+    iterations: args.rounds,
+    intervalMs: args.intervalMs,
+    onRound: (round, results) => {
+      for (const entry of results) {
+        const ok = !entry.error && (!entry.simulated || entry.simulated.ok);
+        if (!ok) failed++;
+        reporter.recordScenario(entry.vault, `round ${round + 1}: ${entry.action}`, {
+          skipped: entry.action === "none" && !entry.error,
+          success: ok,
+          note: `${entry.reason}${entry.held ? ` (held: ${entry.held})` : ""}${entry.simulated && !entry.simulated.ok ? ` simulated revert: ${entry.simulated.error}` : ""}${entry.error ? ` error: ${entry.error}` : ""}`,
+          details: {
+            tick: entry.observation?.tick ?? null,
+            range: entry.observation?.range ?? null,
+            twap: entry.observation?.twap ?? null,
+            lastHarvest: entry.observation?.lastHarvest ?? null,
+            txHash: entry.txHash || null
+          }
+        });
+      }
+    }
+  });
+
+  const { mdPath } = reporter.finalize({ filePrefix: "keeper" });
+  console.log(`\n📊 Report: ${mdPath}`);
+  if (failed) process.exit(1);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
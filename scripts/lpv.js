@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * lpv: one CLI for the vault, pool, swap, token, health-check and report chores that used to
+ * be separate scripts (inspect-vault, check-pool-fees, execute-swap, mint-tokens,
+ * check-token-balances, check-vaults...).
+ *
+ * Every command takes --network local|fork|testnet|mainnet (default testnet), --vault (repeatable) and
+ * --json. With --json, stdout is a single JSON document ({ ok, command, network, result } or
+ * { ok: false, command, network, error }) and progress output goes to stderr. --network local
+ * deploys the offline vault stack in-process, so state does not survive between invocations.
+ *
+ * Usage:
+ *   node scripts/lpv.js <command> [--network <network>] [--vault <vault>]... [--json] [flags]
+ *   node scripts/lpv.js help | <command> --help
+ *
+ * Examples:
+ *   node scripts/lpv.js doctor
+ *   node scripts/lpv.js vault inspect --vault usdt_usdc --json
+ *   node scripts/lpv.js vault deposit --vault usdt_usdc --size small
+ *   node scripts/lpv.js move-price --network fork --vault usdt_usdc --offset 600
+ *   node scripts/lpv.js swap --dex lotus --pair USDT/USDC --direction up --percent 2
+ *   node scripts/lpv.js pool ticks --network local --vault usdt_usdc --range 600
+ *   node scripts/lpv.js report --suite sandwich --markdown
+ *
+ * Exit codes: 0 ok, 1 the command failed, 2 usage error (bad flags, unknown vault, pair or
+ * token), 3 the command ran but found problems (failed doctor checks, failed report scenarios,
+ * tokens that could not be minted).
+ */
+
+const { EXIT, COMMANDS, parseArgs, usage } = require("./lpv/args");
+const { toPlain } = require("../test/utils/format");
+
+// Command group -> module, loaded on demand so `report` and `help` never start Hardhat.
+const MODULES = {
+  vault: "./lpv/vault",
+  pool: "./lpv/pool",
+  swap: "./lpv/trade",
+  "move-price": "./lpv/trade",
+  tokens: "./lpv/tokens",
+  doctor: "./lpv/doctor",
+  report: "./lpv/report"
+};
+
+const USAGE_CODES = ["LPV_USAGE", "LPV_UNKNOWN_VAULT", "LPV_UNKNOWN_TOKEN", "SCENARIO_INVALID", "SCENARIO_TARGET_UNKNOWN"];
+
+// --network -> config profile (config/index.js).
+const PROFILE_FOR = { local: "local", fork: "fork", testnet: "dukong", mainnet: "mainnet" };
+
+/** Point Hardhat and the config at --network. Only effective before either is first required. */
+function selectNetwork(network) {
+  process.env.CONFIG_NETWORK = PROFILE_FOR[network];
+  if (network === "testnet" || network === "mainnet") {
+    process.env.HARDHAT_NETWORK = network;
+    return;
+  }
+  process.env.HARDHAT_NETWORK = "hardhat";
+  process.env.FORK = network === "fork" ? "1" : "";
+}
+
+function exitCodeFor(error) {
+  return USAGE_CODES.includes(error.code) ? EXIT.USAGE : EXIT.FAILED;
+}
+
+/**
+ * Run a parsed command.
+ * @param {object} args parseArgs() result
+ * @param {object} [options]
+ * @param {object} [options.context] from createContext(); built (and torn down) here when absent
+ * @returns {Promise<{ ok: boolean, result: *, lines: string[] }>}
+ */
+async function runCommand(args, { context } = {}) {
+  const handler = require(MODULES[args.command.split(" ")[0]])[args.command];
+  if (COMMANDS[args.command].offline) return { ok: true, ...(await handler({ args, network: args.network })) };
+
+  const { createContext } = require("./lpv/context");
+  const ctx = context || (await createContext(args));
+  try {
+    return { ok: true, ...(await handler(ctx)) };
+  } finally {
+    if (!context) ctx.restore();
+  }
+}
+
+// With --json, console.log (PriceMover, the scenario steps...) goes to stderr.
+async function quietly(json, fn) {
+  if (!json) return fn();
+  const log = console.log;
+  console.log = (...parts) => console.error(...parts);
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/** @returns {Promise<number>} the exit code */
+async function main(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT.USAGE;
+  }
+  if (args.help) {
+    console.log(usage(args.command));
+    return EXIT.OK;
+  }
+
+  selectNetwork(args.network);
+  const { command, network, json } = args;
+  let outcome;
+  try {
+    outcome = await quietly(json, () => runCommand(args));
+  } catch (error) {
+    if (json) {
+      const details = error.details === undefined ? null : toPlain(error.details);
+      console.log(JSON.stringify({ ok: false, command, network, error: { code: error.code || null, message: error.message, details } }, null, 2));
+    } else {
+      console.error(`❌ ${error.code ? `[${error.code}] ` : ""}${error.message}`);
+    }
+    return exitCodeFor(error);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ ok: outcome.ok, command, network, result: toPlain(outcome.result) }, null, 2));
+  } else {
+    console.log(outcome.lines.join("\n"));
+  }
+  return outcome.ok ? EXIT.OK : EXIT.CHECKS_FAILED;
+}
+
+if (require.main === module) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(EXIT.FAILED);
+    });
+}
+
+module.exports = {
+  exitCodeFor,
+  runCommand,
+  main
+};
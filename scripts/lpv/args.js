@@ -0,0 +1,244 @@
+const { ethers } = require("ethers");
+
+/**
+ * Command table, argument parsing and output helpers for scripts/lpv.js. Kept free of Hardhat so
+ * --network can be read before Hardhat loads and picks its network.
+ */
+
+const NETWORKS = ["local", "fork", "testnet", "mainnet"];
+
+const EXIT = {
+  OK: 0,
+  FAILED: 1, // the command threw: RPC, revert, missing signer...
+  USAGE: 2, // bad arguments or an unknown vault/pool
+  CHECKS_FAILED: 3 // the command ran but found problems (doctor, report)
+};
+
+// --network, --vault and --json are accepted by every command.
+const GLOBAL_FLAGS = {
+  network: { type: "string", enum: NETWORKS, help: "local (in-process stack), fork (FORK=1), testnet or mainnet; default testnet" },
+  vault: { type: "list", help: "vault name, vault_* key or address; repeatable" },
+  json: { type: "boolean", help: "print one JSON document on stdout" }
+};
+
+const POOL_FLAGS = {
+  pool: { type: "address", help: "pool address instead of a vault's pool" },
+  dex: { type: "string", enum: ["lotus", "quickswap"], help: "DEX of --pool" }
+};
+
+const PAIR_FLAGS = {
+  dex: { type: "string", enum: ["lotus", "quickswap", "both"], help: "with --pair, trade on a pair instead of a vault's pool" },
+  pair: { type: "string", help: "config.pairs name, e.g. USDT/USDC" }
+};
+
+/**
+ * Every command: `vaults` says how many --vault values it takes ("any", "one" or "none"),
+ * `flags` its own options on top of GLOBAL_FLAGS; `offline` ones never connect to a network.
+ */
+const COMMANDS = {
+  "vault inspect": { vaults: "any", summary: "vault, strategy, range, pool and share accounting", flags: {} },
+  "vault deposit": {
+    vaults: "one",
+    summary: "approve and deposit into a vault",
+    flags: {
+      size: { type: "string", enum: ["small", "large"], help: "preset amounts per token" },
+      amount0: { type: "amount", help: "token0 amount, with --amount1" },
+      amount1: { type: "amount", help: "token1 amount, with --amount0" }
+    }
+  },
+  "vault withdraw": {
+    vaults: "one",
+    summary: "withdraw all or a fraction of the signer's shares",
+    flags: {
+      all: { type: "boolean", help: "withdrawAll()" },
+      fraction: { type: "number", help: "share fraction in (0, 1]" }
+    }
+  },
+  "vault rebalance": {
+    vaults: "one",
+    summary: "rebalance as the strategy keeper or owner",
+    flags: {
+      impersonate: { type: "boolean", help: "impersonate the keeper/owner (fork and local only)" },
+      "expect-revert": { type: "boolean", help: "simulate only and succeed when the strategy refuses" }
+    }
+  },
+  "pool state": { vaults: "any", summary: "price, tick, liquidity, fee and tokens", flags: POOL_FLAGS },
+  "pool ticks": {
+    vaults: "one",
+    summary: "initialized ticks around the current tick",
+    flags: { ...POOL_FLAGS, range: { type: "integer", help: "ticks each side of the current one (default 2000)" } }
+  },
+  "pool fees": { vaults: "any", summary: "pool fee tier and the strategy's fee counters", flags: POOL_FLAGS },
+  swap: {
+    vaults: "one",
+    summary: "swap token0 for token1 (up) or back (down)",
+    flags: {
+      ...PAIR_FLAGS,
+      direction: { type: "string", enum: ["up", "down"], required: true, help: "up sells token0, down sells token1" },
+      amount: { type: "amount", help: "input amount in token units" },
+      size: { type: "string", enum: ["small", "large"], help: "preset input amount" },
+      percent: { type: "number", help: "move the price by this percent instead" }
+    }
+  },
+  "move-price": {
+    vaults: "one",
+    summary: "move the pool price to a tick, by an offset or through a preset scenario",
+    flags: {
+      ...PAIR_FLAGS,
+      tick: { type: "integer", help: "target tick" },
+      offset: { type: "integer", help: "ticks from the current one" },
+      deviations: { type: "number", help: "the strategy's TWAP plus this many max deviations" },
+      scenario: { type: "string", help: "a price scenario such as small-up or out-of-range-down" },
+      tolerance: { type: "integer", help: "accepted distance from the target tick (default 1)" }
+    }
+  },
+  "tokens mint": {
+    vaults: "none",
+    summary: "mint test tokens (wrap native for wOM)",
+    flags: {
+      token: { type: "list", help: "config.tokens symbol; repeatable, default all" },
+      amount: { type: "amount", help: "amount per token (default 100000, 5 for wOM)" },
+      to: { type: "address", help: "recipient (default the signer)" }
+    }
+  },
+  "tokens balances": {
+    vaults: "none",
+    summary: "native and token balances",
+    flags: {
+      token: { type: "list", help: "config.tokens symbol; repeatable, default all" },
+      address: { type: "address", help: "account (default the signer)" }
+    }
+  },
+  doctor: { vaults: "any", summary: "check RPC, signer, config, contracts and wiring", flags: {} },
+  report: {
+    vaults: "none",
+    offline: true,
+    summary: "summarize the latest test-results report",
+    flags: {
+      suite: { type: "string", help: "report file prefix, e.g. sandwich (default any)" },
+      file: { type: "string", help: "a report JSON file instead of the latest" },
+      markdown: { type: "boolean", help: "print the markdown report" }
+    }
+  }
+};
+
+function lpvError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function usageError(message) {
+  return lpvError("LPV_USAGE", message);
+}
+
+function camel(flag) {
+  return flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function parseValue(flag, spec, raw) {
+  if (raw === undefined || raw.startsWith("--")) throw usageError(`--${flag} needs a value`);
+  switch (spec.type) {
+    case "integer":
+      if (!/^-?\d+$/.test(raw)) throw usageError(`--${flag} needs an integer, got ${raw}`);
+      return Number(raw);
+    case "number":
+      if (!Number.isFinite(Number(raw))) throw usageError(`--${flag} needs a number, got ${raw}`);
+      return Number(raw);
+    case "amount":
+      if (!/^\d+(\.\d+)?$/.test(raw) || Number(raw) <= 0) throw usageError(`--${flag} needs a positive decimal amount, got ${raw}`);
+      return raw;
+    case "address":
+      if (!ethers.utils.isAddress(raw)) throw usageError(`--${flag} needs an address, got ${raw}`);
+      return ethers.utils.getAddress(raw);
+    default:
+      if (spec.enum && !spec.enum.includes(raw)) throw usageError(`--${flag} must be one of ${spec.enum.join(", ")}`);
+      return raw;
+  }
+}
+
+/**
+ * Parse `lpv <command> [flags]`.
+ * @returns {object} { command, network, vaults, json, options, help } where options holds the
+ *   command's own flags in camelCase; `help` is set for `lpv`, `lpv help` and --help
+ * @throws {Error} code LPV_USAGE, also for flags without a command (`lpv --json`)
+ */
+function parseArgs(argv) {
+  // The command is the first one or two words before any flag.
+  let words = 0;
+  while (words < Math.min(argv.length, 2) && !argv[words].startsWith("--")) words++;
+  const positional = argv.slice(0, words);
+  const rest = argv.slice(words);
+  const help = rest.includes("--help") || argv.length === 0 || positional[0] === "help";
+
+  const command = [positional.join(" "), positional[0]].find((c) => COMMANDS[c]);
+  if (!command) {
+    if (help) return { help: true };
+    if (!positional.length) throw usageError(`Missing command before ${rest[0]} (run lpv help)`);
+    throw usageError(`Unknown command: ${positional.join(" ")} (run lpv help)`);
+  }
+  // A single-word command leaves its second word to the flags, where it is rejected.
+  if (command === positional[0] && positional.length > 1) rest.unshift(positional[1]);
+  if (help) return { help: true, command };
+
+  const spec = COMMANDS[command];
+  const flags = { ...GLOBAL_FLAGS, ...spec.flags };
+  const args = { command, network: "testnet", vaults: [], json: false, options: {} };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    const flag = arg.startsWith("--") ? arg.slice(2) : null;
+    const flagSpec = flag && flags[flag];
+    if (!flagSpec) throw usageError(`Unexpected argument for ${command}: ${arg}`);
+
+    let value;
+    if (flagSpec.type === "boolean") value = true;
+    else if (flagSpec.type === "list") value = parseValue(flag, { type: "string" }, rest[++i]);
+    else value = parseValue(flag, flagSpec, rest[++i]);
+
+    if (flag === "network") args.network = value;
+    else if (flag === "vault") args.vaults.push(value);
+    else if (flag === "json") args.json = true;
+    else if (flagSpec.type === "list") (args.options[camel(flag)] = args.options[camel(flag)] || []).push(value);
+    else args.options[camel(flag)] = value;
+  }
+
+  for (const [flag, flagSpec] of Object.entries(spec.flags)) {
+    if (flagSpec.required && args.options[camel(flag)] === undefined) throw usageError(`${command} needs --${flag}`);
+  }
+  if (spec.vaults === "none" && args.vaults.length) throw usageError(`${command} takes no --vault`);
+  if (spec.vaults === "one" && args.vaults.length > 1) throw usageError(`${command} takes a single --vault`);
+  if (args.options.pool && args.vaults.length) throw usageError(`${command} takes --vault or --pool, not both`);
+  if (args.options.pair && args.vaults.length) throw usageError(`${command} takes --vault or --dex/--pair, not both`);
+  return args;
+}
+
+function usage(command) {
+  const lines = [];
+  const describe = (flags) => {
+    for (const [flag, spec] of Object.entries(flags)) {
+      const value = spec.type === "boolean" ? "" : spec.enum ? ` <${spec.enum.join("|")}>` : ` <${spec.type === "list" ? "value" : spec.type}>`;
+      lines.push(`    --${flag}${value}`.padEnd(44) + spec.help);
+    }
+  };
+  if (command) {
+    lines.push(`lpv ${command}: ${COMMANDS[command].summary}`, "");
+    describe(COMMANDS[command].flags);
+  } else {
+    lines.push("Usage: lpv <command> [--network local|fork|testnet|mainnet] [--vault <vault>]... [--json] [flags]", "", "Commands:");
+    for (const [name, spec] of Object.entries(COMMANDS)) lines.push(`    ${name.padEnd(20)}${spec.summary}`);
+  }
+  lines.push("", "Shared flags:");
+  describe(GLOBAL_FLAGS);
+  lines.push("", `Exit codes: ${EXIT.OK} ok, ${EXIT.FAILED} command failed, ${EXIT.USAGE} usage error, ${EXIT.CHECKS_FAILED} checks failed`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  NETWORKS,
+  EXIT,
+  COMMANDS,
+  lpvError,
+  parseArgs,
+  usage
+};
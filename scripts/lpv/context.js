@@ -0,0 +1,63 @@
+const { ethers } = require("hardhat");
+const { applyConfig } = require("../../test/utils/config");
+const { selectVaults } = require("../../test/utils/vault-configs");
+const { PriceMover } = require("../price-mover");
+const { lpvError } = require("./args");
+
+/**
+ * What every lpv command runs against: the provider, the first signer, the selected vaults
+ * and, on --network local, the in-process vault stack it deployed.
+ */
+
+/**
+ * @param {object} args parseArgs() result
+ * @param {object} [options]
+ * @param {object} [options.stack] an already deployed local stack, used instead of deploying one
+ * @returns {Promise<object>} { args, network, provider, signer, stack, restore, vaults(), vault(), mover() }
+ */
+async function createContext(args, { stack = null } = {}) {
+  let restore = () => {};
+  if (args.network === "local") {
+    if (!stack) {
+      // Loaded here: the fixtures pull in the test helpers, which the remote networks never need.
+      const { deployLocalVaultStack } = require("../../test/fixtures/local-vaults");
+      stack = await deployLocalVaultStack();
+    }
+    restore = applyConfig(stack.config);
+  }
+  const [signer] = await ethers.getSigners();
+  if (!signer) throw lpvError("LPV_NO_SIGNER", `No signer on ${args.network}; set PRIVATE_KEY`);
+
+  let mover = null;
+  return {
+    args,
+    network: args.network,
+    provider: ethers.provider,
+    signer,
+    stack,
+    restore,
+    // The --vault selection, or every configured vault without one.
+    vaults() {
+      return selectVaults(args.vaults, { errorCode: "LPV_UNKNOWN_VAULT" });
+    },
+    // The single --vault a command needs.
+    vault() {
+      if (args.vaults.length !== 1) throw lpvError("LPV_USAGE", `${args.command} needs --vault`);
+      return this.vaults()[0];
+    },
+    mover() {
+      if (!mover) mover = new PriceMover(signer);
+      return mover;
+    }
+  };
+}
+
+/** A scenario DSL step from CLI options; flags that were not given are left out. */
+function stepOf(action, fields) {
+  return { action, ...Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined)) };
+}
+
+module.exports = {
+  createContext,
+  stepOf
+};
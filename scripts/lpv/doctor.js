@@ -0,0 +1,97 @@
+const { ethers } = require("hardhat");
+const { config, getProfileName, validateConfig } = require("../../config");
+const { VAULT_MIN_ABI } = require("../../test/utils/abis");
+const { readPoolState } = require("../../test/utils/pool-state");
+const { getForkInfo } = require("../../test/utils/fork");
+
+/**
+ * lpv doctor: can the selected network be tested? Checks the config (config/index.js
+ * validateConfig), the RPC and chain id, the signer's gas, the configured tokens and, per vault,
+ * the contracts, vault.strategy() and the pool. Every check runs; the command fails (exit 3) when
+ * any of them does. Config warnings are listed but do not fail.
+ */
+
+function check(name, ok, detail, { warning = false } = {}) {
+  return { name, ok: Boolean(ok), detail, ...(warning ? { warning } : {}) };
+}
+
+function configChecks() {
+  const { errors, warnings } = validateConfig(config);
+  return [
+    check("config", errors.length === 0, `profile ${getProfileName()}, ${errors.length} errors, ${warnings.length} warnings`),
+    ...errors.map((e) => check("config error", false, e)),
+    ...warnings.map((w) => check("config warning", true, w, { warning: true }))
+  ];
+}
+
+async function hasCode(provider, address) {
+  return Boolean(address) && address !== ethers.constants.AddressZero && (await provider.getCode(address)) !== "0x";
+}
+
+async function networkChecks(ctx) {
+  const { chainId } = await ctx.provider.getNetwork();
+  const block = await ctx.provider.getBlockNumber();
+  const expected = config.network_info?.chainId;
+  const fork = await getForkInfo();
+  const checks = [
+    check("rpc", true, `chain ${chainId} at block ${block}${fork.enabled ? ` (fork of ${fork.rpcHost}, pinned ${fork.pinnedBlock ?? "no"})` : ""}`),
+    check("chain id", !expected || expected === chainId, `config ${expected ?? "n/a"}, node ${chainId}`)
+  ];
+
+  const address = await ctx.signer.getAddress();
+  const balance = await ctx.provider.getBalance(address);
+  checks.push(check("signer gas", !balance.isZero(), `${address} holds ${ethers.utils.formatEther(balance)} ${config.network_info?.currency || "native"}`));
+  return checks;
+}
+
+async function tokenChecks(ctx, vaults) {
+  const checks = [];
+  for (const [symbol, address] of Object.entries(config.tokens || {})) {
+    const placeholder = !address || address === ethers.constants.AddressZero;
+    const used = vaults.some((v) => v.token0Symbol === symbol || v.token1Symbol === symbol);
+    // Unused placeholders (tokens not deployed on this network) are reported but do not fail.
+    if (placeholder) checks.push(check(`token ${symbol}`, !used, used ? "zero address but used by a vault" : "zero address (unused)"));
+    else checks.push(check(`token ${symbol}`, await hasCode(ctx.provider, address), address));
+  }
+  return checks;
+}
+
+async function vaultChecks(ctx, v) {
+  const checks = [check(`${v.name} vault`, await hasCode(ctx.provider, v.vault), v.vault || "not configured")];
+  if (!checks[0].ok) return checks;
+
+  let strategy = null;
+  try {
+    strategy = await new ethers.Contract(v.vault, VAULT_MIN_ABI, ctx.provider).strategy();
+  } catch (e) {
+    checks.push(check(`${v.name} strategy`, false, `strategy() reverted: ${String(e.reason || e.message).split("\n")[0]}`));
+  }
+  if (strategy) {
+    const matches = !v.expectedStrategy || strategy.toLowerCase() === v.expectedStrategy.toLowerCase();
+    checks.push(check(`${v.name} strategy`, matches && (await hasCode(ctx.provider, strategy)), matches ? strategy : `vault.strategy() is ${strategy}, config has ${v.expectedStrategy}`));
+  }
+
+  const pool = await readPoolState(ctx.provider, v.pool, v.dex);
+  checks.push(check(`${v.name} pool`, pool.ok, pool.ok ? `${v.dex} ${v.pool} tick ${pool.tick}` : `${v.pool}: ${pool.warning}`));
+  return checks;
+}
+
+async function doctor(ctx) {
+  const vaults = ctx.vaults();
+  const checks = [...configChecks(), ...(await networkChecks(ctx)), ...(await tokenChecks(ctx, vaults))];
+  for (const v of vaults) checks.push(...(await vaultChecks(ctx, v)));
+
+  const failed = checks.filter((c) => !c.ok).length;
+  return {
+    ok: failed === 0,
+    result: { network: ctx.network, checks, failed },
+    lines: [
+      ...checks.map((c) => `${c.warning ? "⚠️ " : c.ok ? "✅" : "❌"} ${c.name.padEnd(32)} ${c.detail}`),
+      failed ? `\n${failed} of ${checks.length} checks failed` : `\nAll ${checks.length} checks passed`
+    ]
+  };
+}
+
+module.exports = {
+  doctor
+};
@@ -0,0 +1,75 @@
+const { ethers } = require("hardhat");
+const { readSwapState, readInitializedTicks } = require("../utils/pool-ticks");
+const { readStrategyFees } = require("../../test/utils/strategy-fees");
+const { VAULT_MIN_ABI, STRATEGY_MIN_ABI } = require("../../test/utils/abis");
+
+/**
+ * lpv pool state|ticks|fees, on --pool or on the pools of the selected vaults.
+ */
+
+const DEFAULT_TICK_RANGE = 2000;
+
+function poolTargets(ctx, { single = false } = {}) {
+  const { pool, dex } = ctx.args.options;
+  if (pool) return [{ name: pool, pool, dex, vault: null }];
+  const vaults = single ? [ctx.vault()] : ctx.vaults();
+  return vaults.map((v) => ({ name: v.name, pool: v.pool, dex: v.dex, vault: v.vault }));
+}
+
+async function state(ctx) {
+  const result = [];
+  const lines = [];
+  for (const target of poolTargets(ctx)) {
+    const s = await readSwapState(ctx.provider, target.pool, target.dex);
+    result.push({ name: target.name, pool: target.pool, ...s });
+    lines.push(
+      `📊 ${target.name} (${s.dex} ${target.pool})`,
+      `   tick ${s.tick}, sqrtPriceX96 ${s.sqrtPriceX96}, liquidity ${s.liquidity}, fee ${s.feePips} pips`,
+      `   token0 ${s.token0}, token1 ${s.token1}`
+    );
+  }
+  return { result, lines };
+}
+
+async function ticks(ctx) {
+  const [target] = poolTargets(ctx, { single: true });
+  const range = ctx.args.options.range ?? DEFAULT_TICK_RANGE;
+  const s = await readSwapState(ctx.provider, target.pool, target.dex);
+  const initialized = await readInitializedTicks(ctx.provider, target.pool, s, s.tick - range, s.tick + range);
+  return {
+    result: { name: target.name, pool: target.pool, tick: s.tick, from: s.tick - range, to: s.tick + range, ticks: initialized },
+    lines: [
+      `📊 ${target.name}: ${initialized.length} initialized ticks in [${s.tick - range}, ${s.tick + range}], current ${s.tick}`,
+      ...initialized.map((t) => `   ${String(t.tick).padStart(8)} ${t.tick <= s.tick ? "≤" : ">"} liquidityNet ${t.liquidityNet}`)
+    ]
+  };
+}
+
+// The pool's fee and, for a vault's pool, the strategy's collected and unclaimed fees.
+async function fees(ctx) {
+  const result = [];
+  const lines = [];
+  for (const target of poolTargets(ctx)) {
+    const s = await readSwapState(ctx.provider, target.pool, target.dex);
+    const entry = { name: target.name, pool: target.pool, dex: s.dex, feePips: s.feePips, feePercent: s.feePips / 1e4, strategy: null, strategyFees: null };
+    lines.push(`💸 ${target.name}: ${s.feePips} pips (${entry.feePercent}%)`);
+    if (target.vault) {
+      entry.strategy = await new ethers.Contract(target.vault, VAULT_MIN_ABI, ctx.provider).strategy();
+      entry.strategyFees = await readStrategyFees(new ethers.Contract(entry.strategy, STRATEGY_MIN_ABI, ctx.provider));
+      const f = entry.strategyFees;
+      lines.push(
+        f.ok
+          ? `   strategy ${entry.strategy}: collected ${f.fees0}/${f.fees1}, unclaimed ${f.unclaimed0}/${f.unclaimed1} (raw token0/token1)`
+          : `   strategy ${entry.strategy}: fee counters unreadable`
+      );
+    }
+    result.push(entry);
+  }
+  return { result, lines };
+}
+
+module.exports = {
+  "pool state": state,
+  "pool ticks": ticks,
+  "pool fees": fees
+};
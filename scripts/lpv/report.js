@@ -0,0 +1,53 @@
+const fs = require("fs");
+const path = require("path");
+const { generateMarkdownReport } = require("../../test/utils/reporting");
+const { lpvError } = require("./args");
+
+/**
+ * lpv report: the summary of the newest test-results/<suite>-<timestamp>.json (or --file).
+ * Fails (exit 3) when the run recorded failed scenarios.
+ */
+
+const RESULTS_DIR = path.join(__dirname, "..", "..", "test-results");
+
+function latestReport(dir, suite) {
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter((f) => f.endsWith(".json") && (!suite || f.startsWith(`${suite}-`)))
+    : [];
+  if (!files.length) throw lpvError("LPV_NO_REPORT", `No ${suite ? `${suite} ` : ""}report in ${dir}`);
+  return files.map((f) => path.join(dir, f)).sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)[0];
+}
+
+async function report(ctx) {
+  const { suite, file: explicit, markdown } = ctx.args.options;
+  const file = explicit ? path.resolve(explicit) : latestReport(RESULTS_DIR, suite);
+  let run;
+  try {
+    run = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw lpvError("LPV_NO_REPORT", `Cannot read report ${file}: ${e.message}`);
+  }
+  const summary = run.summary || { total: 0, passed: 0, failed: 0, skipped: 0 };
+  const failures = (run.vaults || []).flatMap((v) =>
+    (v.scenarios || []).filter((s) => !s.skipped && !s.success).map((s) => ({ vault: v.name, scenario: s.name, error: s.error || null }))
+  );
+
+  const lines = markdown
+    ? generateMarkdownReport(run).trimEnd().split("\n")
+    : [
+        `📄 ${file}`,
+        `   ${run.suite || "unknown"} on ${run.network || "unknown"}, ${run.startTime} → ${run.endTime || "(incomplete)"}`,
+        `   ${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped of ${summary.total}`,
+        ...failures.map((f) => `   ❌ ${f.vault} ${f.scenario}${f.error ? `: ${String(f.error).slice(0, 160)}` : ""}`)
+      ];
+  return {
+    ok: summary.failed === 0,
+    result: { file, suite: run.suite || null, network: run.network || null, startTime: run.startTime, endTime: run.endTime, summary, failures },
+    lines
+  };
+}
+
+module.exports = {
+  latestReport,
+  report
+};
@@ -0,0 +1,96 @@
+const { ethers } = require("hardhat");
+const { getTokens } = require("../../config");
+const { ERC20_ABI } = require("../../test/utils/abis");
+const { getTokenMeta } = require("../../test/utils/vault-state");
+const { lpvError } = require("./args");
+
+/**
+ * lpv tokens mint|balances over config.tokens. Minting follows scripts/mint-tokens.js:
+ * mint(address,uint256), then mint(uint256); wOM wraps native through deposit() and falls
+ * back to mint() on mock wrapped tokens.
+ */
+
+const MINT_ABI = ["function mint(address to, uint256 amount) external", "function mint(uint256 amount) external"];
+const WRAPPED_NATIVE_ABI = ["function deposit() payable"];
+
+// Human amounts per token when --amount is not given.
+const DEFAULT_MINT_AMOUNT = "100000";
+const DEFAULT_WRAP_AMOUNT = "5";
+
+// [{ symbol, address }] for --token (or every configured token), skipping zero-address placeholders.
+function selectTokens(ctx) {
+  const wanted = ctx.args.options.token;
+  const configured = getTokens();
+  if (!wanted) return configured;
+  return wanted.map((symbol) => {
+    const token = configured.find((t) => t.symbol.toLowerCase() === symbol.toLowerCase());
+    if (!token) throw lpvError("LPV_UNKNOWN_TOKEN", `Token ${symbol} is not configured on ${ctx.network}`);
+    return token;
+  });
+}
+
+async function mintOne(signer, { symbol, address }, to, human) {
+  const { decimals } = await getTokenMeta(signer, address, symbol);
+  const amount = ethers.utils.parseUnits(human, decimals);
+  const token = new ethers.Contract(address, [...MINT_ABI, ...WRAPPED_NATIVE_ABI], signer);
+  // deposit() and mint(uint256) credit the sender, so they only apply when minting to the signer.
+  const self = to === (await signer.getAddress());
+  const attempts = [];
+  if (symbol === "wOM" && self) attempts.push(["deposit", () => token.deposit({ value: amount })]);
+  attempts.push(["mint(address,uint256)", () => token["mint(address,uint256)"](to, amount)]);
+  if (self) attempts.push(["mint(uint256)", () => token["mint(uint256)"](amount)]);
+
+  let lastError;
+  for (const [method, send] of attempts) {
+    try {
+      const receipt = await (await send()).wait();
+      return { symbol, token: address, amount: human, method, txHash: receipt.transactionHash };
+    } catch (e) {
+      lastError = e;
+    }
+  }
+  throw lastError;
+}
+
+async function mint(ctx) {
+  const to = ctx.args.options.to || (await ctx.signer.getAddress());
+  const minted = [];
+  const failed = [];
+  for (const t of selectTokens(ctx)) {
+    const human = ctx.args.options.amount || (t.symbol === "wOM" ? DEFAULT_WRAP_AMOUNT : DEFAULT_MINT_AMOUNT);
+    try {
+      minted.push(await mintOne(ctx.signer, t, to, human));
+    } catch (e) {
+      failed.push({ symbol: t.symbol, token: t.address, error: String(e.reason || e.message).split("\n")[0].slice(0, 200) });
+    }
+  }
+  return {
+    ok: failed.length === 0,
+    result: { to, minted, failed },
+    lines: [
+      `🪙 minting to ${to}`,
+      ...minted.map((m) => `   ✅ ${m.amount} ${m.symbol} via ${m.method} tx=${m.txHash}`),
+      ...failed.map((f) => `   ❌ ${f.symbol}: ${f.error}`)
+    ]
+  };
+}
+
+async function balances(ctx) {
+  const address = ctx.args.options.address || (await ctx.signer.getAddress());
+  const native = await ctx.provider.getBalance(address);
+  const tokens = [];
+  for (const t of selectTokens(ctx)) {
+    const { decimals } = await getTokenMeta(ctx.signer, t.address, t.symbol);
+    const balance = await new ethers.Contract(t.address, ERC20_ABI, ctx.provider).balanceOf(address);
+    tokens.push({ symbol: t.symbol, token: t.address, decimals, balance, formatted: ethers.utils.formatUnits(balance, decimals) });
+  }
+  return {
+    result: { address, native: { balance: native, formatted: ethers.utils.formatEther(native) }, tokens },
+    lines: [`💰 ${address}`, `   native ${ethers.utils.formatEther(native)}`, ...tokens.map((t) => `   ${t.symbol.padEnd(6)} ${t.formatted}`)]
+  };
+}
+
+module.exports = {
+  "tokens mint": mint,
+  "tokens balances": balances
+};
@@ -0,0 +1,46 @@
+const { runStep } = require("../utils/scenario-dsl");
+const { lpvError } = require("./args");
+const { stepOf } = require("./context");
+
+/**
+ * lpv swap and lpv move-price, on a vault's pool or on a config.pairs pair. Both run the
+ * scenario DSL steps swap, move-to-tick and price-scenario.
+ */
+
+function tradeTarget(ctx) {
+  const { dex, pair } = ctx.args.options;
+  if (pair || dex) {
+    if (!pair || !dex) throw lpvError("LPV_USAGE", `${ctx.args.command} needs both --dex and --pair`);
+    return { dex, pair };
+  }
+  if (!ctx.args.vaults.length) throw lpvError("LPV_USAGE", `${ctx.args.command} needs --vault or --dex/--pair`);
+  return { vault: ctx.vault().name };
+}
+
+async function tradeStep(ctx, step) {
+  const target = tradeTarget(ctx);
+  const { note, details } = await runStep(ctx.signer, target, step, { mover: ctx.mover() });
+  const name = target.vault || `${target.dex} ${target.pair}`;
+  return { result: { target: name, action: step.action, note, details: details || null }, lines: [`✅ ${name} ${step.action}: ${note}`] };
+}
+
+function swap(ctx) {
+  const { direction, amount, size, percent } = ctx.args.options;
+  return tradeStep(ctx, stepOf("swap", { direction, amount, size, percent }));
+}
+
+function movePrice(ctx) {
+  const { tick, offset, deviations, scenario, tolerance } = ctx.args.options;
+  if (scenario !== undefined) {
+    if ([tick, offset, deviations, tolerance].some((v) => v !== undefined)) {
+      throw lpvError("LPV_USAGE", "move-price takes --scenario or --tick/--offset/--deviations, not both");
+    }
+    return tradeStep(ctx, stepOf("price-scenario", { scenario }));
+  }
+  return tradeStep(ctx, stepOf("move-to-tick", { tick, offset, deviations, toleranceTicks: tolerance }));
+}
+
+module.exports = {
+  swap,
+  "move-price": movePrice
+};
@@ -0,0 +1,72 @@
+const { ethers } = require("hardhat");
+const { getVaultState } = require("../../test/utils/vault-state");
+const { fmtUnits } = require("../../test/utils/format");
+const { runStep } = require("../utils/scenario-dsl");
+const { stepOf } = require("./context");
+
+/**
+ * lpv vault inspect|deposit|withdraw|rebalance. Deposit, withdraw and rebalance run the
+ * scenario DSL step of the same name, so they behave exactly as in a scenario file.
+ */
+
+function pair(amounts, state) {
+  if (!amounts) return "n/a";
+  return `${fmtUnits(amounts.amount0, state.user.token0Decimals)} ${state.user.token0Symbol} + ${fmtUnits(amounts.amount1, state.user.token1Decimals)} ${state.user.token1Symbol}`;
+}
+
+function describeState(name, state) {
+  const { accounting } = state;
+  const tick = state.pool.ok ? state.pool.tick : `unreadable (${state.pool.warning})`;
+  return [
+    `📊 ${name}`,
+    `   vault ${state.vaultAddress}, strategy ${state.strategyAddress || "unreadable"}${state.paused ? " (paused)" : ""}`,
+    `   range [${state.tickLower}, ${state.tickUpper}] via ${state.tickMethod || "n/a"}, pool tick ${tick}, in range: ${state.inRange}`,
+    `   total supply ${accounting.totalSupply ? ethers.utils.formatEther(accounting.totalSupply) : "n/a"}, ppfs ${accounting.ppfs ? ethers.utils.formatEther(accounting.ppfs) : "n/a"}`,
+    `   balances ${pair(accounting.vaultBalances, state)}, unclaimed fees ${pair(accounting.unclaimedFees, state)}`,
+    `   ${state.user.address}: ${ethers.utils.formatEther(state.user.shares)} shares`
+  ];
+}
+
+async function inspect(ctx) {
+  const result = [];
+  const lines = [];
+  for (const vaultConfig of ctx.vaults()) {
+    const state = await getVaultState(ctx.signer, vaultConfig);
+    result.push({ name: vaultConfig.name, ...state });
+    lines.push(...describeState(vaultConfig.name, state));
+  }
+  return { result, lines };
+}
+
+// Run one DSL step against the single --vault and report the state after it.
+async function vaultStep(ctx, step) {
+  const vaultConfig = ctx.vault();
+  const { note, details } = await runStep(ctx.signer, { vault: vaultConfig.name }, step, { mover: ctx.mover() });
+  const state = await getVaultState(ctx.signer, vaultConfig);
+  return {
+    result: { vault: vaultConfig.name, note, details: details || null, shares: state.user.shares, inRange: state.inRange },
+    lines: [`✅ ${vaultConfig.name} ${step.action}: ${note}`, `   ${ethers.utils.formatEther(state.user.shares)} shares, in range: ${state.inRange}`]
+  };
+}
+
+function deposit(ctx) {
+  const { size, amount0, amount1 } = ctx.args.options;
+  return vaultStep(ctx, stepOf("deposit", { size, amount0, amount1 }));
+}
+
+function withdraw(ctx) {
+  const { all, fraction } = ctx.args.options;
+  return vaultStep(ctx, stepOf("withdraw", { all, fraction }));
+}
+
+function rebalance(ctx) {
+  const { impersonate, expectRevert } = ctx.args.options;
+  return vaultStep(ctx, stepOf("rebalance", { impersonate, expect: expectRevert ? "revert" : undefined }));
+}
+
+module.exports = {
+  "vault inspect": inspect,
+  "vault deposit": deposit,
+  "vault withdraw": withdraw,
+  "vault rebalance": rebalance
+};
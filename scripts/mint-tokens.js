@@ -3,10 +3,12 @@
  *
  * This script mints test tokens (USDC, USDT, mUSD) and acquires wOM (wrapped OM / wMANTRA)
  * for use in LP vault testing on Mantra Dukong testnet.
+ *
+ * Superseded by `lpv tokens mint` (scripts/lpv.js).
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 // ERC20 Mintable ABI
 const MINTABLE_TOKEN_ABI = [
@@ -10,53 +10,43 @@
  * Examples:
  *   node scripts/price-mover.js lotus USDT/USDC small-up
  *   node scripts/price-mover.js lotus USDC/mUSD large-down
- *   node scripts/price-mover.js lotus USDT/USDC volatility
+ *   node scripts/price-mover.js quickswap USDT/mUSD volatility
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
-
-// ABI fragments for the DEX routers
-// QuickSwap (Algebra) requires 'deployer' parameter - this is the AlgebraPoolDeployer address
-const QUICKSWAP_ROUTER_ABI = [
-  "function exactInputSingle((address tokenIn, address tokenOut, address deployer, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 limitSqrtPrice)) external payable returns (uint256 amountOut)",
-  "function exactOutputSingle((address tokenIn, address tokenOut, address deployer, uint256 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 limitSqrtPrice)) external payable returns (uint256 amountIn)"
-];
-
-// QuickSwap AlgebraPoolDeployer address (NOT the factory!)
-const QUICKSWAP_POOL_DEPLOYER = "0xd7cB0E0692f2D55A17bA81c1fE5501D66774fC4A";
-
-const LOTUS_ROUTER_ABI = [
-  "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountOut)",
-  "function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountIn)"
-];
+const { config } = require("../config");
+const { SwapHelper } = require("./utils/swap-helper");
+const { getSqrtRatioAtTick, getTickAtSqrtRatio, computeAmountInToPrice } = require("./utils/cl-math");
+const { readSwapState, readInitializedTicks } = require("./utils/pool-ticks");
 
 const ERC20_ABI = [
-  "function approve(address spender, uint256 amount) external returns (bool)",
   "function balanceOf(address account) external view returns (uint256)",
   "function decimals() external view returns (uint8)",
   "function symbol() external view returns (string)"
 ];
 
-const POOL_ABI = [
-  "function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
-  "function token0() external view returns (address)",
-  "function token1() external view returns (address)"
-];
+// Default slippage tolerance for quoted swaps (0.5%)
+const DEFAULT_SLIPPAGE_BPS = 50;
 
+// Extra input sent with a target-price swap; the price limit stops it at the target, so the
+// surplus is never spent. Covers a dynamic Algebra fee moving between read and execution.
+const DEFAULT_TARGET_BUFFER_BPS = 100;
+
+/**
+ * Scenario layer over SwapHelper: every swap goes through SwapHelper (DirectPoolSwapper for
+ * QuickSwap, the quoted SwapRouter path for Lotus) and every percent move is sized from pool
+ * state, so both DEXs behave the same.
+ */
 class PriceMover {
-  constructor(signer) {
+  /**
+   * @param {object} [options] { slippageBps, delayMs } — delayMs overrides the pause between
+   *   scenario steps (2s for volatility, 3s for drift)
+   */
+  constructor(signer, options = {}) {
     this.signer = signer;
-    this.quickswapRouter = new ethers.Contract(
-      config.quickswap.router,
-      QUICKSWAP_ROUTER_ABI,
-      signer
-    );
-    this.lotusRouter = new ethers.Contract(
-      config.lotus.swapRouter,
-      LOTUS_ROUTER_ABI,
-      signer
-    );
+    this.slippageBps = options.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
+    this.delayMs = options.delayMs;
+    this.swapHelper = new SwapHelper(signer, { slippageBps: this.slippageBps });
   }
 
   /**
@@ -67,147 +57,243 @@ class PriceMover {
   }
 
   /**
-   * Approve token spending
-   */
-  async approveToken(tokenAddress, spenderAddress, amount) {
-    const token = this.getToken(tokenAddress);
-    const symbol = await token.symbol();
-    console.log(`Approving ${symbol} for spending...`);
-
-    const tx = await token.approve(spenderAddress, amount);
-    await tx.wait();
-    console.log(`✓ Approved ${symbol}`);
-  }
-
-  /**
-   * Get current pool price
+   * Get current pool price (token1 per token0, decimal-adjusted).
+   * Reads slot0 on Lotus and safelyGetStateOfAMM/globalState on QuickSwap.
    */
   async getPoolPrice(poolAddress) {
-    const pool = new ethers.Contract(poolAddress, POOL_ABI, this.signer);
-    const [sqrtPriceX96, tick] = await pool.slot0();
-    const token0Address = await pool.token0();
-    const token1Address = await pool.token1();
-
-    const token0 = this.getToken(token0Address);
-    const token1 = this.getToken(token1Address);
-
-    const decimals0 = await token0.decimals();
-    const decimals1 = await token1.decimals();
+    const state = await readSwapState(this.signer.provider, poolAddress, this._dexHint(poolAddress));
+    const token0 = this.getToken(state.token0);
+    const token1 = this.getToken(state.token1);
+    const [decimals0, decimals1, symbol0, symbol1] = await Promise.all([
+      token0.decimals(),
+      token1.decimals(),
+      token0.symbol(),
+      token1.symbol()
+    ]);
 
     // Calculate actual price from sqrtPriceX96
-    const price = (sqrtPriceX96 / (2 ** 96)) ** 2;
+    const price = (Number(state.sqrtPriceX96.toString()) / (2 ** 96)) ** 2;
     const adjustedPrice = price * (10 ** decimals0) / (10 ** decimals1);
 
     return {
-      sqrtPriceX96: sqrtPriceX96.toString(),
-      tick: tick,
+      dex: state.dex,
+      sqrtPriceX96: state.sqrtPriceX96.toString(),
+      tick: state.tick,
       price: adjustedPrice,
-      token0: await token0.symbol(),
-      token1: await token1.symbol()
+      token0: symbol0,
+      token1: symbol1
     };
   }
 
   /**
-   * Execute swap on QuickSwap (Algebra protocol)
-   * Note: Algebra router requires a 'deployer' parameter (AlgebraPoolDeployer address)
+   * Execute swap on QuickSwap through DirectPoolSwapper (see SwapHelper.swapQuickSwap).
+   *
+   * Without an explicit minAmountOut the minimum is the simulated output less this.slippageBps.
+   * A shortfall throws SLIPPAGE_EXCEEDED.
    */
-  async swapQuickSwap(tokenIn, tokenOut, amountIn, minAmountOut = 0) {
+  async swapQuickSwap(tokenIn, tokenOut, amountIn, minAmountOut = null) {
     console.log("\n--- QuickSwap Swap ---");
-    console.log(`Swapping ${ethers.utils.formatEther(amountIn)} tokens`);
-
-    // Approve tokens
-    await this.approveToken(tokenIn, config.quickswap.router, amountIn);
-
-    const params = {
-      tokenIn: tokenIn,
-      tokenOut: tokenOut,
-      deployer: QUICKSWAP_POOL_DEPLOYER, // AlgebraPoolDeployer - required by Algebra router
-      recipient: await this.signer.getAddress(),
-      deadline: Math.floor(Date.now() / 1000) + 3600, // 1 hour
-      amountIn: amountIn,
-      amountOutMinimum: minAmountOut,
-      limitSqrtPrice: 0 // No price limit
-    };
-
-    try {
-      const tx = await this.quickswapRouter.exactInputSingle(params, { gasLimit: 500000 });
-      const receipt = await tx.wait();
-      console.log(`✓ QuickSwap swap successful! Tx: ${receipt.transactionHash}`);
-      return receipt;
-    } catch (error) {
-      console.error(`✗ QuickSwap swap failed:`, error.message);
-      throw error;
-    }
+    const result = await this.swapHelper.swapQuickSwap(tokenIn, tokenOut, amountIn, this._swapOptions(minAmountOut));
+    console.log(`✓ QuickSwap swap successful! Tx: ${result.txHash}`);
+    return result;
   }
 
   /**
-   * Execute swap on Lotus DEX
+   * Execute swap on Lotus DEX (see SwapHelper.swapLotus).
+   *
+   * Without an explicit minAmountOut the swap is quoted (Lotus QuoterV2, else a router
+   * simulation) and the minimum is the quote less this.slippageBps. A shortfall throws
+   * SLIPPAGE_EXCEEDED with the quoted and realised amounts in error.details.
    */
-  async swapLotus(tokenIn, tokenOut, feeTier, amountIn, minAmountOut = 0) {
+  async swapLotus(tokenIn, tokenOut, feeTier, amountIn, minAmountOut = null) {
     console.log("\n--- Lotus DEX Swap ---");
-    console.log(`Swapping ${ethers.utils.formatEther(amountIn)} tokens`);
-
-    // Approve tokens
-    await this.approveToken(tokenIn, config.lotus.swapRouter, amountIn);
-
-    const params = {
-      tokenIn: tokenIn,
-      tokenOut: tokenOut,
-      fee: feeTier,
-      recipient: await this.signer.getAddress(),
-      deadline: Math.floor(Date.now() / 1000) + 3600, // 1 hour
-      amountIn: amountIn,
-      amountOutMinimum: minAmountOut,
-      sqrtPriceLimitX96: 0 // No price limit
-    };
+    const result = await this.swapHelper.swapLotus(tokenIn, tokenOut, feeTier, amountIn, this._swapOptions(minAmountOut));
+    console.log(`✓ Lotus swap successful! Tx: ${result.txHash}`);
+    return result;
+  }
 
-    try {
-      const tx = await this.lotusRouter.exactInputSingle(params);
-      const receipt = await tx.wait();
-      console.log(`✓ Lotus swap successful! Tx: ${receipt.transactionHash}`);
-      return receipt;
-    } catch (error) {
-      console.error(`✗ Lotus swap failed:`, error.message);
-      throw error;
-    }
+  _swapOptions(minAmountOut) {
+    const options = { slippageBps: this.slippageBps };
+    if (minAmountOut !== null) options.amountOutMinimum = ethers.BigNumber.from(minAmountOut);
+    return options;
   }
 
   /**
-   * Move price up by buying token1 with token0
+   * Move a pool's price to exactly `targetTick`.
+   *
+   * The input is computed from sqrtPriceX96, liquidity and the initialized ticks in between,
+   * then swapped with the target as the price limit and the resulting tick verified.
+   * Works for Lotus (slot0) and QuickSwap (safelyGetStateOfAMM) pools.
+   *
+   * @param {object} [options] { bufferBps, toleranceTicks = 1, slippageBps }
    */
-  async movePriceUp(dex, token0, token1, feeTier, percentMove) {
-    console.log(`\n🔼 Moving price UP by ${percentMove}%`);
+  async movePriceToTick(poolAddress, targetTick, options = {}) {
+    console.log(`\n🎯 Moving price to tick ${targetTick}`);
+    return this._movePriceToSqrtPrice(poolAddress, getSqrtRatioAtTick(targetTick), targetTick, options);
+  }
 
-    // Calculate swap amount based on percent move
-    // This is a simplified calculation - in production you'd use the quoter
-    const baseAmount = ethers.utils.parseEther("1");
-    const swapAmount = baseAmount.mul(percentMove).div(100);
+  /**
+   * Move a pool's price (token1 per token0) by `percent`, e.g. 3 or -3.
+   * Same mechanics and options as movePriceToTick.
+   */
+  async movePriceByPercent(poolAddress, percent, options = {}) {
+    if (!(percent > -100)) throw new Error(`Invalid percent: ${percent}`);
+    console.log(`\n${percent >= 0 ? "🔼" : "🔽"} Moving price by ${percent}%`);
+
+    const state = await readSwapState(this.signer.provider, poolAddress, this._dexHint(poolAddress));
+    // price = sqrtPrice^2, so the sqrt price scales by sqrt(1 + percent/100)
+    const factor = Math.round(Math.sqrt(1 + percent / 100) * 1e12);
+    const targetSqrtPriceX96 = state.sqrtPriceX96.mul(factor).div(1e12);
+    return this._movePriceToSqrtPrice(poolAddress, targetSqrtPriceX96, getTickAtSqrtRatio(targetSqrtPriceX96), options);
+  }
+
+  _dexHint(poolAddress) {
+    const lower = poolAddress.toLowerCase();
+    for (const dex of ["lotus", "quickswap"]) {
+      if (Object.values(config.pools[dex] || {}).some((a) => a.toLowerCase() === lower)) return dex;
+    }
+    return undefined;
+  }
 
-    if (dex === "quickswap" || dex === "both") {
-      await this.swapQuickSwap(token0, token1, swapAmount);
+  async _movePriceToSqrtPrice(poolAddress, targetSqrtPriceX96, targetTick, options = {}) {
+    const provider = this.signer.provider;
+    const bufferBps = options.bufferBps ?? DEFAULT_TARGET_BUFFER_BPS;
+    const toleranceTicks = options.toleranceTicks ?? 1;
+
+    const before = await readSwapState(provider, poolAddress, this._dexHint(poolAddress));
+    const result = {
+      pool: poolAddress,
+      dex: before.dex,
+      startTick: before.tick,
+      targetTick,
+      resultTick: before.tick,
+      amountIn: ethers.BigNumber.from(0),
+      amountSpent: ethers.BigNumber.from(0),
+      ticksCrossed: 0
+    };
+    if (before.sqrtPriceX96.eq(targetSqrtPriceX96)) {
+      console.log(`Already at target`);
+      return result;
     }
 
-    if (dex === "lotus" || dex === "both") {
-      await this.swapLotus(token0, token1, feeTier, swapAmount);
+    const initializedTicks = await readInitializedTicks(
+      provider,
+      poolAddress,
+      before,
+      Math.min(before.tick, targetTick) - 1,
+      Math.max(before.tick, targetTick) + 1
+    );
+    const plan = computeAmountInToPrice({ ...before, initializedTicks }, targetSqrtPriceX96);
+    const [tokenIn, tokenOut] = plan.zeroForOne ? [before.token0, before.token1] : [before.token1, before.token0];
+    const amountIn = plan.amountIn.mul(10000 + bufferBps).div(10000).add(1);
+
+    console.log(`Tick ${before.tick} → ${targetTick} on ${before.dex}: ${plan.amountIn.toString()} in (${plan.ticksCrossed} initialized ticks crossed)`);
+
+    const token = this.getToken(tokenIn);
+    const owner = await this.signer.getAddress();
+    const balanceBefore = await token.balanceOf(owner);
+
+    const swapOptions = { slippageBps: options.slippageBps ?? this.slippageBps };
+    if (before.dex === "lotus") {
+      result.swap = await this.swapHelper.swapLotus(tokenIn, tokenOut, before.feePips, amountIn, {
+        ...swapOptions,
+        sqrtPriceLimitX96: targetSqrtPriceX96
+      });
+    } else {
+      const configured = this.swapHelper.findQuickSwapPool(tokenIn, tokenOut);
+      if (!configured || configured.poolAddress.toLowerCase() !== poolAddress.toLowerCase()) {
+        const error = new Error(`Pool ${poolAddress} is not the configured QuickSwap pool for its pair`);
+        error.code = "POOL_NOT_FOUND";
+        throw error;
+      }
+      result.swap = await this.swapHelper.swapQuickSwap(tokenIn, tokenOut, amountIn, {
+        ...swapOptions,
+        limitSqrtPrice: targetSqrtPriceX96
+      });
+    }
+
+    const after = await readSwapState(provider, poolAddress, before.dex);
+    Object.assign(result, {
+      resultTick: after.tick,
+      sqrtPriceX96: after.sqrtPriceX96,
+      amountIn: plan.amountIn,
+      amountSpent: balanceBefore.sub(await token.balanceOf(owner)),
+      ticksCrossed: plan.ticksCrossed,
+      zeroForOne: plan.zeroForOne
+    });
+
+    if (Math.abs(after.tick - targetTick) > toleranceTicks) {
+      const error = new Error(`Price target missed: tick ${after.tick}, wanted ${targetTick} ± ${toleranceTicks}`);
+      error.code = "PRICE_TARGET_MISSED";
+      error.details = {
+        pool: poolAddress,
+        startTick: before.tick,
+        targetTick,
+        resultTick: after.tick,
+        amountIn: plan.amountIn.toString(),
+        amountSpent: result.amountSpent.toString()
+      };
+      throw error;
     }
+
+    console.log(`✓ Price now at tick ${after.tick} (spent ${result.amountSpent.toString()})`);
+    return result;
+  }
+
+  /**
+   * Move price up: token1 gets `percentMove`% more expensive in token0 (token0 sold for token1).
+   * @returns {Promise<object[]>} one movePriceByPercent result per pool moved
+   */
+  async movePriceUp(dex, token0, token1, feeTier, percentMove) {
+    console.log(`\n🔼 Moving price UP by ${percentMove}%`);
+    return this._movePairPrice(dex, token0, token1, feeTier, percentMove);
   }
 
   /**
-   * Move price down by selling token1 for token0
+   * Move price down: token1 gets `percentMove`% cheaper in token0 (token1 sold for token0).
+   * @returns {Promise<object[]>} one movePriceByPercent result per pool moved
    */
   async movePriceDown(dex, token0, token1, feeTier, percentMove) {
     console.log(`\n🔽 Moving price DOWN by ${percentMove}%`);
+    return this._movePairPrice(dex, token0, token1, feeTier, -percentMove);
+  }
 
-    const baseAmount = ethers.utils.parseEther("1");
-    const swapAmount = baseAmount.mul(percentMove).div(100);
-
-    if (dex === "quickswap" || dex === "both") {
-      await this.swapQuickSwap(token1, token0, swapAmount);
+  /**
+   * Configured pools for a pair: the QuickSwap pool and/or the Lotus pool with `feeTier`.
+   * Throws POOL_NOT_FOUND when `dex` has none.
+   */
+  async findPairPools(dex, tokenA, tokenB, feeTier) {
+    const dexes = dex === "both" ? ["quickswap", "lotus"] : [dex];
+    const hops = (await this.swapHelper.findRoutes(tokenA, tokenB, { maxHops: 1 }))
+      .map(([hop]) => hop)
+      .filter((hop) => dexes.includes(hop.dex) && (hop.dex !== "lotus" || Number(hop.fee) === Number(feeTier)));
+
+    if (hops.length === 0) {
+      const error = new Error(`No ${dex} pool configured for ${tokenA}/${tokenB}${dex === "quickswap" ? "" : ` (fee ${feeTier})`}`);
+      error.code = "POOL_NOT_FOUND";
+      error.details = { dex, tokenA, tokenB, feeTier };
+      throw error;
     }
+    return hops.map((hop) => ({ dex: hop.dex, pool: hop.pool, pairName: hop.pairName }));
+  }
 
-    if (dex === "lotus" || dex === "both") {
-      await this.swapLotus(token1, token0, feeTier, swapAmount);
+  // `percent` is the change in the price of tokenB quoted in tokenA; pools quote token1 per
+  // token0, so the move is inverted when tokenB is the pool's token1.
+  async _movePairPrice(dex, tokenA, tokenB, feeTier, percent) {
+    const results = [];
+    for (const { pool } of await this.findPairPools(dex, tokenA, tokenB, feeTier)) {
+      const { token0 } = await readSwapState(this.signer.provider, pool, this._dexHint(pool));
+      const poolPercent = token0.toLowerCase() === tokenB.toLowerCase()
+        ? percent
+        : (1 / (1 + percent / 100) - 1) * 100;
+      results.push(await this.movePriceByPercent(pool, poolPercent));
     }
+    return results;
+  }
+
+  _delay(defaultMs) {
+    const ms = this.delayMs ?? defaultMs;
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
   }
 
   /**
@@ -237,7 +323,7 @@ class PriceMover {
       }
 
       // Small delay between swaps
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      await this._delay(2000);
     }
   }
 
@@ -275,7 +361,7 @@ class PriceMover {
         await this.movePriceDown(dex, token0, token1, feeTier, smallMove);
       }
 
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      await this._delay(3000);
     }
   }
 }
@@ -291,7 +377,7 @@ async function main() {
 Usage: node scripts/price-mover.js <dex> <pair> <scenario> [options]
 
 DEX: quickswap | lotus | both
-Pair: USDT/USDC | USDC/mUSD
+Pair: USDT/USDC | USDC/mUSD | wOM/mUSD (lotus) — USDT/mUSD | wOM/USDC (quickswap)
 Scenario:
   - small-up: Small upward price move (~2-5%)
   - small-down: Small downward price move (~2-5%)
@@ -307,6 +393,7 @@ Examples:
   node scripts/price-mover.js lotus USDT/USDC small-up
   node scripts/price-mover.js lotus USDC/mUSD volatility
   node scripts/price-mover.js lotus USDT/USDC out-of-range-up
+  node scripts/price-mover.js quickswap wOM/USDC small-down
     `);
     process.exit(1);
   }
@@ -332,7 +419,7 @@ Examples:
 
   if (!token0Address || !token1Address) {
     console.error(`Error: Token addresses not configured for ${pairName}`);
-    console.error("Please update testnet-config.json with correct token addresses");
+    console.error("Please set the token addresses in the network profile (testnet-config.json for Dukong)");
     process.exit(1);
   }
 
@@ -0,0 +1,90 @@
+/**
+ * Scenario File Runner
+ *
+ * Validates a YAML/JSON scenario file (see scripts/utils/scenario-dsl.js) and runs it against
+ * the file's targets, or against any configured vault/pair given on the command line.
+ * Every step is written to the test-results report.
+ *
+ * Usage:
+ *   node scripts/run-scenarios.js <file> [--vault <name|key|address>] [--dex <dex> --pair <pair>]
+ *                                        [--pause-ms <ms>] [--delay-ms <ms>] [--validate]
+ *
+ * Examples:
+ *   node scripts/run-scenarios.js rebalance-cycle.yaml
+ *   node scripts/run-scenarios.js rebalance-cycle.yaml --vault usdt_musd
+ *   node scripts/run-scenarios.js batch-price.yaml --dex quickswap --pair wOM/USDC
+ *   node scripts/run-scenarios.js my-scenarios.yaml --validate
+ */
+
+const { ethers } = require("hardhat");
+const { PriceMover } = require("./price-mover");
+const { loadScenarioFile, runScenarios } = require("./utils/scenario-dsl");
+const { createRunReporter } = require("../test/utils/reporting");
+const { getNetworkName } = require("../test/utils/config");
+
+function parseArgs(argv) {
+  const args = { file: null, target: null, pauseMs: 0, delayMs: undefined, validate: false };
+  const target = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--vault") target.vault = argv[++i];
+    else if (arg === "--dex") target.dex = argv[++i];
+    else if (arg === "--pair") target.pair = argv[++i];
+    else if (arg === "--pause-ms") args.pauseMs = Number(argv[++i]);
+    else if (arg === "--delay-ms") args.delayMs = Number(argv[++i]);
+    else if (arg === "--validate") args.validate = true;
+    else if (!args.file) args.file = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if (Object.keys(target).length) args.target = target;
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.log(`
+Usage: node scripts/run-scenarios.js <file> [--vault <name|key|address>] [--dex <dex> --pair <pair>]
+                                     [--pause-ms <ms>] [--delay-ms <ms>] [--validate]
+
+Files are looked up in the working directory, then scripts/scenarios/.
+    `);
+    process.exit(1);
+  }
+
+  let doc;
+  try {
+    doc = loadScenarioFile(args.file);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  console.log(`✓ ${doc.file}: ${doc.scenarios.length} scenario(s) valid`);
+  if (args.validate) return;
+
+  const [signer] = await ethers.getSigners();
+  console.log(`\n💼 Using account: ${await signer.getAddress()}`);
+
+  const reporter = createRunReporter({ suite: "scenarios", network: getNetworkName() });
+  const mover = new PriceMover(signer, { delayMs: args.delayMs });
+  const results = await runScenarios(signer, doc, { reporter, mover, target: args.target, pauseMs: args.pauseMs });
+  const { mdPath } = reporter.finalize({ filePrefix: "scenarios" });
+
+  const { summary } = reporter.run;
+  console.log(`\n📊 Scenarios: ${results.filter((r) => r.success).length}/${results.length} passed`);
+  console.log(`   Steps: ${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`);
+  console.log(`   Report: ${mdPath}`);
+
+  if (results.some((r) => !r.success && !r.skipped)) process.exit(1);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
@@ -1,5 +1,5 @@
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 const fs = require('fs');
 
 const STRATEGY_ABI = [
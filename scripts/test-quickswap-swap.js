@@ -3,7 +3,7 @@
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 const { SwapHelper } = require('./utils/swap-helper');
 
 async function main() {
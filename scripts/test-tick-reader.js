@@ -1,5 +1,5 @@
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 const TickReader = require("./utils/TickReader");
 
 async function main() {
@@ -28,12 +28,14 @@
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 const fs = require('fs');
 const path = require('path');
 const TickReader = require('./utils/TickReader');
 const { SwapHelper } = require('./utils/swap-helper');
 const { getSharePrice } = require('./utils/share-math');
+const { readVaultAccounting, valueInToken1 } = require('../test/utils/vault-state');
+const { checkInvariants } = require('../test/utils/invariants');
 
 // Vault configurations with their pools
 // NOTE: token0/token1 here are used for swaps; we later sanity-check them against on-chain token0/token1.
@@ -292,7 +294,8 @@ class VaultTester {
       tokenComposition: null,
       fees: { unclaimedFees0: null, unclaimedFees1: null, unclaimedFees0Formatted: null, unclaimedFees1Formatted: null, totalUnclaimedValueInToken1: null, feeGrowthActive: null },
       shareAccounting: { pricePerShare: null, pricePerShareFormatted: null, tvl: null, userShares: null, userSharesFormatted: null, userShareValue: null },
-      strategy: null
+      strategy: null,
+      accounting: null
     };
     
     let lastTickErr = null;
@@ -500,6 +503,16 @@ class VaultTester {
       state.shareAccounting.userShares = await vault.balanceOf(userAddress);
       state.shareAccounting.userSharesFormatted = ethers.utils.formatEther(state.shareAccounting.userShares);
       if (state.shareAccounting.pricePerShareFormatted) state.shareAccounting.userShareValue = Number(state.shareAccounting.userSharesFormatted) * Number(state.shareAccounting.pricePerShareFormatted);
+
+      // Raw share accounting for test/utils/invariants.js
+      state.accounting = await readVaultAccounting(this.signer, {
+        vaultAddress: vaultConfig.vault,
+        strategyAddress: state.strategy,
+        token0Address: vaultConfig.token0,
+        token1Address: vaultConfig.token1,
+        sqrtPriceX96: state.poolState.sqrtPriceX96,
+        user: userAddress
+      });
       
     } catch (e) { console.log(`    Warning: Vault state error: ${e.message.slice(0, 50)}`); }
     return state;
@@ -616,13 +629,28 @@ class VaultTester {
     return lines.join('\n');
   }
 
+  /**
+   * Unclaimed fees grew (valued at the after price) but PPFS, which counts them, stayed put
+   */
+  feesAccruedButPPFSUnchanged(beforeState, afterState) {
+    const before = beforeState.accounting;
+    const after = afterState.accounting;
+    if (!before?.unclaimedFees || !after?.unclaimedFees || !before.ppfs || !after.ppfs || !after.priceX96) return null;
+    const feeValue = (a) => valueInToken1(a.unclaimedFees.amount0, a.unclaimedFees.amount1, after.priceX96);
+    return feeValue(after).gt(feeValue(before)) && after.ppfs.eq(before.ppfs);
+  }
+
   /**
    * Build comprehensive result object for JSON
+   *
+   * `actions` lists what happened between the snapshots (see test/utils/invariants.js).
    */
-  buildResultObject(scenario, success, swap, beforeState, afterState, error = null) {
+  buildResultObject(scenario, success, swap, beforeState, afterState, error = null, actions = [{ type: "swap" }]) {
     if (!success) {
       return { scenario, success, error, timestamp: new Date().toISOString() };
     }
+
+    const invariants = checkInvariants(beforeState, afterState, actions);
     
     const result = {
       scenario,
@@ -761,9 +789,13 @@ class VaultTester {
         // Bug detection: fees not accruing while in-range
         inRangeButNoFeeGrowth: afterState.rangeStatus.isInRange === true && afterState.fees.feeGrowthActive === false,
         // Bug detection: fees accrued but PPFS didn't change
-        feesAccruedButPPFSUnchanged: false, // Would need harvest to detect this properly
+        feesAccruedButPPFSUnchanged: this.feesAccruedButPPFSUnchanged(beforeState, afterState),
         // Warning: went out of range
-        positionWentOutOfRange: beforeState.rangeStatus.isInRange === true && afterState.rangeStatus.isInRange === false
+        positionWentOutOfRange: beforeState.rangeStatus.isInRange === true && afterState.rangeStatus.isInRange === false,
+        // Share-accounting invariants (structured, rendered by test/utils/reporting.js)
+        invariantsOk: invariants.ok,
+        invariantViolations: invariants.violations,
+        invariantsSkipped: invariants.skipped
       }
     };
     
@@ -1,6 +1,6 @@
 const { ethers } = require("hardhat");
 const { SwapHelper } = require("./utils/swap-helper");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 async function main() {
   const [signer] = await ethers.getSigners();
@@ -10,7 +10,7 @@
  */
 
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 // Calculate price from tick
 function tickToPrice(tick) {
@@ -0,0 +1,218 @@
+/**
+ * Concentrated-liquidity math (UniV3 / Algebra) in ethers BigNumber.
+ *
+ * Ports of TickMath, the SqrtPriceMath amount deltas and the SwapMath fee gross-up as used
+ * by the pools, so the input a swap needs to reach a price can be computed off-chain and
+ * matches what the pool charges. LiquidityAmounts and the position fee-growth arithmetic
+ * value a position the same way, without trusting the strategy's own view functions.
+ */
+
+const { ethers } = require("hardhat");
+
+const { BigNumber } = ethers;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = BigNumber.from("4295128739");
+const MAX_SQRT_RATIO = BigNumber.from("1461446703485210103287273052203988822378723970342");
+
+const Q96 = BigNumber.from(2).pow(96);
+const Q128 = BigNumber.from(2).pow(128);
+const Q256 = BigNumber.from(2).pow(256);
+const FEE_DENOMINATOR = 1000000;
+
+// getSqrtRatioAtTick multipliers, one per bit of |tick| from 0x2 upwards
+const TICK_MAGIC = [
+  [0x2, "0xfff97272373d413259a46990580e213a"],
+  [0x4, "0xfff2e50f5f656932ef12357cf3c7fdcc"],
+  [0x8, "0xffe5caca7e10e4e61c3624eaa0941cd0"],
+  [0x10, "0xffcb9843d60f6159c9db58835c926644"],
+  [0x20, "0xff973b41fa98c081472e6896dfb254c0"],
+  [0x40, "0xff2ea16466c96a3843ec78b326b52861"],
+  [0x80, "0xfe5dee046a99a2a811c461f1969c3053"],
+  [0x100, "0xfcbe86c7900a88aedcffc83b479aa3a4"],
+  [0x200, "0xf987a7253ac413176f2b074cf7815e54"],
+  [0x400, "0xf3392b0822b70005940c7a398e4b70f3"],
+  [0x800, "0xe7159475a2c29b7443b29c7fa6e889d9"],
+  [0x1000, "0xd097f3bdfd2022b8845ad8f792aa5825"],
+  [0x2000, "0xa9f746462d870fdf8a65dc1f90e061e5"],
+  [0x4000, "0x70d869a156d2a1b890bb3df62baf32f7"],
+  [0x8000, "0x31be135f97d08fd981231505542fcfa6"],
+  [0x10000, "0x9aa508b5b7a84e1c677de54f3e99bc9"],
+  [0x20000, "0x5d6af8dedb81196699c329225ee604"],
+  [0x40000, "0x2216e584f5fa1ea926041bedfe98"],
+  [0x80000, "0x48a170391f7dc42444e8fa2"]
+].map(([bit, magic]) => [bit, BigNumber.from(magic)]);
+
+function divRoundingUp(a, b) {
+  const q = a.div(b);
+  return a.mod(b).isZero() ? q : q.add(1);
+}
+
+function mulDivRoundingUp(a, b, denominator) {
+  return divRoundingUp(BigNumber.from(a).mul(b), denominator);
+}
+
+/**
+ * sqrt(1.0001^tick) as Q64.96, bit-for-bit equal to TickMath.getSqrtRatioAtTick.
+ */
+function getSqrtRatioAtTick(tick) {
+  const absTick = Math.abs(tick);
+  if (!Number.isInteger(tick) || absTick > MAX_TICK) throw new Error(`Tick out of range: ${tick}`);
+
+  let ratio = BigNumber.from(absTick & 0x1 ? "0xfffcb933bd6fad37aa2d162d1a594001" : "0x100000000000000000000000000000000");
+  for (const [bit, magic] of TICK_MAGIC) {
+    if (absTick & bit) ratio = ratio.mul(magic).shr(128);
+  }
+  if (tick > 0) ratio = ethers.constants.MaxUint256.div(ratio);
+
+  const remainder = ratio.mod(BigNumber.from(1).shl(32));
+  return ratio.shr(32).add(remainder.isZero() ? 0 : 1);
+}
+
+/**
+ * Greatest tick whose sqrt ratio is <= sqrtPriceX96 (binary search, like the local TickMath).
+ */
+function getTickAtSqrtRatio(sqrtPriceX96) {
+  const sqrtPrice = BigNumber.from(sqrtPriceX96);
+  if (sqrtPrice.lt(MIN_SQRT_RATIO) || sqrtPrice.gte(MAX_SQRT_RATIO)) {
+    throw new Error(`sqrtPriceX96 out of range: ${sqrtPrice.toString()}`);
+  }
+  let low = MIN_TICK;
+  let high = MAX_TICK;
+  while (low < high) {
+    const mid = Math.floor((low + high + 1) / 2);
+    if (getSqrtRatioAtTick(mid).lte(sqrtPrice)) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+/**
+ * token0 needed/released moving between two sqrt prices at constant liquidity.
+ */
+function getAmount0Delta(sqrtA, sqrtB, liquidity, roundUp) {
+  let [lower, upper] = [BigNumber.from(sqrtA), BigNumber.from(sqrtB)];
+  if (lower.gt(upper)) [lower, upper] = [upper, lower];
+  const numerator1 = BigNumber.from(liquidity).shl(96);
+  const numerator2 = upper.sub(lower);
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, upper), lower)
+    : numerator1.mul(numerator2).div(upper).div(lower);
+}
+
+/**
+ * token1 needed/released moving between two sqrt prices at constant liquidity.
+ */
+function getAmount1Delta(sqrtA, sqrtB, liquidity, roundUp) {
+  let [lower, upper] = [BigNumber.from(sqrtA), BigNumber.from(sqrtB)];
+  if (lower.gt(upper)) [lower, upper] = [upper, lower];
+  const product = BigNumber.from(liquidity).mul(upper.sub(lower));
+  return roundUp ? divRoundingUp(product, Q96) : product.div(Q96);
+}
+
+/**
+ * Token amounts behind `liquidity` in [sqrtA, sqrtB] at sqrtPriceX96, rounded down exactly as
+ * LiquidityAmounts.getAmountsForLiquidity (what the pool pays out on a full burn).
+ */
+function getAmountsForLiquidity(sqrtPriceX96, sqrtA, sqrtB, liquidity) {
+  let [lower, upper] = [BigNumber.from(sqrtA), BigNumber.from(sqrtB)];
+  if (lower.gt(upper)) [lower, upper] = [upper, lower];
+  const price = BigNumber.from(sqrtPriceX96);
+  const zero = BigNumber.from(0);
+
+  if (price.lte(lower)) return { amount0: getAmount0Delta(lower, upper, liquidity, false), amount1: zero };
+  if (price.lt(upper)) {
+    return { amount0: getAmount0Delta(price, upper, liquidity, false), amount1: getAmount1Delta(lower, price, liquidity, false) };
+  }
+  return { amount0: zero, amount1: getAmount1Delta(lower, upper, liquidity, false) };
+}
+
+// a - b modulo 2^256: fee growth counters are allowed to overflow, as in the pools.
+function subMod256(a, b) {
+  const diff = BigNumber.from(a).sub(b);
+  return diff.isNegative() ? diff.add(Q256) : diff;
+}
+
+/**
+ * Fee growth per unit of liquidity inside [tickLower, tickUpper), one token, from the global
+ * counter and the bounding ticks' "outside" counters (feeGrowthOutside / outerFeeGrowth).
+ */
+function getFeeGrowthInside(tickCurrent, tickLower, tickUpper, global, lowerOutside, upperOutside) {
+  const below = tickCurrent >= tickLower ? BigNumber.from(lowerOutside) : subMod256(global, lowerOutside);
+  const above = tickCurrent < tickUpper ? BigNumber.from(upperOutside) : subMod256(global, upperOutside);
+  return subMod256(subMod256(global, below), above);
+}
+
+/**
+ * Fees a position has earned since its last checkpoint (not yet in tokensOwed).
+ */
+function getFeesEarned(liquidity, feeGrowthInsideX128, feeGrowthInsideLastX128) {
+  return subMod256(feeGrowthInsideX128, feeGrowthInsideLastX128).mul(liquidity).div(Q128);
+}
+
+/**
+ * Exact input (fee included) that moves a pool from its current price to targetSqrtPriceX96.
+ *
+ * Walks the initialized ticks between the two prices the same way the pool's swap loop
+ * does, crossing each one's liquidityNet.
+ *
+ * @param {object} state { sqrtPriceX96, tick, liquidity, feePips, initializedTicks: [{ tick, liquidityNet }] }
+ * @param {BigNumber} targetSqrtPriceX96
+ * @returns {{ zeroForOne: boolean, amountIn: BigNumber, ticksCrossed: number, liquidityAfter: BigNumber }}
+ */
+function computeAmountInToPrice(state, targetSqrtPriceX96) {
+  const target = BigNumber.from(targetSqrtPriceX96);
+  const zeroForOne = target.lt(state.sqrtPriceX96);
+  const ticks = [...state.initializedTicks].sort((a, b) => a.tick - b.tick);
+
+  let sqrtPrice = BigNumber.from(state.sqrtPriceX96);
+  let liquidity = BigNumber.from(state.liquidity);
+  let tick = state.tick;
+  let amountIn = BigNumber.from(0);
+  let ticksCrossed = 0;
+
+  while (!sqrtPrice.eq(target)) {
+    const next = zeroForOne
+      ? [...ticks].reverse().find((t) => t.tick <= tick)
+      : ticks.find((t) => t.tick > tick);
+    const nextSqrt = next ? getSqrtRatioAtTick(next.tick) : (zeroForOne ? MIN_SQRT_RATIO : MAX_SQRT_RATIO);
+    const stepTarget = zeroForOne
+      ? (nextSqrt.gt(target) ? nextSqrt : target)
+      : (nextSqrt.lt(target) ? nextSqrt : target);
+
+    const stepIn = zeroForOne
+      ? getAmount0Delta(stepTarget, sqrtPrice, liquidity, true)
+      : getAmount1Delta(sqrtPrice, stepTarget, liquidity, true);
+    amountIn = amountIn.add(stepIn).add(mulDivRoundingUp(stepIn, state.feePips, FEE_DENOMINATOR - state.feePips));
+    sqrtPrice = stepTarget;
+
+    if (next && stepTarget.eq(nextSqrt)) {
+      const net = BigNumber.from(next.liquidityNet);
+      liquidity = zeroForOne ? liquidity.sub(net) : liquidity.add(net);
+      tick = zeroForOne ? next.tick - 1 : next.tick;
+      ticksCrossed++;
+    } else if (!stepTarget.eq(target)) {
+      throw new Error(`Target sqrtPriceX96 ${target.toString()} lies beyond the tick range`);
+    }
+  }
+
+  return { zeroForOne, amountIn, ticksCrossed, liquidityAfter: liquidity };
+}
+
+module.exports = {
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MAX_SQRT_RATIO,
+  Q96,
+  Q128,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+  getAmount0Delta,
+  getAmount1Delta,
+  getAmountsForLiquidity,
+  getFeeGrowthInside,
+  getFeesEarned,
+  computeAmountInToPrice
+};
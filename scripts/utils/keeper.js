@@ -0,0 +1,264 @@
+/**
+ * Keeper simulator
+ *
+ * Watches CLM vaults the way the production keeper does and decides when to call rebalance()
+ * or harvest() on their strategies:
+ *   - pool price/tick from readPoolState(), the vault's range from TickReader
+ *   - rebalance once the tick is out of range by at least `outOfRangeTicks`, unless the spot
+ *     tick is more than `maxTwapDeviationTicks` away from the TWAP (a manipulated price)
+ *   - harvest once `minHarvestIntervalSec` passed since the strategy's lastHarvest()
+ *
+ * Times are chain (block) times, so local runs can fast-forward with evm_increaseTime.
+ *
+ * In dry-run mode (the default) every decision is simulated with eth_call from the strategy's
+ * keeper address and nothing is sent. Live mode sends the transactions from a keeper/owner signer:
+ * the signer itself when it holds a role, otherwise the impersonated keeper (fork or local only).
+ */
+
+const { ethers } = require("hardhat");
+const TickReader = require("./TickReader");
+const { readPoolState } = require("../../test/utils/pool-state");
+const { STRATEGY_MIN_ABI } = require("../../test/utils/abis");
+const { withRetry, sleep } = require("../../test/utils/retry");
+const { getStrategyRoles, getStrategyManagerSigner } = require("../../test/utils/fork");
+
+const DEFAULT_POLICY = {
+  // Ticks past a range bound before rebalancing (0: as soon as the tick leaves the range)
+  outOfRangeTicks: 0,
+  // Hold rebalances while |spot tick - TWAP| exceeds this; null disables the guard
+  maxTwapDeviationTicks: null,
+  // Window of the keeper's own tick samples when the strategy has no twap()
+  twapWindowSec: 300,
+  // Minimum time between harvests; null never harvests
+  minHarvestIntervalSec: 3600,
+  // Minimum time between two rebalances of the same vault
+  minRebalanceIntervalSec: 0
+};
+
+const KEEPER_ABI = [...STRATEGY_MIN_ABI, "function twap() view returns (int56)"];
+
+/**
+ * Time-weighted average tick of `samples` ([{ timestamp, tick }], oldest first) over the last
+ * `windowSec` seconds up to `now`. Each sample holds until the next one. null when the samples
+ * do not reach back to the start of the window.
+ */
+function sampledTwap(samples, now, windowSec) {
+  if (windowSec <= 0) return null;
+  const start = now - windowSec;
+  let first = -1;
+  for (let i = 0; i < samples.length; i++) if (samples[i].timestamp <= start) first = i;
+  if (first < 0) return null;
+
+  let weighted = 0;
+  for (let i = first; i < samples.length; i++) {
+    const from = Math.max(samples[i].timestamp, start);
+    const to = i + 1 < samples.length ? samples[i + 1].timestamp : now;
+    weighted += samples[i].tick * (to - from);
+  }
+  return Math.floor(weighted / windowSec);
+}
+
+/**
+ * What the keeper should do for one observation (see Keeper.observe()), given when it last
+ * rebalanced this vault. Returns { action: "rebalance" | "harvest" | "none", reason }, plus
+ * `held` ("twap-deviation" | "min-rebalance-interval") when a rebalance is due but held back.
+ */
+function decide(observation, policy = DEFAULT_POLICY, { lastRebalance = null } = {}) {
+  const p = { ...DEFAULT_POLICY, ...policy };
+  const { tick, range, now, twap, lastHarvest } = observation;
+  if (tick === null || !range) return { action: "none", reason: "pool tick or vault range not readable" };
+
+  const inRange = tick >= range.tickLower && tick < range.tickUpper;
+  const past = tick < range.tickLower ? range.tickLower - tick : tick - range.tickUpper;
+  if (!inRange && past >= p.outOfRangeTicks) {
+    const rebalanceReason = `tick ${tick} is out of [${range.tickLower}, ${range.tickUpper}) by ${past} tick(s)`;
+    const sinceRebalance = lastRebalance === null ? null : now - lastRebalance;
+    if (sinceRebalance !== null && sinceRebalance < p.minRebalanceIntervalSec) {
+      return { action: "none", reason: `${rebalanceReason}, but last rebalance was ${sinceRebalance}s ago`, held: "min-rebalance-interval" };
+    }
+    if (p.maxTwapDeviationTicks !== null && twap && twap.tick !== null && Math.abs(tick - twap.tick) > p.maxTwapDeviationTicks) {
+      return {
+        action: "none",
+        reason: `${rebalanceReason}, but spot is ${Math.abs(tick - twap.tick)} ticks from the ${twap.source} TWAP ${twap.tick}`,
+        held: "twap-deviation"
+      };
+    }
+    return { action: "rebalance", reason: rebalanceReason };
+  }
+
+  if (p.minHarvestIntervalSec !== null) {
+    if (lastHarvest === null) return { action: "harvest", reason: "no harvest recorded" };
+    const since = now - lastHarvest;
+    if (since >= p.minHarvestIntervalSec) return { action: "harvest", reason: `last harvest ${since}s ago (min ${p.minHarvestIntervalSec}s)` };
+  }
+  return { action: "none", reason: `tick ${tick} in [${range.tickLower}, ${range.tickUpper})` };
+}
+
+// First line of a revert or RPC error, short enough for a log line.
+function revertReason(e) {
+  return String(e?.error?.message || e?.reason || e?.message || e).split("\n")[0].slice(0, 160);
+}
+
+class Keeper {
+  /**
+   * @param {object} signer reads (and, in live mode, the first candidate to send from)
+   * @param {object} options {
+   *   vaults   - vault configs from getClmVaultConfigs(),
+   *   policy   - overrides of DEFAULT_POLICY,
+   *   live     - send transactions (default false: dry-run),
+   *   twapSource - optional async (vaultConfig, observation) => tick | null, tried before the
+   *                strategy's twap() and the keeper's own samples,
+   *   log      - line logger (default console.log)
+   * }
+   */
+  constructor(signer, { vaults, policy = {}, live = false, twapSource = null, log = console.log } = {}) {
+    this.signer = signer;
+    this.vaults = vaults || [];
+    this.policy = { ...DEFAULT_POLICY, ...policy };
+    this.live = live;
+    this.twapSource = twapSource;
+    this.log = log;
+    this.tickReader = new TickReader(signer);
+    // Per vault address: { samples: [{ timestamp, tick }], lastRebalance, lastHarvest }
+    this.memory = new Map();
+  }
+
+  _memory(vaultConfig) {
+    if (!this.memory.has(vaultConfig.vault)) this.memory.set(vaultConfig.vault, { samples: [], lastRebalance: null, lastHarvest: null });
+    return this.memory.get(vaultConfig.vault);
+  }
+
+  async _strategyAddress(vaultConfig) {
+    const vault = new ethers.Contract(vaultConfig.vault, ["function strategy() view returns (address)"], this.signer);
+    return withRetry(() => vault.strategy()).catch(() => vaultConfig.expectedStrategy || null);
+  }
+
+  /**
+   * Read what the keeper decides on: tick, range, chain time, TWAP and last harvest.
+   */
+  async observe(vaultConfig) {
+    const provider = this.signer.provider;
+    const memory = this._memory(vaultConfig);
+    const [block, pool, tickRange, strategyAddress] = await Promise.all([
+      withRetry(() => provider.getBlock("latest")),
+      readPoolState(provider, vaultConfig.pool, vaultConfig.dex),
+      withRetry(() => this.tickReader.getTickRange(vaultConfig.vault)).catch(() => null),
+      this._strategyAddress(vaultConfig)
+    ]);
+    const now = block.timestamp;
+    const tick = pool.ok ? Number(pool.tick) : null;
+    const range = tickRange && tickRange.tickLower !== tickRange.tickUpper ? { tickLower: tickRange.tickLower, tickUpper: tickRange.tickUpper } : null;
+
+    if (tick !== null) {
+      memory.samples.push({ timestamp: now, tick });
+      // Keep one sample older than the window so the window stays covered.
+      const start = now - this.policy.twapWindowSec;
+      while (memory.samples.length > 1 && memory.samples[1].timestamp <= start) memory.samples.shift();
+    }
+
+    const strategy = strategyAddress ? new ethers.Contract(strategyAddress, KEEPER_ABI, this.signer) : null;
+    const lastHarvest = strategy ? await withRetry(() => strategy.lastHarvest()).then(Number).catch(() => memory.lastHarvest) : memory.lastHarvest;
+
+    const observation = { vault: vaultConfig.name, strategyAddress, now, tick, range, lastHarvest, twap: { tick: null, source: null } };
+    observation.twap = await this._twap(vaultConfig, strategy, observation);
+    return observation;
+  }
+
+  async _twap(vaultConfig, strategy, observation) {
+    if (this.twapSource) {
+      const tick = await this.twapSource(vaultConfig, observation).catch(() => null);
+      if (tick !== null && tick !== undefined) return { tick: Number(tick), source: "custom" };
+    }
+    if (strategy) {
+      const tick = await strategy.twap().catch(() => null);
+      if (tick !== null) return { tick: Number(tick), source: "strategy" };
+    }
+    const samples = this._memory(vaultConfig).samples;
+    return { tick: sampledTwap(samples, observation.now, this.policy.twapWindowSec), source: "sampled" };
+  }
+
+  /**
+   * Run `decision` for the vault's strategy: simulate it from the keeper address (dry-run) or
+   * send it from a keeper/owner signer (live). Fills in `simulated` / `txHash` / `error`.
+   */
+  async act(vaultConfig, observation, decision) {
+    const result = { ...decision, dryRun: !this.live, simulated: null, txHash: null, error: null };
+    if (decision.action === "none") return result;
+    if (!observation.strategyAddress) return { ...result, error: "strategy address not readable" };
+
+    const data = new ethers.utils.Interface(KEEPER_ABI).encodeFunctionData(decision.action, []);
+    if (!this.live) {
+      const { keeper, owner } = await getStrategyRoles(this.signer.provider, observation.strategyAddress);
+      const from = keeper && keeper !== ethers.constants.AddressZero ? keeper : owner;
+      try {
+        await this.signer.provider.call({ from: from || undefined, to: observation.strategyAddress, data });
+        result.simulated = { ok: true, from };
+      } catch (e) {
+        result.simulated = { ok: false, from, error: revertReason(e) };
+      }
+      return result;
+    }
+
+    const manager = await getStrategyManagerSigner(observation.strategyAddress, this.signer);
+    if (!manager.signer) return { ...result, error: "no keeper/owner signer for the strategy (live mode needs a fork, local network or a keeper key)" };
+    try {
+      const strategy = new ethers.Contract(observation.strategyAddress, KEEPER_ABI, manager.signer);
+      const receipt = await (await strategy[decision.action]({ gasLimit: 1_200_000 })).wait();
+      result.txHash = receipt.transactionHash;
+      result.from = manager.address;
+      const memory = this._memory(vaultConfig);
+      if (decision.action === "rebalance") memory.lastRebalance = observation.now;
+      else memory.lastHarvest = observation.now;
+    } catch (e) {
+      result.error = revertReason(e);
+    }
+    return result;
+  }
+
+  /**
+   * One pass over every vault: observe, decide, act. Resolves to one entry per vault.
+   */
+  async runOnce() {
+    const results = [];
+    for (const vaultConfig of this.vaults) {
+      let entry;
+      try {
+        const observation = await this.observe(vaultConfig);
+        const decision = decide(observation, this.policy, { lastRebalance: this._memory(vaultConfig).lastRebalance });
+        entry = { vault: vaultConfig.name, observation, ...(await this.act(vaultConfig, observation, decision)) };
+      } catch (e) {
+        entry = { vault: vaultConfig.name, action: "none", reason: "observe failed", error: revertReason(e) };
+      }
+      this.log(
+        `  ${entry.vault}: ${entry.action}${entry.held ? ` (held: ${entry.held})` : ""} - ${entry.reason}` +
+          `${entry.simulated ? ` [dry-run ${entry.simulated.ok ? "would succeed" : `would revert: ${entry.simulated.error}`}]` : ""}` +
+          `${entry.txHash ? ` tx=${entry.txHash}` : ""}${entry.error ? ` error=${entry.error}` : ""}`
+      );
+      results.push(entry);
+    }
+    return results;
+  }
+
+  /**
+   * runOnce() `iterations` times, `intervalMs` apart (wall clock). `onRound(round, results)` is
+   * called after each pass, e.g. to record results or move the chain forward.
+   */
+  async run({ iterations = 1, intervalMs = 60000, onRound = null } = {}) {
+    const rounds = [];
+    for (let round = 0; round < iterations; round++) {
+      this.log(`\n⏱️  Keeper round ${round + 1}/${iterations} (${this.live ? "live" : "dry-run"})`);
+      const results = await this.runOnce();
+      rounds.push(results);
+      if (onRound) await onRound(round, results);
+      if (round + 1 < iterations && intervalMs > 0) await sleep(intervalMs);
+    }
+    return rounds;
+  }
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  Keeper,
+  decide,
+  sampledTwap
+};
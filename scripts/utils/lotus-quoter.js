@@ -0,0 +1,119 @@
+/**
+ * Lotus (UniV3) QuoterV2 helpers shared by SwapHelper and PriceMover.
+ *
+ * Quotes come from config.lotus.quoterV2. When no quoter is configured, a caller may pass
+ * the Lotus router to simulate exactInputSingle instead, which needs the signer to hold
+ * and have approved amountIn.
+ */
+
+const { ethers } = require("hardhat");
+const { config } = require("../../config");
+
+const QUOTER_V2_ABI = [
+  "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96)) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)"
+];
+
+const BPS = 10000;
+
+function isConfigured(address) {
+  return Boolean(address) && address !== ethers.constants.AddressZero;
+}
+
+/**
+ * Lotus QuoterV2 from config.lotus.quoterV2, or null when none is configured.
+ */
+function getLotusQuoter(signerOrProvider) {
+  if (!isConfigured(config.lotus.quoterV2)) return null;
+  return new ethers.Contract(config.lotus.quoterV2, QUOTER_V2_ABI, signerOrProvider);
+}
+
+/**
+ * Quote an exact-input single-pool Lotus swap against current pool state.
+ *
+ * @param {object} signer signer the router simulation runs as (unused with a quoter)
+ * @param {object} params { tokenIn, tokenOut, fee, amountIn, sqrtPriceLimitX96 }
+ * @param {object} [options] { fallbackRouter } Lotus router used when no quoter is configured
+ * @returns {Promise<{amountOut, sqrtPriceX96After, initializedTicksCrossed, gasEstimate, source}>}
+ */
+async function quoteLotusExactInputSingle(signer, params, { fallbackRouter } = {}) {
+  const { tokenIn, tokenOut, fee, amountIn, sqrtPriceLimitX96 = 0 } = params;
+  const quoter = getLotusQuoter(signer);
+
+  if (!quoter && !fallbackRouter) {
+    const error = new Error("Lotus QuoterV2 not configured. Set 'quoterV2' under 'lotus' in the network profile");
+    error.code = "QUOTER_NOT_CONFIGURED";
+    throw error;
+  }
+
+  try {
+    if (quoter) {
+      const q = await quoter.callStatic.quoteExactInputSingle({ tokenIn, tokenOut, amountIn, fee, sqrtPriceLimitX96 });
+      return {
+        amountOut: q.amountOut,
+        sqrtPriceX96After: q.sqrtPriceX96After,
+        initializedTicksCrossed: q.initializedTicksCrossed,
+        gasEstimate: q.gasEstimate,
+        source: "quoterV2"
+      };
+    }
+
+    const block = await signer.provider.getBlock("latest");
+    const amountOut = await fallbackRouter.connect(signer).callStatic.exactInputSingle({
+      tokenIn,
+      tokenOut,
+      fee,
+      recipient: await signer.getAddress(),
+      deadline: block.timestamp + 600,
+      amountIn,
+      amountOutMinimum: 0,
+      sqrtPriceLimitX96
+    });
+    return { amountOut, sqrtPriceX96After: null, initializedTicksCrossed: null, gasEstimate: null, source: "router" };
+  } catch (error) {
+    const quoteError = new Error(`Lotus quote failed: ${error.message}`);
+    quoteError.code = "QUOTE_FAILED";
+    quoteError.details = {
+      tokenIn,
+      tokenOut,
+      fee,
+      amountIn: amountIn.toString(),
+      quoter: quoter ? quoter.address : null,
+      originalError: error.message
+    };
+    throw quoteError;
+  }
+}
+
+/**
+ * Minimum acceptable output: the quote less slippageBps.
+ */
+function applySlippage(quotedAmountOut, slippageBps) {
+  return ethers.BigNumber.from(quotedAmountOut).mul(BPS - slippageBps).div(BPS);
+}
+
+/**
+ * Structured error for a swap whose output fell below the quote-derived minimum.
+ * `realisedAmountOut` is what the swap paid (or, after a revert, would pay at current state).
+ */
+function slippageExceededError({ quotedAmountOut, amountOutMinimum, realisedAmountOut, slippageBps, ...context }) {
+  const error = new Error(
+    `Slippage exceeded: quoted ${quotedAmountOut}, realised ${realisedAmountOut}, minimum ${amountOutMinimum} (${slippageBps} bps)`
+  );
+  error.code = "SLIPPAGE_EXCEEDED";
+  error.details = {
+    ...context,
+    quotedAmountOut: quotedAmountOut.toString(),
+    realisedAmountOut: realisedAmountOut === null ? null : realisedAmountOut.toString(),
+    amountOutMinimum: amountOutMinimum.toString(),
+    slippageBps
+  };
+  return error;
+}
+
+module.exports = {
+  QUOTER_V2_ABI,
+  getLotusQuoter,
+  quoteLotusExactInputSingle,
+  applySlippage,
+  slippageExceededError
+};
@@ -0,0 +1,116 @@
+/**
+ * Read the swap-relevant state of a Lotus (UniV3) or QuickSwap (Algebra) pool: price, tick,
+ * active liquidity, fee and the initialized ticks a swap would cross.
+ *
+ * UniV3 pools are scanned through tickBitmap; Algebra pools through the prevTick/nextTick
+ * linked list that starts at safelyGetStateOfAMM's previousTick/nextTick.
+ */
+
+const { ethers } = require("hardhat");
+const { readPoolState } = require("../../test/utils/pool-state");
+const { MIN_TICK, MAX_TICK } = require("./cl-math");
+
+const UNIV3_TICKS_ABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function fee() view returns (uint24)",
+  "function tickSpacing() view returns (int24)",
+  "function tickBitmap(int16 wordPosition) view returns (uint256)",
+  "function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)"
+];
+
+const ALGEBRA_TICKS_ABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function safelyGetStateOfAMM() view returns (uint160 sqrtPrice, int24 tick, uint16 lastFee, uint8 pluginConfig, uint128 activeLiquidity, int24 nextTick, int24 previousTick)",
+  "function ticks(int24 tick) view returns (uint256 liquidityTotal, int128 liquidityDelta, int24 prevTick, int24 nextTick, uint256 outerFeeGrowth0Token, uint256 outerFeeGrowth1Token)"
+];
+
+/**
+ * Price, tick, liquidity, fee (pips) and tokens of a pool.
+ * @param {string} [dexHint] "lotus" | "quickswap", passed through to readPoolState
+ */
+async function readSwapState(provider, poolAddress, dexHint) {
+  const state = await readPoolState(provider, poolAddress, dexHint);
+  if (!state.ok) {
+    const error = new Error(`Cannot read pool ${poolAddress}: ${state.warning}`);
+    error.code = "POOL_UNREADABLE";
+    throw error;
+  }
+
+  if (state.kind === "univ3") {
+    const pool = new ethers.Contract(poolAddress, UNIV3_TICKS_ABI, provider);
+    const [token0, token1, fee] = await Promise.all([pool.token0(), pool.token1(), pool.fee()]);
+    return { ...state, dex: "lotus", token0, token1, feePips: fee };
+  }
+
+  const pool = new ethers.Contract(poolAddress, ALGEBRA_TICKS_ABI, provider);
+  const [token0, token1, amm] = await Promise.all([pool.token0(), pool.token1(), pool.safelyGetStateOfAMM()]);
+  return {
+    ...state,
+    dex: "quickswap",
+    token0,
+    token1,
+    feePips: amm.lastFee,
+    nextTick: amm.nextTick,
+    previousTick: amm.previousTick
+  };
+}
+
+/**
+ * Initialized ticks in [fromTick, toTick] as [{ tick, liquidityNet }], sorted ascending.
+ * @param {object} state result of readSwapState for the same pool
+ */
+async function readInitializedTicks(provider, poolAddress, state, fromTick, toTick) {
+  return state.kind === "univ3"
+    ? readUniV3Ticks(provider, poolAddress, fromTick, toTick)
+    : readAlgebraTicks(provider, poolAddress, state, fromTick, toTick);
+}
+
+async function readUniV3Ticks(provider, poolAddress, fromTick, toTick) {
+  const pool = new ethers.Contract(poolAddress, UNIV3_TICKS_ABI, provider);
+  const spacing = await pool.tickSpacing();
+  const firstWord = Math.floor(fromTick / spacing) >> 8;
+  const lastWord = Math.floor(toTick / spacing) >> 8;
+
+  const found = [];
+  for (let wordPos = firstWord; wordPos <= lastWord; wordPos++) {
+    const word = await pool.tickBitmap(wordPos);
+    if (word.isZero()) continue;
+    for (let bit = 0; bit < 256; bit++) {
+      if (!word.shr(bit).and(1).isZero()) {
+        const tick = (wordPos * 256 + bit) * spacing;
+        if (tick >= fromTick && tick <= toTick) found.push(tick);
+      }
+    }
+  }
+
+  const infos = await Promise.all(found.map((tick) => pool.ticks(tick)));
+  return found.map((tick, i) => ({ tick, liquidityNet: infos[i].liquidityNet }));
+}
+
+async function readAlgebraTicks(provider, poolAddress, state, fromTick, toTick) {
+  const pool = new ethers.Contract(poolAddress, ALGEBRA_TICKS_ABI, provider);
+  const found = [];
+
+  const walk = async (start, inRange, step) => {
+    let tick = start;
+    while (inRange(tick) && tick > MIN_TICK && tick < MAX_TICK) {
+      const info = await pool.ticks(tick);
+      if (info.liquidityTotal.isZero()) break;
+      found.push({ tick, liquidityNet: info.liquidityDelta });
+      const next = step(info);
+      if (next === tick) break;
+      tick = next;
+    }
+  };
+
+  await walk(state.previousTick, (t) => t >= fromTick, (info) => info.prevTick);
+  await walk(state.nextTick, (t) => t <= toTick, (info) => info.nextTick);
+  return found.sort((a, b) => a.tick - b.tick);
+}
+
+module.exports = {
+  readSwapState,
+  readInitializedTicks
+};
@@ -0,0 +1,756 @@
+/**
+ * Declarative price/vault scenarios, authored as YAML or JSON.
+ *
+ *   version: 1
+ *   target: { vault: "Lotus USDT-USDC" }     # or { dex: lotus, pair: USDT/USDC }
+ *   scenarios:
+ *     - name: out-of-range-and-back
+ *       steps:
+ *         - { action: deposit, size: small }
+ *         - { action: move-to-tick, offset: 600 }
+ *         - { action: assert, inRange: false }
+ *         - { action: rebalance }
+ *
+ * Every step has an `action` and the fields listed in STEP_SCHEMAS; `vaultFields` are fields that
+ * only make sense on a vault target. A scenario's target is,
+ * in order: the runner's `target` option (so one file can be pointed at any configured
+ * vault/pair), the scenario's own `target`, then the file-level `target`. Vault targets are
+ * matched with findVaultConfig() by name, vault_* key or address; pair targets against
+ * config.pairs.
+ *
+ * Each step is reported through createRunReporter as "<scenario> #<n> <action>" under the
+ * target's name. A failing step fails its scenario and skips the rest of its steps.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { config } = require("../../config");
+const { findVaultConfig } = require("../../test/utils/vault-configs");
+const { getVaultState, getTokenMeta } = require("../../test/utils/vault-state");
+const { readPoolState } = require("../../test/utils/pool-state");
+const { readStrategyFees, feeSum } = require("../../test/utils/strategy-fees");
+const { STRATEGY_MIN_ABI, ERC20_ABI } = require("../../test/utils/abis");
+const { getStrategyManagerSigner } = require("../../test/utils/fork");
+const { TWAP_GUARD_ABI, DEFAULT_WINDOW_SEC, readPoolTwap, readStrategyTwapGuard } = require("../../test/utils/pool-oracle");
+const { sleep } = require("../../test/utils/retry");
+const { withDiscoveredAbi } = require("../../test/utils/abi-discovery");
+
+const SCENARIO_DIR = path.join(__dirname, "..", "scenarios");
+
+const PRICE_SCENARIOS = [
+  "small-up",
+  "small-down",
+  "large-up",
+  "large-down",
+  "volatility",
+  "out-of-range-up",
+  "out-of-range-down",
+  "gradual-up",
+  "gradual-down"
+];
+
+const DIRECTIONS = ["up", "down"];
+const SIZES = ["small", "large"];
+
+const VAULT_ACTIONS_ABI = [
+  "function balanceOf(address) view returns (uint256)",
+  "function strategy() view returns (address)",
+  "function deposit() external returns (uint256 shares)",
+  "function withdrawAll(uint256 amount0Min, uint256 amount1Min) external returns (uint256 amount0, uint256 amount1)",
+  "function withdraw(uint256 shares, uint256 amount0Min, uint256 amount1Min) external returns (uint256 amount0, uint256 amount1)"
+];
+
+const has = (step, field) => step[field] !== undefined;
+
+// Field types: string | number | integer | boolean | amount (positive decimal, string or number)
+const STEP_SCHEMAS = {
+  swap: {
+    fields: {
+      direction: { type: "string", enum: DIRECTIONS, required: true },
+      percent: { type: "number" },
+      amount: { type: "amount" },
+      size: { type: "string", enum: SIZES }
+    },
+    check: (step) =>
+      ["percent", "amount", "size"].filter((f) => has(step, f)).length === 1 ? null : "needs exactly one of percent, amount, size"
+  },
+  "price-scenario": {
+    fields: { scenario: { type: "string", enum: PRICE_SCENARIOS, required: true } }
+  },
+  "move-to-tick": {
+    // deviations: target the strategy's TWAP plus this many times its maxTickDeviation
+    fields: { tick: { type: "integer" }, offset: { type: "integer" }, deviations: { type: "number" }, toleranceTicks: { type: "integer" } },
+    vaultFields: ["deviations"],
+    check: (step) =>
+      ["tick", "offset", "deviations"].filter((f) => has(step, f)).length === 1 ? null : "needs exactly one of tick, offset, deviations"
+  },
+  twap: {
+    // window defaults to the strategy's twapInterval(), else DEFAULT_WINDOW_SEC
+    fields: { window: { type: "integer" }, maxDeviation: { type: "integer" }, minDeviation: { type: "integer" }, calm: { type: "boolean" } },
+    vaultFields: ["calm"],
+    check: (step) => (!has(step, "window") || step.window > 0 ? null : "window must be positive")
+  },
+  wait: {
+    fields: { blocks: { type: "integer" }, seconds: { type: "number" } },
+    check: (step) => (has(step, "blocks") || has(step, "seconds") ? null : "needs blocks and/or seconds")
+  },
+  deposit: {
+    vaultOnly: true,
+    fields: { size: { type: "string", enum: SIZES }, amount0: { type: "amount" }, amount1: { type: "amount" } },
+    check: (step) => {
+      const explicit = has(step, "amount0") || has(step, "amount1");
+      const complete = has(step, "amount0") && has(step, "amount1");
+      return (has(step, "size") ? !explicit : complete) ? null : "needs size, or both amount0 and amount1";
+    }
+  },
+  withdraw: {
+    vaultOnly: true,
+    fields: { all: { type: "boolean" }, fraction: { type: "number" } },
+    check: (step) => {
+      if (has(step, "all") === has(step, "fraction")) return "needs exactly one of all, fraction";
+      if (has(step, "all") && step.all !== true) return "all must be true";
+      if (has(step, "fraction") && !(step.fraction > 0 && step.fraction <= 1)) return "fraction must be in (0, 1]";
+      return null;
+    }
+  },
+  rebalance: {
+    vaultOnly: true,
+    // expect: revert simulates the call and passes only when the strategy refuses it
+    fields: { impersonate: { type: "boolean" }, expect: { type: "string", enum: ["success", "revert"] } }
+  },
+  harvest: {
+    vaultOnly: true,
+    fields: { impersonate: { type: "boolean" } }
+  },
+  assert: {
+    fields: {
+      inRange: { type: "boolean" },
+      tickMoved: { type: "boolean" },
+      tickMin: { type: "integer" },
+      tickMax: { type: "integer" },
+      feesIncreased: { type: "boolean" },
+      hasShares: { type: "boolean" }
+    },
+    vaultFields: ["inRange", "feesIncreased", "hasShares"],
+    check: (step) => (Object.keys(step).length > 1 ? null : "needs at least one condition")
+  }
+};
+
+const TARGET_FIELDS = {
+  vault: { type: "string" },
+  dex: { type: "string", enum: ["lotus", "quickswap", "both"] },
+  pair: { type: "string" }
+};
+
+function typeError(value, spec) {
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") return "must be a string";
+      break;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return "must be a number";
+      break;
+    case "integer":
+      if (!Number.isInteger(value)) return "must be an integer";
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return "must be true or false";
+      break;
+    case "amount":
+      if (!/^\d+(\.\d+)?$/.test(String(value)) || Number(value) <= 0) return "must be a positive decimal amount";
+      break;
+    default:
+      break;
+  }
+  if (spec.enum && !spec.enum.includes(value)) return `must be one of ${spec.enum.join(", ")}`;
+  return null;
+}
+
+function checkFields(where, obj, fields, errors, ignore = []) {
+  for (const key of Object.keys(obj)) {
+    if (ignore.includes(key)) continue;
+    if (!fields[key]) {
+      errors.push(`${where}: unknown field '${key}'`);
+      continue;
+    }
+    const problem = typeError(obj[key], fields[key]);
+    if (problem) errors.push(`${where}.${key} ${problem}`);
+  }
+  for (const [key, spec] of Object.entries(fields)) {
+    if (spec.required && obj[key] === undefined) errors.push(`${where}: missing '${key}'`);
+  }
+}
+
+function checkTarget(where, target, errors) {
+  if (target === undefined) return;
+  if (!target || typeof target !== "object" || Array.isArray(target)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  checkFields(where, target, TARGET_FIELDS, errors);
+  if (has(target, "vault") === has(target, "pair")) errors.push(`${where} needs exactly one of vault, pair`);
+  if (has(target, "pair") && !has(target, "dex")) errors.push(`${where}: pair targets need a dex`);
+}
+
+/**
+ * Validate a parsed scenario document against STEP_SCHEMAS.
+ * @returns {string[]} one message per problem, empty when valid
+ */
+function validateScenarios(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) return ["document must be an object"];
+
+  checkFields("document", doc, { version: { type: "integer" }, target: {}, scenarios: {} }, errors);
+  if (has(doc, "version") && doc.version !== 1) errors.push("document.version must be 1");
+  checkTarget("document.target", doc.target, errors);
+
+  if (!Array.isArray(doc.scenarios) || doc.scenarios.length === 0) {
+    errors.push("document.scenarios must be a non-empty list");
+    return errors;
+  }
+
+  const names = new Set();
+  doc.scenarios.forEach((scenario, i) => {
+    const where = `scenarios[${i}]`;
+    if (!scenario || typeof scenario !== "object") {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    checkFields(where, scenario, { name: { type: "string", required: true }, group: { type: "string" }, target: {}, steps: {} }, errors);
+    if (names.has(scenario.name)) errors.push(`${where}: duplicate name '${scenario.name}'`);
+    names.add(scenario.name);
+    checkTarget(`${where}.target`, scenario.target, errors);
+
+    if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+      errors.push(`${where}.steps must be a non-empty list`);
+      return;
+    }
+    const target = scenario.target || doc.target;
+    scenario.steps.forEach((step, j) => {
+      const stepWhere = `${where}.steps[${j}]`;
+      const schema = step && STEP_SCHEMAS[step.action];
+      if (!schema) {
+        errors.push(`${stepWhere}: unknown action '${step && step.action}' (expected ${Object.keys(STEP_SCHEMAS).join(", ")})`);
+        return;
+      }
+      const before = errors.length;
+      checkFields(`${stepWhere} (${step.action})`, step, schema.fields, errors, ["action"]);
+      if (errors.length === before && schema.check) {
+        const problem = schema.check(step);
+        if (problem) errors.push(`${stepWhere} (${step.action}) ${problem}`);
+      }
+      const needsVault = schema.vaultOnly || (schema.vaultFields || []).some((f) => has(step, f));
+      if (needsVault && target && has(target, "pair")) {
+        errors.push(`${stepWhere} (${step.action}) needs a vault target, got pair ${target.pair}`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Parse (YAML, or JSON for .json files) and validate a scenario file. Relative paths are
+ * resolved against the working directory, then scripts/scenarios.
+ * Throws SCENARIO_INVALID with details.errors when the file does not match the schema.
+ */
+function loadScenarioFile(file) {
+  const resolved = [path.resolve(file), path.join(SCENARIO_DIR, file)].find((p) => fs.existsSync(p));
+  if (!resolved) {
+    const error = new Error(`Scenario file not found: ${file}`);
+    error.code = "SCENARIO_NOT_FOUND";
+    throw error;
+  }
+
+  const text = fs.readFileSync(resolved, "utf8");
+  let doc;
+  try {
+    doc = resolved.endsWith(".json") ? JSON.parse(text) : yaml.load(text);
+  } catch (e) {
+    const error = new Error(`Cannot parse ${resolved}: ${e.message}`);
+    error.code = "SCENARIO_INVALID";
+    error.details = { file: resolved, errors: [e.message] };
+    throw error;
+  }
+
+  const errors = validateScenarios(doc);
+  if (errors.length) {
+    const error = new Error(`Invalid scenario file ${resolved}:\n  - ${errors.join("\n  - ")}`);
+    error.code = "SCENARIO_INVALID";
+    error.details = { file: resolved, errors };
+    throw error;
+  }
+  return { ...doc, file: resolved };
+}
+
+/**
+ * Resolve a { vault } or { dex, pair } target against the current config.
+ * Returns null when the vault/pair is not configured (the scenario is then skipped).
+ */
+function resolveTarget(target) {
+  if (has(target, "vault")) {
+    const vaultConfig = findVaultConfig(target.vault);
+    if (!vaultConfig) return null;
+    return {
+      kind: "vault",
+      name: vaultConfig.name,
+      dex: vaultConfig.dex,
+      token0: vaultConfig.token0,
+      token1: vaultConfig.token1,
+      feeTier: vaultConfig.feeTier,
+      pools: [vaultConfig.pool],
+      vaultConfig
+    };
+  }
+
+  const pairConfig = (config.pairs || []).find((p) => p.name === target.pair);
+  const token0 = pairConfig && config.tokens[pairConfig.token0];
+  const token1 = pairConfig && config.tokens[pairConfig.token1];
+  if (!token0 || !token1) return null;
+  return {
+    kind: "pair",
+    name: `${target.dex} ${target.pair}`,
+    dex: target.dex,
+    token0,
+    token1,
+    feeTier: pairConfig.feeTier,
+    pools: null
+  };
+}
+
+/**
+ * Human swap/deposit size for a token: stables trade in whole units, others in fractions.
+ */
+function baseAmountForSymbol(symbol, size) {
+  const isStable = symbol === "USDC" || symbol === "USDT" || symbol === "mUSD" || symbol === "mmUSD";
+  // Keep deposits conservative; many vaults are ratio-sensitive.
+  if (isStable) return size === "large" ? "10" : "1";
+  return size === "large" ? "1" : "0.1";
+}
+
+async function parseTokenAmount(signer, tokenAddress, human, size) {
+  const meta = await getTokenMeta(signer, tokenAddress);
+  const amountHuman = human !== undefined ? String(human) : baseAmountForSymbol(meta.symbol, size);
+  return { amount: ethers.utils.parseUnits(amountHuman, meta.decimals), human: amountHuman, symbol: meta.symbol };
+}
+
+async function targetPools(ctx) {
+  if (!ctx.target.pools) {
+    const { dex, token0, token1, feeTier } = ctx.target;
+    ctx.target.pools = (await ctx.mover.findPairPools(dex, token0, token1, feeTier)).map((p) => p.pool);
+  }
+  return ctx.target.pools;
+}
+
+async function readTicks(ctx) {
+  const ticks = {};
+  for (const pool of await targetPools(ctx)) {
+    const state = await readPoolState(ctx.signer.provider, pool, ctx.target.kind === "vault" ? ctx.target.dex : undefined);
+    ticks[pool] = state.ok ? state.tick : null;
+  }
+  return ticks;
+}
+
+async function snapshot(ctx) {
+  const snap = { ticks: await readTicks(ctx), fees: null, vault: null };
+  if (ctx.target.kind === "vault") {
+    snap.vault = await getVaultState(ctx.signer, ctx.target.vaultConfig);
+    const strategy = snap.vault.strategyAddress
+      ? new ethers.Contract(snap.vault.strategyAddress, STRATEGY_MIN_ABI, ctx.signer)
+      : null;
+    snap.fees = feeSum(await readStrategyFees(strategy));
+  }
+  return snap;
+}
+
+function assertionError(failures, details) {
+  const error = new Error(`Assertion failed: ${failures.join("; ")}`);
+  error.code = "SCENARIO_ASSERTION_FAILED";
+  error.details = details;
+  return error;
+}
+
+async function managedStrategy(ctx, step) {
+  const state = await getVaultState(ctx.signer, ctx.target.vaultConfig);
+  const options = has(step, "impersonate") ? { allowImpersonation: step.impersonate } : undefined;
+  const manager = await getStrategyManagerSigner(state.strategyAddress, ctx.signer, options);
+  if (!manager.signer) {
+    const error = new Error(`No keeper/owner signer available for strategy ${state.strategyAddress}`);
+    error.code = "NOT_AUTHORIZED";
+    throw error;
+  }
+  return { strategy: new ethers.Contract(state.strategyAddress, STRATEGY_MIN_ABI, manager.signer), manager };
+}
+
+// The vault strategy's TWAP guard; with `required`, throws unless it is set up and readable.
+async function twapGuard(ctx, { required = true } = {}) {
+  const state = await getVaultState(ctx.signer, ctx.target.vaultConfig);
+  const guard = { strategyAddress: state.strategyAddress, ...(await readStrategyTwapGuard(ctx.signer.provider, state.strategyAddress)) };
+  if (required && (!guard.twapInterval || !guard.maxTickDeviation || guard.twap === null)) {
+    const error = new Error(`Strategy ${state.strategyAddress} has no readable TWAP guard (twapInterval=${guard.twapInterval}, maxTickDeviation=${guard.maxTickDeviation}, twap=${guard.twap})`);
+    error.code = "TWAP_GUARD_UNAVAILABLE";
+    error.details = guard;
+    throw error;
+  }
+  return guard;
+}
+
+function revertReason(e) {
+  if (e?.errorName) return e.errorName;
+  return String(e?.reason || e?.error?.message || e?.message || e).split("\n")[0].slice(0, 160);
+}
+
+// rebalance() with `expect: revert`: simulate it and pass only if the strategy refuses it.
+async function refusedRebalance(ctx, strategy, manager) {
+  const guard = await readStrategyTwapGuard(ctx.signer.provider, strategy.address);
+  const oracle = guard.twapInterval
+    ? await readPoolTwap(ctx.signer.provider, ctx.target.vaultConfig.pool, { dex: ctx.target.dex, windowSec: guard.twapInterval })
+    : null;
+  const details = { role: manager.role, guard, deviation: oracle && oracle.ok ? oracle.deviation : null };
+
+  let reason = null;
+  try {
+    // With the guard's errors in the ABI a NotCalm() revert is reported by name.
+    const guarded = new ethers.Contract(strategy.address, [...STRATEGY_MIN_ABI, ...TWAP_GUARD_ABI], strategy.signer);
+    await guarded.callStatic.rebalance({ gasLimit: 1_200_000 });
+  } catch (e) {
+    reason = revertReason(e);
+  }
+  const off = details.deviation === null ? "" : ` with spot ${details.deviation} ticks off the TWAP`;
+  if (reason === null) throw assertionError([`rebalance() would go through${off}`], details);
+  if (guard.isCalm === true) throw assertionError([`rebalance() reverted (${reason}) but isCalm() is true`], { ...details, reason });
+  return { note: `refused as ${manager.role}${off}: ${reason}`, details: { ...details, reason } };
+}
+
+async function movePrice(ctx, scenario) {
+  const { mover } = ctx;
+  const { dex, token0, token1, feeTier } = ctx.target;
+  switch (scenario) {
+    case "small-up":
+      return mover.movePriceUp(dex, token0, token1, feeTier, 3);
+    case "small-down":
+      return mover.movePriceDown(dex, token0, token1, feeTier, 3);
+    case "large-up":
+      return mover.movePriceUp(dex, token0, token1, feeTier, 15);
+    case "large-down":
+      return mover.movePriceDown(dex, token0, token1, feeTier, 15);
+    case "volatility":
+      return mover.createVolatility(dex, token0, token1, feeTier, 10, "medium");
+    case "out-of-range-up":
+      return mover.pushOutOfRange(dex, token0, token1, feeTier, "up");
+    case "out-of-range-down":
+      return mover.pushOutOfRange(dex, token0, token1, feeTier, "down");
+    case "gradual-up":
+      return mover.gradualDrift(dex, token0, token1, feeTier, "up", 5);
+    case "gradual-down":
+      return mover.gradualDrift(dex, token0, token1, feeTier, "down", 5);
+    default:
+      throw new Error(`Unknown price scenario: ${scenario}`);
+  }
+}
+
+// Each executor returns { note, details } for the report.
+const STEP_EXECUTORS = {
+  async swap(ctx, step) {
+    const { dex, token0, token1, feeTier } = ctx.target;
+    if (has(step, "percent")) {
+      const moves = step.direction === "up"
+        ? await ctx.mover.movePriceUp(dex, token0, token1, feeTier, step.percent)
+        : await ctx.mover.movePriceDown(dex, token0, token1, feeTier, step.percent);
+      return {
+        note: moves.map((m) => `${m.dex} tick ${m.startTick}→${m.resultTick}`).join(", "),
+        details: { moves: moves.map((m) => ({ pool: m.pool, startTick: m.startTick, resultTick: m.resultTick })) }
+      };
+    }
+
+    const [tokenIn, tokenOut] = step.direction === "up" ? [token0, token1] : [token1, token0];
+    const { amount, human, symbol } = await parseTokenAmount(ctx.signer, tokenIn, step.amount, step.size);
+    const dexes = dex === "both" ? ["quickswap", "lotus"] : [dex];
+    const txs = [];
+    for (const venue of dexes) {
+      const res = await ctx.swapHelper.swap({ dex: venue, tokenIn, tokenOut, amountIn: amount, feeTier });
+      txs.push(res.txHash);
+    }
+    return { note: `${human} ${symbol} in, tx=${txs.join(",")}`, details: { amountIn: amount.toString(), txs } };
+  },
+
+  async "price-scenario"(ctx, step) {
+    await movePrice(ctx, step.scenario);
+    return { note: step.scenario };
+  },
+
+  async "move-to-tick"(ctx, step) {
+    const moves = [];
+    const guard = has(step, "deviations") ? await twapGuard(ctx) : null;
+    for (const pool of await targetPools(ctx)) {
+      const current = await readPoolState(ctx.signer.provider, pool, ctx.target.kind === "vault" ? ctx.target.dex : undefined);
+      const tick = has(step, "tick")
+        ? step.tick
+        : guard
+          ? guard.twap + Math.round(step.deviations * guard.maxTickDeviation)
+          : current.tick + step.offset;
+      const res = await ctx.mover.movePriceToTick(pool, tick, { toleranceTicks: step.toleranceTicks });
+      moves.push({ pool, startTick: res.startTick, targetTick: tick, resultTick: res.resultTick });
+    }
+    return { note: moves.map((m) => `tick ${m.startTick}→${m.resultTick}`).join(", "), details: { moves } };
+  },
+
+  async twap(ctx, step) {
+    const guard = ctx.target.kind === "vault" ? await twapGuard(ctx, { required: false }) : null;
+    const windowSec = step.window ?? (guard?.twapInterval || DEFAULT_WINDOW_SEC);
+    const reads = [];
+    for (const pool of await targetPools(ctx)) {
+      const read = await readPoolTwap(ctx.signer.provider, pool, { dex: ctx.target.kind === "vault" ? ctx.target.dex : undefined, windowSec });
+      if (!read.ok) {
+        const error = new Error(`TWAP not readable on ${pool}: ${read.reason}`);
+        error.code = "TWAP_UNAVAILABLE";
+        error.details = { pool, windowSec, spotTick: read.spotTick };
+        throw error;
+      }
+      reads.push({ pool, ...read, volatility: read.volatility === null ? null : read.volatility.toString() });
+    }
+
+    const failures = [];
+    for (const r of reads) {
+      const off = Math.abs(r.deviation);
+      if (has(step, "maxDeviation") && off > step.maxDeviation) failures.push(`spot ${r.spotTick} is ${off} ticks from TWAP ${r.twapTick}, max ${step.maxDeviation}`);
+      if (has(step, "minDeviation") && off < step.minDeviation) failures.push(`spot ${r.spotTick} is ${off} ticks from TWAP ${r.twapTick}, min ${step.minDeviation}`);
+    }
+    if (has(step, "calm") && guard.isCalm !== step.calm) failures.push(`isCalm() is ${guard.isCalm}, expected ${step.calm}`);
+
+    const details = { windowSec, reads, guard };
+    if (failures.length) throw assertionError(failures, details);
+    return {
+      note: reads.map((r) => `spot ${r.spotTick} TWAP ${r.twapTick} (${r.deviation >= 0 ? "+" : ""}${r.deviation}, ${r.source} ${windowSec}s)`).join(", "),
+      details
+    };
+  },
+
+  async wait(ctx, step) {
+    const provider = ctx.signer.provider;
+    const startBlock = await provider.getBlockNumber();
+    if (hre.network.name === "hardhat") {
+      if (step.seconds) await provider.send("evm_increaseTime", [Math.ceil(step.seconds)]);
+      await provider.send("hardhat_mine", [ethers.utils.hexValue(step.blocks || 1)]);
+    } else {
+      if (step.seconds) await sleep(step.seconds * 1000);
+      while (step.blocks && (await provider.getBlockNumber()) < startBlock + step.blocks) await sleep(2000);
+    }
+    const endBlock = await provider.getBlockNumber();
+    return { note: `block ${startBlock}→${endBlock}`, details: { startBlock, endBlock } };
+  },
+
+  async deposit(ctx, step) {
+    const state = await getVaultState(ctx.signer, ctx.target.vaultConfig);
+    const vault = new ethers.Contract(state.vaultAddress, withDiscoveredAbi(state.vaultAddress, VAULT_ACTIONS_ABI), ctx.signer);
+    const amounts = [];
+    for (const [tokenAddress, human] of [[state.token0Address, step.amount0], [state.token1Address, step.amount1]]) {
+      const parsed = await parseTokenAmount(ctx.signer, tokenAddress, human, step.size);
+      // deposit() pulls min(allowance, balance), so the allowance is the deposit size
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, ctx.signer);
+      await (await token.approve(vault.address, parsed.amount)).wait();
+      amounts.push(parsed);
+    }
+
+    const receipt = await (await vault.deposit()).wait();
+    const after = await vault.balanceOf(state.user.address);
+    const minted = after.sub(state.user.shares);
+    return {
+      note: `${amounts.map((a) => `${a.human} ${a.symbol}`).join(" + ")} → ${ethers.utils.formatEther(minted)} shares tx=${receipt.transactionHash}`,
+      details: { mintedShares: minted.toString(), txHash: receipt.transactionHash }
+    };
+  },
+
+  async withdraw(ctx, step) {
+    const state = await getVaultState(ctx.signer, ctx.target.vaultConfig);
+    const vault = new ethers.Contract(state.vaultAddress, withDiscoveredAbi(state.vaultAddress, VAULT_ACTIONS_ABI), ctx.signer);
+    const shares = step.all ? state.user.shares : state.user.shares.mul(Math.round(step.fraction * 1e6)).div(1e6);
+    if (shares.isZero()) throw new Error("No shares to withdraw");
+
+    const tx = step.all ? await vault.withdrawAll(0, 0) : await vault.withdraw(shares, 0, 0);
+    const receipt = await tx.wait();
+    return {
+      note: `${ethers.utils.formatEther(shares)} shares tx=${receipt.transactionHash}`,
+      details: { shares: shares.toString(), txHash: receipt.transactionHash }
+    };
+  },
+
+  async rebalance(ctx, step) {
+    const { strategy, manager } = await managedStrategy(ctx, step);
+    if (step.expect === "revert") return refusedRebalance(ctx, strategy, manager);
+    const receipt = await (await strategy.rebalance({ gasLimit: 1_200_000 })).wait();
+    const state = await getVaultState(ctx.signer, ctx.target.vaultConfig);
+    return {
+      note: `as ${manager.role}: range [${state.tickLower}, ${state.tickUpper}] tx=${receipt.transactionHash}`,
+      details: { role: manager.role, tickLower: state.tickLower, tickUpper: state.tickUpper, txHash: receipt.transactionHash }
+    };
+  },
+
+  async harvest(ctx, step) {
+    const { strategy, manager } = await managedStrategy(ctx, step);
+    const receipt = await (await strategy.harvest({ gasLimit: 1_200_000 })).wait();
+    return { note: `as ${manager.role} tx=${receipt.transactionHash}`, details: { role: manager.role, txHash: receipt.transactionHash } };
+  },
+
+  async assert(ctx, step) {
+    const now = await snapshot(ctx);
+    const failures = [];
+    const ticks = Object.values(now.ticks);
+
+    if (has(step, "inRange") && now.vault.inRange !== step.inRange) {
+      failures.push(`inRange is ${now.vault.inRange}, expected ${step.inRange}`);
+    }
+    if (has(step, "tickMoved")) {
+      const moved = Object.keys(now.ticks).some((pool) => now.ticks[pool] !== ctx.start.ticks[pool]);
+      if (moved !== step.tickMoved) failures.push(`tickMoved is ${moved}, expected ${step.tickMoved}`);
+    }
+    if (has(step, "tickMin") && ticks.some((t) => t < step.tickMin)) failures.push(`tick ${ticks.join(",")} below ${step.tickMin}`);
+    if (has(step, "tickMax") && ticks.some((t) => t > step.tickMax)) failures.push(`tick ${ticks.join(",")} above ${step.tickMax}`);
+    if (has(step, "feesIncreased")) {
+      const increased = now.fees !== null && ctx.start.fees !== null && now.fees.gt(ctx.start.fees);
+      if (increased !== step.feesIncreased) failures.push(`feesIncreased is ${increased}, expected ${step.feesIncreased}`);
+    }
+    if (has(step, "hasShares") && !now.vault.user.shares.isZero() !== step.hasShares) {
+      failures.push(`hasShares is ${!now.vault.user.shares.isZero()}, expected ${step.hasShares}`);
+    }
+
+    const details = {
+      ticks: now.ticks,
+      startTicks: ctx.start.ticks,
+      inRange: now.vault ? now.vault.inRange : null,
+      fees: now.fees ? now.fees.toString() : null,
+      shares: now.vault ? now.vault.user.shares.toString() : null
+    };
+    if (failures.length) throw assertionError(failures, details);
+    return { note: "ok", details };
+  }
+};
+
+/**
+ * Run every scenario of a loaded document.
+ *
+ * @param {object} signer
+ * @param {object} doc result of loadScenarioFile (or a document that passes validateScenarios)
+ * @param {object} options
+ * @param {object} options.reporter createRunReporter() instance every step is recorded on
+ * @param {object} options.mover PriceMover used for swap/move/price-scenario steps
+ * @param {object} [options.target] { vault } or { dex, pair } overriding the file's targets
+ * @param {number} [options.pauseMs=0] pause between scenarios (RPC pacing)
+ * @returns {Promise<object[]>} per scenario { scenario, group, target, success, skipped, steps }
+ */
+async function runScenarios(signer, doc, { reporter, mover, target: override, pauseMs = 0 } = {}) {
+  // Re-validate: the override target may rule out vault-only steps
+  const { file, ...body } = doc;
+  const errors = validateScenarios(
+    override ? { ...body, target: override, scenarios: body.scenarios.map(({ target, ...s }) => s) } : body
+  );
+  if (errors.length) {
+    const error = new Error(`Invalid scenarios:\n  - ${errors.join("\n  - ")}`);
+    error.code = "SCENARIO_INVALID";
+    error.details = { file, errors };
+    throw error;
+  }
+
+  const results = [];
+  for (const scenario of doc.scenarios) {
+    const targetSpec = override || scenario.target || doc.target;
+    const label = targetSpec ? targetSpec.vault || `${targetSpec.dex} ${targetSpec.pair}` : "(no target)";
+    const target = targetSpec ? resolveTarget(targetSpec) : null;
+    console.log(`\n🎬 Scenario: ${scenario.name} → ${target ? target.name : label}`);
+
+    if (!target) {
+      const note = targetSpec ? `target ${label} is not configured` : "scenario has no target";
+      console.log(`  ⏭️  ${note}`);
+      reporter.recordScenario(label, scenario.name, { skipped: true, success: false, note });
+      results.push({ scenario: scenario.name, group: scenario.group, target: label, success: false, skipped: true, steps: [] });
+      continue;
+    }
+
+    const vaultMeta = { address: target.vaultConfig ? target.vaultConfig.vault : null, dex: target.dex };
+    const ctx = { signer, mover, swapHelper: mover.swapHelper, target };
+    const steps = [];
+    let failed = false;
+
+    try {
+      ctx.start = await snapshot(ctx);
+    } catch (e) {
+      failed = true;
+      reporter.recordScenario(target.name, `${scenario.name} #0 snapshot`, { success: false, note: String(e.message).slice(0, 200), vaultMeta });
+    }
+
+    for (const [i, step] of scenario.steps.entries()) {
+      const stepName = `${scenario.name} #${i + 1} ${step.action}`;
+      if (failed) {
+        reporter.recordScenario(target.name, stepName, { skipped: true, success: false, note: "previous step failed", vaultMeta });
+        steps.push({ action: step.action, skipped: true });
+        continue;
+      }
+
+      console.log(`  ▶ ${i + 1}. ${step.action}`);
+      try {
+        const { note, details } = await STEP_EXECUTORS[step.action](ctx, step);
+        reporter.recordScenario(target.name, stepName, { success: true, note, details, vaultMeta });
+        steps.push({ action: step.action, success: true, details });
+      } catch (e) {
+        failed = true;
+        console.log(`  ❌ ${step.action} failed: ${String(e.message).slice(0, 200)}`);
+        reporter.recordScenario(target.name, stepName, {
+          success: false,
+          note: String(e.message).slice(0, 200),
+          details: { code: e.code || null, ...(e.details || {}) },
+          vaultMeta
+        });
+        steps.push({ action: step.action, success: false, error: e.message, code: e.code });
+      }
+    }
+
+    results.push({ scenario: scenario.name, group: scenario.group, target: target.name, success: !failed, skipped: false, steps });
+    if (pauseMs > 0) await sleep(pauseMs);
+  }
+  return results;
+}
+
+/**
+ * Run one step outside a scenario file, e.g. from a CLI. The step is validated like a scenario
+ * step (SCENARIO_INVALID) and its target resolved like a scenario target (SCENARIO_TARGET_UNKNOWN).
+ *
+ * @param {object} signer
+ * @param {object} targetSpec { vault } or { dex, pair }
+ * @param {object} step { action, ...fields } as in STEP_SCHEMAS
+ * @param {object} options
+ * @param {object} options.mover PriceMover used for swap/move/price-scenario steps
+ * @returns {Promise<{ note: string, details?: object }>} the step executor's result
+ */
+async function runStep(signer, targetSpec, step, { mover }) {
+  const errors = validateScenarios({ target: targetSpec, scenarios: [{ name: step.action, steps: [step] }] });
+  if (errors.length) {
+    const error = new Error(`Invalid ${step.action} step:\n  - ${errors.join("\n  - ")}`);
+    error.code = "SCENARIO_INVALID";
+    error.details = { errors };
+    throw error;
+  }
+  const target = resolveTarget(targetSpec);
+  if (!target) {
+    const error = new Error(`Target ${targetSpec.vault || `${targetSpec.dex} ${targetSpec.pair}`} is not configured`);
+    error.code = "SCENARIO_TARGET_UNKNOWN";
+    throw error;
+  }
+  const ctx = { signer, mover, swapHelper: mover.swapHelper, target };
+  // Only assert compares against the state at the start.
+  if (step.action === "assert") ctx.start = await snapshot(ctx);
+  return STEP_EXECUTORS[step.action](ctx, step);
+}
+
+module.exports = {
+  SCENARIO_DIR,
+  PRICE_SCENARIOS,
+  STEP_SCHEMAS,
+  validateScenarios,
+  loadScenarioFile,
+  resolveTarget,
+  baseAmountForSymbol,
+  runScenarios,
+  runStep
+};
@@ -9,7 +9,8 @@
  */
 
 const { ethers } = require("hardhat");
-const config = require("../../testnet-config.json");
+const { config } = require("../../config");
+const { quoteLotusExactInputSingle, getLotusQuoter, applySlippage, slippageExceededError } = require("./lotus-quoter");
 
 // ERC20 ABI for token approvals and balance checks
 const ERC20_ABI = [
@@ -23,6 +24,10 @@ const ERC20_ABI = [
 // DirectPoolSwapper ABI (our custom contract)
 const DIRECT_POOL_SWAPPER_ABI = [
   "function swap(address pool, bool zeroToOne, int256 amountIn, uint160 limitSqrtPrice) external returns (int256 amount0, int256 amount1)",
+  "function exactInput((address pool, bool zeroToOne, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 limitSqrtPrice)) external returns (uint256 amountOut)",
+  "function exactOutput((address pool, bool zeroToOne, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 limitSqrtPrice)) external returns (uint256 amountIn)",
+  "function exactInputPath((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum)) external returns (uint256 amountOut)",
+  "function quoteExactInputPath(bytes path, uint256 amountIn) external returns (uint256 amountOut)",
   "function algebraSwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external"
 ];
 
@@ -39,16 +44,27 @@ const POOL_ABI = [
   "function liquidity() external view returns (uint128)"
 ];
 
+// Lotus pools expose their fee tier, which the router needs to resolve the pool
+const LOTUS_POOL_FEE_ABI = ["function fee() external view returns (uint24)"];
+
+// Longest route findRoutes() explores by default
+const DEFAULT_MAX_HOPS = 3;
+
 // Default slippage tolerance (0.5% = 50 basis points)
 const DEFAULT_SLIPPAGE_BPS = 50;
 
 // Gas price for Dukong testnet (minimum required)
 const TESTNET_GAS_PRICE = ethers.utils.parseUnits("50", "gwei");
 
+// Default deadline: 10 minutes past the latest block
+const DEFAULT_DEADLINE_SECONDS = 600;
+
+const BPS = 10000;
+
 class SwapHelper {
   constructor(signer, options = {}) {
     this.signer = signer;
-    this.slippageBps = options.slippageBps || DEFAULT_SLIPPAGE_BPS;
+    this.slippageBps = options.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
     this.debug = options.debug || false;
     
     // Initialize DirectPoolSwapper (for QuickSwap)
@@ -136,10 +152,35 @@ class SwapHelper {
     return ethers.utils.formatUnits(amount, decimals);
   }
 
+  /**
+   * Slippage tolerance for one swap: options.slippageBps, else the helper default
+   */
+  resolveSlippageBps(options = {}) {
+    const bps = options.slippageBps ?? this.slippageBps;
+    if (!Number.isInteger(bps) || bps < 0 || bps > BPS) {
+      const error = new Error(`Invalid slippageBps: ${bps}`);
+      error.code = "INVALID_SLIPPAGE";
+      throw error;
+    }
+    return bps;
+  }
+
+  /**
+   * Absolute deadline: options.deadline, else DEFAULT_DEADLINE_SECONDS past the latest block.
+   * Uses chain time rather than Date.now() so forks and time-travelling tests behave.
+   */
+  async resolveDeadline(options = {}) {
+    if (options.deadline) return options.deadline;
+    const block = await this.signer.provider.getBlock("latest");
+    return block.timestamp + DEFAULT_DEADLINE_SECONDS;
+  }
+
   /**
    * Ensure token approval for a spender
+   *
+   * Approves MaxUint256 unless options.exact, which approves just `amount`.
    */
-  async ensureApproval(tokenAddress, spenderAddress, amount) {
+  async ensureApproval(tokenAddress, spenderAddress, amount, options = {}) {
     const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.signer);
     const owner = await this.signer.getAddress();
     
@@ -151,7 +192,7 @@ class SwapHelper {
     }
     
     this.log(`Approving token...`);
-    const tx = await token.approve(spenderAddress, ethers.constants.MaxUint256, {
+    const tx = await token.approve(spenderAddress, options.exact ? amount : ethers.constants.MaxUint256, {
       gasPrice: TESTNET_GAS_PRICE,
       nonce: await this._pendingNonce()
     });
@@ -200,95 +241,142 @@ class SwapHelper {
   }
 
   /**
-   * Execute QuickSwap swap using DirectPoolSwapper
-   * This bypasses the router's broken pool address computation
+   * Shared QuickSwap pre-flight: token info, pool lookup, swapper checks and direction
    */
-  async swapQuickSwap(tokenIn, tokenOut, amountIn, options = {}) {
-    console.log(`    🔄 QuickSwap Swap`);
-    
-    // 1. Get token info
+  async _prepareQuickSwap(tokenIn, tokenOut) {
     const tokenInInfo = await this.getTokenInfo(tokenIn);
     const tokenOutInfo = await this.getTokenInfo(tokenOut);
-    
+
     console.log(`       ${tokenInInfo.symbol} → ${tokenOutInfo.symbol}`);
-    console.log(`       Amount: ${this.formatAmount(amountIn, tokenInInfo.decimals)} ${tokenInInfo.symbol}`);
-    
-    // 2. Check balance
-    if (tokenInInfo.balance.lt(amountIn)) {
-      const error = new Error(`Insufficient ${tokenInInfo.symbol} balance`);
-      error.code = "INSUFFICIENT_BALANCE";
-      error.details = {
-        required: this.formatAmount(amountIn, tokenInInfo.decimals),
-        available: this.formatAmount(tokenInInfo.balance, tokenInInfo.decimals),
-        tokenIn: tokenIn,
-        tokenInSymbol: tokenInInfo.symbol
-      };
-      throw error;
-    }
-    
-    // 3. Find the pool
+
     const poolInfo = this.findQuickSwapPool(tokenIn, tokenOut);
     if (!poolInfo) {
-      const error = new Error(`No QuickSwap pool found for ${tokenInInfo.symbol}/${tokenOutInfo.symbol}`);
+      const error = new Error(`No QuickSwap pool found for ${tokenInInfo.symbol}/${tokenOutInfo.symbol} (dex: "auto" routes through other pools)`);
       error.code = "POOL_NOT_FOUND";
       throw error;
     }
-    
+
     console.log(`       Pool: ${poolInfo.pairName} (${poolInfo.poolAddress})`);
-    
-    // 4. Check if DirectPoolSwapper is available
+
     if (!this.directPoolSwapper) {
-      const error = new Error("DirectPoolSwapper not configured. Add 'directPoolSwapper' address to testnet-config.json under 'quickswap'");
+      const error = new Error("DirectPoolSwapper not configured. Add 'directPoolSwapper' under 'quickswap' in the network profile");
       error.code = "SWAPPER_NOT_CONFIGURED";
       throw error;
     }
-    
-    // 5. Determine swap direction (zeroToOne)
+    await this._requireExactSwapSupport();
+
     // If tokenIn is token0, we're swapping token0 for token1 (zeroToOne = true)
     const pool = new ethers.Contract(poolInfo.poolAddress, POOL_ABI, this.signer.provider);
     const poolToken0 = await pool.token0();
     const zeroToOne = tokenIn.toLowerCase() === poolToken0.toLowerCase();
-    
+
     console.log(`       Direction: ${zeroToOne ? 'token0 → token1' : 'token1 → token0'}`);
-    
-    // 6. Check pool liquidity
+
     const liquidity = await pool.liquidity();
     if (liquidity.eq(0)) {
       const error = new Error(`Pool has no liquidity`);
       error.code = "NO_LIQUIDITY";
       throw error;
     }
-    
-    // 7. Ensure approval for DirectPoolSwapper
+
+    return { tokenInInfo, tokenOutInfo, poolInfo, zeroToOne };
+  }
+
+  /**
+   * Swappers deployed before exactInput/exactOutput existed have neither slippage protection
+   * nor the callback check, so refuse to use them rather than silently swapping unprotected.
+   */
+  async _requireExactSwapSupport() {
+    if (this._swapperChecked) return;
+    const code = await this.signer.provider.getCode(this.directPoolSwapper.address);
+    const selector = this.directPoolSwapper.interface.getSighash("exactInput").slice(2);
+    if (!code.toLowerCase().includes(selector)) {
+      const error = new Error("Configured DirectPoolSwapper predates exactInput/exactOutput; redeploy it with scripts/deploy-and-test-swapper.js");
+      error.code = "SWAPPER_OUTDATED";
+      error.details = { directPoolSwapper: this.directPoolSwapper.address };
+      throw error;
+    }
+    this._swapperChecked = true;
+  }
+
+  /**
+   * Execute QuickSwap swap using DirectPoolSwapper
+   * This bypasses the router's broken pool address computation
+   *
+   * The swap is simulated first; amountOutMinimum is the simulated output less slippageBps
+   * (or options.amountOutMinimum). A shortfall fails with SLIPPAGE_EXCEEDED.
+   *
+   * @param {object} [options] { slippageBps, amountOutMinimum, deadline, recipient, limitSqrtPrice }
+   */
+  async swapQuickSwap(tokenIn, tokenOut, amountIn, options = {}) {
+    console.log(`    🔄 QuickSwap Swap`);
+
+    const slippageBps = this.resolveSlippageBps(options);
+    const { tokenInInfo, tokenOutInfo, poolInfo, zeroToOne } = await this._prepareQuickSwap(tokenIn, tokenOut);
+    console.log(`       Amount: ${this.formatAmount(amountIn, tokenInInfo.decimals)} ${tokenInInfo.symbol}`);
+
+    // Check balance
+    if (tokenInInfo.balance.lt(amountIn)) {
+      const error = new Error(`Insufficient ${tokenInInfo.symbol} balance`);
+      error.code = "INSUFFICIENT_BALANCE";
+      error.details = {
+        required: this.formatAmount(amountIn, tokenInInfo.decimals),
+        available: this.formatAmount(tokenInInfo.balance, tokenInInfo.decimals),
+        tokenIn: tokenIn,
+        tokenInSymbol: tokenInInfo.symbol
+      };
+      throw error;
+    }
+
+    // Ensure approval for DirectPoolSwapper
     await this.ensureApproval(tokenIn, this.directPoolSwapper.address, amountIn);
-    
-    // 8. Get balances before
-    const tokenOutBalanceBefore = await tokenOutInfo.contract.balanceOf(await this.signer.getAddress());
-    
-    // 9. Execute swap
+
+    const recipient = options.recipient || await this.signer.getAddress();
+    const params = {
+      pool: poolInfo.poolAddress,
+      zeroToOne,
+      recipient,
+      deadline: await this.resolveDeadline(options),
+      amountIn,
+      amountOutMinimum: 0,
+      limitSqrtPrice: options.limitSqrtPrice || 0
+    };
+
+    const errorDetails = {
+      tokenIn,
+      tokenOut,
+      tokenInSymbol: tokenInInfo.symbol,
+      tokenOutSymbol: tokenOutInfo.symbol,
+      amountIn: this.formatAmount(amountIn, tokenInInfo.decimals),
+      pool: poolInfo.poolAddress,
+      slippageBps
+    };
+
+    let expectedAmountOut;
     try {
-      const tx = await this.directPoolSwapper.swap(
-        poolInfo.poolAddress,
-        zeroToOne,
-        amountIn, // positive = exact input
-        0, // no price limit
-        {
-          gasLimit: 500000,
-          gasPrice: TESTNET_GAS_PRICE,
-          nonce: await this._pendingNonce()
-        }
-      );
-      
+      expectedAmountOut = await this.directPoolSwapper.callStatic.exactInput(params);
+      params.amountOutMinimum = options.amountOutMinimum ?? applySlippage(expectedAmountOut, slippageBps);
+      errorDetails.expectedAmountOut = expectedAmountOut.toString();
+      errorDetails.amountOutMinimum = params.amountOutMinimum.toString();
+
+      const tokenOutBalanceBefore = await tokenOutInfo.contract.balanceOf(recipient);
+
+      const tx = await this.directPoolSwapper.exactInput(params, {
+        gasLimit: 500000,
+        gasPrice: TESTNET_GAS_PRICE,
+        nonce: await this._pendingNonce()
+      });
+
       console.log(`       Tx sent: ${tx.hash}`);
       const receipt = await tx.wait();
-      
-      // 10. Calculate actual output
-      const tokenOutBalanceAfter = await tokenOutInfo.contract.balanceOf(await this.signer.getAddress());
+
+      // Calculate actual output
+      const tokenOutBalanceAfter = await tokenOutInfo.contract.balanceOf(recipient);
       const actualOutput = tokenOutBalanceAfter.sub(tokenOutBalanceBefore);
-      
+
       console.log(`       ✅ Swap confirmed in block ${receipt.blockNumber}`);
       console.log(`       Output: ${this.formatAmount(actualOutput, tokenOutInfo.decimals)} ${tokenOutInfo.symbol}`);
-      
+
       return {
         success: true,
         txHash: receipt.transactionHash,
@@ -296,36 +384,482 @@ class SwapHelper {
         gasUsed: receipt.gasUsed.toString(),
         amountIn: amountIn,
         amountOut: actualOutput,
+        expectedAmountOut,
+        amountOutMinimum: params.amountOutMinimum,
         pool: poolInfo.poolAddress
       };
     } catch (error) {
-      // Enhanced error diagnostics
-      const swapError = new Error(`Swap failed: ${error.message}`);
-      swapError.code = "SWAP_FAILED";
-      swapError.details = {
-        tokenIn,
-        tokenOut,
-        tokenInSymbol: tokenInInfo.symbol,
-        tokenOutSymbol: tokenOutInfo.symbol,
-        amountIn: this.formatAmount(amountIn, tokenInInfo.decimals),
-        pool: poolInfo.poolAddress,
-        originalError: error.message
+      if (expectedAmountOut && params.amountOutMinimum) {
+        const realisedAmountOut = await this.directPoolSwapper.callStatic
+          .exactInput({ ...params, amountOutMinimum: 0 })
+          .catch(() => null);
+        if (realisedAmountOut && realisedAmountOut.lt(params.amountOutMinimum)) {
+          const slippageError = slippageExceededError({
+            ...errorDetails,
+            quotedAmountOut: expectedAmountOut,
+            amountOutMinimum: params.amountOutMinimum,
+            realisedAmountOut
+          });
+          slippageError.details.originalError = error.message;
+          throw slippageError;
+        }
+      }
+      throw this._quickSwapError(error, errorDetails);
+    }
+  }
+
+  /**
+   * Execute an exact-output QuickSwap swap: receive exactly `amountOut` of tokenOut.
+   *
+   * The swap is simulated first; amountInMaximum is the simulated input plus slippageBps.
+   *
+   * @param {object} [options] { slippageBps, deadline, recipient, limitSqrtPrice }
+   */
+  async swapQuickSwapExactOutput(tokenIn, tokenOut, amountOut, options = {}) {
+    console.log(`    🔄 QuickSwap Swap (exact output)`);
+
+    const slippageBps = this.resolveSlippageBps(options);
+    const { tokenInInfo, tokenOutInfo, poolInfo, zeroToOne } = await this._prepareQuickSwap(tokenIn, tokenOut);
+    console.log(`       Amount out: ${this.formatAmount(amountOut, tokenOutInfo.decimals)} ${tokenOutInfo.symbol}`);
+
+    // The simulation pulls tokenIn, so the allowance has to cover whatever it may need.
+    await this.ensureApproval(tokenIn, this.directPoolSwapper.address, tokenInInfo.balance);
+
+    const recipient = options.recipient || await this.signer.getAddress();
+    const params = {
+      pool: poolInfo.poolAddress,
+      zeroToOne,
+      recipient,
+      deadline: await this.resolveDeadline(options),
+      amountOut,
+      amountInMaximum: ethers.constants.MaxUint256,
+      limitSqrtPrice: options.limitSqrtPrice || 0
+    };
+
+    const errorDetails = {
+      tokenIn,
+      tokenOut,
+      tokenInSymbol: tokenInInfo.symbol,
+      tokenOutSymbol: tokenOutInfo.symbol,
+      amountOut: this.formatAmount(amountOut, tokenOutInfo.decimals),
+      pool: poolInfo.poolAddress,
+      slippageBps
+    };
+
+    let expectedAmountIn;
+    try {
+      expectedAmountIn = await this.directPoolSwapper.callStatic.exactOutput(params);
+    } catch (error) {
+      throw this._quickSwapError(error, errorDetails);
+    }
+    params.amountInMaximum = expectedAmountIn.mul(BPS + slippageBps).div(BPS);
+    errorDetails.expectedAmountIn = expectedAmountIn.toString();
+    errorDetails.amountInMaximum = params.amountInMaximum.toString();
+
+    if (tokenInInfo.balance.lt(params.amountInMaximum)) {
+      const error = new Error(`Insufficient ${tokenInInfo.symbol} balance`);
+      error.code = "INSUFFICIENT_BALANCE";
+      error.details = {
+        required: this.formatAmount(params.amountInMaximum, tokenInInfo.decimals),
+        available: this.formatAmount(tokenInInfo.balance, tokenInInfo.decimals),
+        tokenIn: tokenIn,
+        tokenInSymbol: tokenInInfo.symbol
       };
-      
-      // Try to get more details from transaction
-      if (error.transactionHash) {
-        swapError.details.txHash = error.transactionHash;
+      throw error;
+    }
+
+    try {
+      const owner = await this.signer.getAddress();
+      const tokenInBalanceBefore = await tokenInInfo.contract.balanceOf(owner);
+      const tokenOutBalanceBefore = await tokenOutInfo.contract.balanceOf(recipient);
+
+      const tx = await this.directPoolSwapper.exactOutput(params, {
+        gasLimit: 500000,
+        gasPrice: TESTNET_GAS_PRICE,
+        nonce: await this._pendingNonce()
+      });
+
+      console.log(`       Tx sent: ${tx.hash}`);
+      const receipt = await tx.wait();
+
+      const actualInput = tokenInBalanceBefore.sub(await tokenInInfo.contract.balanceOf(owner));
+      const actualOutput = (await tokenOutInfo.contract.balanceOf(recipient)).sub(tokenOutBalanceBefore);
+
+      console.log(`       ✅ Swap confirmed in block ${receipt.blockNumber}`);
+      console.log(`       Input: ${this.formatAmount(actualInput, tokenInInfo.decimals)} ${tokenInInfo.symbol}`);
+
+      return {
+        success: true,
+        txHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        amountIn: actualInput,
+        amountOut: actualOutput,
+        expectedAmountIn,
+        amountInMaximum: params.amountInMaximum,
+        pool: poolInfo.poolAddress
+      };
+    } catch (error) {
+      throw this._quickSwapError(error, errorDetails);
+    }
+  }
+
+  _quickSwapError(error, details) {
+    // Enhanced error diagnostics
+    const swapError = new Error(`Swap failed: ${error.message}`);
+    swapError.code = "SWAP_FAILED";
+    swapError.details = { ...details, originalError: error.message };
+
+    // Try to get more details from transaction
+    if (error.transactionHash) {
+      swapError.details.txHash = error.transactionHash;
+    }
+    return swapError;
+  }
+
+  /**
+   * Token graph over config.pools.quickswap and config.pools.lotus, keyed by lowercase token
+   * address. Pools are matched to tokens by pair name, as in findQuickSwapPool.
+   */
+  async getPoolGraph() {
+    if (this._poolGraph) return this._poolGraph;
+
+    const graph = new Map();
+    const addEdge = (from, edge) => {
+      const key = from.toLowerCase();
+      if (!graph.has(key)) graph.set(key, []);
+      graph.get(key).push(edge);
+    };
+
+    for (const dex of ["quickswap", "lotus"]) {
+      for (const [pairName, poolAddress] of Object.entries(config.pools[dex] || {})) {
+        const [symbolA, symbolB] = pairName.split("_");
+        const tokenA = config.tokens[symbolA];
+        const tokenB = config.tokens[symbolB];
+        if (!tokenA || !tokenB) continue;
+
+        let fee = null;
+        if (dex === "lotus") {
+          fee = await new ethers.Contract(poolAddress, LOTUS_POOL_FEE_ABI, this.signer.provider).fee();
+        }
+        addEdge(tokenA, { dex, pool: poolAddress, pairName, tokenIn: tokenA, tokenOut: tokenB, fee });
+        addEdge(tokenB, { dex, pool: poolAddress, pairName, tokenIn: tokenB, tokenOut: tokenA, fee });
+      }
+    }
+
+    this._poolGraph = graph;
+    return graph;
+  }
+
+  /**
+   * Every simple route (no token visited twice) from tokenIn to tokenOut, up to maxHops.
+   * A route is an array of hops { dex, pool, pairName, tokenIn, tokenOut, fee }.
+   */
+  async findRoutes(tokenIn, tokenOut, { maxHops = DEFAULT_MAX_HOPS } = {}) {
+    const graph = await this.getPoolGraph();
+    const target = tokenOut.toLowerCase();
+    const routes = [];
+
+    const walk = (token, route, visited) => {
+      for (const hop of graph.get(token) || []) {
+        const next = hop.tokenOut.toLowerCase();
+        if (visited.has(next)) continue;
+        const extended = [...route, hop];
+        if (next === target) {
+          routes.push(extended);
+        } else if (extended.length < maxHops) {
+          walk(next, extended, new Set([...visited, next]));
+        }
+      }
+    };
+    walk(tokenIn.toLowerCase(), [], new Set([tokenIn.toLowerCase()]));
+
+    return routes;
+  }
+
+  /**
+   * Split a route into executable legs: consecutive QuickSwap hops become one
+   * exactInputPath leg, each Lotus hop is its own exactInputSingle leg.
+   */
+  routeLegs(route) {
+    const legs = [];
+    for (const hop of route) {
+      const last = legs[legs.length - 1];
+      if (hop.dex === "quickswap" && last && last.dex === "quickswap") {
+        last.hops.push(hop);
+        last.tokens.push(hop.tokenOut);
+      } else {
+        legs.push({ dex: hop.dex, hops: [hop], tokens: [hop.tokenIn, hop.tokenOut] });
+      }
+    }
+    return legs;
+  }
+
+  describeRoute(route) {
+    const symbolOf = (address) =>
+      Object.keys(config.tokens).find((s) => config.tokens[s].toLowerCase() === address.toLowerCase()) || address;
+    return route.reduce(
+      (text, hop) => `${text} →(${hop.dex}) ${symbolOf(hop.tokenOut)}`,
+      symbolOf(route[0].tokenIn)
+    );
+  }
+
+  encodeQuickSwapPath(tokens) {
+    return ethers.utils.solidityPack(tokens.map(() => "address"), tokens);
+  }
+
+  /**
+   * Expected output of `route` for amountIn, leg by leg against current pool state.
+   *
+   * QuickSwap legs use DirectPoolSwapper.quoteExactInputPath and need no funds. Lotus legs use
+   * the Lotus QuoterV2; without one they are simulated through the router, so the signer must
+   * hold and have approved that leg's input, otherwise a QUOTE_UNAVAILABLE error is thrown.
+   */
+  async quoteRoute(route, amountIn) {
+    let amount = ethers.BigNumber.from(amountIn);
+    for (const leg of this.routeLegs(route)) {
+      if (leg.dex === "quickswap") {
+        if (!this.directPoolSwapper) {
+          const error = new Error("DirectPoolSwapper not configured");
+          error.code = "SWAPPER_NOT_CONFIGURED";
+          throw error;
+        }
+        await this._requireExactSwapSupport();
+        amount = await this.directPoolSwapper.callStatic.quoteExactInputPath(this.encodeQuickSwapPath(leg.tokens), amount);
+      } else {
+        amount = await this._simulateLotusHop(leg.hops[0], amount);
       }
-      
-      throw swapError;
     }
+    return amount;
+  }
+
+  async _simulateLotusHop(hop, amountIn) {
+    // Without a quoter the router simulation pulls real tokens from the signer.
+    if (!getLotusQuoter(this.signer)) {
+      const owner = await this.signer.getAddress();
+      const token = new ethers.Contract(hop.tokenIn, ERC20_ABI, this.signer.provider);
+      const [balance, allowance] = await Promise.all([
+        token.balanceOf(owner),
+        token.allowance(owner, config.lotus.swapRouter)
+      ]);
+      if (balance.lt(amountIn) || allowance.lt(amountIn)) {
+        const error = new Error(`Cannot simulate Lotus hop ${hop.pairName}: no quoter and signer lacks balance or approval`);
+        error.code = "QUOTE_UNAVAILABLE";
+        error.details = { pool: hop.pool, tokenIn: hop.tokenIn, amountIn: amountIn.toString() };
+        throw error;
+      }
+    }
+    const quote = await this.quoteLotus(hop.tokenIn, hop.tokenOut, hop.fee, amountIn);
+    return quote.amountOut;
+  }
+
+  /**
+   * Quote a single-pool Lotus swap via config.lotus.quoterV2, falling back to a router
+   * simulation when no quoter is configured.
+   */
+  async quoteLotus(tokenIn, tokenOut, feeTier, amountIn, options = {}) {
+    return quoteLotusExactInputSingle(
+      this.signer,
+      { tokenIn, tokenOut, fee: feeTier, amountIn, sqrtPriceLimitX96: options.sqrtPriceLimitX96 || 0 },
+      { fallbackRouter: this.lotusRouter }
+    );
+  }
+
+  /**
+   * Quote every route from tokenIn to tokenOut and pick the one with the largest output.
+   * Routes that cannot be quoted are kept in `candidates` with their error.
+   */
+  async findBestRoute(tokenIn, tokenOut, amountIn, options = {}) {
+    const routes = await this.findRoutes(tokenIn, tokenOut, options);
+    const candidates = [];
+    let best = null;
+
+    for (const route of routes) {
+      const description = this.describeRoute(route);
+      try {
+        const amountOut = await this.quoteRoute(route, amountIn);
+        candidates.push({ route, description, amountOut });
+        if (!best || amountOut.gt(best.amountOut)) best = { route, description, amountOut };
+      } catch (error) {
+        candidates.push({ route, description, error: error.code || error.message });
+        this.log(`Route ${description} not quotable: ${error.message}`);
+      }
+    }
+
+    if (!best) {
+      const error = new Error(`No quotable route from ${tokenIn} to ${tokenOut}`);
+      error.code = "NO_ROUTE";
+      error.details = { tokenIn, tokenOut, candidates: candidates.map(({ description, error }) => ({ description, error })) };
+      throw error;
+    }
+    return { ...best, candidates };
+  }
+
+  /**
+   * Multi-hop QuickSwap swap through DirectPoolSwapper.exactInputPath.
+   * amountOutMinimum is the quoteExactInputPath output less slippageBps (or options.amountOutMinimum).
+   */
+  async swapQuickSwapPath(tokens, amountIn, options = {}) {
+    console.log(`    🔄 QuickSwap Path Swap (${tokens.length - 1} hops)`);
+
+    const slippageBps = this.resolveSlippageBps(options);
+    const tokenInInfo = await this.getTokenInfo(tokens[0]);
+    const tokenOutInfo = await this.getTokenInfo(tokens[tokens.length - 1]);
+
+    if (!this.directPoolSwapper) {
+      const error = new Error("DirectPoolSwapper not configured. Add 'directPoolSwapper' under 'quickswap' in the network profile");
+      error.code = "SWAPPER_NOT_CONFIGURED";
+      throw error;
+    }
+    await this._requireExactSwapSupport();
+
+    if (tokenInInfo.balance.lt(amountIn)) {
+      const error = new Error(`Insufficient ${tokenInInfo.symbol} balance`);
+      error.code = "INSUFFICIENT_BALANCE";
+      error.details = {
+        required: this.formatAmount(amountIn, tokenInInfo.decimals),
+        available: this.formatAmount(tokenInInfo.balance, tokenInInfo.decimals),
+        tokenIn: tokens[0],
+        tokenInSymbol: tokenInInfo.symbol
+      };
+      throw error;
+    }
+
+    await this.ensureApproval(tokens[0], this.directPoolSwapper.address, amountIn);
+
+    const path = this.encodeQuickSwapPath(tokens);
+    const recipient = options.recipient || await this.signer.getAddress();
+    const errorDetails = {
+      tokenIn: tokens[0],
+      tokenOut: tokens[tokens.length - 1],
+      tokenInSymbol: tokenInInfo.symbol,
+      tokenOutSymbol: tokenOutInfo.symbol,
+      amountIn: this.formatAmount(amountIn, tokenInInfo.decimals),
+      path: tokens,
+      slippageBps
+    };
+
+    try {
+      const expectedAmountOut = await this.directPoolSwapper.callStatic.quoteExactInputPath(path, amountIn);
+      const params = {
+        path,
+        recipient,
+        deadline: await this.resolveDeadline(options),
+        amountIn,
+        amountOutMinimum: options.amountOutMinimum ?? applySlippage(expectedAmountOut, slippageBps)
+      };
+      errorDetails.expectedAmountOut = expectedAmountOut.toString();
+      errorDetails.amountOutMinimum = params.amountOutMinimum.toString();
+
+      const tokenOutBalanceBefore = await tokenOutInfo.contract.balanceOf(recipient);
+      const tx = await this.directPoolSwapper.exactInputPath(params, {
+        gasLimit: 500000 * (tokens.length - 1),
+        gasPrice: TESTNET_GAS_PRICE,
+        nonce: await this._pendingNonce()
+      });
+
+      console.log(`       Tx sent: ${tx.hash}`);
+      const receipt = await tx.wait();
+      const actualOutput = (await tokenOutInfo.contract.balanceOf(recipient)).sub(tokenOutBalanceBefore);
+
+      console.log(`       ✅ Swap confirmed in block ${receipt.blockNumber}`);
+      console.log(`       Output: ${this.formatAmount(actualOutput, tokenOutInfo.decimals)} ${tokenOutInfo.symbol}`);
+
+      return {
+        success: true,
+        txHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        amountIn: amountIn,
+        amountOut: actualOutput,
+        expectedAmountOut,
+        amountOutMinimum: params.amountOutMinimum,
+        path: tokens
+      };
+    } catch (error) {
+      throw this._quickSwapError(error, errorDetails);
+    }
+  }
+
+  /**
+   * Swap along the best quoted route across QuickSwap and Lotus pools (or `options.route`).
+   *
+   * Routes are quoted without approvals (quoteExactInputPath, the Lotus quoter); without a
+   * Lotus quoter, a route whose Lotus hop the signer has not approved is left out. Each leg
+   * then approves its own venue for exactly its input and is its own transaction with its
+   * own slippage check; intermediate tokens pass through the signer. The route as a whole must
+   * pay options.amountOutMinimum, or the route quote less slippageBps: the last leg gets that
+   * minimum, and a shortfall fails with SLIPPAGE_EXCEEDED.
+   */
+  async swapRoute(tokenIn, tokenOut, amountIn, options = {}) {
+    console.log(`    🧭 Routed Swap`);
+
+    const best = options.route
+      ? { route: options.route, description: this.describeRoute(options.route), amountOut: await this.quoteRoute(options.route, amountIn), candidates: [] }
+      : await this.findBestRoute(tokenIn, tokenOut, amountIn, options);
+    console.log(`       Route: ${best.description}`);
+
+    const slippageBps = this.resolveSlippageBps(options);
+    const amountOutMinimum = options.amountOutMinimum ?? applySlippage(best.amountOut, slippageBps);
+    const legs = [];
+    const routeLegs = this.routeLegs(best.route);
+    let amount = ethers.BigNumber.from(amountIn);
+    for (const [i, leg] of routeLegs.entries()) {
+      const legOptions = { slippageBps: options.slippageBps, deadline: options.deadline };
+      if (i === routeLegs.length - 1) legOptions.amountOutMinimum = amountOutMinimum;
+      const spender = leg.dex === "quickswap" ? this.directPoolSwapper.address : config.lotus.swapRouter;
+      await this.ensureApproval(leg.tokens[0], spender, amount, { exact: true });
+      let result;
+      if (leg.dex === "quickswap" && leg.hops.length === 1) {
+        result = await this.swapQuickSwap(leg.tokens[0], leg.tokens[1], amount, legOptions);
+      } else if (leg.dex === "quickswap") {
+        result = await this.swapQuickSwapPath(leg.tokens, amount, legOptions);
+      } else {
+        const hop = leg.hops[0];
+        result = await this.swapLotus(hop.tokenIn, hop.tokenOut, hop.fee, amount, legOptions);
+      }
+      legs.push({ dex: leg.dex, tokens: leg.tokens, ...result });
+      amount = result.amountOut;
+    }
+
+    if (amount.lt(amountOutMinimum)) {
+      throw slippageExceededError({
+        tokenIn,
+        tokenOut,
+        route: best.description,
+        txHashes: legs.map((l) => l.txHash),
+        quotedAmountOut: best.amountOut,
+        amountOutMinimum,
+        realisedAmountOut: amount,
+        slippageBps
+      });
+    }
+
+    return {
+      success: true,
+      route: best.route,
+      description: best.description,
+      amountIn,
+      amountOut: amount,
+      quotedAmountOut: best.amountOut,
+      amountOutMinimum,
+      legs,
+      candidates: best.candidates
+    };
   }
 
   /**
    * Execute Lotus swap (UniV3-style router)
+   *
+   * The swap is quoted first (see quoteLotus); amountOutMinimum is the quote less slippageBps
+   * (or options.amountOutMinimum). A swap that would pay less fails with SLIPPAGE_EXCEEDED,
+   * carrying the quoted and realised amounts in error.details.
+   *
+   * @param {object} [options] { slippageBps, amountOutMinimum, deadline, recipient, sqrtPriceLimitX96 }
    */
   async swapLotus(tokenIn, tokenOut, feeTier, amountIn, options = {}) {
     const recipient = options.recipient || await this.signer.getAddress();
+    const slippageBps = this.resolveSlippageBps(options);
     
     console.log(`    🔄 Lotus DEX Swap`);
     
@@ -352,24 +886,39 @@ class SwapHelper {
     
     // 3. Ensure token approval
     await this.ensureApproval(tokenIn, config.lotus.swapRouter, amountIn);
+
+    const errorDetails = {
+      tokenIn,
+      tokenOut,
+      tokenInSymbol: tokenInInfo.symbol,
+      tokenOutSymbol: tokenOutInfo.symbol,
+      amountIn: this.formatAmount(amountIn, tokenInInfo.decimals),
+      feeTier
+    };
+
+    // 4. Quote and derive the minimum output
+    const quote = await this.quoteLotus(tokenIn, tokenOut, feeTier, amountIn, options);
+    const amountOutMinimum = options.amountOutMinimum ?? applySlippage(quote.amountOut, slippageBps);
+    console.log(`       Quoted: ${this.formatAmount(quote.amountOut, tokenOutInfo.decimals)} ${tokenOutInfo.symbol} (min ${this.formatAmount(amountOutMinimum, tokenOutInfo.decimals)}, ${quote.source})`);
+
+    // 5. Get balances before
+    const tokenOutBalanceBefore = await tokenOutInfo.contract.balanceOf(recipient);
     
-    // 4. Get balances before
-    const tokenOutBalanceBefore = await tokenOutInfo.contract.balanceOf(await this.signer.getAddress());
-    
-    // 5. Build swap params
-    const deadline = Math.floor(Date.now() / 1000) + 600;
+    // 6. Build swap params
     const params = {
       tokenIn,
       tokenOut,
       fee: feeTier,
       recipient,
-      deadline,
+      deadline: await this.resolveDeadline(options),
       amountIn,
-      amountOutMinimum: 0, // No slippage protection for now (can be improved with quoter)
-      sqrtPriceLimitX96: 0
+      amountOutMinimum,
+      sqrtPriceLimitX96: options.sqrtPriceLimitX96 || 0
     };
+    const slippageContext = { ...errorDetails, quotedAmountOut: quote.amountOut, amountOutMinimum, slippageBps };
     
-    // 6. Execute swap
+    // 7. Execute swap
+    let receipt;
     try {
       const tx = await this.lotusRouter.exactInputSingle(params, {
         gasLimit: 500000,
@@ -378,37 +927,53 @@ class SwapHelper {
       });
       
       console.log(`       Tx sent: ${tx.hash}`);
-      const receipt = await tx.wait();
-      
-      // Calculate actual output
-      const tokenOutBalanceAfter = await tokenOutInfo.contract.balanceOf(await this.signer.getAddress());
-      const actualOutput = tokenOutBalanceAfter.sub(tokenOutBalanceBefore);
-      
-      console.log(`       ✅ Swap confirmed in block ${receipt.blockNumber}`);
-      console.log(`       Output: ${this.formatAmount(actualOutput, tokenOutInfo.decimals)} ${tokenOutInfo.symbol}`);
-      
-      return {
-        success: true,
-        txHash: receipt.transactionHash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        amountIn: amountIn,
-        amountOut: actualOutput
-      };
+      receipt = await tx.wait();
     } catch (error) {
+      // Re-simulate without a minimum: if the pool now pays less than the minimum, the
+      // failure was slippage rather than anything else.
+      const realisedAmountOut = await this.lotusRouter.callStatic
+        .exactInputSingle({ ...params, amountOutMinimum: 0 })
+        .catch(() => null);
+      if (realisedAmountOut && realisedAmountOut.lt(amountOutMinimum)) {
+        const slippageError = slippageExceededError({ ...slippageContext, realisedAmountOut });
+        slippageError.details.originalError = error.message;
+        throw slippageError;
+      }
+
       const swapError = new Error(`Lotus swap failed: ${error.message}`);
       swapError.code = "SWAP_FAILED";
       swapError.details = {
-        tokenIn,
-        tokenOut,
-        tokenInSymbol: tokenInInfo.symbol,
-        tokenOutSymbol: tokenOutInfo.symbol,
-        amountIn: this.formatAmount(amountIn, tokenInInfo.decimals),
-        feeTier,
+        ...errorDetails,
+        quotedAmountOut: quote.amountOut.toString(),
+        amountOutMinimum: amountOutMinimum.toString(),
         originalError: error.message
       };
       throw swapError;
     }
+      
+    // Calculate actual output
+    const tokenOutBalanceAfter = await tokenOutInfo.contract.balanceOf(recipient);
+    const actualOutput = tokenOutBalanceAfter.sub(tokenOutBalanceBefore);
+
+    // The router checks its own accounting; a token that skims on transfer can still short the recipient.
+    if (actualOutput.lt(amountOutMinimum)) {
+      throw slippageExceededError({ ...slippageContext, realisedAmountOut: actualOutput, txHash: receipt.transactionHash });
+    }
+      
+    console.log(`       ✅ Swap confirmed in block ${receipt.blockNumber}`);
+    console.log(`       Output: ${this.formatAmount(actualOutput, tokenOutInfo.decimals)} ${tokenOutInfo.symbol}`);
+      
+    return {
+      success: true,
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      amountIn: amountIn,
+      amountOut: actualOutput,
+      quotedAmountOut: quote.amountOut,
+      amountOutMinimum,
+      quoteSource: quote.source
+    };
   }
 
   /**
@@ -417,10 +982,13 @@ class SwapHelper {
    * Supports both signatures:
    * - swap(dex, tokenIn, tokenOut, amountIn, options)
    * - swap({ dex, tokenIn, tokenOut, amountIn, feeTier, options })
+   * - swap({ dex: "quickswap", tokenIn, tokenOut, amountOut, options }) for exact output
+   * - swap({ dex: "auto", tokenIn, tokenOut, amountIn, options }) for the best multi-hop route
    */
   async swap(dexOrParams, tokenIn, tokenOut, amountIn, options = {}) {
     let dex = dexOrParams;
     let feeTier = options.feeTier;
+    let amountOut;
 
     // New-style object params
     if (dexOrParams && typeof dexOrParams === "object") {
@@ -429,6 +997,7 @@ class SwapHelper {
       tokenOut = dexOrParams.tokenOut;
       amountIn = dexOrParams.amountIn;
       feeTier = dexOrParams.feeTier;
+      amountOut = dexOrParams.amountOut;
       options = dexOrParams.options || {};
     }
 
@@ -436,6 +1005,19 @@ class SwapHelper {
       throw new Error(`Invalid dex parameter: ${String(dex)}`);
     }
 
+    // Exact output: { dex, tokenIn, tokenOut, amountOut } without amountIn
+    if (amountOut !== undefined && amountIn === undefined) {
+      if (dex.toLowerCase() !== "quickswap") {
+        const error = new Error(`Exact-output swaps are only supported on quickswap (got ${dex})`);
+        error.code = "UNSUPPORTED";
+        throw error;
+      }
+      return this.swapQuickSwapExactOutput(tokenIn, tokenOut, amountOut, options);
+    }
+
+    if (dex.toLowerCase() === "auto") {
+      return this.swapRoute(tokenIn, tokenOut, amountIn, options);
+    }
     if (dex.toLowerCase() === "quickswap") {
       return this.swapQuickSwap(tokenIn, tokenOut, amountIn, options);
     }
@@ -443,7 +1025,7 @@ class SwapHelper {
       const lotusFeeTier = feeTier || options.feeTier || 500; // Default to 0.05%
       return this.swapLotus(tokenIn, tokenOut, lotusFeeTier, amountIn, options);
     }
-    throw new Error(`Unknown DEX: ${dex}. Supported: quickswap, lotus`);
+    throw new Error(`Unknown DEX: ${dex}. Supported: quickswap, lotus, auto`);
   }
 
   /**
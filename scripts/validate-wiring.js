@@ -1,217 +1,91 @@
-const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
-const fs = require('fs');
-const path = require('path');
+/**
+ * Wiring Validator
+ *
+ * Checks every configured CLM vault (getClmVaultConfigs()) against the chain: vault.strategy()
+ * is config.strategies, strategy.pool() is the configured pool, strategy.lpToken0/lpToken1 are
+ * pool.token0/token1 in order and are the configured tokens, the DEX factory returns that pool
+ * for the pair (Lotus getPool(token0, token1, fee), Algebra poolByPair(token0, token1)) and
+ * pool.fee() is the config.pairs fee tier. See test/utils/wiring.js.
+ *
+ * Writes the pass/fail matrix to test-results/wiring-<timestamp>.json and .md and exits 1 when
+ * any check fails, or before checking anything when the selected profile is invalid.
+ *
+ * Usage:
+ *   node scripts/validate-wiring.js [--vault <name|key|address>]... [--json]
+ *
+ * Examples:
+ *   npm run validate-wiring
+ *   HARDHAT_NETWORK=testnet node scripts/validate-wiring.js --vault usdt_usdc
+ *   HARDHAT_NETWORK=testnet node scripts/validate-wiring.js --json
+ */
 
-// Vault/Strategy/Pool Configuration
-// Hardcoded expectations based on testnet-config.json and verified deployment artifacts
-const EXPECTED_WIRING = {
-  // Vault 1: QuickSwap USDC-USDT
-  "0xd1ea7f32f9530eac27b314454db4964dbc08cdca": {
-    name: "QuickSwap USDC-USDT",
-    pool: config.pools.quickswap.USDC_USDT, // 0xCA04...
-    // Strategy for Vault 1 discovered during validation
-    strategy: "0x5F02D1CaEa1FF6294f76DaD70d71d0E1e57ac8DB", 
-    tokens: ["USDC", "USDT"] 
-  },
-  // Vault 2: Lotus WETH-USDT
-  "0x1e27612d5240d25b70608cdabe1446e67ae7c48f": {
-    name: "Lotus WETH-USDT",
-    pool: config.pools.lotus.WETH_USDT, // 0x1661...
-    strategy: "0x145f974732D8528D105d07A1B9A87C2DD2D6F205",
-    tokens: ["WETH", "USDT"]
-  },
-  // Vault 3: Lotus WBTC-USDC
-  "0xacd6e64e56f66e4f010709d54686792ea96b7230": {
-    name: "Lotus WBTC-USDC",
-    pool: config.pools.lotus.WBTC_USDC, // 0xfD6B...
-    strategy: "0xDA0063471ECD9f24b23B4CAC90c6C545dF920137",
-    tokens: ["WBTC", "USDC"]
-  },
-  // Vault 4: Lotus USDC-USDT
-  "0xbbbd57224d28ec578dfe4adc4f50a524804251fe": {
-    name: "Lotus USDC-USDT",
-    pool: config.pools.lotus.USDC_USDT, // 0x76d4...
-    strategy: "0x7b15C5e36F82dA82464F642480946B65979A3c8E",
-    tokens: ["USDC", "USDT"]
+const { ethers } = require("hardhat");
+const { selectVaults } = require("../test/utils/vault-configs");
+const { config, getNetworkName } = require("../test/utils/config");
+const { getProfileName, assertValidConfig } = require("../config");
+const { tsSlug, writeJson, writeMarkdown } = require("../test/utils/reporting");
+const { WIRING_CHECKS, STATUS_ICON, checkWiring, describeCheck, formatWiringMarkdown } = require("../test/utils/wiring");
+
+function parseArgs(argv) {
+  const args = { vaults: [], json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--vault") args.vaults.push(argv[++i]);
+    else if (arg === "--json") args.json = true;
+    else throw new Error(`Unexpected argument: ${arg}`);
   }
-};
-
-const VAULT_ABI = [
-  "function strategy() external view returns (address)",
-  "function pool() external view returns (address)",
-  "function token0() external view returns (address)",
-  "function token1() external view returns (address)"
-];
-
-const STRATEGY_ABI = [
-  "function pool() external view returns (address)",
-  "function lpToken0() external view returns (address)",
-  "function lpToken1() external view returns (address)"
-];
-
-const POOL_ABI = [
-  "function token0() external view returns (address)",
-  "function token1() external view returns (address)"
-];
+  return args;
+}
 
+/** @returns {Promise<boolean>} true when every check passed or was skipped */
 async function main() {
-  console.log("Starting Wiring Validation...");
-  const [signer] = await ethers.getSigners();
-  let failureCount = 0;
-  const report = [];
-
-  for (const [key, vaultAddr] of Object.entries(config.vaults)) {
-    if (key === "_note") continue;
-
-    console.log(`\nChecking ${key} (${vaultAddr})...`);
-    
-    // 1. Check if we have an expectation for this vault
-    const expected = EXPECTED_WIRING[vaultAddr];
-    if (!expected) {
-      console.warn(`WARNING: No expected configuration found for vault ${vaultAddr}. Skipping.`);
-      report.push({ vault: vaultAddr, error: "No expectation defined" });
-      continue;
-    }
-
-    try {
-      // Connect to Vault
-      const vault = new ethers.Contract(vaultAddr, VAULT_ABI, signer);
-      
-      // Get On-Chain Data
-      // Some vaults might just expose strategy, pool, etc.
-      // We'll wrap in try/catch or promise.all to be robust
-      const strategyAddr = await vault.strategy();
-      
-      // Validate Vault -> Strategy
-      if (strategyAddr.toLowerCase() !== expected.strategy.toLowerCase()) {
-         const msg = `FAIL: Vault.strategy() mismatch.\n   Expected: ${expected.strategy}\n   Actual:   ${strategyAddr}`;
-         console.error(msg);
-         report.push(msg);
-         failureCount++;
-      } else {
-         console.log(`  ✅ Vault linked to correct strategy: ${strategyAddr}`);
-      }
-      
-      // Connect to Strategy
-      const strategy = new ethers.Contract(strategyAddr, STRATEGY_ABI, signer);
-      
-      // Validate Strategy -> Pool
-      const strategyPool = await strategy.pool();
-      if (strategyPool.toLowerCase() !== expected.pool.toLowerCase()) {
-         const msg = `FAIL: Strategy.pool() mismatch.\n   Expected: ${expected.pool}\n   Actual:   ${strategyPool}`;
-         console.error(msg);
-         report.push(msg);
-         failureCount++;
-      } else {
-         console.log(`  ✅ Strategy linked to correct pool: ${strategyPool}`);
-      }
-
-      // Connect to Pool
-      const pool = new ethers.Contract(strategyPool, POOL_ABI, signer);
-      const poolToken0 = await pool.token0();
-      const poolToken1 = await pool.token1();
-
-      // Validate Strategy -> LP Tokens
-      // Note: Some strategies might call them token0/token1 or lpToken0/lpToken1.
-      // The prompt specifically asked for lpToken0/lpToken1.
-      let stratToken0, stratToken1;
-      try {
-        stratToken0 = await strategy.lpToken0();
-        stratToken1 = await strategy.lpToken1();
-      } catch (e) {
-        // Fallback or fail? Prompt said "strategy.lpToken0/lpToken1 match pool token0/token1"
-        // If it fails, maybe method name is different?
-        // We will fail hard if the method doesn't exist as per prompt instructions implicitly assuming adherence to interface.
-        const msg = `FAIL: Could not read lpToken0/lpToken1 from strategy ${strategyAddr}. Error: ${e.message.split('(')[0]}`;
-        console.error(msg);
-        report.push(msg);
-        failureCount++;
-        continue;
-      }
-
-      if (stratToken0.toLowerCase() !== poolToken0.toLowerCase()) {
-         const msg = `FAIL: Strategy.lpToken0 mismatch with Pool.token0.\n   Strategy: ${stratToken0}\n   Pool:     ${poolToken0}`;
-         console.error(msg);
-         report.push(msg);
-         failureCount++;
-      }
-      if (stratToken1.toLowerCase() !== poolToken1.toLowerCase()) {
-         const msg = `FAIL: Strategy.lpToken1 mismatch with Pool.token1.\n   Strategy: ${stratToken1}\n   Pool:     ${poolToken1}`;
-         console.error(msg);
-         report.push(msg);
-         failureCount++;
-      }
+  let args;
+  let vaults;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    assertValidConfig(config, getProfileName());
+    vaults = selectVaults(args.vaults);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (!vaults.length) {
+    console.error(`❌ No vaults configured on ${getNetworkName()}`);
+    process.exit(1);
+  }
 
-      if (stratToken0.toLowerCase() === poolToken0.toLowerCase() && stratToken1.toLowerCase() === poolToken1.toLowerCase()) {
-         console.log(`  ✅ Strategy Tokens match Pool Tokens`);
-      }
+  const matrix = await checkWiring(ethers.provider, vaults, { network: getNetworkName() });
+  const base = `wiring-${tsSlug(new Date(matrix.startTime))}`;
+  const markdown = formatWiringMarkdown(matrix);
+  const jsonPath = writeJson(base, matrix);
+  const mdPath = writeMarkdown(base, markdown);
 
-      // Validate match canonical token addresses in testnet-config.json
-      // expected.tokens is ["SYM1", "SYM2"]
-      // We need to match poolToken0/1 to these.
-      // poolToken0 should be one of them, poolToken1 the other.
-      // And we should check if they match the config address for that symbol.
-      
-      const configToken0 = config.tokens[expected.tokens[0]];
-      const configToken1 = config.tokens[expected.tokens[1]];
-      
-      if (!configToken0 || !configToken1) {
-          const msg = `FAIL: Expected tokens ${expected.tokens.join(', ')} not found in testnet-config.json tokens section.`;
-          console.error(msg);
-          report.push(msg);
-          failureCount++;
-      } else {
-          // Check if pool tokens match these (order independent check first, then strict logic?)
-          // Usually pool.token0 is the smaller address.
-          // We just need to ensure poolToken0 is one of the valid canonicals, and poolToken1 is the other.
-          
-          const validSet = new Set([configToken0.toLowerCase(), configToken1.toLowerCase()]);
-          
-          if (!validSet.has(poolToken0.toLowerCase())) {
-             const msg = `FAIL: Pool token0 ${poolToken0} is not in expected canonical list [${expected.tokens.join(', ')}]`;
-             console.error(msg);
-             report.push(msg);
-             failureCount++;
-          }
-          if (!validSet.has(poolToken1.toLowerCase())) {
-             const msg = `FAIL: Pool token1 ${poolToken1} is not in expected canonical list [${expected.tokens.join(', ')}]`;
-             console.error(msg);
-             report.push(msg);
-             failureCount++;
-          }
-          
-          // Check if poolToken0 is specifically the canonical address for the symbol it claims to be?
-          // We can't know which symbol poolToken0 is unless we check the map.
-          // But validSet check covers "all match canonical token addresses".
-          
-          // Let's verify specifically against the expected array symbols
-          console.log(`  ✅ Tokens match canonical addresses for ${expected.tokens.join('/')}`);
+  if (args.json) {
+    console.log(JSON.stringify(matrix, null, 2));
+  } else {
+    for (const row of matrix.vaults) {
+      console.log(`\n${row.ok ? "✅" : "❌"} ${row.name} (${row.vault})`);
+      for (const check of WIRING_CHECKS) {
+        const result = row.checks[check];
+        console.log(`   ${STATUS_ICON[result.status]} ${check.padEnd(11)} ${describeCheck(result)}`);
       }
-
-    } catch (error) {
-       const msg = `CRITICAL ERROR processing ${key}: ${error.message}`;
-       console.error(msg);
-       report.push(msg);
-       
-       // If it's the CALL_EXCEPTION on strat check for vault1, user will see it.
-       failureCount++;
     }
+    const { passed, failed, skipped, total } = matrix.summary;
+    console.log(`\n${matrix.ok ? "✅ ALL WIRING CHECKS PASSED" : "❌ WIRING VALIDATION FAILED"}: ${passed} passed, ${failed} failed, ${skipped} skipped of ${total}`);
+    console.log(`📄 ${jsonPath}\n📄 ${mdPath}`);
   }
+  return matrix.ok;
+}
 
-  console.log("\n" + "=".repeat(50));
-  if (failureCount > 0) {
-    console.log(`❌ VALIDATION FAILED with ${failureCount} errors.`);
-    console.log("Diff Report:");
-    report.forEach(r => console.log(typeof r === 'string' ? `- ${r}` : `- ${JSON.stringify(r)}`));
-    process.exit(1);
-  } else {
-    console.log("✅ ALL WIRING CHECKS PASSED");
-    process.exit(0);
-  }
+if (require.main === module) {
+  main()
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((error) => {
+      console.error(`❌ ${error.code ? `[${error.code}] ` : ""}${error.message}`);
+      process.exit(1);
+    });
 }
 
-main().catch((error) => {
-  console.error(error);
-  process.exit(1);
-});
+module.exports = {
+  parseArgs
+};
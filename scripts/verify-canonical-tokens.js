@@ -4,7 +4,7 @@
  * Read-only: prints discovered token addresses + metadata and highlights mismatches.
  */
 const { ethers } = require("hardhat");
-const config = require("../testnet-config.json");
+const { config } = require("../config");
 
 const ERC20_ABI = [
   "function symbol() view returns (string)",
@@ -0,0 +1,240 @@
+const { ethers } = require("hardhat");
+const { loadProfile } = require("../../config");
+
+const ZERO = ethers.constants.AddressZero;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+
+// Decimals follow the Dukong faucet tokens (mUSD is 6 decimals there). usd is the
+// reference price used to initialise pools and size liquidity.
+const TOKEN_SPECS = [
+  { symbol: "USDC", name: "USD Coin", decimals: 6, usd: "1" },
+  { symbol: "USDT", name: "Tether USD", decimals: 6, usd: "1" },
+  { symbol: "mUSD", name: "Mantra USD", decimals: 6, usd: "1" },
+  { symbol: "wOM", name: "Wrapped OM", decimals: 18, usd: "0.25" },
+  { symbol: "WETH", name: "Wrapped Ether", decimals: 18, usd: "3000" },
+  { symbol: "WBTC", name: "Wrapped Bitcoin", decimals: 8, usd: "60000" }
+];
+
+const LOTUS_POOLS = [
+  { key: "USDC_mUSD", tokenA: "USDC", tokenB: "mUSD", fee: 500 },
+  { key: "USDT_USDC", tokenA: "USDT", tokenB: "USDC", fee: 500 },
+  { key: "wOM_mUSD", tokenA: "wOM", tokenB: "mUSD", fee: 3000 }
+];
+
+const QUICKSWAP_POOLS = [
+  { key: "USDT_mUSD", tokenA: "USDT", tokenB: "mUSD" },
+  { key: "wOM_USDC", tokenA: "wOM", tokenB: "USDC" }
+];
+
+function bnSqrt(value) {
+  const x = ethers.BigNumber.from(value);
+  if (x.lt(2)) return x;
+  let z = x;
+  let y = x.div(2).add(1);
+  while (y.lt(z)) {
+    z = y;
+    y = x.div(y).add(y).div(2);
+  }
+  return z;
+}
+
+/**
+ * sqrtPriceX96 for a pool where `amount0` raw units of token0 are worth `amount1` raw units of token1.
+ */
+function encodeSqrtPriceX96(amount1, amount0) {
+  return bnSqrt(ethers.BigNumber.from(amount1).shl(192).div(amount0));
+}
+
+function fullRangeTicks(tickSpacing) {
+  const lower = Math.ceil(MIN_TICK / tickSpacing) * tickSpacing;
+  const upper = Math.floor(MAX_TICK / tickSpacing) * tickSpacing;
+  return { lower, upper };
+}
+
+function humanForUsd(spec, usdAmount) {
+  const usdScaled = ethers.utils.parseUnits(String(usdAmount), 8);
+  const priceScaled = ethers.utils.parseUnits(spec.usd, 8);
+  return usdScaled.mul(ethers.BigNumber.from(10).pow(spec.decimals)).div(priceScaled);
+}
+
+async function deploy(name, args = [], signer) {
+  const factory = await ethers.getContractFactory(name, signer);
+  const contract = await factory.deploy(...args);
+  await contract.deployed();
+  return contract;
+}
+
+async function deployTokens(deployer) {
+  const tokens = {};
+  for (const spec of TOKEN_SPECS) {
+    tokens[spec.symbol] = await deploy("MockERC20", [spec.name, spec.symbol, spec.decimals], deployer);
+  }
+  return tokens;
+}
+
+async function initializeAndSeed({ pool, algebra, tokens, liquidityProvider, depthUsd, deployer }) {
+  const [token0, token1] = await Promise.all([pool.token0(), pool.token1()]);
+  const spec0 = TOKEN_SPECS.find((s) => tokens[s.symbol].address === token0);
+  const spec1 = TOKEN_SPECS.find((s) => tokens[s.symbol].address === token1);
+
+  // price = usd0 / usd1 scaled by decimals: 10^d0 raw token0 is worth usd0/usd1 * 10^d1 raw token1
+  const amount1 = ethers.utils.parseUnits(spec0.usd, 8).mul(ethers.BigNumber.from(10).pow(spec1.decimals));
+  const amount0 = ethers.utils.parseUnits(spec1.usd, 8).mul(ethers.BigNumber.from(10).pow(spec0.decimals));
+  await (await pool.initialize(encodeSqrtPriceX96(amount1, amount0))).wait();
+
+  const tickSpacing = await pool.tickSpacing();
+  const { lower, upper } = fullRangeTicks(tickSpacing);
+  const desired0 = humanForUsd(spec0, depthUsd);
+  const desired1 = humanForUsd(spec1, depthUsd);
+
+  const deployerAddress = await deployer.getAddress();
+  await (await tokens[spec0.symbol].mint(deployerAddress, desired0)).wait();
+  await (await tokens[spec1.symbol].mint(deployerAddress, desired1)).wait();
+  await (await tokens[spec0.symbol].approve(liquidityProvider.address, desired0)).wait();
+  await (await tokens[spec1.symbol].approve(liquidityProvider.address, desired1)).wait();
+  await (await liquidityProvider.addLiquidity(pool.address, algebra, lower, upper, desired0, desired1)).wait();
+}
+
+/**
+ * Fill the local profile (config/index.js) with deployed addresses.
+ * Vault/strategy entries stay zero-address placeholders; test/fixtures/local-vaults.js fills them.
+ */
+function buildLocalConfig({ chainId, tokens, lotus, quickswap, pools }) {
+  const profile = loadProfile("local");
+  const tokenAddresses = { ...profile.tokens };
+  for (const [symbol, token] of Object.entries(tokens)) tokenAddresses[symbol] = token.address;
+
+  return {
+    ...profile,
+    quickswap: {
+      factory: quickswap.factory.address,
+      poolDeployer: quickswap.factory.address,
+      positionManager: ZERO,
+      router: ZERO,
+      quoterV2: ZERO,
+      quoter: ZERO,
+      directPoolSwapper: quickswap.directPoolSwapper.address,
+      _note_directPoolSwapper: "Deployed by test/fixtures/local-dex.js (no Algebra router on the local stack)."
+    },
+    lotus: {
+      factory: lotus.factory.address,
+      poolDeployer: lotus.factory.address,
+      swapRouter: lotus.swapRouter.address,
+      nonfungiblePositionManager: ZERO,
+      quoterV2: lotus.quoterV2.address,
+      _note_quoterV2: "MockQuoterV2 deployed by test/fixtures/local-dex.js."
+    },
+    pools: {
+      _note: "Local mock pools deployed by test/fixtures/local-dex.js",
+      lotus: Object.fromEntries(Object.entries(pools.lotus).map(([k, p]) => [k, p.address])),
+      quickswap: Object.fromEntries(Object.entries(pools.quickswap).map(([k, p]) => [k, p.address]))
+    },
+    tokens: tokenAddresses,
+    network_info: { ...profile.network_info, chainId }
+  };
+}
+
+/**
+ * Deploy mintable tokens, a Lotus-style UniV3 factory/router/quoter with pools, a QuickSwap-style
+ * Algebra factory with pools and a DirectPoolSwapper, seed every pool with full-range
+ * liquidity and fund the first `fundAccounts` signers.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.depthUsd="10000"] USD value per side of the seeded full-range position
+ * @param {number} [opts.fundAccounts=5] number of Hardhat signers to fund
+ * @param {string} [opts.fundAmountUsd="100000"] USD value of each token minted to each funded signer
+ * @returns {Promise<{config: object, signers: object[], tokens: object, lotus: object, quickswap: object, pools: object, liquidityProvider: object}>}
+ */
+async function deployLocalDexStack(opts = {}) {
+  const depthUsd = opts.depthUsd ?? "10000";
+  const fundAccounts = opts.fundAccounts ?? 5;
+  const fundAmountUsd = opts.fundAmountUsd ?? "100000";
+
+  const signers = await ethers.getSigners();
+  const deployer = signers[0];
+
+  const tokens = await deployTokens(deployer);
+
+  const lotusFactory = await deploy("MockUniV3Factory", [], deployer);
+  const swapRouter = await deploy("MockSwapRouter", [lotusFactory.address], deployer);
+  const quoterV2 = await deploy("MockQuoterV2", [lotusFactory.address], deployer);
+  const algebraFactory = await deploy("MockAlgebraFactory", [], deployer);
+  const directPoolSwapper = await deploy("DirectPoolSwapper", [algebraFactory.address], deployer);
+  const liquidityProvider = await deploy("MockLiquidityProvider", [], deployer);
+
+  const pools = { lotus: {}, quickswap: {} };
+
+  for (const p of LOTUS_POOLS) {
+    await (await lotusFactory.createPool(tokens[p.tokenA].address, tokens[p.tokenB].address, p.fee)).wait();
+    const address = await lotusFactory.getPool(tokens[p.tokenA].address, tokens[p.tokenB].address, p.fee);
+    pools.lotus[p.key] = await ethers.getContractAt("MockUniV3Pool", address, deployer);
+    await initializeAndSeed({ pool: pools.lotus[p.key], algebra: false, tokens, liquidityProvider, depthUsd, deployer });
+  }
+
+  for (const p of QUICKSWAP_POOLS) {
+    await (await algebraFactory.createPool(tokens[p.tokenA].address, tokens[p.tokenB].address)).wait();
+    const address = await algebraFactory.poolByPair(tokens[p.tokenA].address, tokens[p.tokenB].address);
+    pools.quickswap[p.key] = await ethers.getContractAt("MockAlgebraPool", address, deployer);
+    await initializeAndSeed({ pool: pools.quickswap[p.key], algebra: true, tokens, liquidityProvider, depthUsd, deployer });
+  }
+
+  for (const signer of signers.slice(0, fundAccounts)) {
+    const to = await signer.getAddress();
+    for (const spec of TOKEN_SPECS) {
+      await (await tokens[spec.symbol].mint(to, humanForUsd(spec, fundAmountUsd))).wait();
+    }
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const lotus = { factory: lotusFactory, swapRouter, quoterV2 };
+  const quickswap = { factory: algebraFactory, directPoolSwapper };
+
+  return {
+    config: buildLocalConfig({ chainId, tokens, lotus, quickswap, pools }),
+    signers: signers.slice(0, fundAccounts),
+    tokens,
+    lotus,
+    quickswap,
+    pools,
+    liquidityProvider
+  };
+}
+
+/**
+ * Create, seed and register one more QuickSwap pool on a stack from deployLocalDexStack, e.g.
+ * to give multi-hop tests two Algebra pools that share a token. Mutates `stack`, so call it
+ * inside a fixture function rather than on a cached fixture result.
+ *
+ * @returns {Promise<object>} the MockAlgebraPool, also stored as stack.pools.quickswap[`${symbolA}_${symbolB}`]
+ */
+async function addQuickSwapPool(stack, symbolA, symbolB, { depthUsd = "10000" } = {}) {
+  const deployer = stack.signers[0];
+  const { tokens, liquidityProvider } = stack;
+  const key = `${symbolA}_${symbolB}`;
+
+  await (await stack.quickswap.factory.createPool(tokens[symbolA].address, tokens[symbolB].address)).wait();
+  const address = await stack.quickswap.factory.poolByPair(tokens[symbolA].address, tokens[symbolB].address);
+  const pool = await ethers.getContractAt("MockAlgebraPool", address, deployer);
+  await initializeAndSeed({ pool, algebra: true, tokens, liquidityProvider, depthUsd, deployer });
+
+  stack.pools.quickswap[key] = pool;
+  stack.config.pools.quickswap[key] = address;
+  return pool;
+}
+
+module.exports = {
+  TOKEN_SPECS,
+  LOTUS_POOLS,
+  QUICKSWAP_POOLS,
+  MIN_TICK,
+  MAX_TICK,
+  bnSqrt,
+  encodeSqrtPriceX96,
+  fullRangeTicks,
+  humanForUsd,
+  buildLocalConfig,
+  deployLocalDexStack,
+  addQuickSwapPool
+};
@@ -0,0 +1,54 @@
+const { ethers } = require("hardhat");
+const { VAULT_SPECS: CONFIG_VAULT_SPECS } = require("../../config");
+const { deployLocalDexStack } = require("./local-dex");
+
+// The vaults config/index.js knows, with `pool` naming their pools.<dex> key.
+const VAULT_SPECS = CONFIG_VAULT_SPECS.map(({ key, dex, poolKey, name }) => ({ key, dex, pool: poolKey, name }));
+
+/**
+ * Deploy the local DEX stack plus one ReferenceCLMVault (EIP-1167 clone) and
+ * ReferenceCLMStrategy per configured vault, and fill config.vaults/config.strategies.
+ *
+ * signers[0] owns every vault and strategy; `keeper` (default signers[1]) may rebalance/harvest.
+ *
+ * @param {object} [opts] deployLocalDexStack options, plus:
+ * @param {number} [opts.positionWidth=5] half-width of the main position, in tick spacings
+ * @param {string} [opts.keeper] keeper address
+ * @returns {Promise<object>} the DEX stack plus {vaultFactory, vaults, strategies, keeper}, keyed like VAULT_SPECS
+ */
+async function deployLocalVaultStack(opts = {}) {
+  const stack = await deployLocalDexStack(opts);
+  const positionWidth = opts.positionWidth ?? 5;
+  const [deployer, fallbackKeeper] = stack.signers;
+  const keeper = opts.keeper ?? (await (fallbackKeeper || deployer).getAddress());
+
+  const vaultFactory = await (await ethers.getContractFactory("CLMVaultFactory", deployer)).deploy();
+  await vaultFactory.deployed();
+  const strategyFactory = await ethers.getContractFactory("ReferenceCLMStrategy", deployer);
+
+  const vaults = {};
+  const strategies = {};
+  for (const spec of VAULT_SPECS) {
+    const pool = stack.pools[spec.dex][spec.pool];
+    const strategy = await strategyFactory.deploy(pool.address, spec.dex === "quickswap", positionWidth, keeper);
+    await strategy.deployed();
+
+    const symbol = `clm-${spec.key}`;
+    const receipt = await (await vaultFactory.createVault(strategy.address, spec.name, symbol)).wait();
+    const created = receipt.events.find((e) => e.event === "VaultCreated");
+    const vault = await ethers.getContractAt("ReferenceCLMVault", created.args.vault, deployer);
+    await (await strategy.setVault(vault.address)).wait();
+
+    vaults[spec.key] = vault;
+    strategies[spec.key] = strategy;
+    stack.config.vaults[`vault_${spec.key}`] = vault.address;
+    stack.config.strategies[`strategy_${spec.key}`] = strategy.address;
+  }
+
+  return { ...stack, vaultFactory, vaults, strategies, keeper };
+}
+
+module.exports = {
+  VAULT_SPECS,
+  deployLocalVaultStack
+};
@@ -0,0 +1,38 @@
+const { network } = require("hardhat");
+
+// Minimal loadFixture: run the deploy once per process, then evm_revert to a fresh
+// snapshot for every later call. Only meaningful on the in-process Hardhat network.
+const snapshots = new Map();
+
+async function loadFixture(fixture) {
+  if (network.name !== "hardhat") throw new Error(`loadFixture needs the in-process hardhat network, not ${network.name}`);
+  const cached = snapshots.get(fixture);
+  // Reverting to an older fixture's snapshot discards every later one; evm_revert then
+  // returns false and the fixture has to be deployed again.
+  if (cached && (await network.provider.send("evm_revert", [cached.snapshotId]))) {
+    // A snapshot is consumed on revert; take a new one at the same state.
+    cached.snapshotId = await network.provider.send("evm_snapshot", []);
+    return cached.result;
+  }
+
+  const result = await fixture();
+  const snapshotId = await network.provider.send("evm_snapshot", []);
+  snapshots.set(fixture, { snapshotId, result });
+  return result;
+}
+
+/**
+ * Skip the calling describe() on any other network: the offline suites deploy mocks and rely on
+ * evm_snapshot/evm_revert, which a remote run (HARDHAT_NETWORK=testnet) would pay gas for and
+ * then fail on. Call it first thing in the describe() body.
+ */
+function onlyOnHardhatNetwork() {
+  before(function () {
+    if (network.name !== "hardhat") this.skip();
+  });
+}
+
+module.exports = {
+  loadFixture,
+  onlyOnHardhatNetwork
+};
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { config, getNetworkName } = require("../utils/config");
+const { getProfileName, assertValidConfig } = require("../../config");
 const { createRunReporter } = require("../utils/reporting");
 const { withRetry } = require("../utils/retry");
 const { usingRemoteNetwork, getTestnetSigner } = require("../utils/testnet-signer");
@@ -27,6 +28,11 @@ describe("Preflight (network + balances)", function () {
     reporter.finalize({ filePrefix: "preflight" });
   });
 
+  it("has a valid config for the selected profile", function () {
+    const { warnings } = assertValidConfig(config, getProfileName());
+    reporter.recordScenario("preflight", "config", { success: true, note: `profile=${getProfileName()} warnings=${warnings.length}` });
+  });
+
   it("connects to the configured chainId", async function () {
     const net = await withRetry(() => provider.getNetwork(), { retries: 6, minDelayMs: 750, maxDelayMs: 15000 });
     expect(net.chainId).to.equal(config.network_info.chainId);
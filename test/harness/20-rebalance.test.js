@@ -0,0 +1,143 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { getNetworkName } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { createRunReporter } = require("../utils/reporting");
+const { getVaultState } = require("../utils/vault-state");
+const { STRATEGY_MIN_ABI } = require("../utils/abis");
+const { withRetry, sleep, isTransientRpcError } = require("../utils/retry");
+const { waitForNoPendingTransactions } = require("../utils/tx");
+const { usingRemoteNetwork, getTestnetSigner } = require("../utils/testnet-signer");
+const { isForkMode, getForkInfo, getStrategyManagerSigner } = require("../utils/fork");
+const { readRangeParams, verifyRebalance, assertRebalance } = require("../utils/rebalance-verifier");
+const { EventIndex, indexTargets } = require("../utils/event-index");
+const { PriceMover } = require("../../scripts/price-mover");
+
+// How far past the top of the range the price is pushed before rebalancing, in tick spacings.
+const PUSH_SPACINGS = 2;
+
+// The rebalance as the event indexer reads it from the logs of the rebalance() block, or null.
+async function indexedRebalance(provider, vaultConfig, receipt) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rebalance-events-"));
+  try {
+    const index = new EventIndex(provider, { targets: await indexTargets(provider, [vaultConfig]), dir });
+    await index.sync({ fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber });
+    return index.rebalances(vaultConfig.name).find((r) => r.transactionHash === receipt.transactionHash) || null;
+  } catch (e) {
+    return { error: String(e.message).slice(0, 160) };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+describe("Rebalance: push each vault out of range, rebalance() and verify the new range", function () {
+  this.timeout(20 * 60 * 1000);
+
+  const vaults = getClmVaultConfigs();
+  // REBALANCE_WIDTH overrides the width read from the strategy; REBALANCE_MAX_LOSS_BPS the loss bound.
+  const overrides = process.env.REBALANCE_WIDTH ? { width: Number(process.env.REBALANCE_WIDTH) } : {};
+  const options = process.env.REBALANCE_MAX_LOSS_BPS ? { maxLossBps: Number(process.env.REBALANCE_MAX_LOSS_BPS) } : {};
+
+  const reporter = createRunReporter({ suite: "rebalance", network: getNetworkName() });
+  let signer;
+  let mover;
+
+  before(async function () {
+    if (usingRemoteNetwork()) {
+      ({ signer } = getTestnetSigner());
+    } else {
+      [signer] = await withRetry(() => ethers.getSigners(), {
+        retries: 8,
+        minDelayMs: 750,
+        maxDelayMs: 15000,
+        shouldRetry: isTransientRpcError
+      });
+    }
+
+    if (isForkMode()) {
+      const forkInfo = await getForkInfo();
+      console.log(`\n🍴 Fork mode: ${forkInfo.rpcHost} @ block ${forkInfo.headBlock}`);
+      reporter.addDiagnostic({ type: "fork", ...forkInfo });
+    }
+
+    await waitForNoPendingTransactions(signer, { timeoutMs: 90000, pollMs: 5000 });
+    mover = new PriceMover(signer, { slippageBps: 500 });
+  });
+
+  afterEach(async function () {
+    // pacing to avoid 429s on shared RPC
+    await sleep(1500);
+  });
+
+  after(function () {
+    reporter.finalize({ filePrefix: "rebalance" });
+  });
+
+  for (const vaultConfig of vaults) {
+    it(`${vaultConfig.name}: rebalance() re-centres an aligned range of the configured width`, async function () {
+      const vaultMeta = { address: vaultConfig.vault, dex: vaultConfig.dex };
+      const skip = (note) => {
+        reporter.recordScenario(vaultConfig.name, "rebalance", { skipped: true, success: false, note, vaultMeta });
+        this.skip();
+      };
+
+      let start;
+      try {
+        start = await getVaultState(signer, vaultConfig);
+      } catch (e) {
+        skip(`vault not readable: ${String(e.message).slice(0, 160)}`);
+      }
+      if (!start.pool.ok || start.tickUpper === null) skip("pool tick or vault range not readable");
+
+      const manager = await getStrategyManagerSigner(start.strategyAddress, signer);
+      if (!manager.signer) skip("signer is neither keeper nor owner of the strategy (FORK=1 impersonates them)");
+
+      const params = await readRangeParams(signer.provider, { strategyAddress: start.strategyAddress, poolAddress: vaultConfig.pool }, overrides);
+      console.log(`\n⚖️  ${vaultConfig.name}: range [${start.tickLower}, ${start.tickUpper}) at tick ${start.pool.tick}, spacing=${params.tickSpacing} width=${params.width ?? "n/a"}`);
+
+      try {
+        if (start.inRange !== false) {
+          await mover.movePriceToTick(vaultConfig.pool, start.tickUpper + PUSH_SPACINGS * (params.tickSpacing || 1));
+        }
+        const before = await getVaultState(signer, vaultConfig);
+        expect(before.inRange, "price did not leave the range").to.equal(false);
+
+        const strategy = new ethers.Contract(start.strategyAddress, STRATEGY_MIN_ABI, manager.signer);
+        console.log(`  rebalance()${manager.role ? ` as ${manager.role}` : ""}...`);
+        const receipt = await (await strategy.rebalance({ gasLimit: 1_200_000 })).wait();
+        const after = await getVaultState(signer, vaultConfig);
+        const result = await verifyRebalance(signer.provider, { poolAddress: vaultConfig.pool, before, after, params }, options);
+        const indexed = await indexedRebalance(signer.provider, vaultConfig, receipt);
+        const range = (r) => (r ? `[${r.tickLower}, ${r.tickUpper})` : "n/a");
+        console.log(`  new range ${range(result.range)} at tick ${after.pool.tick}, expected ${range(result.expected)}`);
+
+        reporter.recordScenario(vaultConfig.name, "rebalance", {
+          success: result.ok,
+          violations: result.violations,
+          note: `tx=${receipt.transactionHash} range=${range(result.range)} expected=${range(result.expected)}`,
+          vaultMeta,
+          details: {
+            tickBefore: before.pool.tick,
+            tickAfter: after.pool.tick,
+            rangeBefore: { tickLower: before.tickLower, tickUpper: before.tickUpper },
+            ...params,
+            managerRole: manager.role || null,
+            managerImpersonated: manager.impersonated || false,
+            skipped: result.skipped,
+            indexed
+          }
+        });
+        assertRebalance(result, vaultConfig.name);
+      } catch (e) {
+        if (e.code !== "REBALANCE_VIOLATION") {
+          reporter.recordScenario(vaultConfig.name, "rebalance", { success: false, note: String(e.message).slice(0, 200), vaultMeta });
+        }
+        throw e;
+      }
+    });
+  }
+});
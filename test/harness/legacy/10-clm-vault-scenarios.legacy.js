@@ -1,15 +1,15 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
-const { getNetworkName } = require("../utils/config");
-const { getClmVaultConfigs } = require("../utils/vault-configs");
-const { createRunReporter } = require("../utils/reporting");
-const { getVaultState, getTokenMeta } = require("../utils/vault-state");
-const { SwapHelper } = require("../utils/swaps");
-const { STRATEGY_MIN_ABI } = require("../utils/abis");
-const { withRetry, sleep, isTransientRpcError } = require("../utils/retry");
-const { waitForNoPendingTransactions } = require("../utils/tx");
-const { usingRemoteNetwork, getTestnetSigner } = require("../utils/testnet-signer");
+const { getNetworkName } = require("../../utils/config");
+const { getClmVaultConfigs } = require("../../utils/vault-configs");
+const { createRunReporter } = require("../../utils/reporting");
+const { getVaultState, getTokenMeta } = require("../../utils/vault-state");
+const { SwapHelper } = require("../../utils/swaps");
+const { STRATEGY_MIN_ABI } = require("../../utils/abis");
+const { withRetry, sleep, isTransientRpcError } = require("../../utils/retry");
+const { waitForNoPendingTransactions } = require("../../utils/tx");
+const { usingRemoteNetwork, getTestnetSigner } = require("../../utils/testnet-signer");
 
 function baseAmountForSymbol(symbol, size) {
   const isStable = symbol === "USDC" || symbol === "USDT" || symbol === "mUSD";
@@ -1,14 +1,14 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
-const { getNetworkName } = require("../utils/config");
-const { getClmVaultConfigs } = require("../utils/vault-configs");
-const { createRunReporter } = require("../utils/reporting");
-const { getVaultState, getTokenMeta } = require("../utils/vault-state");
-const { SwapHelper } = require("../utils/swaps");
-const { VAULT_MIN_ABI, STRATEGY_MIN_ABI } = require("../utils/abis");
-
-const { getSharePrice } = require("../../scripts/utils/share-math");
+const { getNetworkName } = require("../../utils/config");
+const { getClmVaultConfigs } = require("../../utils/vault-configs");
+const { createRunReporter } = require("../../utils/reporting");
+const { getVaultState, getTokenMeta } = require("../../utils/vault-state");
+const { SwapHelper } = require("../../utils/swaps");
+const { VAULT_MIN_ABI, STRATEGY_MIN_ABI } = require("../../utils/abis");
+
+const { getSharePrice } = require("../../../scripts/utils/share-math");
 
 const POOL_FEE_ABI = [
   // UniV3 / Algebra commonly expose these (some Algebra deployments don’t)
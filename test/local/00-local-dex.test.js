@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { loadProfile } = require("../../config");
+const { config, applyConfig } = require("../utils/config");
+const { readPoolState } = require("../utils/pool-state");
+const { SwapHelper } = require("../utils/swaps");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalDexStack } = require("../fixtures/local-dex");
+
+describe("Local DEX stack (offline)", function () {
+  this.timeout(120000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  before(async function () {
+    stack = await loadFixture(deployLocalDexStack);
+    restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  it("emits a config with the same shape as the dukong profile", function () {
+    const dukong = loadProfile("dukong");
+    const keysOf = (o) => Object.keys(o || {}).sort();
+    expect(keysOf(config)).to.deep.equal(keysOf(dukong));
+    for (const section of ["vaults", "strategies", "lotus", "tokens", "network_info"]) {
+      expect(keysOf(config[section]), section).to.include.members(keysOf(dukong[section]));
+    }
+    expect(keysOf(config.pools.lotus)).to.deep.equal(keysOf(dukong.pools.lotus));
+    expect(keysOf(config.pools.quickswap)).to.deep.equal(keysOf(dukong.pools.quickswap));
+    expect(config.network_info.chainId).to.equal(31337);
+  });
+
+  it("reads Lotus pools via slot0 and QuickSwap pools via safelyGetStateOfAMM", async function () {
+    for (const address of Object.values(config.pools.lotus)) {
+      const state = await readPoolState(ethers.provider, address, "lotus");
+      expect(state.ok).to.equal(true);
+      expect(state.kind).to.equal("univ3");
+      expect(state.liquidity.gt(0)).to.equal(true);
+    }
+    for (const address of Object.values(config.pools.quickswap)) {
+      const state = await readPoolState(ethers.provider, address, "quickswap");
+      expect(state.ok).to.equal(true);
+      expect(state.kind).to.equal("algebra");
+      expect(state.liquidity.gt(0)).to.equal(true);
+    }
+
+    // 6-decimal stables initialised at 1:1 sit on tick 0
+    const usdtUsdc = await readPoolState(ethers.provider, config.pools.lotus.USDT_USDC, "lotus");
+    expect(usdtUsdc.tick).to.equal(0);
+  });
+
+  it("swaps on Lotus through the router and moves the tick", async function () {
+    const [signer] = stack.signers;
+    const helper = new SwapHelper(signer);
+    const before = await readPoolState(ethers.provider, config.pools.lotus.USDT_USDC, "lotus");
+
+    const res = await helper.swap({
+      dex: "lotus",
+      tokenIn: config.tokens.USDT,
+      tokenOut: config.tokens.USDC,
+      amountIn: ethers.utils.parseUnits("100", 6),
+      feeTier: 500
+    });
+
+    const after = await readPoolState(ethers.provider, config.pools.lotus.USDT_USDC, "lotus");
+    expect(res.success).to.equal(true);
+    expect(res.amountOut.gt(0)).to.equal(true);
+    expect(after.tick).to.not.equal(before.tick);
+  });
+
+  it("swaps on QuickSwap through DirectPoolSwapper and moves the tick", async function () {
+    const [signer] = stack.signers;
+    const helper = new SwapHelper(signer);
+    const before = await readPoolState(ethers.provider, config.pools.quickswap.USDT_mUSD, "quickswap");
+
+    const res = await helper.swap({
+      dex: "quickswap",
+      tokenIn: config.tokens.mUSD,
+      tokenOut: config.tokens.USDT,
+      amountIn: ethers.utils.parseUnits("100", 6)
+    });
+
+    const after = await readPoolState(ethers.provider, config.pools.quickswap.USDT_mUSD, "quickswap");
+    expect(res.success).to.equal(true);
+    expect(res.amountOut.gt(0)).to.equal(true);
+    expect(after.tick).to.not.equal(before.tick);
+  });
+});
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { getVaultState } = require("../utils/vault-state");
+const { readStrategyFees, feeSum } = require("../utils/strategy-fees");
+const { STRATEGY_MIN_ABI } = require("../utils/abis");
+const { SwapHelper } = require("../utils/swaps");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { TOKEN_SPECS, humanForUsd } = require("../fixtures/local-dex");
+const { VAULT_SPECS, deployLocalVaultStack } = require("../fixtures/local-vaults");
+const TickReader = require("../../scripts/utils/TickReader");
+
+describe("Reference CLM vault + strategy (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  async function fixture() {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+    return stack;
+  }
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  function symbolOf(address) {
+    return Object.keys(stack.tokens).find((s) => stack.tokens[s].address === address);
+  }
+
+  // Approve `usd` worth of both pool tokens and call the zero-arg deposit().
+  async function depositUsd(signer, key, usd) {
+    const vault = stack.vaults[key].connect(signer);
+    const strategy = stack.strategies[key];
+    const amounts = [];
+    for (const tokenAddress of [await strategy.lpToken0(), await strategy.lpToken1()]) {
+      const symbol = symbolOf(tokenAddress);
+      const amount = humanForUsd(TOKEN_SPECS.find((s) => s.symbol === symbol), usd);
+      await (await stack.tokens[symbol].connect(signer).approve(vault.address, amount)).wait();
+      amounts.push(amount);
+    }
+    const preview = await vault.previewDeposit(amounts[0], amounts[1]);
+    const receipt = await (await vault.deposit()).wait();
+    const event = receipt.events.find((e) => e.event === "Deposit");
+    return { preview, shares: event.args.shares, amount0: event.args.amount0, amount1: event.args.amount1 };
+  }
+
+  // Swap token0 -> token1 ("up") or token1 -> token0 ("down") on the vault's pool.
+  async function swapOnPool(signer, key, dir, usd) {
+    const spec = VAULT_SPECS.find((s) => s.key === key);
+    const strategy = stack.strategies[key];
+    const [lp0, lp1] = [await strategy.lpToken0(), await strategy.lpToken1()];
+    const tokenIn = dir === "up" ? lp0 : lp1;
+    const tokenOut = dir === "up" ? lp1 : lp0;
+    const amountIn = humanForUsd(TOKEN_SPECS.find((s) => s.symbol === symbolOf(tokenIn)), usd);
+    const feeTier = spec.dex === "lotus" ? await stack.pools.lotus[spec.pool].fee() : undefined;
+    const res = await new SwapHelper(signer).swap({ dex: spec.dex, tokenIn, tokenOut, amountIn, feeTier });
+    expect(res.success, `${key} ${dir} swap`).to.equal(true);
+  }
+
+  beforeEach(async function () {
+    await fixture();
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  it("fills config.vaults/strategies so getClmVaultConfigs() resolves every vault", async function () {
+    const vaults = getClmVaultConfigs();
+    expect(vaults).to.have.length(VAULT_SPECS.length);
+    for (const spec of VAULT_SPECS) {
+      const vault = stack.vaults[spec.key];
+      expect(await vault.strategy()).to.equal(config.strategies[`strategy_${spec.key}`]);
+      expect(await stack.strategies[spec.key].vault()).to.equal(vault.address);
+      expect(await vault.want()).to.equal(config.pools[spec.dex][spec.pool]);
+      expect(await vault.paused()).to.equal(false);
+    }
+  });
+
+  it("deploys vaults as EIP-1167 clones of the factory implementation", async function () {
+    const implementation = (await stack.vaultFactory.implementation()).slice(2).toLowerCase();
+    for (const spec of VAULT_SPECS) {
+      const code = await ethers.provider.getCode(stack.vaults[spec.key].address);
+      expect(code).to.equal(`0x363d3d373d3d3d363d73${implementation}5af43d82803e903d91602b57fd5bf3`);
+    }
+  });
+
+  it("deposit() mints previewDeposit() shares and getVaultState() sees an in-range position", async function () {
+    const [, , user] = stack.signers;
+    for (const spec of VAULT_SPECS) {
+      const res = await depositUsd(user, spec.key, "1000");
+      expect(res.shares.gt(0), spec.key).to.equal(true);
+      expect(res.shares.toString(), spec.key).to.equal(res.preview.toString());
+
+      const state = await getVaultState(user, vaultConfigFor(spec.key));
+      expect(state.tickMethod).to.equal("strategy.positionMain");
+      expect(state.tickLower).to.be.lessThan(state.tickUpper);
+      expect(state.inRange, spec.key).to.equal(true);
+      expect(state.user.shares.toString()).to.equal(res.shares.toString());
+
+      const range = await new TickReader(user).getTickRange(stack.vaults[spec.key].address);
+      const [lower, upper] = await stack.strategies[spec.key].range();
+      expect(range.tickLower).to.equal(lower);
+      expect(range.tickUpper).to.equal(upper);
+    }
+  });
+
+  it("accrues fees on in-range swaps; harvest() moves them from unclaimed into fees0/fees1", async function () {
+    const [owner, keeper, user] = stack.signers;
+    for (const key of ["usdt_usdc", "usdt_musd"]) {
+      await depositUsd(user, key, "1000");
+      const strategy = new ethers.Contract(stack.strategies[key].address, STRATEGY_MIN_ABI, keeper);
+
+      const before = await readStrategyFees(strategy);
+      await swapOnPool(owner, key, "up", "50");
+      const afterSwap = await readStrategyFees(strategy);
+      expect(afterSwap.ok).to.equal(true);
+      expect(feeSum(afterSwap).gt(feeSum(before)), key).to.equal(true);
+      expect(afterSwap.unclaimed0.gt(0), key).to.equal(true);
+
+      await (await strategy.harvest()).wait();
+      const afterHarvest = await readStrategyFees(strategy);
+      expect(afterHarvest.fees0.gte(afterSwap.unclaimed0), key).to.equal(true);
+      expect(afterHarvest.unclaimed0.isZero(), key).to.equal(true);
+      expect((await strategy.lastHarvest()).gt(0)).to.equal(true);
+    }
+  });
+
+  it("only owner/keeper may rebalance(); rebalance() re-centres the range on the current tick", async function () {
+    const [owner, keeper, user] = stack.signers;
+    for (const key of ["usdt_usdc", "usdt_musd"]) {
+      const strategy = stack.strategies[key];
+      await depositUsd(user, key, "1000");
+      await swapOnPool(owner, key, "up", "2000");
+
+      const outOfRange = await getVaultState(user, vaultConfigFor(key));
+      expect(outOfRange.inRange, key).to.equal(false);
+
+      await expect(strategy.connect(user).rebalance()).to.be.revertedWith("NotKeeper");
+      await (await strategy.connect(keeper).rebalance()).wait();
+
+      const after = await getVaultState(user, vaultConfigFor(key));
+      expect(after.inRange, key).to.equal(true);
+
+      const spacing = await strategy.tickSpacing();
+      const halfWidth = (await strategy.positionWidth()) * spacing;
+      const floor = Math.floor(after.pool.tick / spacing) * spacing;
+      expect(after.tickLower).to.equal(floor - halfWidth);
+      expect(after.tickUpper).to.equal(floor + halfWidth);
+    }
+  });
+
+  it("withdrawAll() burns every share and returns the position to the user", async function () {
+    const [, , user] = stack.signers;
+    for (const spec of VAULT_SPECS) {
+      const vault = stack.vaults[spec.key].connect(user);
+      const { amount0, amount1 } = await depositUsd(user, spec.key, "1000");
+
+      const receipt = await (await vault.withdrawAll(0, 0)).wait();
+      const event = receipt.events.find((e) => e.event === "Withdraw");
+      expect((await vault.balanceOf(user.address)).isZero()).to.equal(true);
+
+      // Only rounding is lost, and the locked MINIMUM_SHARES keep a dust claim in the vault.
+      expect(event.args.amount0.gte(amount0.mul(999).div(1000)), spec.key).to.equal(true);
+      expect(event.args.amount1.gte(amount1.mul(999).div(1000)), spec.key).to.equal(true);
+      expect((await vault.totalSupply()).toString()).to.equal((await vault.MINIMUM_SHARES()).toString());
+    }
+  });
+});
@@ -0,0 +1,72 @@
+const { expect } = require("chai");
+
+const { applyConfig } = require("../utils/config");
+const { isForkMode, isIsolatedChain, getForkInfo, getStrategyRoles, getStrategyManagerSigner, stopImpersonating } = require("../utils/fork");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+
+// The impersonation path is what fork mode uses to act as a testnet keeper/owner; the
+// local vault stack stands in for the forked strategies.
+describe("Fork helpers: impersonating strategy keeper/owner (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  it("reports fork mode as disabled on the plain hardhat network", async function () {
+    expect(isForkMode()).to.equal(false);
+    expect(await getForkInfo()).to.deep.equal({ enabled: false });
+  });
+
+  it("treats the hardhat network as isolated only while automine is on", async function () {
+    const { provider } = stack.signers[0];
+    expect(await isIsolatedChain(provider)).to.equal(true);
+    await provider.send("evm_setAutomine", [false]);
+    try {
+      expect(await isIsolatedChain(provider)).to.equal(false);
+    } finally {
+      await provider.send("evm_setAutomine", [true]);
+    }
+  });
+
+  it("returns the signer itself when it already holds a role", async function () {
+    const [owner, keeper] = stack.signers;
+    const strategy = stack.strategies.usdt_usdc;
+
+    const roles = await getStrategyRoles(owner.provider, strategy.address);
+    expect(roles).to.deep.equal({ owner: owner.address, keeper: keeper.address });
+
+    const asOwner = await getStrategyManagerSigner(strategy.address, owner);
+    expect(asOwner).to.include({ role: "owner", address: owner.address, impersonated: false });
+    const asKeeper = await getStrategyManagerSigner(strategy.address, keeper);
+    expect(asKeeper).to.include({ role: "keeper", address: keeper.address, impersonated: false });
+  });
+
+  it("only impersonates when allowed, then unlocks rebalance()/harvest()", async function () {
+    const [, keeper, user] = stack.signers;
+    const strategy = stack.strategies.usdt_musd;
+
+    const denied = await getStrategyManagerSigner(strategy.address, user);
+    expect(denied.signer).to.equal(null);
+    await expect(strategy.connect(user).harvest()).to.be.revertedWith("NotKeeper");
+
+    const manager = await getStrategyManagerSigner(strategy.address, user, { allowImpersonation: true });
+    expect(manager).to.include({ role: "keeper", address: keeper.address, impersonated: true });
+
+    await (await strategy.connect(manager.signer).rebalance()).wait();
+    await (await strategy.connect(manager.signer).harvest()).wait();
+    expect((await strategy.lastHarvest()).gt(0)).to.equal(true);
+
+    await stopImpersonating(manager.address);
+  });
+});
@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { applyConfig } = require("../utils/config");
+const { withImpersonation } = require("../utils/fork");
+const { SwapHelper } = require("../utils/swaps");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalDexStack } = require("../fixtures/local-dex");
+
+const MAX_SQRT_PRICE_MINUS_ONE = "1461446703485210103287273052203988822378723970341";
+
+describe("DirectPoolSwapper callback hardening (offline)", function () {
+  this.timeout(120000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let swapper;
+  let pool;
+  let token0;
+  let token1;
+  let victim;
+  let attacker;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalDexStack);
+    swapper = stack.quickswap.directPoolSwapper;
+    pool = stack.pools.quickswap.USDT_mUSD;
+    [, victim, attacker] = stack.signers;
+
+    token0 = await ethers.getContractAt("MockERC20", await pool.token0());
+    token1 = await ethers.getContractAt("MockERC20", await pool.token1());
+
+    // The victim has done what SwapHelper.ensureApproval does: an unlimited approval.
+    await (await token0.connect(victim).approve(swapper.address, ethers.constants.MaxUint256)).wait();
+  });
+
+  async function deployImpostor(amount) {
+    const factory = await ethers.getContractFactory("MaliciousAlgebraPool", attacker);
+    const impostor = await factory.deploy(token0.address, token1.address);
+    await impostor.deployed();
+    await (await impostor.setTarget(victim.address, amount)).wait();
+    return impostor;
+  }
+
+  it("is bound to the Algebra factory it was deployed with", async function () {
+    expect(await swapper.factory()).to.equal(stack.quickswap.factory.address);
+  });
+
+  it("rejects a direct algebraSwapCallback call that names someone else as payer", async function () {
+    const before = await token0.balanceOf(victim.address);
+    const data = ethers.utils.defaultAbiCoder.encode(["address"], [victim.address]);
+
+    await expect(
+      swapper.connect(attacker).algebraSwapCallback(before, 0, data)
+    ).to.be.revertedWith("UnauthorizedCallback");
+
+    const impostor = await deployImpostor(before);
+    await expect(impostor.drain(swapper.address)).to.be.revertedWith("UnauthorizedCallback");
+
+    expect((await token0.balanceOf(victim.address)).toString()).to.equal(before.toString());
+  });
+
+  it("refuses to swap on a pool the factory does not know", async function () {
+    const before = await token0.balanceOf(victim.address);
+    const impostor = await deployImpostor(before);
+
+    await expect(
+      swapper.connect(attacker).swap(impostor.address, true, 1, 0)
+    ).to.be.revertedWith("UnknownPool");
+    await expect(
+      swapper.connect(attacker).swap(attacker.address, true, 1, 0)
+    ).to.be.revertedWith("UnknownPool");
+
+    expect((await token0.balanceOf(victim.address)).toString()).to.equal(before.toString());
+  });
+
+  it("only charges the swap caller, and nothing is left honourable after the swap", async function () {
+    const amountIn = ethers.utils.parseUnits("10", 6);
+    await (await token1.connect(attacker).approve(swapper.address, amountIn)).wait();
+
+    const victimBefore = await token0.balanceOf(victim.address);
+    const attackerBefore = await token1.balanceOf(attacker.address);
+
+    // attacker swaps token1 -> token0 and pays for it themselves
+    await (await swapper.connect(attacker).swap(pool.address, false, amountIn, MAX_SQRT_PRICE_MINUS_ONE)).wait();
+    expect(attackerBefore.sub(await token1.balanceOf(attacker.address)).toString()).to.equal(amountIn.toString());
+
+    // the active pool/payer are cleared, so even the genuine pool cannot pull afterwards
+    await withImpersonation(pool.address, async (poolSigner) => {
+      await expect(swapper.connect(poolSigner).algebraSwapCallback(1, 0, "0x")).to.be.revertedWith("UnauthorizedCallback");
+    });
+    expect((await token0.balanceOf(victim.address)).toString()).to.equal(victimBefore.toString());
+  });
+});
+
+describe("DirectPoolSwapper exactInput/exactOutput (offline)", function () {
+  this.timeout(120000);
+
+  let stack;
+  let swapper;
+  let pool;
+  let token0;
+  let token1;
+  let user;
+  let recipient;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalDexStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+    swapper = stack.quickswap.directPoolSwapper;
+    pool = stack.pools.quickswap.USDT_mUSD;
+    [user, recipient] = stack.signers;
+
+    token0 = await ethers.getContractAt("MockERC20", await pool.token0());
+    token1 = await ethers.getContractAt("MockERC20", await pool.token1());
+    await (await token0.connect(user).approve(swapper.address, ethers.constants.MaxUint256)).wait();
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  async function deadlineIn(seconds) {
+    return (await ethers.provider.getBlock("latest")).timestamp + seconds;
+  }
+
+  async function exactInputParams(overrides = {}) {
+    return {
+      pool: pool.address,
+      zeroToOne: true,
+      recipient: recipient.address,
+      deadline: await deadlineIn(600),
+      amountIn: ethers.utils.parseUnits("10", 6),
+      amountOutMinimum: 0,
+      limitSqrtPrice: 0,
+      ...overrides
+    };
+  }
+
+  async function exactOutputParams(overrides = {}) {
+    return {
+      pool: pool.address,
+      zeroToOne: true,
+      recipient: recipient.address,
+      deadline: await deadlineIn(600),
+      amountOut: ethers.utils.parseUnits("10", 6),
+      amountInMaximum: ethers.constants.MaxUint256,
+      limitSqrtPrice: 0,
+      ...overrides
+    };
+  }
+
+  it("exactInput pays the recipient and enforces amountOutMinimum", async function () {
+    const params = await exactInputParams();
+    const quoted = await swapper.connect(user).callStatic.exactInput(params);
+
+    await expect(
+      swapper.connect(user).exactInput({ ...params, amountOutMinimum: quoted.add(1) })
+    ).to.be.revertedWith("TooLittleReceived");
+
+    const before = await token1.balanceOf(recipient.address);
+    await (await swapper.connect(user).exactInput({ ...params, amountOutMinimum: quoted })).wait();
+    expect((await token1.balanceOf(recipient.address)).sub(before).toString()).to.equal(quoted.toString());
+  });
+
+  it("rejects swaps past their deadline", async function () {
+    const expired = await deadlineIn(-1);
+    await expect(
+      swapper.connect(user).exactInput(await exactInputParams({ deadline: expired }))
+    ).to.be.revertedWith("TransactionTooOld");
+    await expect(
+      swapper.connect(user).exactOutput(await exactOutputParams({ deadline: expired }))
+    ).to.be.revertedWith("TransactionTooOld");
+  });
+
+  it("exactOutput delivers exactly amountOut and enforces amountInMaximum", async function () {
+    const params = await exactOutputParams();
+    const quotedIn = await swapper.connect(user).callStatic.exactOutput(params);
+
+    await expect(
+      swapper.connect(user).exactOutput({ ...params, amountInMaximum: quotedIn.sub(1) })
+    ).to.be.revertedWith("TooMuchRequested");
+
+    const userBefore = await token0.balanceOf(user.address);
+    const recipientBefore = await token1.balanceOf(recipient.address);
+    await (await swapper.connect(user).exactOutput({ ...params, amountInMaximum: quotedIn })).wait();
+
+    expect((await token1.balanceOf(recipient.address)).sub(recipientBefore).toString()).to.equal(params.amountOut.toString());
+    expect(userBefore.sub(await token0.balanceOf(user.address)).toString()).to.equal(quotedIn.toString());
+  });
+
+  it("SwapHelper derives amountOutMinimum / amountInMaximum from slippageBps", async function () {
+    const helper = new SwapHelper(user, { slippageBps: 100 });
+    const tokenIn = token0.address;
+    const tokenOut = token1.address;
+
+    const res = await helper.swap({ dex: "quickswap", tokenIn, tokenOut, amountIn: ethers.utils.parseUnits("10", 6) });
+    expect(res.amountOutMinimum.toString()).to.equal(res.expectedAmountOut.mul(9900).div(10000).toString());
+    expect(res.amountOut.toString()).to.equal(res.expectedAmountOut.toString());
+
+    const amountOut = ethers.utils.parseUnits("5", 6);
+    const exact = await helper.swap({ dex: "quickswap", tokenIn, tokenOut, amountOut, options: { slippageBps: 50 } });
+    expect(exact.amountOut.toString()).to.equal(amountOut.toString());
+    expect(exact.amountInMaximum.toString()).to.equal(exact.expectedAmountIn.mul(10050).div(10000).toString());
+
+    const unsupported = await helper.swap({ dex: "lotus", tokenIn, tokenOut, amountOut }).catch((error) => error);
+    expect(unsupported.code).to.equal("UNSUPPORTED");
+  });
+});
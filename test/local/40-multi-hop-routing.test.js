@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { SwapHelper } = require("../utils/swaps");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalDexStack, addQuickSwapPool } = require("../fixtures/local-dex");
+
+// The default stack has no two QuickSwap pools sharing a token; a mUSD/USDC Algebra pool
+// makes USDT -> mUSD -> USDC a pure QuickSwap path.
+async function deployStackWithBridgePool() {
+  const stack = await deployLocalDexStack();
+  await addQuickSwapPool(stack, "mUSD", "USDC");
+  return stack;
+}
+
+describe("Multi-hop routing across QuickSwap and Lotus (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let swapper;
+  let user;
+  let recipient;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployStackWithBridgePool);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+    swapper = stack.quickswap.directPoolSwapper;
+    [user, recipient] = stack.signers;
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function path(...symbols) {
+    return ethers.utils.solidityPack(symbols.map(() => "address"), symbols.map((s) => config.tokens[s]));
+  }
+
+  async function deadline() {
+    return (await ethers.provider.getBlock("latest")).timestamp + 600;
+  }
+
+  it("exactInputPath swaps through two Algebra pools for exactly the quoted amount", async function () {
+    const { USDT, USDC } = stack.tokens;
+    const amountIn = ethers.utils.parseUnits("50", 6);
+    await (await USDT.connect(user).approve(swapper.address, amountIn)).wait();
+
+    const quoted = await swapper.callStatic.quoteExactInputPath(path("USDT", "mUSD", "USDC"), amountIn);
+    const params = {
+      path: path("USDT", "mUSD", "USDC"),
+      recipient: recipient.address,
+      deadline: await deadline(),
+      amountIn,
+      amountOutMinimum: quoted.add(1)
+    };
+    await expect(swapper.connect(user).exactInputPath(params)).to.be.revertedWith("TooLittleReceived");
+
+    const before = await USDC.balanceOf(recipient.address);
+    await (await swapper.connect(user).exactInputPath({ ...params, amountOutMinimum: quoted })).wait();
+
+    expect((await USDC.balanceOf(recipient.address)).sub(before).toString()).to.equal(quoted.toString());
+    expect((await stack.tokens.mUSD.balanceOf(swapper.address)).toString()).to.equal("0");
+    expect((await USDT.balanceOf(swapper.address)).toString()).to.equal("0");
+  });
+
+  it("rejects malformed paths and pairs without an Algebra pool", async function () {
+    await expect(swapper.callStatic.quoteExactInputPath(path("USDT"), 1)).to.be.revertedWith("InvalidPath");
+    await expect(
+      swapper.callStatic.quoteExactInputPath(path("USDT", "mUSD") + "00", 1)
+    ).to.be.revertedWith("InvalidPath");
+    await expect(swapper.callStatic.quoteExactInputPath(path("USDT", "wOM"), 1)).to.be.revertedWith("UnknownPool");
+  });
+
+  it("findRoutes() builds the graph from both venues and never revisits a token", async function () {
+    const helper = new SwapHelper(user);
+    const routes = await helper.findRoutes(config.tokens.wOM, config.tokens.USDT);
+    const descriptions = routes.map((r) => helper.describeRoute(r));
+
+    expect(descriptions).to.include("wOM →(quickswap) USDC →(lotus) USDT");
+    expect(descriptions).to.include("wOM →(lotus) mUSD →(quickswap) USDT");
+    expect(descriptions).to.include("wOM →(quickswap) USDC →(quickswap) mUSD →(quickswap) USDT");
+    for (const route of routes) {
+      const tokens = [route[0].tokenIn, ...route.map((hop) => hop.tokenOut)];
+      expect(new Set(tokens).size).to.equal(tokens.length);
+      expect(route.length).to.be.at.most(3);
+    }
+
+    expect(await helper.findRoutes(config.tokens.wOM, config.tokens.USDT, { maxHops: 1 })).to.deep.equal([]);
+  });
+
+  it("swap({ dex: \"auto\" }) executes the best quoted route and returns its legs", async function () {
+    const helper = new SwapHelper(user, { slippageBps: 100 });
+    // Lotus hops are simulated from the signer's own balance and allowance.
+    for (const symbol of ["wOM", "USDC", "mUSD"]) {
+      await helper.ensureApproval(config.tokens[symbol], config.lotus.swapRouter, ethers.constants.MaxUint256);
+    }
+
+    const amountIn = ethers.utils.parseUnits("400", 18);
+    const best = await helper.findBestRoute(config.tokens.wOM, config.tokens.USDT, amountIn);
+    const quotes = best.candidates.map((c) => {
+      expect(c.error, c.description).to.equal(undefined);
+      return c.amountOut;
+    });
+    expect(quotes.every((q) => best.amountOut.gte(q))).to.equal(true);
+
+    const USDT = stack.tokens.USDT;
+    const before = await USDT.balanceOf(user.address);
+    const res = await helper.swap({ dex: "auto", tokenIn: config.tokens.wOM, tokenOut: config.tokens.USDT, amountIn });
+
+    expect(res.description).to.equal(best.description);
+    expect(res.amountOut.toString()).to.equal(best.amountOut.toString());
+    expect((await USDT.balanceOf(user.address)).sub(before).toString()).to.equal(res.amountOut.toString());
+    expect(res.legs.length).to.equal(helper.routeLegs(res.route).length);
+  });
+
+  it("runs consecutive QuickSwap hops of a forced route as one exactInputPath leg", async function () {
+    const helper = new SwapHelper(user);
+    const routes = await helper.findRoutes(config.tokens.USDT, config.tokens.USDC);
+    const route = routes.find((r) => helper.describeRoute(r) === "USDT →(quickswap) mUSD →(quickswap) USDC");
+
+    const amountIn = ethers.utils.parseUnits("25", 6);
+    const res = await helper.swapRoute(config.tokens.USDT, config.tokens.USDC, amountIn, { route });
+
+    expect(res.legs).to.have.length(1);
+    expect(res.legs[0].path).to.deep.equal([config.tokens.USDT, config.tokens.mUSD, config.tokens.USDC]);
+    expect(res.amountOut.toString()).to.equal(res.quotedAmountOut.toString());
+
+    // Only the venue that swapped was approved, and only for what it spent.
+    const USDT = stack.tokens.USDT;
+    expect((await USDT.allowance(user.address, swapper.address)).toString()).to.equal("0");
+    expect((await USDT.allowance(user.address, config.lotus.swapRouter)).toString()).to.equal("0");
+  });
+
+  it("enforces options.amountOutMinimum on a QuickSwap path and on the route as a whole", async function () {
+    const helper = new SwapHelper(user);
+    const amountIn = ethers.utils.parseUnits("25", 6);
+    const tokens = [config.tokens.USDT, config.tokens.mUSD, config.tokens.USDC];
+    const quoted = await swapper.callStatic.quoteExactInputPath(path("USDT", "mUSD", "USDC"), amountIn);
+
+    let error;
+    try {
+      await helper.swapQuickSwapPath(tokens, amountIn, { amountOutMinimum: quoted.add(1) });
+    } catch (e) {
+      error = e;
+    }
+    expect(error, "path swap below options.amountOutMinimum").to.not.equal(undefined);
+    expect(error.details.amountOutMinimum).to.equal(quoted.add(1).toString());
+
+    // A Lotus last leg: the route minimum, not that leg's own quote, bounds what it may pay.
+    const routes = await helper.findRoutes(config.tokens.USDT, config.tokens.USDC);
+    const route = routes.find((r) => helper.describeRoute(r) === "USDT →(quickswap) mUSD →(lotus) USDC");
+    const routeQuote = await helper.quoteRoute(route, amountIn);
+    error = undefined;
+    try {
+      await helper.swapRoute(config.tokens.USDT, config.tokens.USDC, amountIn, { route, amountOutMinimum: routeQuote.add(1) });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).to.equal("SLIPPAGE_EXCEEDED");
+    expect(error.details.amountOutMinimum).to.equal(routeQuote.add(1).toString());
+
+    // The failed attempt's first leg went through, so the route is quoted afresh.
+    const res = await helper.swapRoute(config.tokens.USDT, config.tokens.USDC, amountIn, { route, slippageBps: 50 });
+    expect(res.amountOutMinimum.toString()).to.equal(res.quotedAmountOut.mul(9950).div(10000).toString());
+    expect(res.legs[res.legs.length - 1].amountOutMinimum.toString()).to.equal(res.amountOutMinimum.toString());
+  });
+});
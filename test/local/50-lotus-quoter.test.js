@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { readPoolState } = require("../utils/pool-state");
+const { SwapHelper } = require("../utils/swaps");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalDexStack } = require("../fixtures/local-dex");
+const { PriceMover } = require("../../scripts/price-mover");
+
+describe("Quoter-backed Lotus slippage protection (offline)", function () {
+  this.timeout(120000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let user;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalDexStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+    [user] = stack.signers;
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  const amountIn = ethers.utils.parseUnits("250", 6);
+
+  it("MockQuoterV2 quotes exactly what the router then pays, without moving the pool", async function () {
+    const quoter = stack.lotus.quoterV2;
+    const pool = config.pools.lotus.USDT_USDC;
+    const before = await readPoolState(ethers.provider, pool, "lotus");
+
+    const quote = await quoter.callStatic.quoteExactInputSingle({
+      tokenIn: config.tokens.USDT,
+      tokenOut: config.tokens.USDC,
+      amountIn,
+      fee: 500,
+      sqrtPriceLimitX96: 0
+    });
+    const after = await readPoolState(ethers.provider, pool, "lotus");
+    expect(after.sqrtPriceX96.toString()).to.equal(before.sqrtPriceX96.toString());
+    expect(quote.initializedTicksCrossed).to.equal(0);
+
+    const res = await new SwapHelper(user).swapLotus(config.tokens.USDT, config.tokens.USDC, 500, amountIn);
+    expect(res.amountOut.toString()).to.equal(quote.amountOut.toString());
+    expect(quote.sqrtPriceX96After.toString()).to.equal(
+      (await readPoolState(ethers.provider, pool, "lotus")).sqrtPriceX96.toString()
+    );
+  });
+
+  it("SwapHelper.swapLotus sets amountOutMinimum from the quote and slippageBps", async function () {
+    const helper = new SwapHelper(user, { slippageBps: 30 });
+    const res = await helper.swapLotus(config.tokens.USDT, config.tokens.USDC, 500, amountIn);
+
+    expect(res.quoteSource).to.equal("quoterV2");
+    expect(res.amountOutMinimum.toString()).to.equal(res.quotedAmountOut.mul(9970).div(10000).toString());
+    expect(res.amountOut.gte(res.amountOutMinimum)).to.equal(true);
+  });
+
+  it("fails with SLIPPAGE_EXCEEDED and both amounts when the pool pays less than quoted", async function () {
+    const helper = new SwapHelper(user, { slippageBps: 50 });
+    // Stand-in for a price move between quote and execution: the quote is twice the real output.
+    const quoteLotus = helper.quoteLotus.bind(helper);
+    helper.quoteLotus = async (...args) => {
+      const quote = await quoteLotus(...args);
+      return { ...quote, amountOut: quote.amountOut.mul(2) };
+    };
+
+    const usdt = stack.tokens.USDT;
+    const balanceBefore = await usdt.balanceOf(user.address);
+    const error = await helper
+      .swapLotus(config.tokens.USDT, config.tokens.USDC, 500, amountIn)
+      .catch((e) => e);
+
+    expect(error.code).to.equal("SLIPPAGE_EXCEEDED");
+    const { quotedAmountOut, realisedAmountOut, amountOutMinimum, slippageBps } = error.details;
+    expect(slippageBps).to.equal(50);
+    expect(ethers.BigNumber.from(realisedAmountOut).lt(amountOutMinimum)).to.equal(true);
+    expect(ethers.BigNumber.from(realisedAmountOut).mul(2).toString()).to.equal(quotedAmountOut);
+    expect((await usdt.balanceOf(user.address)).toString()).to.equal(balanceBefore.toString());
+  });
+
+  it("falls back to a router simulation when no quoter is configured", async function () {
+    const quoterV2 = config.lotus.quoterV2;
+    // Dukong keeps the key at the zero address; a profile that leaves it out is unset too.
+    for (const unset of [undefined, ethers.constants.AddressZero]) {
+      if (unset === undefined) delete config.lotus.quoterV2;
+      else config.lotus.quoterV2 = unset;
+      try {
+        const res = await new SwapHelper(user).swapLotus(config.tokens.USDT, config.tokens.USDC, 500, amountIn);
+        expect(res.quoteSource, String(unset)).to.equal("router");
+        expect(res.amountOut.toString()).to.equal(res.quotedAmountOut.toString());
+      } finally {
+        config.lotus.quoterV2 = quoterV2;
+      }
+    }
+  });
+
+  it("PriceMover.swapLotus quotes by default and reports SLIPPAGE_EXCEEDED for an unreachable minimum", async function () {
+    const mover = new PriceMover(user, { slippageBps: 100 });
+    const res = await mover.swapLotus(config.tokens.USDC, config.tokens.mUSD, 500, amountIn);
+    expect(res.success).to.equal(true);
+    expect(res.amountOutMinimum.toString()).to.equal(res.quotedAmountOut.mul(9900).div(10000).toString());
+
+    const error = await mover
+      .swapLotus(config.tokens.USDC, config.tokens.mUSD, 500, amountIn, amountIn.mul(2))
+      .catch((e) => e);
+    expect(error.code).to.equal("SLIPPAGE_EXCEEDED");
+    expect(error.details.amountOutMinimum).to.equal(amountIn.mul(2).toString());
+    expect(ethers.BigNumber.from(error.details.realisedAmountOut).gt(0)).to.equal(true);
+  });
+});
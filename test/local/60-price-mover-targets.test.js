@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { readPoolState } = require("../utils/pool-state");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalDexStack, humanForUsd, TOKEN_SPECS } = require("../fixtures/local-dex");
+const { PriceMover } = require("../../scripts/price-mover");
+const { DEFAULT_SCENARIO_FILE } = require("../../scripts/batch-price-scenarios");
+const { loadScenarioFile, runScenarios } = require("../../scripts/utils/scenario-dsl");
+const { createRunReporter } = require("../utils/reporting");
+const {
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MAX_SQRT_RATIO,
+  Q96,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio
+} = require("../../scripts/utils/cl-math");
+
+describe("PriceMover target-tick / target-percent moves (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let mover;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalDexStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+    mover = new PriceMover(stack.signers[0], { slippageBps: 100 });
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  // A concentrated position around the current price gives the swap initialized ticks to cross.
+  async function addNarrowPosition(pool, algebra, halfWidth) {
+    const [signer] = stack.signers;
+    const { tick } = await readPoolState(ethers.provider, pool.address, algebra ? "quickswap" : "lotus");
+    const spacing = await pool.tickSpacing();
+    const lower = Math.floor(tick / spacing) * spacing - halfWidth * spacing;
+    const upper = Math.floor(tick / spacing) * spacing + halfWidth * spacing;
+
+    const amounts = [];
+    for (const tokenAddress of [await pool.token0(), await pool.token1()]) {
+      const spec = TOKEN_SPECS.find((s) => stack.tokens[s.symbol].address === tokenAddress);
+      const amount = humanForUsd(spec, "5000");
+      await (await stack.tokens[spec.symbol].approve(stack.liquidityProvider.address, amount)).wait();
+      amounts.push(amount);
+    }
+    await (await stack.liquidityProvider.connect(signer).addLiquidity(pool.address, algebra, lower, upper, ...amounts)).wait();
+    return { lower, upper };
+  }
+
+  it("cl-math matches TickMath at the boundaries and round-trips ticks", function () {
+    expect(getSqrtRatioAtTick(0).toString()).to.equal(Q96.toString());
+    expect(getSqrtRatioAtTick(MIN_TICK).toString()).to.equal(MIN_SQRT_RATIO.toString());
+    expect(getSqrtRatioAtTick(MAX_TICK).toString()).to.equal(MAX_SQRT_RATIO.toString());
+    for (const tick of [-276324, -60, -1, 1, 59, 887271]) {
+      expect(getTickAtSqrtRatio(getSqrtRatioAtTick(tick))).to.equal(tick);
+    }
+  });
+
+  it("moves a Lotus pool up and back down to exact ticks, spending the computed input", async function () {
+    const pool = config.pools.lotus.USDT_USDC;
+
+    const up = await mover.movePriceToTick(pool, 200);
+    expect(up.resultTick).to.equal(200);
+    expect(up.amountSpent.toString()).to.equal(up.amountIn.toString());
+
+    const down = await mover.movePriceToTick(pool, -150);
+    expect(down.zeroForOne).to.equal(true);
+    expect(Math.abs(down.resultTick - -150)).to.be.at.most(1);
+    expect(down.amountSpent.toString()).to.equal(down.amountIn.toString());
+  });
+
+  it("walks initialized ticks on a QuickSwap pool read via safelyGetStateOfAMM", async function () {
+    const pool = stack.pools.quickswap.USDT_mUSD;
+    const startTick = (await readPoolState(ethers.provider, pool.address, "quickswap")).tick;
+    const { upper, lower } = await addNarrowPosition(pool, true, 2);
+
+    const up = await mover.movePriceToTick(pool.address, upper + 40);
+    expect(up.ticksCrossed).to.be.at.least(1);
+    expect(up.resultTick).to.equal(upper + 40);
+    expect(up.amountSpent.toString()).to.equal(up.amountIn.toString());
+
+    const down = await mover.movePriceToTick(pool.address, lower - 40);
+    expect(down.ticksCrossed).to.be.at.least(2);
+    expect(Math.abs(down.resultTick - (lower - 40))).to.be.at.most(1);
+    expect(down.amountSpent.toString()).to.equal(down.amountIn.toString());
+    expect(startTick).to.be.within(lower, upper);
+  });
+
+  it("movePriceByPercent moves the price of 6-decimal stables by the requested percent", async function () {
+    const pool = stack.pools.lotus.USDC_mUSD;
+    await addNarrowPosition(pool, false, 3);
+    const price = (sqrt) => Number(ethers.utils.formatUnits(sqrt, 0)) ** 2;
+
+    for (const percent of [3, -5]) {
+      const before = await readPoolState(ethers.provider, pool.address, "lotus");
+      const res = await mover.movePriceByPercent(pool.address, percent);
+      const after = await readPoolState(ethers.provider, pool.address, "lotus");
+
+      const moved = (price(after.sqrtPriceX96) / price(before.sqrtPriceX96) - 1) * 100;
+      expect(moved).to.be.closeTo(percent, 0.001);
+      expect(Math.abs(res.resultTick - res.targetTick)).to.be.at.most(1);
+    }
+  });
+
+  it("movePriceUp/Down move QuickSwap pairs through DirectPoolSwapper by the requested percent", async function () {
+    const pairMover = new PriceMover(stack.signers[0], { slippageBps: 100, delayMs: 0 });
+    const pool = config.pools.quickswap.USDT_mUSD;
+    // Price of mUSD quoted in USDT, whichever way round the pool holds them
+    const mUsdInUsdt = async () => {
+      const { token0, price } = await pairMover.getPoolPrice(pool);
+      return token0 === "mUSD" ? price : 1 / price;
+    };
+
+    const start = await mUsdInUsdt();
+    const [up] = await pairMover.movePriceUp("quickswap", config.tokens.USDT, config.tokens.mUSD, 500, 3);
+    expect(up.dex).to.equal("quickswap");
+    expect(up.swap.pool).to.equal(pool);
+    const raised = await mUsdInUsdt();
+    expect((raised / start - 1) * 100).to.be.closeTo(3, 0.001);
+
+    await pairMover.movePriceDown("quickswap", config.tokens.USDT, config.tokens.mUSD, 500, 3);
+    expect((await mUsdInUsdt()) / raised).to.be.closeTo(0.97, 0.00001);
+
+    const error = await pairMover
+      .movePriceUp("quickswap", config.tokens.USDT, config.tokens.USDC, 500, 3)
+      .catch((e) => e);
+    expect(error.code).to.equal("POOL_NOT_FOUND");
+  });
+
+  it("batch scenarios cover and run the QuickSwap pairs", async function () {
+    const doc = loadScenarioFile(DEFAULT_SCENARIO_FILE);
+    const quickswap = doc.scenarios.filter((s) => s.target.dex === "quickswap");
+    expect([...new Set(quickswap.map((s) => s.target.pair))]).to.have.members(["USDT/mUSD", "wOM/USDC"]);
+
+    const pairMover = new PriceMover(stack.signers[0], { slippageBps: 100, delayMs: 0 });
+    const reporter = createRunReporter({ suite: "batch-price-scenarios", network: "local" });
+    const smallMoves = quickswap.filter((s) => s.steps[0].scenario.startsWith("small-"));
+    const results = await runScenarios(stack.signers[0], { ...doc, scenarios: smallMoves }, { reporter, mover: pairMover });
+
+    expect(results).to.have.length(4);
+    for (const result of results) {
+      expect(result.success, `${result.scenario}: ${JSON.stringify(result.steps)}`).to.equal(true);
+    }
+  });
+});
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+
+const { applyConfig } = require("../utils/config");
+const { createRunReporter } = require("../utils/reporting");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+const { PriceMover } = require("../../scripts/price-mover");
+const {
+  SCENARIO_DIR,
+  validateScenarios,
+  loadScenarioFile,
+  runScenarios
+} = require("../../scripts/utils/scenario-dsl");
+
+describe("Scenario DSL (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let signer;
+  let mover;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+    [signer] = stack.signers;
+    mover = new PriceMover(signer, { slippageBps: 100, delayMs: 0 });
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  const reporterFor = (suite) => createRunReporter({ suite, network: "local" });
+
+  it("every bundled scenario file validates", function () {
+    const files = fs.readdirSync(SCENARIO_DIR).filter((f) => /\.(ya?ml|json)$/.test(f));
+    expect(files).to.include.members(["batch-price.yaml", "user-journey.yaml", "rebalance-cycle.yaml", "twap-manipulation.yaml"]);
+    for (const file of files) {
+      expect(loadScenarioFile(file).scenarios.length, file).to.be.greaterThan(0);
+    }
+  });
+
+  it("rejects malformed files with one message per problem", function () {
+    const errors = validateScenarios({
+      version: 1,
+      target: { dex: "lotus", pair: "USDT/USDC" },
+      scenarios: [
+        {
+          name: "broken",
+          steps: [
+            { action: "swap", direction: "sideways", percent: 3 },
+            { action: "swap", direction: "up", percent: 3, size: "small" },
+            { action: "teleport" },
+            { action: "wait", block: 3 },
+            { action: "deposit", size: "small" }
+          ]
+        },
+        { name: "broken", steps: [] }
+      ]
+    });
+    expect(errors).to.deep.equal([
+      "scenarios[0].steps[0] (swap).direction must be one of up, down",
+      "scenarios[0].steps[1] (swap) needs exactly one of percent, amount, size",
+      "scenarios[0].steps[2]: unknown action 'teleport' (expected swap, price-scenario, move-to-tick, twap, wait, deposit, withdraw, rebalance, harvest, assert)",
+      "scenarios[0].steps[3] (wait): unknown field 'block'",
+      "scenarios[0].steps[4] (deposit) needs a vault target, got pair USDT/USDC",
+      "scenarios[1]: duplicate name 'broken'",
+      "scenarios[1].steps must be a non-empty list"
+    ]);
+
+    const file = path.join(os.tmpdir(), `scenario-dsl-${process.pid}.yaml`);
+    fs.writeFileSync(file, "version: 1\nscenarios:\n  - name: x\n    steps:\n      - { action: move-to-tick }\n");
+    try {
+      const error = (() => {
+        try {
+          return loadScenarioFile(file);
+        } catch (e) {
+          return e;
+        }
+      })();
+      expect(error.code).to.equal("SCENARIO_INVALID");
+      expect(error.details.errors).to.deep.equal(["scenarios[0].steps[0] (move-to-tick) needs exactly one of tick, offset, deviations"]);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it("runs rebalance-cycle.yaml end to end against a Lotus and a QuickSwap vault", async function () {
+    const doc = loadScenarioFile("rebalance-cycle.yaml");
+    for (const vault of ["Lotus USDT-USDC", "usdt_musd"]) {
+      const reporter = reporterFor("scenarios");
+      const results = await runScenarios(signer, doc, { reporter, mover, target: { vault } });
+
+      for (const result of results) {
+        expect(result.success, `${vault} ${result.scenario}: ${JSON.stringify(result.steps.find((s) => !s.success))}`).to.equal(true);
+      }
+      const steps = doc.scenarios.reduce((n, s) => n + s.steps.length, 0);
+      expect(reporter.run.summary).to.deep.equal({ total: steps, passed: steps, failed: 0, skipped: 0 });
+
+      const [entry] = reporter.run.vaults;
+      expect(entry.name).to.equal(vault === "usdt_musd" ? "QuickSwap USDT-mUSD" : vault);
+      expect(entry.scenarios.map((s) => s.name)).to.include("out-of-range-and-back #4 rebalance");
+    }
+  });
+
+  it("a failing step fails its scenario, skips the rest and carries the assertion details", async function () {
+    const doc = {
+      version: 1,
+      target: { vault: "usdt_usdc" },
+      scenarios: [
+        {
+          name: "expects-a-move",
+          steps: [
+            { action: "assert", tickMoved: true },
+            { action: "swap", direction: "up", size: "small" }
+          ]
+        },
+        { name: "missing-pair", target: { dex: "lotus", pair: "DAI/USDC" }, steps: [{ action: "wait", blocks: 1 }] }
+      ]
+    };
+    const reporter = reporterFor("scenarios");
+    const [failed, skipped] = await runScenarios(signer, doc, { reporter, mover });
+
+    expect(failed.success).to.equal(false);
+    expect(failed.steps[0].code).to.equal("SCENARIO_ASSERTION_FAILED");
+    expect(failed.steps[1].skipped).to.equal(true);
+    expect(skipped.skipped).to.equal(true);
+    expect(reporter.run.summary).to.deep.equal({ total: 3, passed: 0, failed: 1, skipped: 2 });
+
+    const recorded = reporter.run.vaults.find((v) => v.name === "Lotus USDT-USDC").scenarios[0];
+    expect(recorded.note).to.match(/tickMoved is false, expected true/);
+    expect(recorded.details.startTicks).to.deep.equal(recorded.details.ticks);
+  });
+});
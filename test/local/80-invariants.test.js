@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { getVaultState } = require("../utils/vault-state");
+const { createRunReporter, generateMarkdownReport } = require("../utils/reporting");
+const { INVARIANTS, checkInvariants, assertInvariants, vaultActionsFromReceipt } = require("../utils/invariants");
+const { SwapHelper } = require("../utils/swaps");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { TOKEN_SPECS, humanForUsd } = require("../fixtures/local-dex");
+const { VAULT_SPECS, deployLocalVaultStack } = require("../fixtures/local-vaults");
+
+describe("Vault share-accounting invariants (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  function symbolOf(address) {
+    return Object.keys(stack.tokens).find((s) => stack.tokens[s].address === address);
+  }
+
+  async function depositUsd(signer, key, usd) {
+    const vault = stack.vaults[key].connect(signer);
+    const strategy = stack.strategies[key];
+    for (const tokenAddress of [await strategy.lpToken0(), await strategy.lpToken1()]) {
+      const symbol = symbolOf(tokenAddress);
+      const amount = humanForUsd(TOKEN_SPECS.find((s) => s.symbol === symbol), usd);
+      await (await stack.tokens[symbol].connect(signer).approve(vault.address, amount)).wait();
+    }
+    return vaultActionsFromReceipt(await (await vault.deposit()).wait(), vault.address);
+  }
+
+  async function withdrawAll(signer, key) {
+    const vault = stack.vaults[key].connect(signer);
+    return vaultActionsFromReceipt(await (await vault.withdrawAll(0, 0)).wait(), vault.address);
+  }
+
+  async function swapUp(signer, key, usd) {
+    const spec = VAULT_SPECS.find((s) => s.key === key);
+    const strategy = stack.strategies[key];
+    const [tokenIn, tokenOut] = [await strategy.lpToken0(), await strategy.lpToken1()];
+    const amountIn = humanForUsd(TOKEN_SPECS.find((s) => s.symbol === symbolOf(tokenIn)), usd);
+    const feeTier = spec.dex === "lotus" ? await stack.pools.lotus[spec.pool].fee() : undefined;
+    const res = await new SwapHelper(signer).swap({ dex: spec.dex, tokenIn, tokenOut, amountIn, feeTier });
+    expect(res.success, `${key} swap`).to.equal(true);
+  }
+
+  function expectClean(result, label) {
+    expect(result.violations, label).to.deep.equal([]);
+    expect(result.ok, label).to.equal(true);
+  }
+
+  it("holds across deposit, a second depositor, trading, harvest and a deposit→withdraw round trip", async function () {
+    const [owner, keeper, alice, bob, carol] = stack.signers;
+    for (const key of ["usdt_usdc", "usdt_musd"]) {
+      const vaultConfig = vaultConfigFor(key);
+      const snap = () => getVaultState(alice, vaultConfig);
+
+      const s0 = await snap();
+      const first = await depositUsd(alice, key, "1000");
+      expect(first).to.have.length(1);
+      expect(first[0]).to.include({ type: "deposit", user: alice.address });
+      const s1 = await snap();
+      const r1 = checkInvariants(s0, s1, first);
+      expectClean(r1, `${key} first deposit`);
+      expect(r1.checked).to.include.members([INVARIANTS.BALANCES_RECONCILE, INVARIANTS.SUPPLY_DELTA, INVARIANTS.USER_SHARES_DELTA]);
+      // The locked MINIMUM_SHARES are part of the supply delta.
+      expect(s1.accounting.totalSupply.sub(first[0].shares).toString()).to.equal(s1.accounting.minimumShares.toString());
+
+      const s2Actions = await depositUsd(bob, key, "500");
+      const s2 = await snap();
+      const r2 = checkInvariants(s1, s2, s2Actions);
+      expectClean(r2, `${key} second deposit`);
+      expect(r2.checked).to.include(INVARIANTS.PPFS_NON_DECREASING);
+      expect(s2.accounting.userShares.toString()).to.equal(s1.accounting.userShares.toString());
+
+      await swapUp(owner, key, "50");
+      const s3 = await snap();
+      const r3 = checkInvariants(s2, s3, [{ type: "swap" }]);
+      expectClean(r3, `${key} swap`);
+      expect(r3.skipped.map((s) => s.invariant)).to.include(INVARIANTS.PPFS_NON_DECREASING);
+      expect(s3.accounting.unclaimedFees.amount0.gt(0), `${key} fees`).to.equal(true);
+
+      await (await stack.strategies[key].connect(keeper).harvest()).wait();
+      const s4 = await snap();
+      const r4 = checkInvariants(s3, s4, [{ type: "harvest" }]);
+      expectClean(r4, `${key} harvest`);
+      expect(r4.checked).to.include(INVARIANTS.PPFS_NON_DECREASING);
+
+      const trip = [...(await depositUsd(carol, key, "250")), ...(await withdrawAll(carol, key))];
+      expect(trip.map((a) => a.type)).to.deep.equal(["deposit", "withdraw"]);
+      const s5 = await snap();
+      const r5 = checkInvariants(s4, s5, trip);
+      expectClean(r5, `${key} round trip`);
+      expect(r5.checked).to.include.members(Object.values(INVARIANTS));
+    }
+  });
+
+  it("reports misaccounted shares, stray vault balances and value leaks as structured violations", async function () {
+    const [owner, , alice, bob] = stack.signers;
+    const key = "usdt_usdc";
+    const vaultConfig = vaultConfigFor(key);
+    await depositUsd(alice, key, "1000");
+
+    const before = await getVaultState(alice, vaultConfig);
+    const [deposit] = await depositUsd(bob, key, "500");
+    const after = await getVaultState(alice, vaultConfig);
+
+    const misreported = checkInvariants(before, after, [{ ...deposit, shares: deposit.shares.add(1) }]);
+    expect(misreported.ok).to.equal(false);
+    expect(misreported.violations).to.have.length(1);
+    const [supply] = misreported.violations;
+    expect(supply.invariant).to.equal(INVARIANTS.SUPPLY_DELTA);
+    expect(supply.severity).to.equal("error");
+    expect(supply.details.minted).to.equal(deposit.shares.add(1).toString());
+
+    const [withdraw] = await withdrawAll(bob, key);
+    const settled = await getVaultState(alice, vaultConfig);
+    const leak = checkInvariants(before, settled, [deposit, { ...withdraw, amount1: withdraw.amount1.mul(2) }]);
+    expect(leak.violations.map((v) => [v.invariant, v.severity])).to.deep.equal([[INVARIANTS.ROUND_TRIP, "error"]]);
+    const loss = checkInvariants(before, settled, [deposit, { ...withdraw, amount1: withdraw.amount1.div(2) }]);
+    expect(loss.ok).to.equal(true);
+    expect(loss.violations.map((v) => [v.invariant, v.severity])).to.deep.equal([[INVARIANTS.ROUND_TRIP, "warning"]]);
+
+    // Tokens sent straight to the vault contract sit outside vault.balances().
+    const token0 = stack.tokens[symbolOf(settled.token0Address)];
+    await (await token0.connect(owner).transfer(vaultConfig.vault, 12345)).wait();
+    const donated = await getVaultState(alice, vaultConfig);
+    const stray = checkInvariants(settled, donated, [{ type: "transfer" }]);
+    expect(stray.violations).to.have.length(1);
+    expect(stray.violations[0]).to.deep.include({ invariant: INVARIANTS.BALANCES_RECONCILE, severity: "error" });
+    expect(stray.violations[0].details).to.include({ snapshot: "after", token: "amount0", vaultIdle: "12345" });
+
+    const error = (() => {
+      try {
+        return assertInvariants(stray, key);
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(error.code).to.equal("INVARIANT_VIOLATION");
+    expect(error.message).to.match(/\[vault-balances-reconcile\]/);
+    expect(error.details.violations).to.deep.equal(stray.violations);
+
+    // Against vaults this repo does not deploy, a reconciliation gap is reported, not fatal.
+    const lenient = checkInvariants(settled, donated, [{ type: "transfer" }], { reconcileSeverity: "warning" });
+    expect(lenient.ok).to.equal(true);
+    expect(lenient.violations.map((v) => v.severity)).to.deep.equal(["warning"]);
+  });
+
+  it("skips what a snapshot cannot support and the reporter renders violations", async function () {
+    const [, , alice] = stack.signers;
+    const skipped = checkInvariants({}, {}, []);
+    expect(skipped.ok).to.equal(true);
+    expect(skipped.skipped.map((s) => s.invariant)).to.deep.equal(Object.values(INVARIANTS));
+
+    const vaultConfig = vaultConfigFor("usdt_usdc");
+    const state = await getVaultState(alice, vaultConfig);
+    const unreported = checkInvariants(state, state, [{ type: "deposit" }]);
+    expect(unreported.skipped.map((s) => s.invariant)).to.include(INVARIANTS.SUPPLY_DELTA);
+
+    // An empty vault: the claimed deposit would also have locked MINIMUM_SHARES.
+    const reporter = createRunReporter({ suite: "invariants", network: "local" });
+    const result = checkInvariants(state, state, [{ type: "deposit", user: alice.address, shares: 7 }]);
+    reporter.recordScenario(vaultConfig.name, "deposit", { success: result.ok, violations: result.violations });
+    expect(reporter.run.summary.failed).to.equal(1);
+
+    const markdown = generateMarkdownReport(reporter.run);
+    expect(markdown).to.include("## Invariant Violations");
+    expect(markdown).to.include(`| ${vaultConfig.name} | deposit | ${INVARIANTS.SUPPLY_DELTA} | ❌ error | totalSupply moved by 0, actions account for 1007 |`);
+    expect(markdown).to.include(`| ${vaultConfig.name} | deposit | ${INVARIANTS.USER_SHARES_DELTA} | ❌ error |`);
+  });
+});
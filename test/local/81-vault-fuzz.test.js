@@ -0,0 +1,233 @@
+const { expect } = require("chai");
+
+const { config, applyConfig } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { getVaultState } = require("../utils/vault-state");
+const { checkInvariants, vaultActionsFromReceipt } = require("../utils/invariants");
+const { createRng, parseSeed, randomSeed, shrinkSequence, fuzz } = require("../utils/fuzz");
+const { SwapHelper } = require("../utils/swaps");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { TOKEN_SPECS, humanForUsd } = require("../fixtures/local-dex");
+const { VAULT_SPECS, deployLocalVaultStack } = require("../fixtures/local-vaults");
+
+// FUZZ_SEED / FUZZ_RUNS / FUZZ_STEPS widen or replay the search; the defaults keep `hardhat test` quick.
+const FUZZ_SEED = parseSeed(process.env.FUZZ_SEED) ?? randomSeed();
+const FUZZ_RUNS = Number(process.env.FUZZ_RUNS || 3);
+const FUZZ_STEPS = Number(process.env.FUZZ_STEPS || 10);
+
+const USERS = 3;
+const OPS = { deposit: 4, withdraw: 3, swap: 3, rebalance: 1 };
+
+// Reverts the vault is allowed to answer a generated step with.
+const EXPECTED_REVERTS = /ZeroShares|TooLittleReceived/;
+
+const roundUsd = (usd) => Math.max(0.01, Math.round(usd * 100) / 100);
+
+function generateSteps(rng, count = FUZZ_STEPS) {
+  const vaults = VAULT_SPECS.map((s) => s.key);
+  const steps = [];
+  for (let i = 0; i < count; i++) {
+    const op = rng.weighted(OPS);
+    const vault = rng.pick(vaults);
+    if (op === "deposit") {
+      // Occasionally one-sided, so ratio trimming and ZeroShares get exercised.
+      const usd0 = rng.bool(0.15) ? 0 : roundUsd(rng.logUniform(0.5, 5000));
+      const usd1 = rng.bool(0.15) ? 0 : roundUsd(rng.logUniform(0.5, 5000));
+      steps.push({ op, vault, user: rng.int(0, USERS - 1), usd0, usd1 });
+    } else if (op === "withdraw") {
+      steps.push({ op, vault, user: rng.int(0, USERS - 1), bps: rng.bool(0.2) ? 10000 : rng.int(1, 10000) });
+    } else if (op === "swap") {
+      steps.push({ op, vault, dir: rng.pick(["up", "down"]), usd: roundUsd(rng.logUniform(1, 3000)) });
+    } else {
+      steps.push({ op, vault });
+    }
+  }
+  return steps;
+}
+
+// Simpler variants of a step, tried while shrinking.
+function simplifyStep(step) {
+  const variants = [];
+  for (const field of ["usd", "usd0", "usd1"]) {
+    if (step[field] > 1) variants.push({ ...step, [field]: roundUsd(step[field] / 2) }, { ...step, [field]: 1 });
+  }
+  if (step.bps !== undefined && step.bps !== 10000) variants.push({ ...step, bps: 10000 });
+  if (step.user) variants.push({ ...step, user: 0 });
+  return variants;
+}
+
+describe("Vault deposit/withdraw fuzzing (offline)", function () {
+  this.timeout(600000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  async function fixture() {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+    return stack;
+  }
+
+  beforeEach(async function () {
+    await fixture();
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  function tokenFor(address) {
+    const symbol = Object.keys(stack.tokens).find((s) => stack.tokens[s].address === address);
+    return { token: stack.tokens[symbol], spec: TOKEN_SPECS.find((s) => s.symbol === symbol) };
+  }
+
+  async function perform(step) {
+    const [owner, keeper, ...users] = stack.signers;
+    const vault = stack.vaults[step.vault];
+    const strategy = stack.strategies[step.vault];
+    const [lp0, lp1] = [await strategy.lpToken0(), await strategy.lpToken1()];
+
+    if (step.op === "deposit") {
+      const user = users[step.user];
+      for (const [address, usd] of [[lp0, step.usd0], [lp1, step.usd1]]) {
+        const { token, spec } = tokenFor(address);
+        await (await token.connect(user).approve(vault.address, humanForUsd(spec, String(usd)))).wait();
+      }
+      return vaultActionsFromReceipt(await (await vault.connect(user).deposit()).wait(), vault.address);
+    }
+    if (step.op === "withdraw") {
+      const user = users[step.user];
+      const shares = (await vault.balanceOf(user.address)).mul(step.bps).div(10000);
+      const receipt = await (await vault.connect(user)["withdraw(uint256,uint256,uint256)"](shares, 0, 0)).wait();
+      return vaultActionsFromReceipt(receipt, vault.address);
+    }
+    if (step.op === "swap") {
+      const spec = VAULT_SPECS.find((s) => s.key === step.vault);
+      const [tokenIn, tokenOut] = step.dir === "up" ? [lp0, lp1] : [lp1, lp0];
+      const amountIn = humanForUsd(tokenFor(tokenIn).spec, String(step.usd));
+      const feeTier = spec.dex === "lotus" ? await stack.pools.lotus[spec.pool].fee() : undefined;
+      await new SwapHelper(owner).swap({ dex: spec.dex, tokenIn, tokenOut, amountIn, feeTier, options: { slippageBps: 5000 } });
+      return [{ type: "swap" }];
+    }
+    await (await strategy.connect(keeper).rebalance()).wait();
+    return [{ type: "rebalance" }];
+  }
+
+  /**
+   * Run `steps` from a fresh stack, checking the invariants around every step from the acting
+   * user's point of view. Resolves to null or the first failure.
+   */
+  async function execute(steps) {
+    await fixture();
+    const users = stack.signers.slice(2);
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const actor = step.user === undefined ? users[0] : users[step.user];
+      const vaultConfig = vaultConfigFor(step.vault);
+
+      const before = await getVaultState(actor, vaultConfig);
+      let actions = [];
+      try {
+        actions = await perform(step);
+      } catch (e) {
+        // SwapHelper rejects unfillable swaps with a structured error; the vault with custom errors.
+        const expected = EXPECTED_REVERTS.test(String(e.message)) || (step.op === "swap" && e.code && e.details);
+        if (!expected) return { step: i, message: `unexpected ${step.op} error: ${String(e.message).slice(0, 200)}` };
+      }
+      const after = await getVaultState(actor, vaultConfig);
+
+      const result = checkInvariants(before, after, actions);
+      if (!result.ok) {
+        const errors = result.violations.filter((v) => v.severity === "error");
+        return { step: i, message: errors.map((v) => `[${v.invariant}] ${v.message}`).join("; "), violations: result.violations };
+      }
+    }
+    return null;
+  }
+
+  it("the same seed generates the same sequence", function () {
+    const a = generateSteps(createRng(1234), 25);
+    expect(generateSteps(createRng(1234), 25)).to.deep.equal(a);
+    expect(generateSteps(createRng(1235), 25)).to.not.deep.equal(a);
+    expect(new Set(a.map((s) => s.op))).to.have.property("size").greaterThan(2);
+  });
+
+  it("shrinks a failing sequence to a minimal repro", async function () {
+    // Fails once any user withdraws after someone deposited more than $100 of token0.
+    const property = async (steps) => {
+      const big = steps.findIndex((s) => s.op === "deposit" && s.usd0 > 100);
+      const i = steps.findIndex((s, j) => j > big && s.op === "withdraw");
+      return big >= 0 && i >= 0 ? { step: i, message: "withdraw after a large deposit" } : null;
+    };
+    const rng = createRng(7);
+    const steps = [
+      ...generateSteps(rng, 6).filter((s) => s.op === "swap" || s.op === "rebalance"),
+      { op: "deposit", vault: "usdt_usdc", user: 2, usd0: 3000, usd1: 20 },
+      ...generateSteps(rng, 6).filter((s) => s.op === "swap" || s.op === "rebalance"),
+      { op: "withdraw", vault: "wom_usdc", user: 1, bps: 4321 }
+    ];
+    const failure = await property(steps);
+
+    const shrunk = await shrinkSequence(steps, failure, property, { simplify: simplifyStep });
+    expect(shrunk.steps.map((s) => s.op)).to.deep.equal(["deposit", "withdraw"]);
+    expect(shrunk.steps[0]).to.include({ user: 0, usd0: 187.5 });
+    expect(shrunk.steps[1]).to.include({ user: 0, bps: 10000 });
+    expect(shrunk.failure.message).to.equal("withdraw after a large deposit");
+  });
+
+  it("keeps the share-accounting invariants across random multi-user sequences", async function () {
+    const result = await fuzz({
+      seed: FUZZ_SEED,
+      runs: FUZZ_RUNS,
+      generate: (rng) => generateSteps(rng),
+      execute,
+      simplify: simplifyStep,
+      maxShrinkAttempts: 60
+    });
+    if (result.failure) {
+      const { runSeed, shrunk, failure } = result;
+      expect.fail(
+        `invariant failure (FUZZ_SEED=${runSeed} FUZZ_RUNS=1 to replay): step ${failure.step} of ${JSON.stringify(shrunk)}: ${failure.message}`
+      );
+    }
+  });
+
+  it("finds and shrinks a planted accounting bug", async function () {
+    // Claim every withdrawal burned one share fewer than it did.
+    const buggy = async (steps) => {
+      await fixture();
+      const users = stack.signers.slice(2);
+      for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const actor = users[step.user ?? 0];
+        const before = await getVaultState(actor, vaultConfigFor(step.vault));
+        const actions = await perform(step).catch(() => []);
+        const after = await getVaultState(actor, vaultConfigFor(step.vault));
+        const skewed = actions.map((a) => (a.type === "withdraw" ? { ...a, shares: a.shares.sub(1) } : a));
+        if (!checkInvariants(before, after, skewed).ok) return { step: i, message: "planted" };
+      }
+      return null;
+    };
+
+    const steps = [
+      { op: "deposit", vault: "usdt_usdc", user: 1, usd0: 800, usd1: 800 },
+      { op: "swap", vault: "usdt_usdc", dir: "up", usd: 40 },
+      { op: "deposit", vault: "usdt_musd", user: 2, usd0: 300, usd1: 300 },
+      { op: "withdraw", vault: "usdt_usdc", user: 1, bps: 2500 },
+      { op: "rebalance", vault: "usdt_usdc" }
+    ];
+    const logs = [];
+    const result = await fuzz({ seed: 99, runs: 1, generate: () => steps, execute: buggy, simplify: simplifyStep, log: (l) => logs.push(l) });
+
+    expect(result.runSeed).to.equal(99);
+    expect(result.shrunk.map((s) => s.op)).to.deep.equal(["deposit", "withdraw"]);
+    expect(result.shrunk[1]).to.include({ vault: "usdt_usdc", bps: 10000 });
+    expect(logs[0]).to.match(/fuzz seed=99 runs=1/);
+    expect(logs.join("\n")).to.match(/shrunk to 2 step\(s\)/);
+  });
+});
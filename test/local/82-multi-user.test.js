@@ -0,0 +1,190 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { getVaultState } = require("../utils/vault-state");
+const { vaultActionsFromReceipt } = require("../utils/invariants");
+const { getJourneyAccounts, fundAccounts } = require("../utils/accounts");
+const { defaultSchedule, validateSchedule, loadSchedule, eventsAt } = require("../utils/journey-schedule");
+const { createPnlLedger } = require("../utils/user-pnl");
+const { runDonationAttack } = require("../utils/donation-attack");
+const { generateMarkdownReport } = require("../utils/reporting");
+const { SwapHelper } = require("../utils/swaps");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { TOKEN_SPECS, humanForUsd } = require("../fixtures/local-dex");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+
+describe("Multi-user journeys and first-depositor attack (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  const raw = (symbol, usd) => humanForUsd(TOKEN_SPECS.find((s) => s.symbol === symbol), usd);
+
+  function caught(fn) {
+    try {
+      fn();
+    } catch (e) {
+      return e;
+    }
+    return null;
+  }
+
+  it("derives distinct journey accounts and funds them idempotently", async function () {
+    const [owner] = stack.signers;
+    const signerCount = (await ethers.getSigners()).length;
+    const users = await getJourneyAccounts(owner, { count: signerCount + 2, mnemonic: "" });
+    const addresses = await Promise.all(users.map((u) => u.getAddress()));
+
+    expect(users).to.have.length(signerCount + 2);
+    expect(addresses[0]).to.equal(owner.address);
+    expect(new Set(addresses.map((a) => a.toLowerCase())).size).to.equal(addresses.length);
+    expect(await getJourneyAccounts(owner, { count: 1 })).to.deep.equal([owner]);
+
+    const derived = users.slice(-2);
+    const tokens = [{ address: stack.tokens.USDC.address, amount: raw("USDC", 50) }];
+    const funded = await fundAccounts(owner, derived, { tokens });
+    expect(funded.map((f) => f.address)).to.deep.equal(addresses.slice(-2));
+    for (const wallet of derived) {
+      expect((await stack.tokens.USDC.balanceOf(wallet.address)).eq(raw("USDC", 50))).to.equal(true);
+      expect((await ethers.provider.getBalance(wallet.address)).gte(ethers.utils.parseEther("0.5"))).to.equal(true);
+    }
+
+    const again = await fundAccounts(owner, derived, { tokens });
+    expect(again.every((f) => f.gas === null && !Object.keys(f.tokens).length)).to.equal(true);
+  });
+
+  it("builds, validates and loads interleaved schedules", function () {
+    const names = ["swap-up", "swap-down", "swap-up-large"];
+    const schedule = defaultSchedule(4, names);
+    expect(validateSchedule(schedule, { userCount: 4, scenarioNames: names })).to.deep.equal([]);
+    expect(eventsAt(schedule, "start")).to.deep.equal([{ user: 0, action: "deposit", at: "start" }]);
+    expect(eventsAt(schedule, "after:swap-down")).to.deep.equal([
+      { user: 1, action: "withdraw", at: "after:swap-down", fraction: 0.5 },
+      { user: 2, action: "deposit", at: "after:swap-down" }
+    ]);
+
+    const errors = validateSchedule(
+      [
+        { user: 5, action: "deposit", at: "start" },
+        { user: 1, action: "withdraw", at: "start" },
+        { user: 1, action: "deposit", at: "after:nope", size: "huge" }
+      ],
+      { userCount: 2, scenarioNames: names }
+    );
+    expect(errors.join("\n")).to.match(/schedule\[0\]\.user/).and.match(/nothing to withdraw at start/).and.match(/'after:nope'/).and.match(/size/);
+
+    const missing = caught(() => loadSchedule("no-such-schedule.yaml", { userCount: 2, scenarioNames: names }));
+    expect(missing.code).to.equal("SCHEDULE_NOT_FOUND");
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "journey-schedule-"));
+    const good = path.join(dir, "good.yaml");
+    fs.writeFileSync(good, "schedule:\n  - { user: 1, action: deposit, at: 'after:swap-up', size: large }\n");
+    expect(loadSchedule(good, { userCount: 2, scenarioNames: names })).to.deep.equal([
+      { user: 1, action: "deposit", at: "after:swap-up", size: "large" }
+    ]);
+    const bad = path.join(dir, "bad.json");
+    fs.writeFileSync(bad, JSON.stringify([{ user: 1, action: "withdraw", at: "after:swap-up", fraction: 2 }]));
+    const invalid = caught(() => loadSchedule(bad, { userCount: 2, scenarioNames: names }));
+    expect(invalid.code).to.equal("SCHEDULE_INVALID");
+    expect(invalid.details.errors[0]).to.match(/fraction/);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("attributes P&L per user across interleaved deposits, trades and withdrawals", async function () {
+    const [owner, , alice, bob] = stack.signers;
+    const vaultConfig = vaultConfigFor("usdt_usdc");
+    const vault = stack.vaults.usdt_usdc;
+    const ledger = createPnlLedger();
+
+    async function act(signer, type, fn) {
+      const before = await getVaultState(signer, vaultConfig);
+      const [action] = vaultActionsFromReceipt(await (await fn()).wait(), vault.address);
+      const movement = { ...action, priceX96: before.accounting.priceX96 };
+      if (type === "deposit") ledger.recordDeposit(signer.address, vaultConfig.name, movement);
+      else ledger.recordWithdraw(signer.address, vaultConfig.name, movement);
+    }
+    async function deposit(signer, usd) {
+      for (const symbol of ["USDT", "USDC"]) {
+        await (await stack.tokens[symbol].connect(signer).approve(vault.address, raw(symbol, usd))).wait();
+      }
+      await act(signer, "deposit", () => vault.connect(signer).deposit());
+    }
+    async function swap(tokenIn, tokenOut, usd) {
+      const res = await new SwapHelper(owner).swap({ dex: "lotus", tokenIn, tokenOut, amountIn: raw("USDT", usd), feeTier: vaultConfig.feeTier });
+      expect(res.success).to.equal(true);
+    }
+
+    await deposit(alice, 1000);
+    await swap(stack.tokens.USDT.address, stack.tokens.USDC.address, 500);
+    await deposit(bob, 1000);
+    await swap(stack.tokens.USDC.address, stack.tokens.USDT.address, 500);
+    const half = (await vault.balanceOf(bob.address)).div(2);
+    await act(bob, "withdraw", () => vault.connect(bob)["withdraw(uint256,uint256,uint256)"](half, 0, 0));
+    await act(alice, "withdraw", () => vault.connect(alice).withdrawAll(0, 0));
+
+    const final = await getVaultState(owner, vaultConfig);
+    const rows = ledger.summarize({
+      [vaultConfig.name]: { priceX96: final.accounting.priceX96, token1Decimals: final.user.token1Decimals, token1Symbol: final.user.token1Symbol }
+    });
+    const byUser = Object.fromEntries(rows.map((r) => [r.user, r]));
+
+    expect(rows).to.have.length(2);
+    expect(byUser[alice.address]).to.include({ deposits: 1, withdrawals: 1, openShares: "0", valueToken: final.user.token1Symbol });
+    expect(byUser[bob.address]).to.include({ deposits: 1, withdrawals: 1 });
+    expect(byUser[bob.address].openShares).to.not.equal("0");
+    // Alice was in for both swaps' fees and exits whole (within rounding of a near-peg pool).
+    expect(Math.abs(byUser[alice.address].pnlBps)).to.be.lte(50);
+
+    const markdown = generateMarkdownReport({
+      startTime: new Date().toISOString(),
+      userPnl: rows.map((r, i) => ({ label: `user${i + 1}`, ...r }))
+    });
+    expect(markdown).to.include("## Per-User P&L");
+    expect(markdown).to.include(`| user1 | ${vaultConfig.name} | 1 | 1 |`);
+    expect(markdown).to.include(`${byUser[alice.address].formatted.deposited} ${final.user.token1Symbol}`);
+  });
+
+  it("reference vault resists the first-depositor donation attack", async function () {
+    const [attacker, , victim] = stack.signers;
+    const vaultConfig = vaultConfigFor("usdt_usdc");
+    const victimDeposit = { amount0: raw("USDT", 1000), amount1: raw("USDC", 1000) };
+
+    const result = await runDonationAttack({
+      vaultConfig,
+      attacker,
+      victim,
+      seed: { amount0: 1000, amount1: 1000 },
+      donation: victimDeposit,
+      victimDeposit
+    });
+
+    expect(result.skipped).to.equal(false);
+    expect(result.lockedShares).to.equal("1000");
+    expect(result.vulnerable, JSON.stringify(result)).to.equal(false);
+    // The attacker pays for the donation that is stuck behind the dead shares.
+    expect(ethers.BigNumber.from(result.attackerProfit).lt(0)).to.equal(true);
+
+    const again = await runDonationAttack({ vaultConfig, attacker, victim, seed: victimDeposit, donation: victimDeposit, victimDeposit });
+    expect(again).to.include({ skipped: true });
+  });
+});
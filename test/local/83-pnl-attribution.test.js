@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { getVaultState, valueInToken1 } = require("../utils/vault-state");
+const { attributePosition, formatAttribution } = require("../utils/attribution");
+const { generateMarkdownReport } = require("../utils/reporting");
+const { SwapHelper } = require("../utils/swaps");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { TOKEN_SPECS, humanForUsd } = require("../fixtures/local-dex");
+const { VAULT_SPECS, deployLocalVaultStack } = require("../fixtures/local-vaults");
+
+describe("P&L attribution (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  function tokenFor(address) {
+    const symbol = Object.keys(stack.tokens).find((s) => stack.tokens[s].address === address);
+    return { token: stack.tokens[symbol], spec: TOKEN_SPECS.find((s) => s.symbol === symbol) };
+  }
+
+  async function deposit(key, user, usd) {
+    const vault = stack.vaults[key];
+    const strategy = stack.strategies[key];
+    for (const address of [await strategy.lpToken0(), await strategy.lpToken1()]) {
+      const { token, spec } = tokenFor(address);
+      await (await token.connect(user).approve(vault.address, humanForUsd(spec, usd))).wait();
+    }
+    await (await vault.connect(user).deposit()).wait();
+  }
+
+  async function swap(key, dir, usd) {
+    const spec = VAULT_SPECS.find((s) => s.key === key);
+    const strategy = stack.strategies[key];
+    const [lp0, lp1] = [await strategy.lpToken0(), await strategy.lpToken1()];
+    const [tokenIn, tokenOut] = dir === "up" ? [lp0, lp1] : [lp1, lp0];
+    const feeTier = spec.dex === "lotus" ? await stack.pools.lotus[spec.pool].fee() : undefined;
+    const res = await new SwapHelper(stack.signers[0]).swap({ dex: spec.dex, tokenIn, tokenOut, amountIn: humanForUsd(tokenFor(tokenIn).spec, usd), feeTier });
+    expect(res.success, `${key} swap ${dir}`).to.equal(true);
+  }
+
+  function expectAddsUp(result) {
+    const { priceDrift, fees, impermanentLoss, rebalance } = result.components;
+    expect(priceDrift.add(fees).add(impermanentLoss).add(rebalance).eq(result.total), "components sum to total").to.equal(true);
+    expect(fees.add(impermanentLoss).add(rebalance).eq(result.vsHold), "fees + IL + rebalance = vs HODL").to.equal(true);
+  }
+
+  it("splits a round trip through the pool into drift, fees and impermanent loss", async function () {
+    const [, , alice, bob] = stack.signers;
+    const vaultConfig = vaultConfigFor("wom_musd");
+    await deposit("wom_musd", alice, "2000");
+    const start = await getVaultState(alice, vaultConfig);
+
+    await swap("wom_musd", "up", "1500");
+    await deposit("wom_musd", bob, "500");
+    await swap("wom_musd", "down", "600");
+    const end = await getVaultState(alice, vaultConfig);
+
+    const result = attributePosition({ start, end });
+    expect(result.shares.eq(start.user.shares)).to.equal(true);
+    expectAddsUp(result);
+
+    // HODL drift is exactly the start token0 repriced.
+    const drift = valueInToken1(result.startTokens.amount0, 0, end.accounting.priceX96).sub(valueInToken1(result.startTokens.amount0, 0, start.accounting.priceX96));
+    expect(result.components.priceDrift.eq(drift)).to.equal(true);
+    expect(result.components.priceDrift.isZero()).to.equal(false);
+    expect(result.components.fees.gt(0), "alice earned fees").to.equal(true);
+    expect(result.components.impermanentLoss.lt(0), "price moved, so the LP lost vs HODL before fees").to.equal(true);
+    expect(result.components.rebalance.isZero()).to.equal(true);
+    expect(result.approximate, "bob's deposit changed the supply").to.equal(true);
+
+    const unread = attributePosition({
+      start: { ...start.accounting, collectedFees: null },
+      end: end.accounting,
+      shares: start.user.shares
+    });
+    expect(unread.components.fees).to.equal(null);
+    expect(unread.components.impermanentLoss).to.equal(null);
+    expect(unread.unattributed.eq(result.vsHold)).to.equal(true);
+  });
+
+  it("books a rebalance separately and reports the split in markdown", async function () {
+    const [, keeper, alice] = stack.signers;
+    const vaultConfig = vaultConfigFor("wom_musd");
+    await deposit("wom_musd", alice, "2000");
+    const start = await getVaultState(alice, vaultConfig);
+
+    await swap("wom_musd", "up", "3000");
+    const before = await getVaultState(alice, vaultConfig);
+    await (await stack.strategies.wom_musd.connect(keeper).rebalance()).wait();
+    const after = await getVaultState(alice, vaultConfig);
+    expect(after.tickLower).to.not.equal(before.tickLower);
+    await swap("wom_musd", "down", "500");
+    const end = await getVaultState(alice, vaultConfig);
+
+    const result = attributePosition({ start, end, rebalances: [{ before, after }] });
+    expectAddsUp(result);
+    expect(result.rebalances).to.equal(1);
+    // The reference strategy re-ranges without swapping; only idle dust can move.
+    expect(result.components.rebalance.abs().lte(result.startValue.div(10000)), result.components.rebalance.toString()).to.equal(true);
+
+    const row = formatAttribution(result, {
+      vault: vaultConfig.name,
+      position: "alice",
+      token1Decimals: end.user.token1Decimals,
+      token1Symbol: end.user.token1Symbol
+    });
+    expect(row).to.include({ vault: vaultConfig.name, position: "alice", valueToken: end.user.token1Symbol, rebalances: 1, approximate: false });
+    expect(row.fees).to.equal(ethers.utils.formatUnits(result.components.fees, end.user.token1Decimals));
+
+    const markdown = generateMarkdownReport({ startTime: new Date().toISOString(), attribution: [row] });
+    expect(markdown).to.include("## P&L Attribution");
+    expect(markdown).to.include(`| ${vaultConfig.name} | alice | ${row.startValue} | ${row.endValue} | ${row.priceDrift} | ${row.fees}`);
+  });
+
+  it("returns null without a position or a price", async function () {
+    const [, , alice] = stack.signers;
+    const vaultConfig = vaultConfigFor("usdt_usdc");
+    const empty = await getVaultState(alice, vaultConfig);
+    expect(attributePosition({ start: empty, end: empty })).to.equal(null);
+
+    await deposit("usdt_usdc", alice, "100");
+    const state = await getVaultState(alice, vaultConfig);
+    expect(attributePosition({ start: { ...state.accounting, priceX96: null }, end: state })).to.equal(null);
+    const flat = attributePosition({ start: state, end: state });
+    expect(flat.total.isZero() && flat.vsHold.isZero() && flat.components.fees.isZero()).to.equal(true);
+  });
+});
@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { getVaultState } = require("../utils/vault-state");
+const { compareValuation } = require("../utils/position-valuation");
+const { positionKey } = require("../utils/position-fees");
+const { INVARIANTS, checkInvariants } = require("../utils/invariants");
+const { getSqrtRatioAtTick, getAmountsForLiquidity, getFeeGrowthInside, getFeesEarned, Q128 } = require("../../scripts/utils/cl-math");
+const { SwapHelper } = require("../utils/swaps");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { TOKEN_SPECS, humanForUsd } = require("../fixtures/local-dex");
+const { VAULT_SPECS, deployLocalVaultStack } = require("../fixtures/local-vaults");
+
+describe("Position valuation via liquidity math (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  function tokenFor(address) {
+    const symbol = Object.keys(stack.tokens).find((s) => stack.tokens[s].address === address);
+    return { token: stack.tokens[symbol], spec: TOKEN_SPECS.find((s) => s.symbol === symbol) };
+  }
+
+  async function deposit(key, user, usd) {
+    const vault = stack.vaults[key];
+    const strategy = stack.strategies[key];
+    for (const address of [await strategy.lpToken0(), await strategy.lpToken1()]) {
+      const { token, spec } = tokenFor(address);
+      await (await token.connect(user).approve(vault.address, humanForUsd(spec, usd))).wait();
+    }
+    await (await vault.connect(user).deposit()).wait();
+  }
+
+  async function swap(key, dir, usd) {
+    const spec = VAULT_SPECS.find((s) => s.key === key);
+    const strategy = stack.strategies[key];
+    const [lp0, lp1] = [await strategy.lpToken0(), await strategy.lpToken1()];
+    const [tokenIn, tokenOut] = dir === "up" ? [lp0, lp1] : [lp1, lp0];
+    const feeTier = spec.dex === "lotus" ? await stack.pools.lotus[spec.pool].fee() : undefined;
+    const res = await new SwapHelper(stack.signers[0]).swap({ dex: spec.dex, tokenIn, tokenOut, amountIn: humanForUsd(tokenFor(tokenIn).spec, usd), feeTier });
+    expect(res.success, `${key} swap ${dir}`).to.equal(true);
+  }
+
+  for (const key of ["wom_musd", "wom_usdc"]) {
+    it(`${key}: pool positions valued off-chain match balances() and unclaimedFees() exactly`, async function () {
+      const [, , alice] = stack.signers;
+      const vaultConfig = vaultConfigFor(key);
+      await deposit(key, alice, "2000");
+      await swap(key, "up", "400");
+      await swap(key, "down", "250");
+
+      const state = await getVaultState(alice, vaultConfig);
+      const { valuation, valuationCheck, strategyBalances, unclaimedFees } = state.accounting;
+      expect(valuation.ok, valuation.reason).to.equal(true);
+      const main = valuation.positions.find((p) => p.name === "positionMain");
+      expect(main && main.liquidity.gt(0), "positionMain holds liquidity").to.equal(true);
+      expect(valuation.fees.amount0.add(valuation.fees.amount1).gt(0), "swaps accrued fees").to.equal(true);
+
+      const computed0 = valuation.inPositions.amount0.add(valuation.strategyIdle.amount0);
+      const computed1 = valuation.inPositions.amount1.add(valuation.strategyIdle.amount1);
+      expect([computed0.toString(), computed1.toString()]).to.deep.equal([strategyBalances.amount0.toString(), strategyBalances.amount1.toString()]);
+      expect([valuation.fees.amount0.toString(), valuation.fees.amount1.toString()]).to.deep.equal([unclaimedFees.amount0.toString(), unclaimedFees.amount1.toString()]);
+      expect(valuationCheck).to.include({ checked: true, ok: true });
+
+      // Still exact once the main range is out of range.
+      await swap(key, "up", "5000");
+      const out = await getVaultState(alice, vaultConfig);
+      expect(out.inRange).to.equal(false);
+      expect(out.accounting.valuationCheck.discrepancies).to.deep.equal([]);
+      expect(checkInvariants(state, out, [{ type: "swap" }]).checked).to.include(INVARIANTS.POSITION_VALUATION);
+    });
+  }
+
+  it("flags balances() that disagree with the pool beyond the tolerance", async function () {
+    const [, , alice] = stack.signers;
+    const vaultConfig = vaultConfigFor("usdt_usdc");
+    await deposit("usdt_usdc", alice, "1000");
+    const state = await getVaultState(alice, vaultConfig);
+    const { strategyBalances } = state.accounting;
+
+    const inflated = { ...strategyBalances, amount1: strategyBalances.amount1.mul(1002).div(1000) };
+    const lying = { ...state, accounting: { ...state.accounting, strategyBalances: inflated } };
+    const comparison = compareValuation(lying.accounting.valuation, lying.accounting);
+    expect(comparison.ok).to.equal(false);
+    expect(comparison.discrepancies).to.have.length(1);
+    expect(comparison.discrepancies[0]).to.include({ field: "strategy.balances()", token: "amount1" });
+    expect(compareValuation(lying.accounting.valuation, lying.accounting, { toleranceBps: 50 }).ok).to.equal(true);
+
+    const result = checkInvariants(state, lying, []);
+    const flagged = result.violations.filter((v) => v.invariant === INVARIANTS.POSITION_VALUATION);
+    expect(flagged).to.have.length(1);
+    expect(flagged[0]).to.deep.include({ severity: "error" });
+    expect(flagged[0].details).to.include({ snapshot: "after", token: "amount1", reported: inflated.amount1.toString() });
+
+    const unreadable = checkInvariants({ accounting: { ...state.accounting, valuation: { ok: false, reason: "no positionMain" } } }, state, []);
+    expect(unreadable.skipped).to.deep.include({ invariant: INVARIANTS.POSITION_VALUATION, reason: "before: no positionMain" });
+  });
+
+  it("computes position keys, amounts and modular fee growth like the pools", function () {
+    const owner = "0x00000000000000000000000000000000000000aa";
+    expect(positionKey("algebra", owner, -60, 120)).to.equal(`0x${"0".repeat(50)}aaffffc4000078`);
+    expect(positionKey("univ3", owner, -60, 120)).to.equal(ethers.utils.keccak256(ethers.utils.solidityPack(["address", "int24", "int24"], [owner, -60, 120])));
+
+    const [lower, upper] = [getSqrtRatioAtTick(-600), getSqrtRatioAtTick(600)];
+    const liquidity = ethers.BigNumber.from(10).pow(18);
+    const below = getAmountsForLiquidity(getSqrtRatioAtTick(-1200), lower, upper, liquidity);
+    const inside = getAmountsForLiquidity(getSqrtRatioAtTick(0), lower, upper, liquidity);
+    const above = getAmountsForLiquidity(getSqrtRatioAtTick(1200), lower, upper, liquidity);
+    expect(below.amount1.isZero() && below.amount0.gt(0)).to.equal(true);
+    expect(above.amount0.isZero() && above.amount1.gt(0)).to.equal(true);
+    expect(inside.amount0.gt(0) && inside.amount1.gt(0)).to.equal(true);
+    // At the midpoint of a symmetric range both sides are (almost) equal.
+    expect(inside.amount0.sub(inside.amount1).abs().lte(1)).to.equal(true);
+
+    // Counters that wrapped past 2^256 still give the right growth.
+    const max = ethers.constants.MaxUint256;
+    expect(getFeeGrowthInside(0, -60, 60, 5, max, 0).toString()).to.equal("6");
+    expect(getFeeGrowthInside(100, -60, 60, 50, 10, 30).toString()).to.equal("20");
+    // (3 * 2^128 - (2^256 - 1)) mod 2^256 = 3 * 2^128 + 1 per unit of liquidity
+    expect(getFeesEarned(liquidity, Q128.mul(3), max).toString()).to.equal(liquidity.mul(3).toString());
+  });
+});
@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { getVaultState } = require("../utils/vault-state");
+const { feesAccrued } = require("../utils/position-fees");
+const { SwapHelper } = require("../utils/swaps");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { TOKEN_SPECS, humanForUsd } = require("../fixtures/local-dex");
+const { VAULT_SPECS, deployLocalVaultStack } = require("../fixtures/local-vaults");
+
+describe("Exact fee-growth accounting for strategy positions (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  function tokenFor(address) {
+    const symbol = Object.keys(stack.tokens).find((s) => stack.tokens[s].address === address);
+    return { token: stack.tokens[symbol], spec: TOKEN_SPECS.find((s) => s.symbol === symbol) };
+  }
+
+  async function deposit(key, user, usd) {
+    const vault = stack.vaults[key];
+    const strategy = stack.strategies[key];
+    for (const address of [await strategy.lpToken0(), await strategy.lpToken1()]) {
+      const { token, spec } = tokenFor(address);
+      await (await token.connect(user).approve(vault.address, humanForUsd(spec, usd))).wait();
+    }
+    await (await vault.connect(user).deposit()).wait();
+  }
+
+  async function swap(key, dir, usd) {
+    const spec = VAULT_SPECS.find((s) => s.key === key);
+    const strategy = stack.strategies[key];
+    const [lp0, lp1] = [await strategy.lpToken0(), await strategy.lpToken1()];
+    const [tokenIn, tokenOut] = dir === "up" ? [lp0, lp1] : [lp1, lp0];
+    const feeTier = spec.dex === "lotus" ? await stack.pools.lotus[spec.pool].fee() : undefined;
+    const res = await new SwapHelper(stack.signers[0]).swap({ dex: spec.dex, tokenIn, tokenOut, amountIn: humanForUsd(tokenFor(tokenIn).spec, usd), feeTier });
+    expect(res.success, `${key} swap ${dir}`).to.equal(true);
+  }
+
+  function unclaimedDelta(before, after) {
+    const [b, a] = [before.accounting.unclaimedFees, after.accounting.unclaimedFees];
+    return [a.amount0.sub(b.amount0).toString(), a.amount1.sub(b.amount1).toString()];
+  }
+
+  for (const key of ["wom_musd", "wom_usdc"]) {
+    it(`${key}: fees accrued in range are exact, input-token only and match unclaimedFees()`, async function () {
+      const [, , alice] = stack.signers;
+      const vaultConfig = vaultConfigFor(key);
+      await deposit(key, alice, "2000");
+
+      const s0 = await getVaultState(alice, vaultConfig);
+      await swap(key, "up", "400");
+      const s1 = await getVaultState(alice, vaultConfig);
+      await swap(key, "down", "250");
+      const s2 = await getVaultState(alice, vaultConfig);
+      expect([s0.inRange, s1.inRange, s2.inRange]).to.deep.equal([true, true, true]);
+
+      const up = feesAccrued(s0.accounting.valuation, s1.accounting.valuation);
+      expect(up.ok, up.reason).to.equal(true);
+      expect(up.mismatches).to.deep.equal([]);
+      expect(up.amount0.gt(0) && up.amount1.isZero()).to.equal(true);
+      expect(unclaimedDelta(s0, s1)).to.deep.equal([up.amount0.toString(), up.amount1.toString()]);
+
+      const main = up.positions.find((p) => p.name === "positionMain");
+      expect(main.inRangeBefore && main.inRangeAfter).to.equal(true);
+      expect(main.growth0.gt(0)).to.equal(true);
+      expect(main.growth0.toString()).to.equal(main.expectedGrowth0.toString());
+
+      const down = feesAccrued(s1.accounting.valuation, s2.accounting.valuation);
+      expect(down.ok, down.reason).to.equal(true);
+      expect(down.mismatches).to.deep.equal([]);
+      expect(down.amount1.gt(0) && down.amount0.isZero()).to.equal(true);
+      expect(unclaimedDelta(s1, s2)).to.deep.equal([down.amount0.toString(), down.amount1.toString()]);
+    });
+  }
+
+  it("a range the price left earns nothing more, and crossing a bound is not second-guessed", async function () {
+    const [, , alice] = stack.signers;
+    const vaultConfig = vaultConfigFor("wom_musd");
+    await deposit("wom_musd", alice, "2000");
+
+    const s0 = await getVaultState(alice, vaultConfig);
+    await swap("wom_musd", "up", "5000");
+    const s1 = await getVaultState(alice, vaultConfig);
+    await swap("wom_musd", "up", "500");
+    const s2 = await getVaultState(alice, vaultConfig);
+    expect([s0.inRange, s1.inRange, s2.inRange]).to.deep.equal([true, false, false]);
+
+    const crossing = feesAccrued(s0.accounting.valuation, s1.accounting.valuation);
+    expect(crossing.ok, crossing.reason).to.equal(true);
+    const crossed = crossing.positions.find((p) => p.name === "positionMain");
+    expect([crossed.expectedGrowth0, crossed.expectedGrowth1]).to.deep.equal([null, null]);
+    expect(crossing.mismatches).to.deep.equal([]);
+    expect(unclaimedDelta(s0, s1)).to.deep.equal([crossing.amount0.toString(), crossing.amount1.toString()]);
+
+    const outside = feesAccrued(s1.accounting.valuation, s2.accounting.valuation);
+    expect(outside.ok, outside.reason).to.equal(true);
+    const main = outside.positions.find((p) => p.name === "positionMain");
+    expect([main.growth0.toString(), main.amount0.toString()]).to.deep.equal(["0", "0"]);
+    expect(outside.mismatches).to.deep.equal([]);
+  });
+
+  it("refuses to compare reads across deposits, harvests and rebalances", async function () {
+    const [, keeper, alice, bob] = stack.signers;
+    const vaultConfig = vaultConfigFor("usdt_usdc");
+    const strategy = stack.strategies.usdt_usdc;
+    await deposit("usdt_usdc", alice, "1000");
+
+    const s0 = await getVaultState(alice, vaultConfig);
+    await deposit("usdt_usdc", bob, "500");
+    const s1 = await getVaultState(alice, vaultConfig);
+    expect(feesAccrued(s0.accounting.valuation, s1.accounting.valuation).reason).to.equal("liquidity of positionMain changed");
+
+    await swap("usdt_usdc", "up", "200");
+    await (await strategy.connect(keeper).harvest()).wait();
+    const s2 = await getVaultState(alice, vaultConfig);
+    expect(feesAccrued(s1.accounting.valuation, s2.accounting.valuation).ok).to.equal(false);
+
+    await swap("usdt_usdc", "up", "3000");
+    await (await strategy.connect(keeper).rebalance()).wait();
+    const s3 = await getVaultState(alice, vaultConfig);
+    expect(feesAccrued(s2.accounting.valuation, s3.accounting.valuation).reason).to.equal("strategy positions changed");
+
+    expect(feesAccrued({ ok: false, reason: "no positionMain" }, s3.accounting.valuation)).to.deep.equal({ ok: false, reason: "no positionMain" });
+  });
+
+  it("handles growth counters that wrapped and reports inside growth the pool cannot explain", function () {
+    const max = ethers.constants.MaxUint256;
+    const bn = ethers.BigNumber.from;
+    const read = (global, inside, fees) => ({
+      ok: true,
+      positions: [
+        {
+          name: "positionMain",
+          key: "0x01",
+          tickLower: -60,
+          tickUpper: 60,
+          tickCurrent: 0,
+          liquidity: bn(1000),
+          tokensOwed0: bn(0),
+          tokensOwed1: bn(0),
+          feeGrowthGlobal0X128: global,
+          feeGrowthGlobal1X128: bn(7),
+          feeGrowthInside0X128: inside,
+          feeGrowthInside1X128: bn(7),
+          feeGrowthInside0LastX128: bn(0),
+          feeGrowthInside1LastX128: bn(0),
+          fees0: bn(fees),
+          fees1: bn(0)
+        }
+      ]
+    });
+
+    const wrapped = feesAccrued(read(max.sub(4), max.sub(9), 3), read(bn(5), bn(0), 8));
+    expect(wrapped.ok).to.equal(true);
+    expect(wrapped.positions[0].growth0.toString()).to.equal("10");
+    expect(wrapped.positions[0].expectedGrowth0.toString()).to.equal("10");
+    expect(wrapped.amount0.toString()).to.equal("5");
+    expect(wrapped.mismatches).to.deep.equal([]);
+
+    const off = feesAccrued(read(bn(100), bn(50), 0), read(bn(200), bn(140), 0));
+    expect(off.mismatches).to.deep.equal([{ position: "positionMain", token: "amount0", growth: "90", expected: "100" }]);
+  });
+});
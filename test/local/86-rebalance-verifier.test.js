@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+
+const { config, applyConfig } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { getVaultState } = require("../utils/vault-state");
+const { REBALANCE_INVARIANTS, readRangeParams, floorTick, expectedMainRange, verifyRebalance, assertRebalance } = require("../utils/rebalance-verifier");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { TOKEN_SPECS, humanForUsd } = require("../fixtures/local-dex");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+const { PriceMover } = require("../../scripts/price-mover");
+
+describe("Rebalance verifier (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  function tokenFor(address) {
+    const symbol = Object.keys(stack.tokens).find((s) => stack.tokens[s].address === address);
+    return { token: stack.tokens[symbol], spec: TOKEN_SPECS.find((s) => s.symbol === symbol) };
+  }
+
+  async function deposit(key, user, usd) {
+    const vault = stack.vaults[key];
+    const strategy = stack.strategies[key];
+    for (const address of [await strategy.lpToken0(), await strategy.lpToken1()]) {
+      const { token, spec } = tokenFor(address);
+      await (await token.connect(user).approve(vault.address, humanForUsd(spec, usd))).wait();
+    }
+    await (await vault.connect(user).deposit()).wait();
+  }
+
+  // Deposit, then move the price `ticks` past the top of the main range.
+  async function outOfRange(key, ticks) {
+    const [, , alice] = stack.signers;
+    const vaultConfig = vaultConfigFor(key);
+    await deposit(key, alice, "2000");
+    const start = await getVaultState(alice, vaultConfig);
+    await new PriceMover(stack.signers[0], { slippageBps: 100 }).movePriceToTick(vaultConfig.pool, start.tickUpper + ticks);
+    const before = await getVaultState(alice, vaultConfig);
+    expect(before.inRange).to.equal(false);
+    return { alice, vaultConfig, before };
+  }
+
+  for (const key of ["wom_musd", "wom_usdc"]) {
+    it(`${key}: rebalance() re-centres an aligned range of the configured width with no loss`, async function () {
+      const [, keeper] = stack.signers;
+      const { alice, vaultConfig, before } = await outOfRange(key, 37);
+      const strategy = stack.strategies[key];
+
+      const params = await readRangeParams(alice.provider, { strategyAddress: strategy.address, poolAddress: vaultConfig.pool });
+      expect(params).to.deep.equal({ tickSpacing: await strategy.tickSpacing(), width: await strategy.positionWidth(), widthSource: "positionWidth()" });
+
+      await (await strategy.connect(keeper).rebalance()).wait();
+      const after = await getVaultState(alice, vaultConfig);
+      const result = await verifyRebalance(alice.provider, { poolAddress: vaultConfig.pool, before, after, params });
+
+      expect(result.violations).to.deep.equal([]);
+      expect(result.checked).to.have.members(Object.values(REBALANCE_INVARIANTS));
+      expect(result.range).to.deep.equal(expectedMainRange(after.pool.tick, params));
+      expect(result.expected).to.deep.equal(result.range);
+      expect(assertRebalance(result)).to.equal(result);
+    });
+  }
+
+  it("flags a range left in place, a wrong width and a loss across the rebalance", async function () {
+    const [, keeper] = stack.signers;
+    const { alice, vaultConfig, before } = await outOfRange("usdt_usdc", 25);
+    const params = await readRangeParams(alice.provider, { strategyAddress: before.strategyAddress, poolAddress: vaultConfig.pool });
+
+    // Without rebalance() the old range neither brackets the tick nor follows the rule.
+    const stale = await verifyRebalance(alice.provider, { poolAddress: vaultConfig.pool, before, after: before, params });
+    const failed = (result) => result.violations.map((v) => v.invariant);
+    expect(failed(stale)).to.have.members([REBALANCE_INVARIANTS.BRACKETS_TICK, REBALANCE_INVARIANTS.RECENTRED]);
+
+    await (await stack.strategies.usdt_usdc.connect(keeper).rebalance()).wait();
+    const after = await getVaultState(alice, vaultConfig);
+
+    const wider = await verifyRebalance(alice.provider, { poolAddress: vaultConfig.pool, before, after, params: { ...params, width: params.width + 1 } });
+    expect(failed(wider)).to.have.members([REBALANCE_INVARIANTS.WIDTH, REBALANCE_INVARIANTS.RECENTRED]);
+
+    // Pretend the vault held 1% more before the rebalance than it does now.
+    const total = before.accounting.valuation.total;
+    const richer = { ...total, amount1: total.amount1.add(after.accounting.valuation.total.amount1.div(100)) };
+    const lossy = { ...before, accounting: { ...before.accounting, valuation: { ...before.accounting.valuation, total: richer } } };
+    const loss = await verifyRebalance(alice.provider, { poolAddress: vaultConfig.pool, before: lossy, after, params });
+    expect(failed(loss)).to.deep.equal([REBALANCE_INVARIANTS.LOSS_BOUNDED]);
+    expect((await verifyRebalance(alice.provider, { poolAddress: vaultConfig.pool, before: lossy, after, params }, { maxLossBps: 150 })).ok).to.equal(true);
+
+    let thrown;
+    try {
+      assertRebalance(loss, "usdt_usdc");
+    } catch (e) {
+      thrown = e;
+    }
+    expect(thrown.code).to.equal("REBALANCE_VIOLATION");
+    expect(thrown.message).to.contain(`[${REBALANCE_INVARIANTS.LOSS_BOUNDED}]`);
+
+    const noWidth = await verifyRebalance(alice.provider, { poolAddress: vaultConfig.pool, before, after, params: { ...params, width: null } });
+    expect(noWidth.ok).to.equal(true);
+    expect(noWidth.skipped.map((s) => s.invariant)).to.have.members([REBALANCE_INVARIANTS.WIDTH, REBALANCE_INVARIANTS.RECENTRED]);
+  });
+
+  it("flags liquidity left behind in the old range", async function () {
+    const [, keeper] = stack.signers;
+    const { alice, vaultConfig, before } = await outOfRange("wom_musd", 61);
+    const params = await readRangeParams(alice.provider, { strategyAddress: before.strategyAddress, poolAddress: vaultConfig.pool });
+    await (await stack.strategies.wom_musd.connect(keeper).rebalance()).wait();
+    const after = await getVaultState(alice, vaultConfig);
+
+    // Claim the range the strategy now holds was an old one under another key: the verifier re-reads
+    // it from the pool and finds it still funded.
+    const held = after.accounting.valuation.positions.find((p) => p.liquidity.gt(0));
+    const stale = { ...held, key: "0xstale" };
+    const stranded = { ...before, accounting: { ...before.accounting, valuation: { ...before.accounting.valuation, positions: [stale] } } };
+    const result = await verifyRebalance(alice.provider, { poolAddress: vaultConfig.pool, before: stranded, after, params });
+    expect(result.violations.map((v) => v.invariant)).to.include(REBALANCE_INVARIANTS.MIGRATED);
+    expect(result.violations.find((v) => v.invariant === REBALANCE_INVARIANTS.MIGRATED).details).to.include({
+      position: held.name,
+      liquidityLeft: held.liquidity.toString()
+    });
+  });
+
+  it("rounds ticks down to the spacing like the strategy", function () {
+    expect([floorTick(125, 60), floorTick(-1, 60), floorTick(-60, 60), floorTick(-61, 60), floorTick(0, 10)]).to.deep.equal([120, -60, -60, -120, 0]);
+    expect(expectedMainRange(-289931, { tickSpacing: 60, width: 5 })).to.deep.equal({ tickLower: -290280, tickUpper: -289680 });
+  });
+});
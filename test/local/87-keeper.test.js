@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { getVaultState } = require("../utils/vault-state");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { TOKEN_SPECS, humanForUsd } = require("../fixtures/local-dex");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+const { PriceMover } = require("../../scripts/price-mover");
+const { DEFAULT_POLICY, Keeper, decide, sampledTwap } = require("../../scripts/utils/keeper");
+const { parseArgs } = require("../../scripts/keeper");
+
+describe("Keeper simulator (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  function tokenFor(address) {
+    const symbol = Object.keys(stack.tokens).find((s) => stack.tokens[s].address === address);
+    return { token: stack.tokens[symbol], spec: TOKEN_SPECS.find((s) => s.symbol === symbol) };
+  }
+
+  async function deposit(key, user, usd) {
+    const vault = stack.vaults[key];
+    const strategy = stack.strategies[key];
+    for (const address of [await strategy.lpToken0(), await strategy.lpToken1()]) {
+      const { token, spec } = tokenFor(address);
+      await (await token.connect(user).approve(vault.address, humanForUsd(spec, usd))).wait();
+    }
+    await (await vault.connect(user).deposit()).wait();
+  }
+
+  async function pushOutOfRange(vaultConfig, ticks) {
+    const start = await getVaultState(stack.signers[2], vaultConfig);
+    await new PriceMover(stack.signers[0], { slippageBps: 100 }).movePriceToTick(vaultConfig.pool, start.tickUpper + ticks);
+    return start;
+  }
+
+  const quiet = () => {};
+
+  it("decides rebalance past the threshold, holds it on TWAP deviation or interval, and harvests on schedule", function () {
+    const range = { tickLower: -60, tickUpper: 60 };
+    const at = (tick, extra = {}) => ({ tick, range, now: 10_000, lastHarvest: 9_000, twap: { tick: null, source: null }, ...extra });
+
+    expect(decide(at(0)).action).to.equal("none");
+    expect(decide(at(60)).action).to.equal("rebalance");
+    expect(decide(at(-61), { outOfRangeTicks: 5 }).action).to.equal("none");
+    expect(decide(at(-66), { outOfRangeTicks: 5 })).to.include({ action: "rebalance", reason: "tick -66 is out of [-60, 60) by 6 tick(s)" });
+
+    const manipulated = at(300, { twap: { tick: 10, source: "sampled" } });
+    expect(decide(manipulated, { maxTwapDeviationTicks: 100 })).to.include({ action: "none", held: "twap-deviation" });
+    expect(decide(manipulated, { maxTwapDeviationTicks: 400 }).action).to.equal("rebalance");
+    expect(decide(at(300), { maxTwapDeviationTicks: 100 }).action, "no TWAP, no guard").to.equal("rebalance");
+    expect(decide(at(300), { minRebalanceIntervalSec: 600 }, { lastRebalance: 9_800 })).to.include({ action: "none", held: "min-rebalance-interval" });
+
+    expect(decide(at(0, { lastHarvest: 6_400 })).action).to.equal("harvest");
+    expect(decide(at(0, { lastHarvest: 6_401 })).action).to.equal("none");
+    expect(decide(at(0, { lastHarvest: 0 }), { minHarvestIntervalSec: null }).action).to.equal("none");
+    expect(decide(at(null)).action).to.equal("none");
+    expect(DEFAULT_POLICY.minHarvestIntervalSec).to.equal(3600);
+  });
+
+  it("time-weights its own tick samples over the window", function () {
+    const samples = [
+      { timestamp: 100, tick: 10 },
+      { timestamp: 200, tick: 40 },
+      { timestamp: 250, tick: -20 }
+    ];
+    // [150, 300): 50s at 10, 50s at 40, 50s at -20
+    expect(sampledTwap(samples, 300, 150)).to.equal(10);
+    expect(sampledTwap(samples, 300, 100)).to.equal(10);
+    expect(sampledTwap(samples, 300, 250)).to.equal(null);
+    expect(sampledTwap(samples, 251, 1)).to.equal(-20);
+  });
+
+  it("dry-run simulates rebalance() from the keeper address without sending it", async function () {
+    const [, keeper, alice] = stack.signers;
+    const vaultConfig = vaultConfigFor("wom_musd");
+    await deposit("wom_musd", alice, "2000");
+    const start = await pushOutOfRange(vaultConfig, 37);
+
+    const bot = new Keeper(alice, { vaults: [vaultConfig], policy: { minHarvestIntervalSec: null }, log: quiet });
+    const [entry] = await bot.runOnce();
+    expect(entry).to.include({ vault: vaultConfig.name, action: "rebalance", dryRun: true, txHash: null, error: null });
+    expect(entry.simulated).to.deep.equal({ ok: true, from: keeper.address });
+    expect(entry.observation.range).to.deep.equal({ tickLower: start.tickLower, tickUpper: start.tickUpper });
+
+    const after = await getVaultState(alice, vaultConfig);
+    expect([after.tickLower, after.tickUpper]).to.deep.equal([start.tickLower, start.tickUpper]);
+  });
+
+  it("live mode rebalances out of range, then harvests once the interval passed", async function () {
+    const [owner, , alice] = stack.signers;
+    const vaultConfig = vaultConfigFor("wom_usdc");
+    await deposit("wom_usdc", alice, "2000");
+    await pushOutOfRange(vaultConfig, 61);
+
+    const bot = new Keeper(owner, { vaults: [vaultConfig], live: true, policy: { minHarvestIntervalSec: 3600 }, log: quiet });
+    const [rebalanced] = await bot.runOnce();
+    expect(rebalanced).to.include({ action: "rebalance", from: owner.address, error: null });
+    expect(rebalanced.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    const after = await getVaultState(alice, vaultConfig);
+    expect(after.inRange).to.equal(true);
+
+    // lastHarvest() is still 0, so the next in-range round harvests; the one after waits an hour.
+    const [harvested] = await bot.runOnce();
+    expect(harvested.action).to.equal("harvest");
+    const lastHarvest = Number(await stack.strategies.wom_usdc.lastHarvest());
+    expect(lastHarvest).to.be.greaterThan(harvested.observation.now);
+
+    const [waiting] = await bot.runOnce();
+    expect(waiting.action).to.equal("none");
+
+    await ethers.provider.send("evm_increaseTime", [3600]);
+    await ethers.provider.send("evm_mine", []);
+    const [again] = await bot.runOnce();
+    expect(again).to.include({ action: "harvest", error: null });
+  });
+
+  it("holds the rebalance while spot is far from the sampled TWAP, and rebalances once the TWAP catches up", async function () {
+    const [owner, , alice] = stack.signers;
+    const vaultConfig = vaultConfigFor("usdc_musd");
+    await deposit("usdc_musd", alice, "2000");
+
+    const bot = new Keeper(owner, {
+      vaults: [vaultConfig],
+      live: true,
+      policy: { maxTwapDeviationTicks: 20, twapWindowSec: 300, minHarvestIntervalSec: null },
+      log: quiet
+    });
+    const [calm] = await bot.runOnce();
+    expect(calm.action).to.equal("none");
+
+    await ethers.provider.send("evm_increaseTime", [600]);
+    const start = await pushOutOfRange(vaultConfig, 40);
+    const [held] = await bot.runOnce();
+    expect(held).to.include({ action: "none", held: "twap-deviation" });
+    expect(held.observation.twap).to.deep.equal({ tick: calm.observation.tick, source: "sampled" });
+    expect((await getVaultState(alice, vaultConfig)).tickLower).to.equal(start.tickLower);
+
+    // Once the moved price has held for a whole window the TWAP agrees with spot.
+    await ethers.provider.send("evm_increaseTime", [600]);
+    await ethers.provider.send("evm_mine", []);
+    const [rebalanced] = await bot.runOnce();
+    expect(rebalanced).to.include({ action: "rebalance", error: null });
+    expect(rebalanced.observation.twap.tick).to.equal(held.observation.tick);
+  });
+
+  it("uses an injected TWAP source before its own samples", async function () {
+    const [owner, , alice] = stack.signers;
+    const vaultConfig = vaultConfigFor("usdt_musd");
+    await deposit("usdt_musd", alice, "2000");
+    const start = await pushOutOfRange(vaultConfig, 30);
+
+    const bot = new Keeper(owner, {
+      vaults: [vaultConfig],
+      policy: { maxTwapDeviationTicks: 5, minHarvestIntervalSec: null },
+      twapSource: async () => start.pool.tick,
+      log: quiet
+    });
+    const [entry] = await bot.runOnce();
+    expect(entry).to.include({ action: "none", held: "twap-deviation" });
+    expect(entry.observation.twap).to.deep.equal({ tick: start.pool.tick, source: "custom" });
+  });
+
+  it("parses the CLI policy flags", function () {
+    const args = parseArgs(["--vault", "wom_musd", "--rounds", "3", "--max-twap-deviation", "50", "--no-harvest", "--live"]);
+    expect(args).to.deep.include({ vaults: ["wom_musd"], rounds: 3, live: true });
+    expect(args.policy).to.deep.equal({ maxTwapDeviationTicks: 50, minHarvestIntervalSec: null });
+    expect(() => parseArgs(["--rounds", "x"])).to.throw("--rounds needs a number");
+  });
+});
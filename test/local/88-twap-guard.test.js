@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { createRunReporter } = require("../utils/reporting");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { meanTick, readPoolTwap, readStrategyTwapGuard } = require("../utils/pool-oracle");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+const { PriceMover } = require("../../scripts/price-mover");
+const { loadScenarioFile, runScenarios } = require("../../scripts/utils/scenario-dsl");
+
+describe("TWAP oracles and the rebalance guard (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  const TWAP_INTERVAL = 300;
+  const MAX_DEVIATION = 40;
+
+  let stack;
+  let mover;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+    mover = new PriceMover(stack.signers[0], { slippageBps: 100, delayMs: 0 });
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  async function elapse(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  async function enableGuard(key) {
+    const strategy = stack.strategies[key];
+    await (await strategy.setTwapInterval(TWAP_INTERVAL)).wait();
+    await (await strategy.setDeviation(MAX_DEVIATION)).wait();
+    return strategy;
+  }
+
+  it("rounds the mean tick towards negative infinity", function () {
+    expect([meanTick(0, 600, 300), meanTick(0, -600, 300), meanTick(0, -601, 300), meanTick(100, 399, 300)]).to.deep.equal([2, -2, -3, 0]);
+  });
+
+  for (const [key, source] of [
+    ["usdt_usdc", "observe"],
+    ["usdt_musd", "plugin"]
+  ]) {
+    it(`${key}: reads the ${source} oracle, which lags a spot move until the window has passed`, async function () {
+      const vaultConfig = vaultConfigFor(key);
+      const provider = ethers.provider;
+      await elapse(TWAP_INTERVAL * 2);
+
+      const calm = await readPoolTwap(provider, vaultConfig.pool, { dex: vaultConfig.dex, windowSec: TWAP_INTERVAL });
+      expect(calm).to.include({ ok: true, source, windowSec: TWAP_INTERVAL, deviation: 0 });
+      expect(calm.twapTick).to.equal(calm.spotTick);
+      expect(calm.volatility === null).to.equal(source === "observe");
+
+      const moved = await mover.movePriceToTick(vaultConfig.pool, calm.spotTick + 200);
+      const lagging = await readPoolTwap(provider, vaultConfig.pool, { dex: vaultConfig.dex, windowSec: TWAP_INTERVAL });
+      expect(lagging.spotTick).to.equal(moved.resultTick);
+      expect(lagging.twapTick - calm.twapTick).to.be.within(0, 5);
+      expect(lagging.deviation).to.be.greaterThan(190);
+
+      await elapse(TWAP_INTERVAL / 2);
+      const half = await readPoolTwap(provider, vaultConfig.pool, { dex: vaultConfig.dex, windowSec: TWAP_INTERVAL });
+      expect(half.twapTick - calm.twapTick).to.be.within(95, 110);
+
+      await elapse(TWAP_INTERVAL);
+      const settled = await readPoolTwap(provider, vaultConfig.pool, { dex: vaultConfig.dex, windowSec: TWAP_INTERVAL });
+      expect(settled).to.include({ twapTick: moved.resultTick, deviation: 0 });
+
+      const tooOld = await readPoolTwap(provider, vaultConfig.pool, { dex: vaultConfig.dex, windowSec: 10 ** 8 });
+      expect(tooOld.ok).to.equal(false);
+      expect(tooOld.reason).to.match(/OLD/);
+    });
+  }
+
+  it("the strategy guard is off by default, owner-only, and refuses rebalance() off the TWAP", async function () {
+    const [owner, keeper, alice] = stack.signers;
+    const strategy = stack.strategies.usdt_usdc;
+    const vaultConfig = vaultConfigFor("usdt_usdc");
+
+    expect(await readStrategyTwapGuard(ethers.provider, strategy.address)).to.deep.equal({
+      twapInterval: 0,
+      maxTickDeviation: 0,
+      twap: null,
+      isCalm: true
+    });
+
+    for (const call of [() => strategy.connect(alice).setTwapInterval(60), () => strategy.connect(keeper).setDeviation(10), () => strategy.connect(owner).setDeviation(-1)]) {
+      let thrown;
+      try {
+        await call();
+      } catch (e) {
+        thrown = e;
+      }
+      expect(thrown, "admin call should revert").to.not.equal(undefined);
+    }
+
+    await enableGuard("usdt_usdc");
+    await elapse(TWAP_INTERVAL * 2);
+    const { spotTick } = await readPoolTwap(ethers.provider, vaultConfig.pool, { dex: vaultConfig.dex, windowSec: TWAP_INTERVAL });
+    expect(await readStrategyTwapGuard(ethers.provider, strategy.address)).to.deep.equal({
+      twapInterval: TWAP_INTERVAL,
+      maxTickDeviation: MAX_DEVIATION,
+      twap: spotTick,
+      isCalm: true
+    });
+
+    await mover.movePriceToTick(vaultConfig.pool, spotTick + 3 * MAX_DEVIATION);
+    expect(await strategy.isCalm()).to.equal(false);
+    let refused;
+    try {
+      await strategy.connect(keeper).callStatic.rebalance();
+    } catch (e) {
+      refused = e;
+    }
+    expect(String(refused && refused.message)).to.contain("NotCalm");
+
+    await (await strategy.setTwapInterval(0)).wait();
+    await (await strategy.connect(keeper).rebalance()).wait();
+  });
+
+  for (const vault of ["Lotus USDT-USDC", "usdt_musd"]) {
+    it(`runs twap-manipulation.yaml end to end against ${vault}`, async function () {
+      const key = vault === "usdt_musd" ? vault : "usdt_usdc";
+      await enableGuard(key);
+      const doc = loadScenarioFile("twap-manipulation.yaml");
+      const reporter = createRunReporter({ suite: "scenarios", network: "local" });
+      const results = await runScenarios(stack.signers[0], doc, { reporter, mover, target: { vault } });
+
+      for (const result of results) {
+        expect(result.success, `${vault} ${result.scenario}: ${JSON.stringify(result.steps.find((s) => !s.success))}`).to.equal(true);
+      }
+      const [, refused] = results;
+      const rebalances = refused.steps.filter((s) => s.action === "rebalance");
+      expect(rebalances).to.have.length(2);
+      for (const step of rebalances) {
+        expect(step.details.guard).to.include({ twapInterval: TWAP_INTERVAL, maxTickDeviation: MAX_DEVIATION, isCalm: false });
+        expect(Math.abs(step.details.deviation)).to.be.greaterThan(2 * MAX_DEVIATION);
+        expect(step.details.reason).to.contain("NotCalm");
+      }
+    });
+  }
+
+  it("fails the refusal check when the strategy has no guard", async function () {
+    const doc = {
+      version: 1,
+      target: { vault: "usdt_usdc" },
+      scenarios: [
+        { name: "unguarded", steps: [{ action: "move-to-tick", offset: 200 }, { action: "rebalance", expect: "revert" }] },
+        { name: "no-deviation", steps: [{ action: "move-to-tick", deviations: 2 }] }
+      ]
+    };
+    const reporter = createRunReporter({ suite: "scenarios", network: "local" });
+    const [unguarded, noDeviation] = await runScenarios(stack.signers[0], doc, { reporter, mover });
+
+    expect(unguarded.success).to.equal(false);
+    expect(unguarded.steps[1]).to.include({ code: "SCENARIO_ASSERTION_FAILED", error: "Assertion failed: rebalance() would go through" });
+    expect(noDeviation.steps[0].code).to.equal("TWAP_GUARD_UNAVAILABLE");
+  });
+});
@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { createRunReporter } = require("../utils/reporting");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { SANDWICH_ACTIONS, mineInOneBlock, runSandwich } = require("../utils/sandwich");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { TOKEN_SPECS, humanForUsd } = require("../fixtures/local-dex");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+
+describe("Sandwich exposure of deposits, withdrawals and rebalances (offline)", function () {
+  this.timeout(300000);
+  onlyOnHardhatNetwork();
+
+  const VICTIM_USD = "2000";
+  const FRONT_RUN_USD = "3000";
+
+  let stack;
+  let restoreConfig;
+  const reporter = createRunReporter({ suite: "sandwich", network: "local" });
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (reporter.run.summary.total) reporter.finalize({ filePrefix: "sandwich" });
+    if (restoreConfig) restoreConfig();
+  });
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  function tokenFor(address) {
+    const symbol = Object.keys(stack.tokens).find((s) => stack.tokens[s].address === address);
+    return { token: stack.tokens[symbol], spec: TOKEN_SPECS.find((s) => s.symbol === symbol) };
+  }
+
+  async function pairOf(key) {
+    const strategy = stack.strategies[key];
+    return Promise.all([strategy.lpToken0(), strategy.lpToken1()].map(async (address) => tokenFor(await address)));
+  }
+
+  async function deposit(key, user, usd) {
+    for (const { token, spec } of await pairOf(key)) {
+      await (await token.connect(user).approve(stack.vaults[key].address, humanForUsd(spec, usd))).wait();
+    }
+    await (await stack.vaults[key].connect(user).deposit()).wait();
+  }
+
+  // Sell `usd` worth of token0 (zeroForOne) or token1 into the pool ahead of the victim.
+  async function frontRun(key, usd, zeroForOne = true) {
+    const [token0, token1] = await pairOf(key);
+    return { zeroForOne, amountIn: humanForUsd((zeroForOne ? token0 : token1).spec, usd) };
+  }
+
+  // Alice stays in the vault throughout; Bob is the victim of a deposit or withdrawal sandwich and
+  // the keeper the victim of a rebalance one.
+  async function sandwich(key, action, { usd = FRONT_RUN_USD, zeroForOne = true, ...opts } = {}) {
+    const [owner, keeper, alice, bob] = stack.signers;
+    const [token0, token1] = await pairOf(key);
+    await deposit(key, alice, VICTIM_USD);
+    if (action === "withdraw") await deposit(key, bob, VICTIM_USD);
+    return runSandwich({
+      vaultConfig: vaultConfigFor(key),
+      attacker: owner,
+      victim: action === "rebalance" ? keeper : bob,
+      action,
+      frontRun: await frontRun(key, usd, zeroForOne),
+      victimDeposit: { amount0: humanForUsd(token0.spec, VICTIM_USD), amount1: humanForUsd(token1.spec, VICTIM_USD) },
+      ...opts
+    });
+  }
+
+  function record(vaultConfig, label, result) {
+    reporter.recordScenario(vaultConfig.name, label, {
+      success: result.ordered,
+      note:
+        `victim loss ${result.formatted.victimLoss} (${result.victimLossBps} bps), attacker profit ${result.formatted.attackerProfit}` +
+        (result.victimReverted ? `, victim reverted (${result.victimRevertReason})` : ""),
+      details: result
+    });
+  }
+
+  it("mines a bundle into one block in tip order and turns automine back on", async function () {
+    const [owner, keeper, alice] = stack.signers;
+    const { baseFeePerGas } = await ethers.provider.getBlock("latest");
+    const send = (signer, tipGwei) => () => {
+      const maxPriorityFeePerGas = ethers.utils.parseUnits(String(tipGwei), "gwei");
+      return signer.sendTransaction({ to: owner.address, value: 1, maxPriorityFeePerGas, maxFeePerGas: baseFeePerGas.mul(2).add(maxPriorityFeePerGas) });
+    };
+    const receipts = await mineInOneBlock(ethers.provider, [send(keeper, 1), send(alice, 3), send(owner, 2)]);
+
+    expect(new Set(receipts.map((r) => r.blockNumber)).size).to.equal(1);
+    expect(receipts.map((r) => r.transactionIndex)).to.deep.equal([2, 0, 1]);
+    expect(await ethers.provider.send("hardhat_getAutomine", [])).to.equal(true);
+  });
+
+  for (const key of ["usdc_musd", "usdt_usdc", "wom_musd", "usdt_musd", "wom_usdc"]) {
+    it(`${key}: measures deposit, withdraw and rebalance sandwiches`, async function () {
+      const vaultConfig = vaultConfigFor(key);
+      const results = {};
+      for (const action of SANDWICH_ACTIONS) {
+        stack = await loadFixture(deployLocalVaultStack);
+        const result = await sandwich(key, action);
+        record(vaultConfig, action, result);
+        expect(result, `${action}: ${JSON.stringify(result)}`).to.include({ skipped: false, ordered: true, victimReverted: false, baselineReverted: false });
+        expect(result.frontRun.backRunReverted).to.equal(false);
+        results[action] = result;
+      }
+      const { deposit: deposited, withdraw: withdrawn, rebalance: rebalanced } = results;
+
+      // Deposits are trimmed to the vault's own ratio, so the manipulated price barely moves the
+      // shares a deposit gets.
+      expect(Math.abs(deposited.victimLossBps)).to.be.below(100);
+      // A withdrawal at the manipulated price takes the LPs' side of the front-run with it; the
+      // back-run then trades against less liquidity and the attacker loses.
+      expect(ethers.BigNumber.from(withdrawn.attackerProfit).lt(0)).to.equal(true);
+      // A rebalance re-centres the range on the manipulated price and the back-run takes the
+      // difference out of the vault.
+      expect(rebalanced.exposed).to.equal(true);
+      expect(rebalanced.victimLossBps).to.be.greaterThan(1000);
+      expect(ethers.BigNumber.from(rebalanced.attackerProfit).gt(0)).to.equal(true);
+      expect(ethers.BigNumber.from(rebalanced.attackerProfit).lt(rebalanced.victimLoss)).to.equal(true);
+    });
+  }
+
+  it("grows the rebalance loss with the size of the front-run", async function () {
+    const vaultConfig = vaultConfigFor("usdt_musd");
+    const losses = [];
+    for (const usd of ["300", "3000", "6000"]) {
+      stack = await loadFixture(deployLocalVaultStack);
+      const result = await sandwich("usdt_musd", "rebalance", { usd });
+      record(vaultConfig, `rebalance, $${usd} front-run`, result);
+      losses.push(result.victimLossBps);
+    }
+    // $300 moves the price less than the range is wide, so the rebalance keeps its range.
+    expect(losses[0]).to.be.within(-5, 5);
+    expect(losses[1]).to.be.greaterThan(losses[0]);
+    expect(losses[2]).to.be.greaterThan(losses[1]);
+  });
+
+  it("the TWAP guard refuses the sandwiched rebalance", async function () {
+    const strategy = stack.strategies.usdt_musd;
+    await (await strategy.setTwapInterval(300)).wait();
+    await (await strategy.setDeviation(40)).wait();
+    await ethers.provider.send("evm_increaseTime", [600]);
+    await ethers.provider.send("evm_mine", []);
+
+    const result = await sandwich("usdt_musd", "rebalance");
+    record(vaultConfigFor("usdt_musd"), "rebalance, TWAP guard on", result);
+    expect(result).to.include({ ordered: true, baselineReverted: false, victimReverted: true, victimRevertReason: "NotCalm", exposed: false });
+    expect(result.victimLossBps).to.be.at.most(0);
+  });
+
+  it("withdrawal minimums refuse a sandwiched withdrawal and leave the shares in place", async function () {
+    const [, , alice, bob] = stack.signers;
+    const vault = stack.vaults.usdt_usdc;
+    await deposit("usdt_usdc", alice, VICTIM_USD);
+    await deposit("usdt_usdc", bob, VICTIM_USD);
+    const [amount0, amount1] = await vault.connect(bob).callStatic.withdrawAll(0, 0);
+    const victimMinOut = { amount0: amount0.mul(995).div(1000), amount1: amount1.mul(995).div(1000) };
+    const shares = await vault.balanceOf(bob.address);
+
+    const result = await runSandwich({
+      vaultConfig: vaultConfigFor("usdt_usdc"),
+      attacker: stack.signers[0],
+      victim: bob,
+      action: "withdraw",
+      frontRun: await frontRun("usdt_usdc", FRONT_RUN_USD),
+      victimMinOut
+    });
+    expect(result).to.include({ ordered: true, baselineReverted: false, victimReverted: true, victimRevertReason: "TooLittleReceived" });
+    expect(await vault.balanceOf(bob.address)).to.deep.equal(shares);
+    expect(Math.abs(result.victimLossBps)).to.be.below(10);
+  });
+
+  it("skips a withdrawal without shares and rejects unknown actions", async function () {
+    const [owner, , , bob] = stack.signers;
+    const vaultConfig = vaultConfigFor("usdt_usdc");
+    const base = { vaultConfig, attacker: owner, victim: bob, frontRun: await frontRun("usdt_usdc", "100") };
+    expect(await runSandwich({ ...base, action: "withdraw" })).to.deep.equal({ skipped: true, reason: "the victim holds no shares to withdraw" });
+
+    let thrown;
+    try {
+      await runSandwich({ ...base, action: "harvest" });
+    } catch (e) {
+      thrown = e;
+    }
+    expect(thrown && thrown.code).to.equal("SANDWICH_INVALID_ACTION");
+  });
+});
@@ -0,0 +1,177 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { getVaultState } = require("../utils/vault-state");
+const { EventIndex, indexTargets } = require("../utils/event-index");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { TOKEN_SPECS, humanForUsd } = require("../fixtures/local-dex");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+const { PriceMover } = require("../../scripts/price-mover");
+const { parseArgs } = require("../../scripts/index-events");
+
+describe("Event indexer (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+  let dir;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-index-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function vaultConfigFor(key) {
+    return getClmVaultConfigs().find((v) => v.vault === config.vaults[`vault_${key}`]);
+  }
+
+  function tokenFor(address) {
+    const symbol = Object.keys(stack.tokens).find((s) => stack.tokens[s].address === address);
+    return { token: stack.tokens[symbol], spec: TOKEN_SPECS.find((s) => s.symbol === symbol) };
+  }
+
+  async function deposit(key, user, usd) {
+    const vault = stack.vaults[key];
+    const strategy = stack.strategies[key];
+    for (const address of [await strategy.lpToken0(), await strategy.lpToken1()]) {
+      const { token, spec } = tokenFor(address);
+      await (await token.connect(user).approve(vault.address, humanForUsd(spec, usd))).wait();
+    }
+    return (await vault.connect(user).deposit()).wait();
+  }
+
+  async function openIndex(opts = {}) {
+    const targets = await indexTargets(ethers.provider, getClmVaultConfigs());
+    return new EventIndex(ethers.provider, { targets, dir, ...opts });
+  }
+
+  // Deposit, push the price out of range, rebalance and harvest one vault.
+  async function activity(key) {
+    const [, keeper, alice] = stack.signers;
+    const vaultConfig = vaultConfigFor(key);
+    const deposited = await deposit(key, alice, "2000");
+    const start = await getVaultState(alice, vaultConfig);
+    await new PriceMover(stack.signers[0], { slippageBps: 100 }).movePriceToTick(vaultConfig.pool, start.tickUpper + 30);
+    const rebalanced = await (await stack.strategies[key].connect(keeper).rebalance()).wait();
+    // rebalance() does not swap, so a one-sided balance may all go into the alt range.
+    const ranges = [];
+    for (const read of ["positionMain", "positionAlt"]) {
+      const [tickLower, tickUpper] = await stack.strategies[key][read]();
+      ranges.push([tickLower, tickUpper]);
+    }
+    const harvested = await (await stack.strategies[key].connect(keeper).harvest()).wait();
+    const [main] = ranges;
+    return { vaultConfig, start, deposited, rebalanced, harvested, main: { tickLower: main[0], tickUpper: main[1] }, ranges, after: await getVaultState(alice, vaultConfig) };
+  }
+
+  for (const key of ["usdt_usdc", "usdt_musd"]) {
+    it(`${key}: decodes vault, strategy and pool events and lists rebalances with their ranges`, async function () {
+      const [, , alice] = stack.signers;
+      const { vaultConfig, start, deposited, rebalanced, harvested, main, ranges, after } = await activity(key);
+      const index = await openIndex();
+      const sync = await index.sync();
+      expect(sync).to.include({ fromBlock: 0, reset: null });
+      expect(sync.events).to.be.greaterThan(0);
+
+      const [depositEvent] = index.events({ vault: vaultConfig.name, event: "Deposit" });
+      expect(depositEvent).to.include({ kind: "vault", blockNumber: deposited.blockNumber, transactionHash: deposited.transactionHash, address: vaultConfig.vault });
+      expect(depositEvent.args.user).to.equal(alice.address);
+      expect(depositEvent.timestamp).to.equal((await ethers.provider.getBlock(deposited.blockNumber)).timestamp);
+      const mints = index.events({ vault: vaultConfig.name, event: "Transfer", transactionHash: deposited.transactionHash });
+      expect(mints.map((e) => e.args.to)).to.include(alice.address);
+
+      const swaps = index.events({ vault: vaultConfig.name, kind: "pool", event: "Swap" });
+      expect(swaps.length).to.be.greaterThan(0);
+      expect(swaps[swaps.length - 1].args.tick).to.equal(after.pool.tick);
+      expect(index.events({ vault: vaultConfig.name, event: "Harvest" }).map((e) => e.transactionHash)).to.deep.equal([harvested.transactionHash]);
+      expect(index.events({ vault: vaultConfig.name, event: null })).to.deep.equal([]);
+
+      const [rebalance, ...rest] = index.rebalances(vaultConfig.name);
+      expect(rest, "harvest and deposit keep their range").to.deep.equal([]);
+      expect(rebalance).to.include({
+        transactionHash: rebalanced.transactionHash,
+        blockNumber: rebalanced.blockNumber,
+        source: "event",
+        ...main
+      });
+      expect(rebalance.previous.map((p) => [p.tickLower, p.tickUpper])).to.deep.include([start.tickLower, start.tickUpper]);
+      expect(rebalance.positions).to.not.be.empty;
+      for (const p of rebalance.positions) expect(ranges).to.deep.include([p.tickLower, p.tickUpper]);
+
+      const summary = index.summary().find((r) => r.vault === vaultConfig.name && r.event === "Rebalance");
+      expect(summary).to.include({ kind: "strategy", count: 1, firstBlock: rebalanced.blockNumber });
+    });
+  }
+
+  it("infers rebalances from pool Mint/Burn when the strategy emits no Rebalance event", async function () {
+    const { vaultConfig, rebalanced, ranges } = await activity("wom_musd");
+    const index = await openIndex();
+    await index.sync();
+    // Drop the strategy's own Rebalance event, as a strategy without one would look.
+    for (const block of index.load()) block.events = block.events.filter((e) => e.event !== "Rebalance");
+
+    const rebalances = index.rebalances(vaultConfig.name);
+    expect(rebalances).to.have.length(1);
+    expect(rebalances[0]).to.include({ transactionHash: rebalanced.transactionHash, source: "inferred" });
+    // Without the event the first range minted stands in for the main one.
+    const [first] = rebalances[0].positions;
+    expect(rebalances[0]).to.include({ tickLower: first.tickLower, tickUpper: first.tickUpper });
+    expect(ranges).to.deep.include([first.tickLower, first.tickUpper]);
+  });
+
+  it("syncs incrementally, survives a reload from disk and resets after a reorg", async function () {
+    const [, , alice, bob] = stack.signers;
+    await deposit("usdc_musd", alice, "1000");
+    const index = await openIndex({ chunkBlocks: 7 });
+    const first = await index.sync();
+    const firstCount = index.events().length;
+
+    expect(await index.sync()).to.include({ blocks: 0, events: 0, reset: null });
+    const snapshotId = await ethers.provider.send("evm_snapshot", []);
+    const second = await deposit("usdc_musd", bob, "1000");
+    const incremental = await index.sync();
+    expect(incremental.fromBlock).to.equal(first.toBlock + 1);
+    expect(incremental.blocks).to.equal(1);
+
+    const reloaded = await openIndex();
+    expect(reloaded.events()).to.deep.equal(index.events());
+    expect(reloaded.events({ fromBlock: second.blockNumber }).length).to.equal(index.events().length - firstCount);
+    const lines = fs.readFileSync(path.join(dir, "blocks.jsonl"), "utf8").trim().split("\n").map((l) => JSON.parse(l));
+    expect(lines.map((l) => l.blockNumber)).to.deep.equal([...lines.map((l) => l.blockNumber)].sort((a, b) => a - b));
+
+    // Replace the last indexed block with a different one at the same height.
+    await ethers.provider.send("evm_revert", [snapshotId]);
+    await (await alice.sendTransaction({ to: bob.address, value: 1 })).wait();
+    const afterReorg = await reloaded.sync();
+    expect(afterReorg.reset).to.match(/reorg or restarted node/);
+    expect(afterReorg.fromBlock).to.equal(0);
+    expect(reloaded.events({ fromBlock: second.blockNumber })).to.deep.equal([]);
+    expect(reloaded.events().length).to.equal(firstCount);
+  });
+
+  it("parses the CLI flags", function () {
+    expect(parseArgs(["--vault", "usdt_usdc", "--from-block", "120", "--query", "rebalances", "--json"])).to.deep.equal({
+      vaults: ["usdt_usdc"],
+      fromBlock: 120,
+      query: "rebalances",
+      json: true
+    });
+    expect(() => parseArgs(["--query", "everything"])).to.throw("--query must be one of summary, rebalances, events");
+    expect(() => parseArgs(["--chunk", "-1"])).to.throw("--chunk needs a non-negative integer");
+  });
+});
@@ -0,0 +1,188 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { applyConfig } = require("../utils/config");
+const {
+  DEFAULT_DB_PATH,
+  EIP1967_IMPLEMENTATION_SLOT,
+  EIP1967_BEACON_SLOT,
+  resolveImplementation,
+  extractSelectors,
+  loadSignatureDb,
+  discoverAbi,
+  writeDiscoveredAbi,
+  discoveredAbiFor,
+  withDiscoveredAbi
+} = require("../utils/abi-discovery");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+const { buildSignatures } = require("../../scripts/build-signature-db");
+const { parseArgs } = require("../../scripts/discover-abi");
+
+describe("ABI discovery (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+  let dir;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "abi-discovery-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  function signaturesOf(contract) {
+    return Object.keys(contract.interface.functions);
+  }
+
+  // Fresh address holding `code`.
+  async function setCode(code) {
+    const address = ethers.Wallet.createRandom().address;
+    await ethers.provider.send("hardhat_setCode", [address, code]);
+    return address;
+  }
+
+  async function setSlot(address, slot, target) {
+    await ethers.provider.send("hardhat_setStorageAt", [address, slot, ethers.utils.hexZeroPad(target, 32)]);
+  }
+
+  it("resolves the vault clones to their implementation and every vault function from the artifacts", async function () {
+    const vault = stack.vaults.usdt_usdc;
+    const implementation = await stack.vaultFactory.implementation();
+    const result = await discoverAbi(ethers.provider, vault.address);
+
+    expect(result).to.include({ address: vault.address, implementation });
+    expect(result.proxyChain).to.deep.equal([{ address: vault.address, proxy: "eip1167", target: implementation }]);
+    expect(result.codeHash).to.equal(ethers.utils.keccak256(await ethers.provider.getCode(implementation)));
+    expect(result.unresolved).to.deep.equal([]);
+    expect(result.functions.map((f) => f.selector)).to.have.members(signaturesOf(vault).map((s) => vault.interface.getSighash(s)));
+    const found = new ethers.utils.Interface(result.abi);
+    // Only errors the optimizer leaves as literal selectors can be found.
+    for (const signature of ["NotOwner()", "ZeroShares()", "EnforcedPause()"]) {
+      expect(found.getError(signature), signature).to.exist;
+    }
+    expect(result.errors.map((e) => e.signature)).to.include("Panic(uint256)");
+    // What the vault calls on its strategy is listed apart from its own ABI.
+    expect(result.calls.map((c) => c.signature)).to.include.members(["function beforeAction()", "function lpToken0() view returns (address)"]);
+    expect(result.functions.map((f) => f.signature)).to.not.include("function beforeAction()");
+
+    // Views are called through the clone, so they read its storage, not the implementation's.
+    const probe = (name) => result.functions.find((f) => f.signature.startsWith(`function ${name}(`)).probe;
+    expect(probe("strategy")).to.deep.equal({ ok: true, value: stack.strategies.usdt_usdc.address });
+    expect(probe("symbol")).to.deep.equal({ ok: true, value: "clm-usdt_usdc" });
+    expect(probe("totalSupply")).to.deep.equal({ ok: true, value: "0" });
+    expect(result.functions.find((f) => f.signature.startsWith("function deposit(")).probe, "deposit() is never called").to.equal(undefined);
+    expect((await discoverAbi(ethers.provider, vault.address, { probe: false })).functions.every((f) => !f.probe)).to.equal(true);
+  });
+
+  it("follows EIP-1967 implementation and beacon slots and rejects empty addresses", async function () {
+    const implementation = await stack.vaultFactory.implementation();
+    const vault = stack.vaults.usdt_usdc.address;
+
+    const proxy = await setCode("0x00");
+    await setSlot(proxy, EIP1967_IMPLEMENTATION_SLOT, vault);
+    const direct = await resolveImplementation(ethers.provider, proxy);
+    expect(direct.implementation).to.equal(implementation);
+    expect(direct.chain.map((h) => h.proxy)).to.deep.equal(["eip1967", "eip1167"]);
+
+    // A beacon whose implementation() returns the vault clone: PUSH20 vault, MSTORE, RETURN 32 bytes.
+    const beacon = await setCode(`0x73${vault.slice(2).toLowerCase()}60005260206000f3`);
+    const beaconProxy = await setCode("0x00");
+    await setSlot(beaconProxy, EIP1967_BEACON_SLOT, beacon);
+    const viaBeacon = await resolveImplementation(ethers.provider, beaconProxy);
+    expect(viaBeacon.implementation).to.equal(implementation);
+    expect(viaBeacon.chain[0]).to.deep.equal({ address: beaconProxy, proxy: "eip1967-beacon", beacon, target: vault });
+
+    let thrown;
+    try {
+      await resolveImplementation(ethers.provider, ethers.Wallet.createRandom().address);
+    } catch (e) {
+      thrown = e;
+    }
+    expect(thrown && thrown.code).to.equal("ABI_NO_CODE");
+  });
+
+  it("splits dispatcher selectors from other PUSH4 operands, skipping PUSH data", function () {
+    const hidden = `7f631234567814${"00".repeat(26)}`;
+    // DUP1 PUSH4 EQ, PUSH4 DUP2 EQ and DUP1 PUSH3 EQ (a selector with a leading zero byte) are
+    // dispatcher entries; a PUSH4, a shifted PUSH3 and a left-aligned PUSH32 are other selectors.
+    const dispatcher = "8063aabbccdd14" + "63112233448114" + "8062a4b5c914";
+    const other = "63deadbeef60e01b" + "62c0ffee60e01b" + `7ffeedface${"00".repeat(28)}` + "62123456" + "63ffffffff16";
+    const code = `0x${hidden}${dispatcher}${other}`;
+    expect(extractSelectors(code)).to.deep.equal({ dispatch: ["0x00a4b5c9", "0x11223344", "0xaabbccdd"], other: ["0x00c0ffee", "0xdeadbeef", "0xfeedface"] });
+    expect(extractSelectors("0x63aabb")).to.deep.equal({ dispatch: [], other: [] });
+  });
+
+  it("resolves from the bundled database alone, prefers local ABIs and keeps the bundle current", async function () {
+    const bundledOnly = loadSignatureDb({ artifactsDir: null });
+    const result = await discoverAbi(ethers.provider, stack.strategies.usdt_usdc.address, { db: bundledOnly, probe: false });
+    expect(result.proxyChain).to.deep.equal([]);
+    const strategy = stack.strategies.usdt_usdc;
+    expect(result.unresolved).to.deep.equal([]);
+    expect(result.functions.map((f) => f.selector)).to.have.members(signaturesOf(strategy).map((s) => strategy.interface.getSighash(s)));
+    expect(new Set(result.functions.map((f) => f.source))).to.deep.equal(new Set(["bundled"]));
+    expect(result.errors.map((e) => e.signature)).to.include("error TwapDisabled()");
+    expect(result.abi).to.include("function positionMain() view returns (int24 tickLower, int24 tickUpper, uint128 liquidity)");
+
+    const local = loadSignatureDb({ artifactsDir: null, abis: [{ source: "local", abi: ["function positionMain() view returns (int24, int24, uint128)"] }] });
+    const [first, second] = local.get(ethers.utils.id("positionMain()").slice(0, 10));
+    expect(first).to.include({ source: "local", signature: "function positionMain() view returns (int24, int24, uint128)" });
+    expect(second).to.equal(undefined, "one entry per signature");
+
+    const empty = await discoverAbi(ethers.provider, stack.strategies.usdt_usdc.address, { db: new Map(), probe: false });
+    expect(empty.functions).to.deep.equal([]);
+    expect(empty.unresolved).to.have.length(empty.selectors);
+
+    const { functions, errors } = JSON.parse(fs.readFileSync(DEFAULT_DB_PATH, "utf8"));
+    expect({ functions, errors }, "run node scripts/build-signature-db.js").to.deep.equal(buildSignatures());
+  });
+
+  it("writes one ABI per implementation and merges it into hand-written fragment lists", async function () {
+    const [owner, , alice] = stack.signers;
+    const vaults = ["usdt_usdc", "wom_usdc"].map((key) => stack.vaults[key].address);
+    const result = await discoverAbi(ethers.provider, vaults[0]);
+    const file = writeDiscoveredAbi(result, { proxies: vaults, network: "local", dir });
+    expect(path.basename(file)).to.equal(`${result.implementation.toLowerCase()}.json`);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, "local", "index.json"), "utf8"))).to.deep.equal(
+      Object.fromEntries(vaults.map((v) => [v.toLowerCase(), result.implementation.toLowerCase()]))
+    );
+    for (const address of [...vaults, result.implementation]) expect(discoveredAbiFor(address, { network: "local", dir })).to.deep.equal(result.abi);
+    expect(discoveredAbiFor(stack.vaults.usdc_musd.address, { network: "local", dir })).to.equal(null);
+
+    const fallback = ["function withdraw(uint256 shares, uint256 amount0Min, uint256 amount1Min) returns (uint256 amount0, uint256 amount1)"];
+    expect(withDiscoveredAbi(stack.vaults.usdc_musd.address, fallback, { network: "local", dir })).to.equal(fallback);
+    const merged = withDiscoveredAbi(vaults[1], fallback, { network: "local", dir });
+    // The fallback keeps its own withdraw, so vault.withdraw(...) stays unambiguous.
+    const vault = new ethers.Contract(vaults[1], merged, owner);
+    expect(Object.keys(vault.interface.functions).filter((s) => s.startsWith("withdraw("))).to.deep.equal(["withdraw(uint256,uint256,uint256)"]);
+    expect(await vault.strategy()).to.equal(stack.strategies.wom_usdc.address);
+    expect(await vault.balanceOf(alice.address)).to.deep.equal(ethers.constants.Zero);
+    expect(typeof vault.withdraw).to.equal("function");
+  });
+
+  it("parses the CLI flags", function () {
+    const address = stack.vaults.usdt_usdc.address;
+    expect(parseArgs(["--vault", "usdt_usdc", "--address", address.toLowerCase(), "--strategies", "--no-probe", "--json"])).to.deep.equal({
+      vaults: ["usdt_usdc"],
+      addresses: [address],
+      strategies: true,
+      probe: false,
+      json: true
+    });
+    expect(() => parseArgs(["--address", "0x1234"])).to.throw("--address needs an address, got 0x1234");
+    expect(() => parseArgs(["--everything"])).to.throw("Unexpected argument: --everything");
+  });
+});
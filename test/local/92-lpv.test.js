@@ -0,0 +1,217 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { applyConfig } = require("../utils/config");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+const { EXIT, parseArgs } = require("../../scripts/lpv/args");
+const { toPlain } = require("../utils/format");
+const { createContext } = require("../../scripts/lpv/context");
+const { exitCodeFor, runCommand } = require("../../scripts/lpv");
+
+const LPV = path.join(__dirname, "..", "..", "scripts", "lpv.js");
+
+describe("lpv CLI (offline)", function () {
+  this.timeout(180000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  // Run `lpv <argv>` in-process against the fixture's stack.
+  async function lpv(...argv) {
+    const args = parseArgs([...argv, "--network", "local"]);
+    const context = await createContext(args, { stack });
+    return runCommand(args, { context });
+  }
+
+  async function rejected(promise) {
+    try {
+      await promise;
+    } catch (e) {
+      return e;
+    }
+    throw new Error("expected a rejection");
+  }
+
+  it("parses commands, shared flags and per-command flags", function () {
+    expect(parseArgs(["vault", "deposit", "--vault", "usdt_usdc", "--amount0", "1.5", "--amount1", "2", "--json"])).to.deep.equal({
+      command: "vault deposit",
+      network: "testnet",
+      vaults: ["usdt_usdc"],
+      json: true,
+      options: { amount0: "1.5", amount1: "2" }
+    });
+    const pool = stack.vaults.usdt_usdc.address;
+    expect(parseArgs(["pool", "ticks", "--pool", pool.toLowerCase(), "--range", "-600", "--network", "fork"]).options).to.deep.equal({ pool, range: -600 });
+    expect(parseArgs(["vault", "rebalance", "--vault", "a", "--expect-revert"]).options).to.deep.equal({ expectRevert: true });
+    expect(parseArgs(["tokens", "mint", "--token", "USDC", "--token", "wOM"]).options).to.deep.equal({ token: ["USDC", "wOM"] });
+    expect(parseArgs(["doctor", "--vault", "a", "--vault", "b"]).vaults).to.deep.equal(["a", "b"]);
+
+    expect(parseArgs([])).to.deep.equal({ help: true });
+    expect(parseArgs(["help"])).to.deep.equal({ help: true });
+    expect(parseArgs(["--help"])).to.deep.equal({ help: true });
+    expect(parseArgs(["swap", "--help"])).to.deep.equal({ help: true, command: "swap" });
+
+    const usage = (argv) => {
+      try {
+        parseArgs(argv);
+      } catch (e) {
+        expect(e.code).to.equal("LPV_USAGE");
+        return e.message;
+      }
+      throw new Error(`${argv.join(" ")} parsed`);
+    };
+    expect(usage(["vault", "explode"])).to.equal("Unknown command: vault explode (run lpv help)");
+    expect(usage(["--bogus"])).to.equal("Missing command before --bogus (run lpv help)");
+    expect(usage(["--json", "--network", "local"])).to.equal("Missing command before --json (run lpv help)");
+    expect(usage(["doctor", "now"])).to.equal("Unexpected argument for doctor: now");
+    expect(usage(["swap", "--vault", "a"])).to.equal("swap needs --direction");
+    expect(usage(["swap", "--direction", "sideways"])).to.equal("--direction must be one of up, down");
+    expect(usage(["pool", "ticks", "--range"])).to.equal("--range needs a value");
+    expect(usage(["pool", "ticks", "--range", "1.5"])).to.equal("--range needs an integer, got 1.5");
+    expect(usage(["vault", "deposit", "--amount0", "-1"])).to.equal("--amount0 needs a positive decimal amount, got -1");
+    expect(usage(["tokens", "balances", "--vault", "a"])).to.equal("tokens balances takes no --vault");
+    expect(usage(["vault", "withdraw", "--vault", "a", "--vault", "b"])).to.equal("vault withdraw takes a single --vault");
+    expect(usage(["pool", "state", "--vault", "a", "--pool", pool])).to.equal("pool state takes --vault or --pool, not both");
+    expect(usage(["doctor", "--network", "goerli"])).to.equal("--network must be one of local, fork, testnet, mainnet");
+    expect(parseArgs(["doctor", "--network", "mainnet"]).network).to.equal("mainnet");
+  });
+
+  it("inspects, deposits into and withdraws from a vault", async function () {
+    const [, , alice] = stack.signers;
+    const inspected = await lpv("vault", "inspect", "--vault", "usdt_usdc", "--vault", "Lotus USDC-mUSD");
+    expect(inspected.ok).to.equal(true);
+    expect(inspected.result.map((v) => v.strategyAddress)).to.deep.equal([stack.strategies.usdt_usdc.address, stack.strategies.usdc_musd.address]);
+    expect(inspected.lines[0]).to.equal("📊 Lotus USDT-USDC");
+
+    const deposited = await lpv("vault", "deposit", "--vault", "usdt_usdc", "--amount0", "2", "--amount1", "2");
+    const shares = await stack.vaults.usdt_usdc.balanceOf(stack.signers[0].address);
+    expect(shares.gt(0)).to.equal(true);
+    expect(deposited.result.shares).to.deep.equal(shares);
+    expect(toPlain(deposited.result).details.mintedShares).to.equal(shares.toString());
+
+    await lpv("vault", "withdraw", "--vault", "usdt_usdc", "--fraction", "0.5");
+    expect(await stack.vaults.usdt_usdc.balanceOf(stack.signers[0].address)).to.deep.equal(shares.sub(shares.div(2)));
+    expect(await stack.vaults.usdt_usdc.balanceOf(alice.address)).to.deep.equal(ethers.constants.Zero);
+
+    const unknown = await rejected(lpv("vault", "deposit", "--vault", "nope", "--size", "small"));
+    expect(unknown.code).to.equal("LPV_UNKNOWN_VAULT");
+    const incomplete = await rejected(lpv("vault", "deposit", "--vault", "usdt_usdc", "--amount0", "1"));
+    expect(incomplete.code).to.equal("SCENARIO_INVALID");
+    expect(exitCodeFor(incomplete)).to.equal(EXIT.USAGE);
+  });
+
+  it("reads pool state, initialized ticks and fees", async function () {
+    const pool = (await lpv("pool", "state", "--vault", "usdt_usdc")).result[0];
+    expect(pool).to.include({ name: "Lotus USDT-USDC", dex: "lotus", feePips: 500 });
+
+    const byAddress = await lpv("pool", "state", "--pool", pool.pool, "--dex", "lotus");
+    expect(byAddress.result[0]).to.include({ name: pool.pool, tick: pool.tick });
+
+    // The fixture seeds full-range liquidity only; a deposit adds the strategy's range ticks.
+    await lpv("vault", "deposit", "--vault", "usdt_usdc", "--size", "small");
+    const [{ tickLower, tickUpper }] = (await lpv("vault", "inspect", "--vault", "usdt_usdc")).result;
+    const { result: ticks } = await lpv("pool", "ticks", "--vault", "usdt_usdc");
+    expect(ticks).to.include({ tick: pool.tick, from: pool.tick - 2000, to: pool.tick + 2000 });
+    expect(ticks.ticks.map((t) => t.tick)).to.include.members([tickLower, tickUpper]);
+    expect(ticks.ticks.map((t) => t.tick)).to.deep.equal([...ticks.ticks.map((t) => t.tick)].sort((a, b) => a - b));
+    expect((await lpv("pool", "ticks", "--vault", "usdt_usdc", "--range", "5")).result.ticks).to.deep.equal([]);
+
+    const { result: fees } = await lpv("pool", "fees", "--vault", "usdt_usdc");
+    expect(fees[0]).to.include({ feePips: 500, feePercent: 0.05, strategy: stack.strategies.usdt_usdc.address });
+    expect(fees[0].strategyFees.ok).to.equal(true);
+  });
+
+  it("swaps and moves the price on a vault's pool or a pair", async function () {
+    const tickOf = async () => (await lpv("pool", "state", "--vault", "usdt_usdc")).result[0].tick;
+    const start = await tickOf();
+
+    const moved = await lpv("move-price", "--vault", "usdt_usdc", "--offset", "60");
+    expect(moved.result).to.include({ target: "Lotus USDT-USDC", action: "move-to-tick" });
+    expect(Math.abs((await tickOf()) - (start + 60))).to.be.at.most(1);
+
+    const swapped = await lpv("swap", "--dex", "lotus", "--pair", "USDT/USDC", "--direction", "down", "--amount", "50");
+    expect(swapped.result).to.include({ target: "lotus USDT/USDC", action: "swap" });
+    expect(await tickOf()).to.not.equal(start + 60);
+
+    expect((await rejected(lpv("swap", "--vault", "usdt_usdc", "--direction", "up"))).code).to.equal("SCENARIO_INVALID");
+    expect((await rejected(lpv("swap", "--pair", "USDT/USDC", "--direction", "up", "--size", "small"))).message).to.equal("swap needs both --dex and --pair");
+    expect((await rejected(lpv("move-price", "--vault", "usdt_usdc", "--scenario", "small-up", "--tick", "0"))).code).to.equal("LPV_USAGE");
+  });
+
+  it("rebalances as the keeper", async function () {
+    const { result } = await lpv("vault", "rebalance", "--vault", "usdt_usdc");
+    expect(result.note).to.match(/^as (keeper|owner): range \[/);
+  });
+
+  it("mints and lists configured tokens, skipping zero-address placeholders", async function () {
+    const [, , , bob] = stack.signers;
+    const before = await stack.tokens.USDC.balanceOf(bob.address);
+    const minted = await lpv("tokens", "mint", "--token", "usdc", "--token", "wOM", "--amount", "3", "--to", bob.address);
+    expect(minted.ok).to.equal(true);
+    expect(minted.result.minted.map((m) => [m.symbol, m.method])).to.deep.equal([["USDC", "mint(address,uint256)"], ["wOM", "mint(address,uint256)"]]);
+    expect(await stack.tokens.USDC.balanceOf(bob.address)).to.deep.equal(before.add(ethers.utils.parseUnits("3", 6)));
+
+    const { result } = await lpv("tokens", "balances", "--address", bob.address);
+    expect(result.tokens.map((t) => t.symbol)).to.not.include.members(["MATIC", "DAI"]);
+    expect(result.tokens.find((t) => t.symbol === "USDC").balance).to.deep.equal(await stack.tokens.USDC.balanceOf(bob.address));
+    expect((await rejected(lpv("tokens", "balances", "--token", "MATIC"))).code).to.equal("LPV_UNKNOWN_TOKEN");
+  });
+
+  it("doctor passes on the local stack and fails on a vault wired to the wrong strategy", async function () {
+    const healthy = await lpv("doctor");
+    expect(healthy.ok).to.equal(true);
+    expect(healthy.result.checks.length).to.equal(healthy.result.checks.filter((c) => c.ok).length);
+
+    const strategies = { ...stack.config.strategies, strategy_usdt_usdc: stack.strategies.usdc_musd.address };
+    const args = parseArgs(["doctor", "--vault", "usdt_usdc", "--network", "local"]);
+    const context = await createContext(args, { stack: { ...stack, config: { ...stack.config, strategies } } });
+    try {
+      const broken = await runCommand(args, { context });
+      expect(broken.ok).to.equal(false);
+      expect(broken.result.checks.filter((c) => !c.ok).map((c) => c.name)).to.deep.equal(["Lotus USDT-USDC strategy"]);
+    } finally {
+      context.restore();
+    }
+  });
+
+  it("summarizes reports and maps outcomes to exit codes", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lpv-"));
+    try {
+      const file = path.join(dir, "sandwich-x.json");
+      const run = (summary) => {
+        fs.writeFileSync(file, JSON.stringify({ suite: "sandwich", network: "local", startTime: "t0", endTime: "t1", summary, vaults: [] }));
+        return spawnSync(process.execPath, [LPV, "report", "--file", file, "--json"], { encoding: "utf8", timeout: 60000 });
+      };
+      const passed = run({ total: 2, passed: 2, failed: 0, skipped: 0 });
+      expect(passed.status).to.equal(EXIT.OK);
+      expect(JSON.parse(passed.stdout)).to.deep.include({ ok: true, command: "report", network: "testnet" });
+
+      expect(run({ total: 2, passed: 1, failed: 1, skipped: 0 }).status).to.equal(EXIT.CHECKS_FAILED);
+
+      const missing = spawnSync(process.execPath, [LPV, "report", "--file", path.join(dir, "none.json"), "--json"], { encoding: "utf8", timeout: 60000 });
+      expect(missing.status).to.equal(EXIT.FAILED);
+      expect(JSON.parse(missing.stdout).error.code).to.equal("LPV_NO_REPORT");
+
+      const usage = spawnSync(process.execPath, [LPV, "swap", "--network", "local"], { encoding: "utf8", timeout: 60000 });
+      expect(usage.status).to.equal(EXIT.USAGE);
+      expect(usage.stderr).to.include("swap needs --direction");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
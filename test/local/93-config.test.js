@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+
+const { applyConfig } = require("../utils/config");
+const { getClmVaultConfigs, selectVaults } = require("../utils/vault-configs");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+const {
+  PROFILES,
+  VAULT_SPECS,
+  ZERO_ADDRESS,
+  resolveNetwork,
+  loadProfile,
+  validateConfig,
+  assertValidConfig,
+  getChainId,
+  getTokens,
+  getTokenAddress,
+  getPairs,
+  getVaults
+} = require("../../config");
+
+describe("Config profiles (offline)", function () {
+  this.timeout(120000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  it("every profile, and the config the local stack fills in, validates without errors", function () {
+    for (const name of Object.keys(PROFILES)) {
+      expect(validateConfig(loadProfile(name)).errors, name).to.deep.equal([]);
+    }
+    expect(validateConfig(stack.config)).to.deep.equal({ errors: [], warnings: [] });
+    expect(loadProfile("testnet")).to.deep.equal(loadProfile("dukong"));
+    expect(loadProfile("local").network_info.chainId).to.equal(31337);
+  });
+
+  it("picks the profile from the explicit name, CONFIG_NETWORK, --network, HARDHAT_NETWORK and FORK", function () {
+    expect(resolveNetwork({ network: "mainnet", env: { CONFIG_NETWORK: "local" }, argv: [] })).to.equal("mainnet");
+    expect(resolveNetwork({ env: { CONFIG_NETWORK: "local", HARDHAT_NETWORK: "testnet" }, argv: ["--network", "testnet"] })).to.equal("local");
+    expect(resolveNetwork({ env: { HARDHAT_NETWORK: "hardhat" }, argv: ["hardhat", "test", "--network", "testnet"] })).to.equal("dukong");
+    expect(resolveNetwork({ env: { HARDHAT_NETWORK: "mainnet" }, argv: [] })).to.equal("mainnet");
+    expect(resolveNetwork({ env: {}, argv: ["--network", "localhost"] })).to.equal("local");
+    expect(resolveNetwork({ env: {}, argv: [] })).to.equal("dukong");
+    expect(resolveNetwork({ env: { HARDHAT_NETWORK: "hardhat", FORK: "1" }, argv: [] })).to.equal("fork");
+
+    let error;
+    try {
+      resolveNetwork({ network: "goerli", env: {}, argv: [] });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).to.equal("CONFIG_UNKNOWN_NETWORK");
+  });
+
+  it("reports schema violations: bad addresses, unknown keys, missing sections, bad fee tiers", function () {
+    const cfg = loadProfile("dukong");
+    cfg.tokens.USDC = "0x1234";
+    cfg.vaults.vaultX = ZERO_ADDRESS;
+    cfg.pairs[0].feeTier = 0;
+    delete cfg.lotus.swapRouter;
+    delete cfg.lotus.quoterV2;
+    delete cfg.network_info;
+
+    const { errors } = validateConfig(cfg);
+    expect(errors).to.include("config.tokens.USDC must be an address, got 0x1234");
+    expect(errors).to.include("config.vaults.vaultX is not an allowed key");
+    expect(errors).to.include("config.pairs[0].feeTier must be at least 1");
+    expect(errors).to.include("config.lotus: missing 'swapRouter'");
+    expect(errors).to.include("config: missing 'network_info'");
+    // No Lotus quoter is fine: the swap helpers simulate the router instead.
+    expect(errors.filter((e) => e.includes("quoterV2"))).to.deep.equal([]);
+  });
+
+  it("cross-checks pairs, tokens, pools and vaults and throws CONFIG_INVALID on errors", function () {
+    const cfg = loadProfile("dukong");
+    cfg.pairs.push({ name: "DAI/USDC", token0: "DAI", token1: "USDC", feeTier: 100 });
+    cfg.pools.lotus.USDT_USDC = ZERO_ADDRESS;
+    cfg.vaults.vault_wom_usdc = cfg.vaults.vault_usdc_musd;
+    cfg.tokens.MATIC = ZERO_ADDRESS;
+    cfg.strategies.strategy_usdt_musd = ZERO_ADDRESS;
+
+    const { errors, warnings } = validateConfig(cfg);
+    expect(errors).to.have.members([
+      "pairs[5] (DAI/USDC) references unknown token DAI",
+      "vaults.vault_usdt_usdc has no pool: pools.lotus.USDT_USDC is unset",
+      "vaults.vault_wom_usdc has the same address as vaults.vault_usdc_musd"
+    ]);
+    expect(warnings).to.have.members([
+      "tokens.MATIC is a zero-address placeholder",
+      "vaults.vault_usdt_musd has no strategies.strategy_usdt_musd, so vault.strategy() is not cross-checked"
+    ]);
+
+    let error;
+    try {
+      assertValidConfig(cfg, "dukong");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).to.equal("CONFIG_INVALID");
+    expect(error.details.errors).to.deep.equal(errors);
+    expect(error.message).to.contain("vaults.vault_usdt_usdc has no pool");
+  });
+
+  it("accessors read the active config and return null for unset addresses", function () {
+    expect(getChainId()).to.equal(31337);
+    expect(getTokens().map((t) => t.symbol)).to.have.members(Object.keys(stack.tokens));
+    expect(getTokenAddress("USDC")).to.equal(stack.tokens.USDC.address);
+    expect(getTokenAddress("DAI")).to.equal(null);
+
+    const pair = getPairs().find((p) => p.name === "USDT/USDC");
+    expect(pair).to.include({ token0Address: stack.tokens.USDT.address, token1Address: stack.tokens.USDC.address, feeTier: 500 });
+
+    const vaults = getVaults();
+    expect(vaults.map((v) => v.key)).to.deep.equal(VAULT_SPECS.map((s) => s.key));
+    const womMusd = vaults.find((v) => v.key === "wom_musd");
+    expect(womMusd).to.include({
+      vault: stack.vaults.wom_musd.address,
+      expectedStrategy: stack.strategies.wom_musd.address,
+      pool: stack.pools.lotus.wOM_mUSD.address,
+      feeTier: 3000
+    });
+    expect(getClmVaultConfigs()).to.have.length(VAULT_SPECS.length);
+
+    // --vault takes a config key, a display name or an address, in any order.
+    const picked = selectVaults(["usdc_musd", womMusd.name.toUpperCase(), stack.vaults.usdt_usdc.address]);
+    expect(picked.map((v) => v.key)).to.deep.equal(["usdc_musd", "wom_musd", "usdt_usdc"]);
+    expect(selectVaults([])).to.deep.equal(getClmVaultConfigs());
+    let error;
+    try {
+      selectVaults(["usdc_musd", "nope"]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.include({ code: "VAULT_UNKNOWN", message: "Unknown vault: nope" });
+    expect(error.details).to.deep.equal({ name: "nope" });
+
+    const restore = applyConfig(loadProfile("local"));
+    try {
+      expect(getVaults().every((v) => v.vault === null && v.pool === null && v.feeTier !== null)).to.equal(true);
+      expect(getClmVaultConfigs()).to.deep.equal([]);
+      expect(getTokens()).to.deep.equal([]);
+    } finally {
+      restore();
+    }
+  });
+});
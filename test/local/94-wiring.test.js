@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { config, applyConfig } = require("../utils/config");
+const { getClmVaultConfigs } = require("../utils/vault-configs");
+const { loadFixture, onlyOnHardhatNetwork } = require("../fixtures/snapshot");
+const { deployLocalVaultStack } = require("../fixtures/local-vaults");
+const { WIRING_CHECKS, checkWiring, formatWiringMarkdown } = require("../utils/wiring");
+const { parseArgs } = require("../../scripts/validate-wiring");
+
+describe("Wiring validator (offline)", function () {
+  this.timeout(120000);
+  onlyOnHardhatNetwork();
+
+  let stack;
+  let restoreConfig;
+
+  beforeEach(async function () {
+    stack = await loadFixture(deployLocalVaultStack);
+    if (!restoreConfig) restoreConfig = applyConfig(stack.config);
+  });
+
+  after(function () {
+    if (restoreConfig) restoreConfig();
+  });
+
+  // Run the validator against a modified copy of the stack's config.
+  async function wiringWith(edit) {
+    const next = JSON.parse(JSON.stringify(stack.config));
+    edit(next);
+    const restore = applyConfig(next);
+    try {
+      return await checkWiring(ethers.provider, getClmVaultConfigs(), { network: "local" });
+    } finally {
+      restore();
+    }
+  }
+
+  const rowFor = (matrix, key) => matrix.vaults.find((r) => r.key === key);
+  const statuses = (row) => Object.fromEntries(WIRING_CHECKS.map((c) => [c, row.checks[c].status]));
+
+  it("passes every check on both DEXes when the config matches the chain", async function () {
+    const matrix = await checkWiring(ethers.provider, getClmVaultConfigs(), { network: "local" });
+    expect(matrix.ok).to.equal(true);
+    expect(matrix.vaults).to.have.length(5);
+    expect(matrix.summary).to.deep.equal({ total: 5 * WIRING_CHECKS.length, passed: 5 * WIRING_CHECKS.length, failed: 0, skipped: 0 });
+
+    const row = rowFor(matrix, "wom_usdc");
+    expect(row.dex).to.equal("quickswap");
+    expect(row.strategy).to.equal(stack.strategies.wom_usdc.address);
+    expect(row.checks.fee).to.deep.equal({ status: "pass", expected: 500, actual: 500 });
+    expect(row.checks.factory.actual).to.equal(config.pools.quickswap.wOM_USDC);
+  });
+
+  it("fails the strategy check when config.strategies disagrees with vault.strategy() and skips it when unset", async function () {
+    const matrix = await wiringWith((cfg) => {
+      cfg.strategies.strategy_usdt_usdc = cfg.strategies.strategy_usdc_musd;
+      cfg.strategies.strategy_wom_musd = ethers.constants.AddressZero;
+    });
+    expect(matrix.ok).to.equal(false);
+    const wrong = rowFor(matrix, "usdt_usdc");
+    expect(statuses(wrong)).to.deep.equal({ strategy: "fail", pool: "pass", lpTokens: "pass", poolTokens: "pass", factory: "pass", fee: "pass" });
+    expect(wrong.checks.strategy.actual).to.equal(stack.strategies.usdt_usdc.address);
+    expect(rowFor(matrix, "wom_musd").checks.strategy.status).to.equal("skip");
+    expect(matrix.summary).to.include({ failed: 1, skipped: 1 });
+  });
+
+  it("flags a pool entry that is not the strategy's pool, not the pair's tokens and not the factory's pool", async function () {
+    const matrix = await wiringWith((cfg) => {
+      cfg.pools.lotus.USDT_USDC = cfg.pools.lotus.USDC_mUSD;
+    });
+    const row = rowFor(matrix, "usdt_usdc");
+    expect(statuses(row)).to.deep.equal({ strategy: "pass", pool: "fail", lpTokens: "fail", poolTokens: "fail", factory: "fail", fee: "pass" });
+    expect(row.checks.pool.actual).to.equal(stack.pools.lotus.USDT_USDC.address);
+    expect(row.checks.factory.actual).to.equal(stack.pools.lotus.USDT_USDC.address);
+    expect(row.checks.factory.detail).to.equal("factory.getPool() returns another pool");
+  });
+
+  it("fails the fee check, and the Lotus getPool() lookup, when config.pairs has the wrong fee tier", async function () {
+    const matrix = await wiringWith((cfg) => {
+      cfg.pairs.find((p) => p.name === "wOM/mUSD").feeTier = 500;
+      cfg.pairs.find((p) => p.name === "wOM/USDC").feeTier = 3000;
+    });
+    const lotus = rowFor(matrix, "wom_musd");
+    expect(lotus.checks.fee).to.deep.equal({ status: "fail", expected: 500, actual: 3000 });
+    expect(lotus.checks.factory).to.include({ status: "fail", detail: "factory.getPool() returns no pool" });
+
+    // Algebra pools are one per pair: poolByPair() still finds it.
+    const algebra = rowFor(matrix, "wom_usdc");
+    expect(algebra.checks.fee).to.deep.equal({ status: "fail", expected: 3000, actual: 500 });
+    expect(algebra.checks.factory.status).to.equal("pass");
+  });
+
+  it("renders a vault x check matrix in markdown with the mismatches listed", async function () {
+    const matrix = await wiringWith((cfg) => {
+      cfg.strategies.strategy_usdt_usdc = cfg.strategies.strategy_usdc_musd;
+    });
+    const md = formatWiringMarkdown(matrix);
+    expect(md).to.contain("# Wiring validation (local)");
+    expect(md).to.contain(`| Vault | ${WIRING_CHECKS.join(" | ")} |`);
+    expect(md).to.contain("| Lotus USDT-USDC | ❌ | ✅ | ✅ | ✅ | ✅ | ✅ |");
+    expect(md).to.contain(`- ❌ **Lotus USDT-USDC** \`strategy\`: expected ${stack.strategies.usdc_musd.address}, got ${stack.strategies.usdt_usdc.address}.`);
+
+    expect(parseArgs(["--vault", "usdt_usdc", "--json"])).to.deep.equal({ vaults: ["usdt_usdc"], json: true });
+    expect(() => parseArgs(["--out"])).to.throw("Unexpected argument: --out");
+  });
+});
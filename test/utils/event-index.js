@@ -0,0 +1,332 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { withRetry } = require("./retry");
+
+/**
+ * Log indexer for the configured vaults, their strategies and pools. Logs are decoded with the
+ * ABIs below and stored as JSONL, one line per block:
+ *   { blockNumber, blockHash, timestamp, events: [{ logIndex, transactionHash, address, kind,
+ *     vault, event, args }] }
+ * next to a state.json that records the chain, the indexed addresses and the last synced block.
+ * Logs no ABI matches are kept with event: null and their raw topics/data.
+ *
+ * sync() is incremental. It starts over when the chain, the target set or the hash of the last
+ * synced block changed (a reorg, or a restarted local node).
+ */
+
+const EVENT_ABIS = {
+  // ReferenceCLMVault (an ERC20 over the shares)
+  vault: [
+    "event Deposit(address indexed user, uint256 shares, uint256 amount0, uint256 amount1)",
+    "event Withdraw(address indexed user, address indexed to, uint256 shares, uint256 amount0, uint256 amount1)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)",
+    "event Paused(address account)",
+    "event Unpaused(address account)"
+  ],
+  // ReferenceCLMStrategy, including its admin events
+  strategy: [
+    "event Rebalance(int24 tickLower, int24 tickUpper, uint128 liquidity)",
+    "event Harvest(uint256 fee0, uint256 fee1)",
+    "event ClaimedFees(uint256 fee0, uint256 fee1)",
+    "event SetVault(address vault)",
+    "event SetKeeper(address keeper)",
+    "event SetPositionWidth(int24 width)",
+    "event SetTwapInterval(uint32 interval)",
+    "event SetDeviation(int56 maxTickDeviation)",
+    "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)"
+  ],
+  // UniV3 (Lotus) and Algebra Integral pools. Algebra names its arguments differently
+  // (bottomTick, price, liquidityAmount), which does not change the topic; the UniV3 names are
+  // used for both so queries read the same fields. Integral 1.2 adds fee fields to Swap and Burn.
+  pool: [
+    "event Initialize(uint160 sqrtPriceX96, int24 tick)",
+    "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+    "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 overrideFee, uint24 pluginFee)",
+    "event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+    "event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+    "event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1, uint24 pluginFee)",
+    "event Collect(address indexed owner, address recipient, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount0, uint128 amount1)"
+  ]
+};
+
+const DEFAULT_CHUNK_BLOCKS = 2000;
+const BLOCKS_FILE = "blocks.jsonl";
+const STATE_FILE = "state.json";
+
+// Small integers (ticks, fees) come back as numbers; everything else as a decimal string.
+const SMALL_INT = /^u?int(8|16|24|32|40|48)$/;
+
+function ensureDir(dirPath) {
+  if (!fs.existsSync(dirPath)) fs.mkdirSync(dirPath, { recursive: true });
+}
+
+function defaultIndexDir(networkName, chainId) {
+  return path.join(__dirname, "..", "..", ".event-index", `${networkName}-${chainId}`);
+}
+
+/**
+ * Addresses to index for the given vault configs: { address, kind, vault } per vault, strategy
+ * and pool. The strategy comes from vault.strategy(), falling back to the configured one.
+ */
+async function indexTargets(provider, vaultConfigs) {
+  const targets = [];
+  for (const vaultConfig of vaultConfigs) {
+    const vault = new ethers.Contract(vaultConfig.vault, ["function strategy() view returns (address)"], provider);
+    const strategy = (await withRetry(() => vault.strategy(), { retries: 2 }).catch(() => null)) || vaultConfig.expectedStrategy;
+    targets.push({ address: vaultConfig.vault, kind: "vault", vault: vaultConfig.name });
+    if (strategy && strategy !== ethers.constants.AddressZero) targets.push({ address: strategy, kind: "strategy", vault: vaultConfig.name });
+    targets.push({ address: vaultConfig.pool, kind: "pool", vault: vaultConfig.name });
+  }
+  return targets;
+}
+
+function plainArgs(fragment, args) {
+  const out = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    if (ethers.BigNumber.isBigNumber(value)) out[input.name] = SMALL_INT.test(input.type) ? value.toNumber() : value.toString();
+    else out[input.name] = value;
+  });
+  return out;
+}
+
+class EventIndex {
+  /**
+   * @param {object} provider ethers provider
+   * @param {object} opts
+   * @param {Array<{address, kind, vault}>} opts.targets from indexTargets()
+   * @param {string} opts.dir store directory (see defaultIndexDir())
+   * @param {number} [opts.chunkBlocks=2000] eth_getLogs block range; halved while the RPC refuses it
+   * @param {number} [opts.confirmations=0] blocks behind the head to stop at
+   */
+  constructor(provider, { targets, dir, chunkBlocks = DEFAULT_CHUNK_BLOCKS, confirmations = 0 } = {}) {
+    if (!dir) {
+      const error = new Error("EventIndex needs a store directory");
+      error.code = "EVENT_INDEX_NO_DIR";
+      throw error;
+    }
+    this.provider = provider;
+    this.dir = dir;
+    this.chunkBlocks = chunkBlocks;
+    this.confirmations = confirmations;
+    this.targets = new Map((targets || []).map((t) => [t.address.toLowerCase(), t]));
+    this.interfaces = Object.fromEntries(Object.entries(EVENT_ABIS).map(([kind, abi]) => [kind, new ethers.utils.Interface(abi)]));
+    this.blocks = null;
+  }
+
+  get blocksPath() {
+    return path.join(this.dir, BLOCKS_FILE);
+  }
+
+  get statePath() {
+    return path.join(this.dir, STATE_FILE);
+  }
+
+  readState() {
+    return fs.existsSync(this.statePath) ? JSON.parse(fs.readFileSync(this.statePath, "utf8")) : null;
+  }
+
+  /** Indexed blocks, oldest first (read from disk once). */
+  load() {
+    if (!this.blocks) {
+      this.blocks = fs.existsSync(this.blocksPath)
+        ? fs.readFileSync(this.blocksPath, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line))
+        : [];
+    }
+    return this.blocks;
+  }
+
+  decode(log) {
+    const target = this.targets.get(log.address.toLowerCase());
+    const base = {
+      logIndex: ethers.BigNumber.from(log.logIndex).toNumber(),
+      transactionHash: log.transactionHash,
+      address: ethers.utils.getAddress(log.address),
+      kind: target ? target.kind : null,
+      vault: target ? target.vault : null
+    };
+    const iface = target && this.interfaces[target.kind];
+    let parsed = null;
+    try {
+      parsed = iface ? iface.parseLog(log) : null;
+    } catch {
+      // not one of the known events
+    }
+    if (!parsed) return { ...base, event: null, topics: log.topics, data: log.data };
+    return { ...base, event: parsed.name, args: plainArgs(parsed.eventFragment, parsed.args) };
+  }
+
+  async getLogs(fromBlock, toBlock) {
+    const filter = { address: [...this.targets.keys()], fromBlock: ethers.utils.hexValue(fromBlock), toBlock: ethers.utils.hexValue(toBlock) };
+    return withRetry(() => this.provider.send("eth_getLogs", [filter]));
+  }
+
+  // Logs for [fromBlock, toBlock], splitting the range while the RPC refuses it.
+  async fetchRange(fromBlock, toBlock) {
+    const logs = [];
+    let chunk = this.chunkBlocks;
+    let start = fromBlock;
+    while (start <= toBlock) {
+      const end = Math.min(start + chunk - 1, toBlock);
+      try {
+        logs.push(...(await this.getLogs(start, end)));
+        start = end + 1;
+      } catch (e) {
+        if (chunk === 1) {
+          const error = new Error(`eth_getLogs failed for block ${start}: ${String(e.message || e).split("\n")[0]}`);
+          error.code = "EVENT_INDEX_GETLOGS_FAILED";
+          error.details = { fromBlock: start, toBlock: end };
+          throw error;
+        }
+        chunk = Math.max(1, Math.floor(chunk / 2));
+      }
+    }
+    return logs;
+  }
+
+  // Why the stored index cannot be extended, or null when it can.
+  async staleReason(state, chainId) {
+    if (!state) return null;
+    if (state.chainId !== chainId) return `chain changed (${state.chainId} -> ${chainId})`;
+    const addresses = [...this.targets.keys()].sort();
+    if (JSON.stringify(state.addresses) !== JSON.stringify(addresses)) return "indexed addresses changed";
+    const block = await withRetry(() => this.provider.getBlock(state.lastBlock));
+    if (!block || block.hash !== state.lastBlockHash) return `block ${state.lastBlock} changed (reorg or restarted node)`;
+    return null;
+  }
+
+  reset() {
+    ensureDir(this.dir);
+    fs.writeFileSync(this.blocksPath, "");
+    if (fs.existsSync(this.statePath)) fs.unlinkSync(this.statePath);
+    this.blocks = [];
+  }
+
+  /**
+   * Index new blocks up to `toBlock` (default: head minus confirmations). A fresh or reset index
+   * starts at `fromBlock` (default 0).
+   * @returns {Promise<{fromBlock, toBlock, blocks, events, reset}>} reset is the reason the
+   *   stored index was dropped, or null
+   */
+  async sync({ fromBlock = 0, toBlock } = {}) {
+    const { chainId } = await withRetry(() => this.provider.getNetwork());
+    let state = this.readState();
+    const reset = await this.staleReason(state, chainId);
+    if (reset || !state) {
+      this.reset();
+      state = null;
+    }
+    this.load();
+
+    const head = await withRetry(() => this.provider.getBlockNumber());
+    const end = toBlock ?? head - this.confirmations;
+    const start = state ? state.lastBlock + 1 : fromBlock;
+    if (start > end) return { fromBlock: start, toBlock: end, blocks: 0, events: 0, reset };
+
+    const byBlock = new Map();
+    for (const log of await this.fetchRange(start, end)) {
+      const blockNumber = ethers.BigNumber.from(log.blockNumber).toNumber();
+      if (!byBlock.has(blockNumber)) byBlock.set(blockNumber, { blockNumber, blockHash: log.blockHash, events: [] });
+      byBlock.get(blockNumber).events.push(this.decode(log));
+    }
+    const added = [...byBlock.values()].sort((a, b) => a.blockNumber - b.blockNumber);
+    for (const entry of added) {
+      entry.timestamp = (await withRetry(() => this.provider.getBlock(entry.blockNumber))).timestamp;
+      entry.events.sort((a, b) => a.logIndex - b.logIndex);
+    }
+
+    ensureDir(this.dir);
+    if (added.length) fs.appendFileSync(this.blocksPath, added.map((entry) => `${JSON.stringify(entry)}\n`).join(""));
+    this.blocks.push(...added);
+    const last = await withRetry(() => this.provider.getBlock(end));
+    fs.writeFileSync(
+      this.statePath,
+      JSON.stringify({ chainId, startBlock: state ? state.startBlock : fromBlock, lastBlock: end, lastBlockHash: last.hash, addresses: [...this.targets.keys()].sort() }, null, 2)
+    );
+    return { fromBlock: start, toBlock: end, blocks: added.length, events: added.reduce((n, b) => n + b.events.length, 0), reset };
+  }
+
+  /**
+   * Indexed events, oldest first, each with its blockNumber and timestamp. Every filter field is
+   * optional: vault (config name), kind, event, address, transactionHash, fromBlock, toBlock.
+   */
+  events({ vault, kind, event, address, transactionHash, fromBlock, toBlock } = {}) {
+    const out = [];
+    for (const block of this.load()) {
+      if (fromBlock !== undefined && block.blockNumber < fromBlock) continue;
+      if (toBlock !== undefined && block.blockNumber > toBlock) continue;
+      for (const e of block.events) {
+        if (vault && e.vault !== vault) continue;
+        if (kind && e.kind !== kind) continue;
+        if (event !== undefined && e.event !== event) continue;
+        if (address && e.address.toLowerCase() !== address.toLowerCase()) continue;
+        if (transactionHash && e.transactionHash !== transactionHash) continue;
+        out.push({ blockNumber: block.blockNumber, timestamp: block.timestamp, ...e });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Rebalances of a vault with their tick ranges. A transaction counts when the strategy emitted
+   * Rebalance, or, for strategies without that event, when it burned the strategy's liquidity
+   * and minted it a different range with no vault Deposit/Withdraw alongside; the first range
+   * minted then stands in for the main one. `positions` are the ranges the strategy was minted
+   * in that transaction, `previous` the ones it burned.
+   */
+  rebalances(vault) {
+    const byTx = new Map();
+    for (const e of this.events({ vault })) {
+      if (!byTx.has(e.transactionHash)) byTx.set(e.transactionHash, []);
+      byTx.get(e.transactionHash).push(e);
+    }
+    const strategy = [...this.targets.values()].find((t) => t.vault === vault && t.kind === "strategy");
+    const owned = (e) => strategy && e.args.owner.toLowerCase() === strategy.address.toLowerCase();
+    const out = [];
+    for (const [transactionHash, events] of byTx) {
+      const emitted = events.find((e) => e.event === "Rebalance");
+      const mints = events.filter((e) => e.event === "Mint" && owned(e));
+      const burns = events.filter((e) => e.event === "Burn" && owned(e) && e.args.amount !== "0");
+      const positions = mints.map((e) => ({ tickLower: e.args.tickLower, tickUpper: e.args.tickUpper, liquidity: e.args.amount }));
+      const range = (e) => `${e.args.tickLower}:${e.args.tickUpper}`;
+      const moved = burns.length && mints.length && mints.some((m) => !burns.some((b) => range(b) === range(m)));
+      const userAction = events.some((e) => e.event === "Deposit" || e.event === "Withdraw");
+      if (!emitted && (!moved || userAction)) continue;
+      const main = emitted ? emitted.args : { tickLower: positions[0].tickLower, tickUpper: positions[0].tickUpper, liquidity: positions[0].liquidity };
+      out.push({
+        blockNumber: events[0].blockNumber,
+        timestamp: events[0].timestamp,
+        transactionHash,
+        source: emitted ? "event" : "inferred",
+        tickLower: main.tickLower,
+        tickUpper: main.tickUpper,
+        liquidity: main.liquidity,
+        previous: burns.map((e) => ({ tickLower: e.args.tickLower, tickUpper: e.args.tickUpper, liquidity: e.args.amount })),
+        positions
+      });
+    }
+    return out;
+  }
+
+  /** Event counts per vault, kind and event, with the first and last block seen. */
+  summary() {
+    const rows = new Map();
+    for (const e of this.events()) {
+      const key = `${e.vault}|${e.kind}|${e.event}`;
+      const row = rows.get(key) || { vault: e.vault, kind: e.kind, event: e.event, count: 0, firstBlock: e.blockNumber, lastBlock: e.blockNumber };
+      row.count += 1;
+      row.lastBlock = e.blockNumber;
+      rows.set(key, row);
+    }
+    return [...rows.values()];
+  }
+}
+
+module.exports = {
+  EVENT_ABIS,
+  EventIndex,
+  defaultIndexDir,
+  indexTargets
+};
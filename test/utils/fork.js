@@ -0,0 +1,126 @@
+const { ethers, network, config: hardhatConfig } = require("hardhat");
+const { withRetry } = require("./retry");
+
+const ROLE_ABI = [
+  "function owner() view returns (address)",
+  "function keeper() view returns (address)"
+];
+
+/**
+ * True when the in-process Hardhat network is forking a remote chain (FORK=1).
+ */
+function isForkMode() {
+  const forking = network.name === "hardhat" ? network.config.forking : null;
+  return Boolean(forking && forking.enabled !== false && forking.url);
+}
+
+/**
+ * True on the in-process Hardhat network (local stack or FORK=1) with automine on: every block
+ * holds only our own transactions, so nothing else trades between two reads of a pool.
+ */
+async function isIsolatedChain(provider = ethers.provider) {
+  if (network.name !== "hardhat") return false;
+  return Boolean(await provider.send("hardhat_getAutomine", []));
+}
+
+function redactUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "(unparseable)";
+  }
+}
+
+/**
+ * Everything needed to replay a fork run: pinned block, chain head, RPC host and cache dir.
+ * The RPC URL is reduced to its host so API keys never land in reports.
+ */
+async function getForkInfo() {
+  if (!isForkMode()) return { enabled: false };
+  const forking = network.config.forking;
+  const headBlock = await ethers.provider.getBlockNumber();
+  return {
+    enabled: true,
+    rpcHost: redactUrl(forking.url),
+    pinnedBlock: forking.blockNumber ?? null,
+    headBlock,
+    cacheDir: forking.blockNumber === undefined ? null : `${hardhatConfig.paths.cache}/hardhat-network-fork`
+  };
+}
+
+/**
+ * Act as `address` on the in-process network (fork or plain Hardhat). Tops up gas so the
+ * impersonated account can send transactions.
+ */
+async function impersonate(address, { balanceEth = "10" } = {}) {
+  await network.provider.request({ method: "hardhat_impersonateAccount", params: [address] });
+  await network.provider.request({
+    method: "hardhat_setBalance",
+    params: [address, ethers.utils.hexValue(ethers.utils.parseEther(balanceEth))]
+  });
+  return ethers.getSigner(address);
+}
+
+async function stopImpersonating(address) {
+  await network.provider.request({ method: "hardhat_stopImpersonatingAccount", params: [address] });
+}
+
+async function withImpersonation(address, fn, opts) {
+  const signer = await impersonate(address, opts);
+  try {
+    return await fn(signer);
+  } finally {
+    await stopImpersonating(address);
+  }
+}
+
+/**
+ * Read owner()/keeper() from a strategy. Missing getters come back as null.
+ */
+async function getStrategyRoles(provider, strategyAddress) {
+  const strategy = new ethers.Contract(strategyAddress, ROLE_ABI, provider);
+  const [owner, keeper] = await Promise.all([
+    withRetry(() => strategy.owner()).catch(() => null),
+    withRetry(() => strategy.keeper()).catch(() => null)
+  ]);
+  return { owner, keeper };
+}
+
+/**
+ * Signer allowed to call rebalance()/harvest() on `strategyAddress`.
+ *
+ * Returns `signer` itself when it already is the keeper or owner. Otherwise, in fork mode
+ * (or when `allowImpersonation` is set on a plain Hardhat network) it impersonates the
+ * keeper, falling back to the owner. Returns { signer: null } when no role is usable.
+ */
+async function getStrategyManagerSigner(strategyAddress, signer, { allowImpersonation = isForkMode() } = {}) {
+  const roles = await getStrategyRoles(signer.provider, strategyAddress);
+  const self = await signer.getAddress();
+  const isZero = (a) => !a || a === ethers.constants.AddressZero;
+
+  for (const role of ["keeper", "owner"]) {
+    if (!isZero(roles[role]) && roles[role].toLowerCase() === self.toLowerCase()) {
+      return { signer, role, address: self, impersonated: false };
+    }
+  }
+
+  if (!allowImpersonation) return { signer: null, role: null, address: null, impersonated: false };
+
+  for (const role of ["keeper", "owner"]) {
+    if (isZero(roles[role])) continue;
+    const impersonated = await impersonate(roles[role]);
+    return { signer: impersonated, role, address: roles[role], impersonated: true };
+  }
+  return { signer: null, role: null, address: null, impersonated: false };
+}
+
+module.exports = {
+  isForkMode,
+  isIsolatedChain,
+  getForkInfo,
+  impersonate,
+  stopImpersonating,
+  withImpersonation,
+  getStrategyRoles,
+  getStrategyManagerSigner
+};
@@ -1,4 +1,4 @@
-const { ethers } = require("hardhat");
+const { ethers } = require("ethers");
 
 function fmtUnits(value, decimals) {
   try {
@@ -13,7 +13,19 @@ function shortAddr(addr) {
   return `${addr.slice(0, 6)}…${addr.slice(-4)}`;
 }
 
+/**
+ * BigNumbers as decimal strings, recursively, so results serialize to JSON. Plain ethers, not
+ * Hardhat's: scripts/lpv.js requires this before it has picked the network.
+ */
+function toPlain(value) {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+  return value;
+}
+
 module.exports = {
   fmtUnits,
-  shortAddr
+  shortAddr,
+  toPlain
 };
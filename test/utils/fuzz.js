@@ -0,0 +1,120 @@
+/**
+ * Minimal property-based testing helpers: a seeded PRNG, a sequence shrinker and a runner that
+ * prints the seed of every run, so a failure can be replayed with FUZZ_SEED=<seed> FUZZ_RUNS=1.
+ */
+
+// mulberry32: tiny, fast and good enough to drive test inputs.
+function createRng(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    seed: seed >>> 0,
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    bool: (p = 0.5) => next() < p,
+    pick: (list) => list[Math.floor(next() * list.length)],
+    // Log-uniform, so small and large magnitudes are equally likely.
+    logUniform: (min, max) => Math.exp(Math.log(min) + next() * (Math.log(max) - Math.log(min))),
+    weighted(weights) {
+      const entries = Object.entries(weights);
+      const total = entries.reduce((sum, [, w]) => sum + w, 0);
+      let roll = next() * total;
+      for (const [key, w] of entries) {
+        roll -= w;
+        if (roll < 0) return key;
+      }
+      return entries[entries.length - 1][0];
+    }
+  };
+}
+
+function parseSeed(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 0) throw new Error(`Invalid fuzz seed: ${value}`);
+  return seed >>> 0;
+}
+
+function randomSeed() {
+  return (Date.now() ^ (process.pid << 16)) >>> 0;
+}
+
+/**
+ * Shrink a failing sequence: drop ever smaller chunks of steps, then replace single steps with
+ * the simpler variants `simplify(step)` offers. `stillFails(steps)` re-runs a candidate and
+ * resolves to its failure (or null). Bounded by `maxAttempts` re-runs.
+ */
+async function shrinkSequence(steps, failure, stillFails, { simplify = () => [], maxAttempts = 150 } = {}) {
+  let best = steps;
+  let bestFailure = failure;
+  let attempts = 0;
+
+  const attempt = async (candidate) => {
+    if (attempts >= maxAttempts) return false;
+    attempts++;
+    const result = await stillFails(candidate);
+    if (!result) return false;
+    best = candidate;
+    bestFailure = result;
+    return true;
+  };
+
+  for (let chunk = Math.max(1, Math.floor(best.length / 2)); chunk >= 1 && attempts < maxAttempts; chunk = Math.floor(chunk / 2)) {
+    for (let start = 0; start + chunk <= best.length && attempts < maxAttempts; ) {
+      const candidate = [...best.slice(0, start), ...best.slice(start + chunk)];
+      if (!candidate.length || !(await attempt(candidate))) start += chunk;
+    }
+  }
+
+  for (let i = 0; i < best.length && attempts < maxAttempts; i++) {
+    let simplified = true;
+    while (simplified && attempts < maxAttempts) {
+      simplified = false;
+      for (const variant of simplify(best[i])) {
+        if (await attempt([...best.slice(0, i), variant, ...best.slice(i + 1)])) {
+          simplified = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return { steps: best, failure: bestFailure, attempts };
+}
+
+/**
+ * Run `runs` generated sequences. Run i uses seed `seed + i`, printed up front.
+ *
+ * `generate(rng)` builds a sequence; `execute(steps)` runs it from a clean state and resolves to
+ * null or a failure `{ step, message, ... }`. The first failure is shrunk and returned as
+ * `{ seed, runSeed, steps, shrunk, failure, attempts }`; `failure` is null when every run passed.
+ */
+async function fuzz({ seed = randomSeed(), runs = 10, generate, execute, simplify, maxShrinkAttempts, log = console.log }) {
+  log(`    fuzz seed=${seed} runs=${runs} (replay a run with FUZZ_SEED=<runSeed> FUZZ_RUNS=1)`);
+  for (let i = 0; i < runs; i++) {
+    const runSeed = (seed + i) >>> 0;
+    const steps = generate(createRng(runSeed));
+    const failure = await execute(steps);
+    if (!failure) continue;
+
+    log(`    ✗ runSeed=${runSeed} failed at step ${failure.step} of ${steps.length}: ${failure.message}; shrinking...`);
+    const shrunk = await shrinkSequence(steps, failure, execute, { simplify, maxAttempts: maxShrinkAttempts });
+    log(`    shrunk to ${shrunk.steps.length} step(s) in ${shrunk.attempts} re-run(s): ${JSON.stringify(shrunk.steps)}`);
+    return { seed, runSeed, steps, shrunk: shrunk.steps, failure: shrunk.failure, attempts: shrunk.attempts };
+  }
+  return { seed, runs, failure: null };
+}
+
+module.exports = {
+  createRng,
+  parseSeed,
+  randomSeed,
+  shrinkSequence,
+  fuzz
+};
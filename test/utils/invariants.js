@@ -0,0 +1,302 @@
+const { ethers } = require("hardhat");
+const { VAULT_EVENTS_ABI } = require("./abis");
+const { valueInToken1 } = require("./vault-state");
+const { compareValuation } = require("./position-valuation");
+const { createCheckResult, assertCheckResult } = require("./check-results");
+
+/**
+ * Share-accounting invariants for a CLM vault between two getVaultState() snapshots.
+ *
+ * Actions describe what happened in between, in order:
+ *   { type: "deposit" | "withdraw", user?, shares?, amount0?, amount1? }
+ *   { type: "swap" | "harvest" | "rebalance" | ... }   (no share movement)
+ * `user` defaults to the snapshot user. Deposit/withdraw actions parsed from receipts via
+ * vaultActionsFromReceipt() carry everything the checks need.
+ *
+ * checkInvariants() never throws on a violation; it returns a check-results.js result
+ *   { ok, violations: [{ invariant, severity, message, details }], checked: [id], skipped: [{ invariant, reason }] }
+ * where `ok` is false only for "error" violations. Use assertInvariants() to turn that into a throw.
+ */
+
+const INVARIANTS = {
+  BALANCES_RECONCILE: "vault-balances-reconcile",
+  SUPPLY_DELTA: "supply-delta-matches-shares",
+  USER_SHARES_DELTA: "user-shares-delta-matches-shares",
+  PPFS_NON_DECREASING: "ppfs-non-decreasing",
+  ROUND_TRIP: "round-trip-no-value-leak",
+  POSITION_VALUATION: "balances-match-liquidity-math"
+};
+
+const SHARE_ACTIONS = new Set(["deposit", "withdraw"]);
+const BPS = 10_000;
+
+const bn = (x) => ethers.BigNumber.from(x);
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+function actionUser(action, accounting) {
+  return action.user || accounting.user;
+}
+
+/**
+ * vault.balances() must equal what the strategy reports plus anything the vault holds itself,
+ * and the strategy's total must be its idle tokens plus its pool positions.
+ */
+function checkBalances(label, accounting, options, report) {
+  const { vaultBalances, strategyBalances, strategyIdle, strategyPool, vaultIdle } = accounting;
+  if (!vaultBalances || !strategyBalances || !vaultIdle) {
+    report.skip(INVARIANTS.BALANCES_RECONCILE, `${label}: vault/strategy balances not readable`);
+    return;
+  }
+  report.check(INVARIANTS.BALANCES_RECONCILE);
+
+  for (const k of ["amount0", "amount1"]) {
+    const expected = strategyBalances[k].add(vaultIdle[k]);
+    if (!vaultBalances[k].eq(expected)) {
+      report.violation(INVARIANTS.BALANCES_RECONCILE, options.reconcileSeverity, `${label}: vault ${k} ${vaultBalances[k]} != strategy ${strategyBalances[k]} + vault idle ${vaultIdle[k]}`, {
+        snapshot: label,
+        token: k,
+        vault: vaultBalances[k],
+        strategy: strategyBalances[k],
+        vaultIdle: vaultIdle[k]
+      });
+    }
+    if (strategyIdle && strategyPool && !strategyBalances[k].eq(strategyIdle[k].add(strategyPool[k]))) {
+      report.violation(INVARIANTS.BALANCES_RECONCILE, options.reconcileSeverity, `${label}: strategy ${k} ${strategyBalances[k]} != idle ${strategyIdle[k]} + pool ${strategyPool[k]}`, {
+        snapshot: label,
+        token: k,
+        strategy: strategyBalances[k],
+        strategyIdle: strategyIdle[k],
+        strategyPool: strategyPool[k]
+      });
+    }
+  }
+}
+
+/**
+ * What the strategy reports must match its pool positions valued independently with liquidity
+ * math (accounting.valuation from position-valuation.js), within the tolerance.
+ */
+function checkValuation(label, accounting, options, report) {
+  const comparison = compareValuation(accounting.valuation, accounting, { toleranceBps: options.valuationToleranceBps, dust: options.dust });
+  if (!comparison.checked) {
+    report.skip(INVARIANTS.POSITION_VALUATION, `${label}: ${comparison.reason}`);
+    return;
+  }
+  report.check(INVARIANTS.POSITION_VALUATION);
+  for (const d of comparison.discrepancies) {
+    report.violation(INVARIANTS.POSITION_VALUATION, options.reconcileSeverity, `${label}: ${d.field} ${d.token} ${d.reported} != ${d.computed} from liquidity math (off by ${d.diff})`, {
+      snapshot: label,
+      ...d
+    });
+  }
+}
+
+function checkSupply(before, after, actions, report) {
+  const shareActions = actions.filter((a) => SHARE_ACTIONS.has(a.type));
+  if (!before.totalSupply || !after.totalSupply) {
+    report.skip(INVARIANTS.SUPPLY_DELTA, "totalSupply not readable");
+    return;
+  }
+  if (shareActions.some((a) => a.shares === undefined || a.shares === null)) {
+    report.skip(INVARIANTS.SUPPLY_DELTA, "a deposit/withdraw action does not report its shares");
+    return;
+  }
+  report.check(INVARIANTS.SUPPLY_DELTA);
+
+  const minted = shareActions.filter((a) => a.type === "deposit").reduce((sum, a) => sum.add(a.shares), ethers.constants.Zero);
+  const burned = shareActions.filter((a) => a.type === "withdraw").reduce((sum, a) => sum.add(a.shares), ethers.constants.Zero);
+  // The first deposit also mints the locked minimum to the dead address.
+  const locked = before.totalSupply.isZero() && minted.gt(0) && before.minimumShares ? before.minimumShares : ethers.constants.Zero;
+
+  const expected = minted.add(locked).sub(burned);
+  const actual = after.totalSupply.sub(before.totalSupply);
+  if (!actual.eq(expected)) {
+    report.violation(INVARIANTS.SUPPLY_DELTA, "error", `totalSupply moved by ${actual}, actions account for ${expected}`, {
+      totalSupplyBefore: before.totalSupply,
+      totalSupplyAfter: after.totalSupply,
+      minted,
+      burned,
+      locked
+    });
+  }
+
+  if (!before.userShares || !after.userShares || !sameAddress(before.user, after.user)) {
+    report.skip(INVARIANTS.USER_SHARES_DELTA, "user shares not readable");
+    return;
+  }
+  report.check(INVARIANTS.USER_SHARES_DELTA);
+  const userExpected = shareActions
+    .filter((a) => sameAddress(actionUser(a, before), before.user))
+    .reduce((sum, a) => (a.type === "deposit" ? sum.add(a.shares) : sum.sub(a.shares)), ethers.constants.Zero);
+  const userActual = after.userShares.sub(before.userShares);
+  if (!userActual.eq(userExpected)) {
+    report.violation(INVARIANTS.USER_SHARES_DELTA, "error", `user shares moved by ${userActual}, actions account for ${userExpected}`, {
+      user: before.user,
+      sharesBefore: before.userShares,
+      sharesAfter: after.userShares
+    });
+  }
+}
+
+function priceUnchanged(before, after) {
+  return Boolean(before.sqrtPriceX96 && after.sqrtPriceX96) && before.sqrtPriceX96.eq(after.sqrtPriceX96);
+}
+
+/**
+ * Value the vault may lose to rounding: `dust` wei of each token per vault action (each one
+ * pulls and re-adds liquidity, and the pool rounds against the depositor).
+ */
+function roundingSlack(accounting, actions, dust) {
+  const vaultActions = actions.filter((a) => a.type !== "swap").length + 1;
+  return valueInToken1(dust, dust, accounting.priceX96).mul(vaultActions);
+}
+
+/**
+ * With the price unchanged there is no impermanent loss, so value per share can only go up
+ * (fees, rounding in the vault's favour). Compared by cross-multiplying to avoid PPFS rounding.
+ */
+function checkPpfs(before, after, actions, options, report) {
+  if (!priceUnchanged(before, after)) {
+    report.skip(INVARIANTS.PPFS_NON_DECREASING, "pool price moved between snapshots (impermanent loss)");
+    return;
+  }
+  if (!before.totalValue || !after.totalValue || !before.totalSupply || !after.totalSupply || before.totalSupply.isZero() || after.totalSupply.isZero()) {
+    report.skip(INVARIANTS.PPFS_NON_DECREASING, "vault value or supply not readable (or no shares)");
+    return;
+  }
+  report.check(INVARIANTS.PPFS_NON_DECREASING);
+
+  // Value the after-supply would hold at the before PPFS.
+  const floor = before.totalValue.mul(after.totalSupply).div(before.totalSupply);
+  const slack = roundingSlack(after, actions, options.dust);
+  if (after.totalValue.add(slack).lt(floor)) {
+    report.violation(INVARIANTS.PPFS_NON_DECREASING, "error", `PPFS fell from ${before.ppfs} to ${after.ppfs} with the price unchanged`, {
+      ppfsBefore: before.ppfs,
+      ppfsAfter: after.ppfs,
+      totalValueBefore: before.totalValue,
+      totalValueAfter: after.totalValue,
+      shortfall: floor.sub(after.totalValue),
+      slack
+    });
+  }
+}
+
+/**
+ * A user who deposits and then withdraws (part of) those shares at an unchanged price must not
+ * get back more than they put in — anything extra comes out of the other holders.
+ */
+function checkRoundTrips(before, after, actions, options, report) {
+  const users = [...new Set(actions.filter((a) => a.type === "deposit").map((a) => actionUser(a, before)).filter(Boolean).map((u) => u.toLowerCase()))];
+  const trips = users
+    .map((user) => {
+      const mine = actions.filter((a) => sameAddress(actionUser(a, before), user));
+      return { user, deposits: mine.filter((a) => a.type === "deposit"), withdraws: mine.filter((a) => a.type === "withdraw") };
+    })
+    .filter((t) => t.withdraws.length > 0);
+
+  if (!trips.length) return;
+  const complete = (a) => a.shares != null && a.amount0 != null && a.amount1 != null;
+  if (!priceUnchanged(before, after) || !after.priceX96) {
+    report.skip(INVARIANTS.ROUND_TRIP, "pool price moved between snapshots (impermanent loss)");
+    return;
+  }
+  if (trips.some((t) => ![...t.deposits, ...t.withdraws].every(complete))) {
+    report.skip(INVARIANTS.ROUND_TRIP, "a deposit/withdraw action does not report shares and amounts");
+    return;
+  }
+  report.check(INVARIANTS.ROUND_TRIP);
+
+  const sum = (list, key) => list.reduce((acc, a) => acc.add(a[key]), ethers.constants.Zero);
+  const slack = roundingSlack(after, actions, options.dust);
+  for (const t of trips) {
+    const sharesIn = sum(t.deposits, "shares");
+    const sharesOut = sum(t.withdraws, "shares");
+    // Withdrawals beyond the deposited shares redeem pre-existing holdings; nothing to pair them with.
+    if (sharesIn.isZero() || sharesOut.gt(sharesIn)) continue;
+
+    const valueIn = valueInToken1(sum(t.deposits, "amount0"), sum(t.deposits, "amount1"), after.priceX96);
+    const valueOut = valueInToken1(sum(t.withdraws, "amount0"), sum(t.withdraws, "amount1"), after.priceX96);
+    const expected = valueIn.mul(sharesOut).div(sharesIn);
+    const details = { user: t.user, sharesIn, sharesOut, valueIn, valueOut, expected, slack };
+
+    if (valueOut.gt(expected.add(slack))) {
+      report.violation(INVARIANTS.ROUND_TRIP, "error", `round trip by ${t.user} returned ${valueOut} for ${expected} of deposited value`, details);
+    } else if (valueOut.add(slack).lt(expected.mul(BPS - options.lossToleranceBps).div(BPS))) {
+      report.violation(INVARIANTS.ROUND_TRIP, "warning", `round trip by ${t.user} lost ${expected.sub(valueOut)} of ${expected} deposited value`, details);
+    }
+  }
+}
+
+/**
+ * Check the share-accounting invariants between two getVaultState() snapshots.
+ *
+ * Options:
+ *   dust             - rounding allowance per token per vault action, in raw units (default 10)
+ *   lossToleranceBps - round-trip loss tolerated before a warning (default 10)
+ *   valuationToleranceBps - reported vs liquidity-math balances, on top of `dust` (default 10)
+ *   reconcileSeverity - severity of vault-balances-reconcile and balances-match-liquidity-math
+ *                    violations (default "error"); "warning" for vaults this repo does not deploy,
+ *                    whose unharvested fees and rounding can legitimately leave them apart
+ */
+function checkInvariants(beforeState, afterState, actions = [], options = {}) {
+  const opts = { dust: 10, lossToleranceBps: 10, valuationToleranceBps: 10, reconcileSeverity: "error", ...options };
+  const { result, report } = createCheckResult();
+
+  const before = beforeState?.accounting;
+  const after = afterState?.accounting;
+  if (!before || !after) {
+    for (const invariant of Object.values(INVARIANTS)) report.skip(invariant, "snapshot has no accounting block");
+    return result;
+  }
+
+  const normalized = actions.map((a) => ({
+    ...a,
+    shares: a.shares == null ? a.shares : bn(a.shares),
+    amount0: a.amount0 == null ? a.amount0 : bn(a.amount0),
+    amount1: a.amount1 == null ? a.amount1 : bn(a.amount1)
+  }));
+
+  checkBalances("before", before, opts, report);
+  checkBalances("after", after, opts, report);
+  checkValuation("before", before, opts, report);
+  checkValuation("after", after, opts, report);
+  checkSupply(before, after, normalized, report);
+  checkPpfs(before, after, normalized, opts, report);
+  checkRoundTrips(before, after, normalized, opts, report);
+  return result;
+}
+
+/**
+ * Throw INVARIANT_VIOLATION when checkInvariants() reported any "error" violation.
+ */
+function assertInvariants(result, label = "vault") {
+  return assertCheckResult(result, { code: "INVARIANT_VIOLATION", label, noun: "invariant violation" });
+}
+
+const vaultEvents = new ethers.utils.Interface(VAULT_EVENTS_ABI);
+
+/**
+ * Deposit/Withdraw actions emitted by `vaultAddress` in a transaction receipt.
+ */
+function vaultActionsFromReceipt(receipt, vaultAddress) {
+  const actions = [];
+  for (const log of receipt?.logs || []) {
+    if (!sameAddress(log.address, vaultAddress)) continue;
+    let parsed;
+    try {
+      parsed = vaultEvents.parseLog(log);
+    } catch {
+      continue;
+    }
+    const { user, shares, amount0, amount1 } = parsed.args;
+    actions.push({ type: parsed.name.toLowerCase(), user, shares, amount0, amount1, txHash: receipt.transactionHash });
+  }
+  return actions;
+}
+
+module.exports = {
+  INVARIANTS,
+  checkInvariants,
+  assertInvariants,
+  vaultActionsFromReceipt
+};
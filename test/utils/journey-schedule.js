@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+/**
+ * Deposit/withdraw schedule for multi-user journeys. Each event:
+ *   { user: <index>, action: "deposit" | "withdraw", at: "start" | "after:<scenario>", size?, fraction? }
+ * `size` (deposit) is a baseAmountForSymbol() size, default "small"; `fraction` (withdraw) is the
+ * share of the user's current shares to redeem, default 1. Everyone still holding shares
+ * withdraws in the journey's final step, so the schedule only needs the interleaved part.
+ */
+
+const ACTIONS = ["deposit", "withdraw"];
+const SIZES = ["small", "large"];
+
+/**
+ * User 0 deposits first. User k deposits after trade k-1 (so fees have accrued: late depositors)
+ * and odd users take half their shares out one trade later.
+ */
+function defaultSchedule(userCount, scenarioNames) {
+  const schedule = [{ user: 0, action: "deposit", at: "start" }];
+  if (!scenarioNames.length) return schedule;
+  for (let user = 1; user < userCount; user++) {
+    const depositAt = (user - 1) % scenarioNames.length;
+    schedule.push({ user, action: "deposit", at: `after:${scenarioNames[depositAt]}` });
+    if (user % 2 === 1 && depositAt + 1 < scenarioNames.length) {
+      schedule.push({ user, action: "withdraw", at: `after:${scenarioNames[depositAt + 1]}`, fraction: 0.5 });
+    }
+  }
+  return schedule;
+}
+
+function validateSchedule(schedule, { userCount, scenarioNames }) {
+  const errors = [];
+  if (!Array.isArray(schedule) || !schedule.length) return ["schedule must be a non-empty list"];
+  const points = new Set(["start", ...scenarioNames.map((n) => `after:${n}`)]);
+  schedule.forEach((event, i) => {
+    const where = `schedule[${i}]`;
+    if (!event || typeof event !== "object") {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!Number.isInteger(event.user) || event.user < 0 || event.user >= userCount) {
+      errors.push(`${where}.user must be an account index below ${userCount}`);
+    }
+    if (!ACTIONS.includes(event.action)) errors.push(`${where}.action must be one of ${ACTIONS.join(", ")}`);
+    if (!points.has(event.at)) errors.push(`${where}.at must be 'start' or 'after:<scenario>' (got '${event.at}')`);
+    if (event.size !== undefined && !SIZES.includes(event.size)) errors.push(`${where}.size must be one of ${SIZES.join(", ")}`);
+    if (event.fraction !== undefined && !(event.fraction > 0 && event.fraction <= 1)) errors.push(`${where}.fraction must be in (0, 1]`);
+    if (event.action === "withdraw" && event.at === "start") errors.push(`${where}: nothing to withdraw at start`);
+  });
+  return errors;
+}
+
+/**
+ * Read a schedule from YAML/JSON (a list, or `{ schedule: [...] }`). Relative paths resolve
+ * against the working directory, then scripts/scenarios/.
+ */
+function loadSchedule(file, context) {
+  const candidates = [path.resolve(file), path.join(__dirname, "..", "..", "scripts", "scenarios", file)];
+  const resolved = candidates.find((p) => fs.existsSync(p));
+  if (!resolved) {
+    const error = new Error(`Schedule file not found: ${file}`);
+    error.code = "SCHEDULE_NOT_FOUND";
+    error.details = { file, searched: candidates };
+    throw error;
+  }
+  const text = fs.readFileSync(resolved, "utf8");
+  const doc = resolved.endsWith(".json") ? JSON.parse(text) : yaml.load(text);
+  const schedule = Array.isArray(doc) ? doc : doc && doc.schedule;
+  const errors = validateSchedule(schedule, context);
+  if (errors.length) {
+    const error = new Error(`Invalid schedule ${resolved}:\n  - ${errors.join("\n  - ")}`);
+    error.code = "SCHEDULE_INVALID";
+    error.details = { file: resolved, errors };
+    throw error;
+  }
+  return schedule;
+}
+
+function eventsAt(schedule, point) {
+  return schedule.filter((event) => event.at === point);
+}
+
+module.exports = {
+  defaultSchedule,
+  validateSchedule,
+  loadSchedule,
+  eventsAt
+};
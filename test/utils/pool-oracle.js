@@ -0,0 +1,119 @@
+const { ethers } = require("hardhat");
+const { readPoolState } = require("./pool-state");
+const { withRetry } = require("./retry");
+
+/**
+ * TWAP reads from a pool's oracle, compared against the spot tick:
+ *   - Lotus (UniV3-style): pool.observe()
+ *   - QuickSwap (Algebra Integral): getTimepoints() on the pool's plugin (the volatility oracle),
+ *     or on the pool itself for Algebra versions that keep the oracle in the pool
+ *
+ * Readers never throw on a missing or too-young oracle; they return { ok: false, reason }.
+ */
+
+const ORACLE_ABI = [
+  "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)",
+  "function plugin() view returns (address)",
+  "function getTimepoints(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint88[] volatilityCumulatives)"
+];
+
+// The strategy-side guard (ReferenceCLMStrategy, Beefy CLM)
+const TWAP_GUARD_ABI = [
+  "function twapInterval() view returns (uint32)",
+  "function maxTickDeviation() view returns (int56)",
+  "function twap() view returns (int56)",
+  "function isCalm() view returns (bool)",
+  "error NotCalm()",
+  "error TwapDisabled()"
+];
+
+const DEFAULT_WINDOW_SEC = 300;
+
+/**
+ * Mean tick between two cumulatives `windowSec` apart, rounded towards negative infinity
+ * (as UniV3's OracleLibrary.consult() and the reference strategy's twap() do).
+ */
+function meanTick(cumulativeStart, cumulativeEnd, windowSec) {
+  const delta = ethers.BigNumber.from(cumulativeEnd).sub(cumulativeStart);
+  let tick = delta.div(windowSec);
+  if (delta.isNegative() && !delta.mod(windowSec).isZero()) tick = tick.sub(1);
+  return tick.toNumber();
+}
+
+function reasonOf(e) {
+  return String(e?.reason || e?.error?.message || e?.message || e).split("\n")[0].slice(0, 120);
+}
+
+// Oracle reads to try for a pool kind, in order: [{ source, oracle, fn }]
+async function oracleCandidates(provider, poolAddress, kind) {
+  if (kind === "univ3") return [{ source: "observe", oracle: poolAddress, fn: "observe" }];
+  const candidates = [];
+  const pool = new ethers.Contract(poolAddress, ORACLE_ABI, provider);
+  const plugin = await withRetry(() => pool.plugin(), { retries: 2 }).catch(() => null);
+  if (plugin && plugin !== ethers.constants.AddressZero) candidates.push({ source: "plugin", oracle: plugin, fn: "getTimepoints" });
+  candidates.push({ source: "pool-timepoints", oracle: poolAddress, fn: "getTimepoints" });
+  return candidates;
+}
+
+/**
+ * Read the pool's TWAP over the last `windowSec` seconds and compare it with the spot tick.
+ *
+ * @returns {Promise<object>} { ok: true, source, oracle, windowSec, spotTick, twapTick, deviation,
+ *   volatility } where deviation = spotTick - twapTick and volatility (Algebra only, else null) is
+ *   the oracle's mean volatility over the window; or { ok: false, reason, spotTick }.
+ */
+async function readPoolTwap(provider, poolAddress, { dex, windowSec = DEFAULT_WINDOW_SEC } = {}) {
+  const state = await readPoolState(provider, poolAddress, dex);
+  if (!state.ok) return { ok: false, reason: state.warning || "pool state not readable", spotTick: null };
+  const spotTick = Number(state.tick);
+  if (!(windowSec > 0)) return { ok: false, reason: "windowSec must be positive", spotTick };
+
+  const failures = [];
+  for (const { source, oracle, fn } of await oracleCandidates(provider, poolAddress, state.kind)) {
+    const contract = new ethers.Contract(oracle, ORACLE_ABI, provider);
+    let result;
+    try {
+      result = await withRetry(() => contract[fn]([windowSec, 0]), { retries: 2 });
+    } catch (e) {
+      failures.push(`${source}: ${reasonOf(e)}`);
+      continue;
+    }
+    const [tickCumulatives, second] = result;
+    const twapTick = meanTick(tickCumulatives[0], tickCumulatives[1], windowSec);
+    return {
+      ok: true,
+      source,
+      oracle,
+      windowSec,
+      spotTick,
+      twapTick,
+      deviation: spotTick - twapTick,
+      volatility: fn === "getTimepoints" ? second[1].sub(second[0]).div(windowSec) : null
+    };
+  }
+  return { ok: false, reason: `no oracle answered for ${windowSec}s (${failures.join("; ")})`, spotTick };
+}
+
+/**
+ * Read a strategy's TWAP guard. Every field is null when the strategy does not expose it, and
+ * `twap` is also null while the guard is off or the oracle is too young for the interval.
+ */
+async function readStrategyTwapGuard(provider, strategyAddress) {
+  const strategy = new ethers.Contract(strategyAddress, TWAP_GUARD_ABI, provider);
+  const read = (fn) => withRetry(() => strategy[fn](), { retries: 2 }).catch(() => null);
+  const [twapInterval, maxTickDeviation, twap, isCalm] = await Promise.all(["twapInterval", "maxTickDeviation", "twap", "isCalm"].map(read));
+  return {
+    twapInterval: twapInterval === null ? null : Number(twapInterval),
+    maxTickDeviation: maxTickDeviation === null ? null : Number(maxTickDeviation),
+    twap: twap === null ? null : Number(twap),
+    isCalm
+  };
+}
+
+module.exports = {
+  TWAP_GUARD_ABI,
+  DEFAULT_WINDOW_SEC,
+  meanTick,
+  readPoolTwap,
+  readStrategyTwapGuard
+};
@@ -0,0 +1,184 @@
+const { ethers } = require("hardhat");
+const { getSqrtRatioAtTick, getAmountsForLiquidity, getFeeGrowthInside, getFeesEarned } = require("../../scripts/utils/cl-math");
+const { STRATEGY_MIN_ABI } = require("./abis");
+const { withRetry } = require("./retry");
+
+// Position/fee-growth getters; pool-state.js covers price and tick.
+const UNIV3_POSITION_ABI = [
+  "function feeGrowthGlobal0X128() view returns (uint256)",
+  "function feeGrowthGlobal1X128() view returns (uint256)",
+  "function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)",
+  "function positions(bytes32 key) view returns (uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)"
+];
+
+const ALGEBRA_POSITION_ABI = [
+  "function totalFeeGrowth0Token() view returns (uint256)",
+  "function totalFeeGrowth1Token() view returns (uint256)",
+  "function ticks(int24 tick) view returns (uint256 liquidityTotal, int128 liquidityDelta, int24 prevTick, int24 nextTick, uint256 outerFeeGrowth0Token, uint256 outerFeeGrowth1Token)",
+  "function positions(bytes32 key) view returns (uint256 liquidity, uint256 innerFeeGrowth0Token, uint256 innerFeeGrowth1Token, uint128 fees0, uint128 fees1)"
+];
+
+// Strategy getters that name the positions it holds; the second is optional.
+const STRATEGY_POSITIONS = ["positionMain", "positionAlt"];
+
+/**
+ * Pool key of `owner`'s position: keccak256(owner, tickLower, tickUpper) on UniV3 pools,
+ * the same fields packed into one word (no hash) on Algebra.
+ */
+function positionKey(kind, owner, tickLower, tickUpper) {
+  if (kind === "algebra") {
+    const packed = ethers.BigNumber.from(owner).shl(24).or(tickLower & 0xffffff).shl(24).or(tickUpper & 0xffffff);
+    return ethers.utils.hexZeroPad(packed.toHexString(), 32);
+  }
+  return ethers.utils.solidityKeccak256(["address", "int24", "int24"], [owner, tickLower, tickUpper]);
+}
+
+/**
+ * Read `owner`'s position from the pool and work out what it holds: principal at the current
+ * price plus fees owed (tokensOwed and fee growth since the last checkpoint).
+ */
+async function readPoolPosition(provider, { poolAddress, kind, sqrtPriceX96, tickCurrent, owner, tickLower, tickUpper }) {
+  const algebra = kind === "algebra";
+  const pool = new ethers.Contract(poolAddress, algebra ? ALGEBRA_POSITION_ABI : UNIV3_POSITION_ABI, provider);
+  const key = positionKey(kind, owner, tickLower, tickUpper);
+
+  const [position, lower, upper, global0, global1] = await Promise.all([
+    withRetry(() => pool.positions(key)),
+    withRetry(() => pool.ticks(tickLower)),
+    withRetry(() => pool.ticks(tickUpper)),
+    withRetry(() => (algebra ? pool.totalFeeGrowth0Token() : pool.feeGrowthGlobal0X128())),
+    withRetry(() => (algebra ? pool.totalFeeGrowth1Token() : pool.feeGrowthGlobal1X128()))
+  ]);
+
+  const liquidity = ethers.BigNumber.from(position[0]);
+  const [last0, last1, owed0, owed1] = [position[1], position[2], position[3], position[4]];
+  // feeGrowthOutside0/1X128 are fields 2/3 of a UniV3 tick, outerFeeGrowth0/1Token fields 4/5 on Algebra.
+  const outside = (tick, i) => (algebra ? tick[4 + i] : tick[2 + i]);
+  const inside0 = getFeeGrowthInside(tickCurrent, tickLower, tickUpper, global0, outside(lower, 0), outside(upper, 0));
+  const inside1 = getFeeGrowthInside(tickCurrent, tickLower, tickUpper, global1, outside(lower, 1), outside(upper, 1));
+
+  const { amount0, amount1 } = getAmountsForLiquidity(sqrtPriceX96, getSqrtRatioAtTick(tickLower), getSqrtRatioAtTick(tickUpper), liquidity);
+  return {
+    key,
+    tickLower,
+    tickUpper,
+    tickCurrent,
+    liquidity,
+    amount0,
+    amount1,
+    tokensOwed0: ethers.BigNumber.from(owed0),
+    tokensOwed1: ethers.BigNumber.from(owed1),
+    feeGrowthGlobal0X128: global0,
+    feeGrowthGlobal1X128: global1,
+    feeGrowthInside0X128: inside0,
+    feeGrowthInside1X128: inside1,
+    feeGrowthInside0LastX128: last0,
+    feeGrowthInside1LastX128: last1,
+    fees0: getFeesEarned(liquidity, inside0, last0).add(owed0),
+    fees1: getFeesEarned(liquidity, inside1, last1).add(owed1)
+  };
+}
+
+/**
+ * Read every position the strategy holds (ranges from positionMain / positionAlt) from the pool.
+ * Unset positions (tickLower === tickUpper) are left out. Resolves to { ok: false, reason } when
+ * the pool or the strategy's positions are unreadable.
+ */
+async function readStrategyPositions(signer, { strategyAddress, poolAddress, pool }) {
+  if (!strategyAddress || !poolAddress || !pool || !pool.ok) return { ok: false, reason: "pool or strategy not readable" };
+  const strategy = new ethers.Contract(strategyAddress, STRATEGY_MIN_ABI, signer);
+  const ranges = await Promise.all(STRATEGY_POSITIONS.map((name) => withRetry(() => strategy[name]()).catch(() => null)));
+  if (!ranges[0]) return { ok: false, reason: "strategy does not expose positionMain()" };
+
+  const positions = [];
+  for (let i = 0; i < STRATEGY_POSITIONS.length; i++) {
+    if (!ranges[i] || ranges[i].tickLower === ranges[i].tickUpper) continue;
+    try {
+      const position = await readPoolPosition(signer.provider, {
+        poolAddress,
+        kind: pool.kind,
+        sqrtPriceX96: pool.sqrtPriceX96,
+        tickCurrent: pool.tick,
+        owner: strategyAddress,
+        tickLower: ranges[i].tickLower,
+        tickUpper: ranges[i].tickUpper
+      });
+      positions.push({ name: STRATEGY_POSITIONS[i], ...position });
+    } catch (e) {
+      return { ok: false, reason: `pool position for ${STRATEGY_POSITIONS[i]} not readable: ${String(e.message).slice(0, 120)}` };
+    }
+  }
+  return { ok: true, positions };
+}
+
+function inRange(position) {
+  return position.tickCurrent >= position.tickLower && position.tickCurrent < position.tickUpper;
+}
+
+// What the fee growth inside a range must have done between two reads that did not cross its
+// bounds: follow the global growth while the price stayed inside, stand still while it stayed
+// on one side. null when the price crossed a bound, since the split depends on where.
+function expectedInsideGrowth(before, after, i) {
+  const side = (p) => (p.tickCurrent < p.tickLower ? "below" : p.tickCurrent >= p.tickUpper ? "above" : "inside");
+  if (side(before) !== side(after)) return null;
+  if (side(after) !== "inside") return ethers.constants.Zero;
+  return modDelta(after[`feeGrowthGlobal${i}X128`], before[`feeGrowthGlobal${i}X128`]);
+}
+
+// Growth counters wrap at 2^256 like the pools' uint256 arithmetic.
+function modDelta(a, b) {
+  const diff = ethers.BigNumber.from(a).sub(b);
+  return diff.isNegative() ? diff.add(ethers.constants.MaxUint256).add(1) : diff;
+}
+
+/**
+ * Exact fees each position earned between two reads of the same positions (readStrategyPositions
+ * results, or a vault state's accounting.valuation). amount0/amount1 are the change in owed fees,
+ * which is what the strategy's unclaimedFees() moves by. Also checks each position's fee growth
+ * inside against the pool's global growth; disagreements are listed in `mismatches`.
+ *
+ * Not comparable ({ ok: false, reason }) when either read failed or a position was added, removed,
+ * resized, poked or collected in between; exact fees then need the events in between.
+ */
+function feesAccrued(before, after) {
+  for (const read of [before, after]) {
+    if (!read || !read.ok) return { ok: false, reason: (read && read.reason) || "positions not readable" };
+  }
+  const keys = (read) => read.positions.map((p) => p.key).join(",");
+  if (keys(before) !== keys(after)) return { ok: false, reason: "strategy positions changed" };
+
+  const positions = [];
+  const mismatches = [];
+  for (let n = 0; n < after.positions.length; n++) {
+    const [b, a] = [before.positions[n], after.positions[n]];
+    if (!a.liquidity.eq(b.liquidity)) return { ok: false, reason: `liquidity of ${a.name} changed` };
+    const checkpointed = [0, 1].some(
+      (i) => !a[`feeGrowthInside${i}LastX128`].eq(b[`feeGrowthInside${i}LastX128`]) || a[`tokensOwed${i}`].lt(b[`tokensOwed${i}`])
+    );
+    if (checkpointed) return { ok: false, reason: `fees of ${a.name} were checkpointed or collected` };
+
+    const row = { name: a.name, key: a.key, inRangeBefore: inRange(b), inRangeAfter: inRange(a), amount0: a.fees0.sub(b.fees0), amount1: a.fees1.sub(b.fees1) };
+    for (const i of [0, 1]) {
+      const growth = modDelta(a[`feeGrowthInside${i}X128`], b[`feeGrowthInside${i}X128`]);
+      const expected = expectedInsideGrowth(b, a, i);
+      row[`growth${i}`] = growth;
+      row[`expectedGrowth${i}`] = expected;
+      if (expected && !growth.eq(expected)) {
+        mismatches.push({ position: a.name, token: `amount${i}`, growth: growth.toString(), expected: expected.toString() });
+      }
+    }
+    positions.push(row);
+  }
+
+  const sum = (field) => positions.reduce((acc, p) => acc.add(p[field]), ethers.constants.Zero);
+  return { ok: true, positions, amount0: sum("amount0"), amount1: sum("amount1"), mismatches };
+}
+
+module.exports = {
+  UNIV3_POSITION_ABI,
+  ALGEBRA_POSITION_ABI,
+  positionKey,
+  readPoolPosition,
+  readStrategyPositions,
+  feesAccrued
+};
@@ -0,0 +1,81 @@
+const { ethers } = require("hardhat");
+const { ERC20_ABI } = require("./abis");
+const { withRetry } = require("./retry");
+const { readStrategyPositions } = require("./position-fees");
+
+/**
+ * Value a vault from the pool's side: the strategy's positions (ticks from positionMain /
+ * positionAlt, liquidity from pool.positions(key)) at the current sqrtPriceX96, plus idle
+ * token balances of the strategy and vault. Nothing here calls balances() or unclaimedFees().
+ *
+ * Resolves to { ok: false, reason } when the pool or the strategy's positions are unreadable.
+ */
+async function readPositionValuation(signer, { vaultAddress, strategyAddress, poolAddress, pool, token0Address, token1Address }) {
+  const read = await readStrategyPositions(signer, { strategyAddress, poolAddress, pool });
+  if (!read.ok) return read;
+  const { positions } = read;
+
+  const balanceOf = (token, holder) => withRetry(() => new ethers.Contract(token, ERC20_ABI, signer).balanceOf(holder));
+  const [strategy0, strategy1, vault0, vault1] = await Promise.all([
+    balanceOf(token0Address, strategyAddress),
+    balanceOf(token1Address, strategyAddress),
+    balanceOf(token0Address, vaultAddress),
+    balanceOf(token1Address, vaultAddress)
+  ]);
+
+  const sum = (field) => positions.reduce((acc, p) => acc.add(p[field]), ethers.constants.Zero);
+  const inPositions = { amount0: sum("amount0"), amount1: sum("amount1") };
+  return {
+    ok: true,
+    positions,
+    inPositions,
+    strategyIdle: { amount0: strategy0, amount1: strategy1 },
+    vaultIdle: { amount0: vault0, amount1: vault1 },
+    total: { amount0: inPositions.amount0.add(strategy0).add(vault0), amount1: inPositions.amount1.add(strategy1).add(vault1) },
+    fees: { amount0: sum("fees0"), amount1: sum("fees1") }
+  };
+}
+
+/**
+ * Compare an independent valuation with what the vault reports (`accounting` from
+ * readVaultAccounting). strategy.balances() is checked against the positions plus strategy
+ * idle; without it, vault.balances() is checked against the full total (vault idle included,
+ * since vault-balances-reconcile covers the vault/strategy split). unclaimedFees() is checked
+ * against the computed fees when exposed. A token differs when it is off by more than
+ * `toleranceBps` of the computed amount plus `dust` raw units per position.
+ */
+function compareValuation(valuation, accounting, { toleranceBps = 10, dust = 10 } = {}) {
+  if (!valuation || !valuation.ok) return { checked: false, ok: true, reason: valuation ? valuation.reason : "no valuation", discrepancies: [] };
+
+  const discrepancies = [];
+  const compare = (field, reported, computed) => {
+    for (const token of ["amount0", "amount1"]) {
+      const diff = reported[token].sub(computed[token]);
+      const allowed = computed[token].mul(toleranceBps).div(10000).add(dust * (valuation.positions.length + 1));
+      if (diff.abs().gt(allowed)) discrepancies.push({ field, token, reported: reported[token], computed: computed[token], diff, allowed });
+    }
+  };
+  const { inPositions, strategyIdle } = valuation;
+  if (accounting.strategyBalances) {
+    compare("strategy.balances()", accounting.strategyBalances, {
+      amount0: inPositions.amount0.add(strategyIdle.amount0),
+      amount1: inPositions.amount1.add(strategyIdle.amount1)
+    });
+  } else if (accounting.vaultBalances) {
+    compare("vault.balances()", accounting.vaultBalances, valuation.total);
+  }
+  if (accounting.unclaimedFees) compare("unclaimedFees()", accounting.unclaimedFees, valuation.fees);
+
+  const checked = Boolean(accounting.strategyBalances || accounting.vaultBalances);
+  return {
+    checked,
+    ok: discrepancies.length === 0,
+    reason: checked ? null : "neither strategy nor vault balances() readable",
+    discrepancies
+  };
+}
+
+module.exports = {
+  readPositionValuation,
+  compareValuation
+};
@@ -0,0 +1,265 @@
+const { ethers } = require("hardhat");
+const { valueInToken1 } = require("./vault-state");
+const { readPoolPosition } = require("./position-fees");
+const { withRetry } = require("./retry");
+const { createCheckResult, assertCheckResult } = require("./check-results");
+
+/**
+ * Checks that a strategy's rebalance() re-centred its main range the way it is configured to,
+ * between two getVaultState() snapshots taken right before and right after the rebalance.
+ *
+ * The expected rule is the reference strategy's (and Beefy CLM's): the main range is
+ * [floor(tick) - width * spacing, floor(tick) + width * spacing], with floor() rounding the tick
+ * down to a multiple of the pool's tickSpacing and `width` counted in tick spacings.
+ *
+ * verifyRebalance() never throws on a failed check; it returns
+ *   { ok, violations: [{ invariant, severity, message, details }], checked: [id], skipped: [{ invariant, reason }], range, expected }
+ * built with check-results.js like checkInvariants()'s, so reporters render both.
+ * Use assertRebalance() to turn that into a throw.
+ */
+
+const REBALANCE_INVARIANTS = {
+  BRACKETS_TICK: "range-brackets-tick",
+  ALIGNED: "range-aligned-to-spacing",
+  WIDTH: "range-has-configured-width",
+  RECENTRED: "range-follows-recentring-rule",
+  MIGRATED: "liquidity-fully-migrated",
+  LOSS_BOUNDED: "rebalance-loss-bounded"
+};
+
+const BPS = 10_000;
+
+// Getters the width and spacing are read from, first readable wins.
+const RANGE_PARAMS_ABI = [
+  "function positionWidth() view returns (int24)",
+  "function width() view returns (int24)",
+  "function tickSpacing() view returns (int24)"
+];
+const WIDTH_GETTERS = ["positionWidth", "width"];
+
+/**
+ * Read the re-centring parameters: `tickSpacing` from the strategy or its pool, `width` (in tick
+ * spacings) from positionWidth() / width(). Values in `overrides` win, for strategies that keep
+ * them elsewhere. Either comes back null when unreadable.
+ */
+async function readRangeParams(provider, { strategyAddress, poolAddress }, overrides = {}) {
+  const strategy = new ethers.Contract(strategyAddress, RANGE_PARAMS_ABI, provider);
+  const pool = new ethers.Contract(poolAddress, RANGE_PARAMS_ABI, provider);
+  const read = (fn) => withRetry(fn, { retries: 2 }).then(Number).catch(() => null);
+
+  let tickSpacing = overrides.tickSpacing ?? null;
+  if (tickSpacing === null) tickSpacing = (await read(() => strategy.tickSpacing())) ?? (await read(() => pool.tickSpacing()));
+
+  let width = overrides.width ?? null;
+  let widthSource = width === null ? null : "override";
+  for (const getter of WIDTH_GETTERS) {
+    if (width !== null) break;
+    width = await read(() => strategy[getter]());
+    if (width !== null) widthSource = `${getter}()`;
+  }
+  return { tickSpacing, width, widthSource };
+}
+
+/**
+ * Round `tick` down to a multiple of `tickSpacing` (towards -infinity, like the strategy).
+ */
+function floorTick(tick, tickSpacing) {
+  return Math.floor(tick / tickSpacing) * tickSpacing;
+}
+
+/**
+ * Main range rebalance() should pick at `tick`.
+ */
+function expectedMainRange(tick, { tickSpacing, width }) {
+  const floor = floorTick(tick, tickSpacing);
+  return { tickLower: floor - width * tickSpacing, tickUpper: floor + width * tickSpacing };
+}
+
+function mainPosition(state) {
+  const valuation = state?.accounting?.valuation;
+  return valuation && valuation.ok ? valuation.positions.find((p) => p.name === "positionMain") || null : null;
+}
+
+// The strategy's main range: from its positionMain() when readable, else the vault's reported range.
+function mainRange(state) {
+  const main = mainPosition(state);
+  if (main) return { tickLower: main.tickLower, tickUpper: main.tickUpper };
+  if (state?.tickLower == null || state?.tickUpper == null) return null;
+  return { tickLower: state.tickLower, tickUpper: state.tickUpper };
+}
+
+// Everything the vault holds, fees owed by the pool included since rebalance() collects them.
+function heldValue(valuation, priceX96) {
+  const { total, fees } = valuation;
+  return valueInToken1(total.amount0.add(fees.amount0), total.amount1.add(fees.amount1), priceX96);
+}
+
+function checkRange(range, tick, params, report) {
+  const { BRACKETS_TICK, ALIGNED, WIDTH, RECENTRED } = REBALANCE_INVARIANTS;
+  report.check(BRACKETS_TICK);
+  if (!(tick >= range.tickLower && tick < range.tickUpper)) {
+    report.violation(BRACKETS_TICK, "error", `range [${range.tickLower}, ${range.tickUpper}) does not contain tick ${tick}`, { ...range, tick });
+  }
+
+  const { tickSpacing, width } = params;
+  if (!tickSpacing) {
+    for (const check of [ALIGNED, WIDTH, RECENTRED]) report.skip(check, "tickSpacing not readable");
+    return null;
+  }
+  report.check(ALIGNED);
+  for (const bound of ["tickLower", "tickUpper"]) {
+    if (range[bound] % tickSpacing !== 0) {
+      report.violation(ALIGNED, "error", `${bound} ${range[bound]} is not a multiple of tickSpacing ${tickSpacing}`, { bound, tick: range[bound], tickSpacing });
+    }
+  }
+
+  if (!width) {
+    for (const check of [WIDTH, RECENTRED]) report.skip(check, "position width not readable; pass { width } to check it");
+    return null;
+  }
+  report.check(WIDTH);
+  const span = range.tickUpper - range.tickLower;
+  if (span !== 2 * width * tickSpacing) {
+    report.violation(WIDTH, "error", `range spans ${span} ticks, configured width ${width} x ${tickSpacing} on each side is ${2 * width * tickSpacing}`, {
+      ...range,
+      span,
+      width,
+      tickSpacing
+    });
+  }
+
+  const expected = expectedMainRange(tick, params);
+  report.check(RECENTRED);
+  if (range.tickLower !== expected.tickLower || range.tickUpper !== expected.tickUpper) {
+    report.violation(RECENTRED, "error", `range [${range.tickLower}, ${range.tickUpper}) is not the re-centred [${expected.tickLower}, ${expected.tickUpper}) at tick ${tick}`, {
+      ...range,
+      expected,
+      tick
+    });
+  }
+  return expected;
+}
+
+/**
+ * Liquidity left the old ranges, the new ranges hold liquidity, and the strategy kept no more
+ * than `maxIdleBps` of its value idle.
+ */
+async function checkMigration(provider, poolAddress, before, after, opts, report) {
+  const check = REBALANCE_INVARIANTS.MIGRATED;
+  const [was, now] = [before.accounting?.valuation, after.accounting?.valuation];
+  if (!was?.ok || !now?.ok) {
+    report.skip(check, `positions not readable: ${(!was?.ok ? was?.reason : now?.reason) || "no valuation"}`);
+    return;
+  }
+  report.check(check);
+
+  // The main range may be empty: a strategy that does not swap can only fill it with both tokens,
+  // and out of range it holds one. Whatever it holds goes to the single-sided alt position instead.
+  if (was.positions.some((p) => p.liquidity.gt(0)) && !now.positions.some((p) => p.liquidity.gt(0))) {
+    report.violation(check, "error", "no position holds liquidity after rebalance", { positions: now.positions.map((p) => p.name) });
+  }
+
+  const kept = new Set(now.positions.map((p) => p.key));
+  for (const old of was.positions.filter((p) => !kept.has(p.key) && p.liquidity.gt(0))) {
+    const left = await readPoolPosition(provider, {
+      poolAddress,
+      kind: after.pool.kind,
+      sqrtPriceX96: after.pool.sqrtPriceX96,
+      tickCurrent: after.pool.tick,
+      owner: after.strategyAddress,
+      tickLower: old.tickLower,
+      tickUpper: old.tickUpper
+    });
+    if (left.liquidity.gt(0)) {
+      report.violation(check, "error", `${old.name} [${old.tickLower}, ${old.tickUpper}) still holds ${left.liquidity} of ${old.liquidity} liquidity`, {
+        position: old.name,
+        tickLower: old.tickLower,
+        tickUpper: old.tickUpper,
+        liquidityBefore: old.liquidity,
+        liquidityLeft: left.liquidity
+      });
+    }
+  }
+
+  const priceX96 = after.accounting.priceX96;
+  if (!priceX96) return;
+  const idle = valueInToken1(now.strategyIdle.amount0, now.strategyIdle.amount1, priceX96);
+  const held = idle.add(valueInToken1(now.inPositions.amount0, now.inPositions.amount1, priceX96));
+  const allowed = held.mul(opts.maxIdleBps).div(BPS).add(opts.dust);
+  if (idle.gt(allowed)) {
+    report.violation(check, "error", `strategy left ${idle} of ${held} (token1 value) idle after rebalance`, { idle, held, allowed, maxIdleBps: opts.maxIdleBps });
+  }
+}
+
+/**
+ * The vault's holdings (fees owed included) are worth no less after the rebalance, at the
+ * post-rebalance price, than `maxLossBps` below what they were worth before it.
+ */
+function checkLoss(before, after, opts, report) {
+  const check = REBALANCE_INVARIANTS.LOSS_BOUNDED;
+  const [was, now] = [before.accounting?.valuation, after.accounting?.valuation];
+  const priceX96 = after.accounting?.priceX96;
+  if (!was?.ok || !now?.ok || !priceX96) {
+    report.skip(check, "positions or price not readable");
+    return;
+  }
+  report.check(check);
+  const valueBefore = heldValue(was, priceX96);
+  const valueAfter = heldValue(now, priceX96);
+  const allowed = valueBefore.mul(opts.maxLossBps).div(BPS).add(opts.dust);
+  if (valueBefore.sub(valueAfter).gt(allowed)) {
+    report.violation(check, "error", `rebalance lost ${valueBefore.sub(valueAfter)} of ${valueBefore} (token1 value), more than ${opts.maxLossBps} bps`, {
+      valueBefore,
+      valueAfter,
+      allowed,
+      maxLossBps: opts.maxLossBps
+    });
+  }
+}
+
+/**
+ * Verify a rebalance of the vault on `poolAddress` between two getVaultState() snapshots
+ * (`before` right before rebalance(), `after` right after it). `params` is what
+ * readRangeParams() returns.
+ *
+ * Options:
+ *   maxLossBps - value the vault may lose across the rebalance (default 10)
+ *   maxIdleBps - share of the strategy's value it may leave idle (default 10)
+ *   dust       - rounding allowance on top of both, in raw token1 units (default 10)
+ */
+async function verifyRebalance(provider, { poolAddress, before, after, params }, options = {}) {
+  const opts = { maxLossBps: 10, maxIdleBps: 10, dust: 10, ...options };
+  const { result, report } = createCheckResult({ range: null, expected: null });
+
+  result.range = mainRange(after);
+  if (!result.range || !after?.pool?.ok) {
+    for (const check of Object.values(REBALANCE_INVARIANTS)) report.skip(check, "range or pool tick not readable after rebalance");
+    return result;
+  }
+
+  result.expected = checkRange(result.range, after.pool.tick, params, report);
+  await checkMigration(provider, poolAddress, before, after, opts, report);
+  checkLoss(before, after, opts, report);
+  return result;
+}
+
+/**
+ * Throw REBALANCE_VIOLATION when verifyRebalance() reported any "error" violation.
+ */
+function assertRebalance(result, label = "vault") {
+  return assertCheckResult(result, {
+    code: "REBALANCE_VIOLATION",
+    label,
+    noun: "rebalance violation",
+    details: { range: result.range, expected: result.expected }
+  });
+}
+
+module.exports = {
+  REBALANCE_INVARIANTS,
+  readRangeParams,
+  floorTick,
+  expectedMainRange,
+  verifyRebalance,
+  assertRebalance
+};
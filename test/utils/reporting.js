@@ -69,6 +69,52 @@ function generateMarkdownReport(run) {
     out += "\n";
   }
 
+  // Scenarios carry `violations` from test/utils/invariants.js checkInvariants()
+  const violations = vaults.flatMap((v) =>
+    (v.scenarios || []).flatMap((s) => (s.violations || []).map((x) => ({ vault: v.name || v.vault, scenario: s.name || s.scenario, ...x })))
+  );
+  if (violations.length) {
+    out += "## Invariant Violations\n\n";
+    out += "| Vault | Scenario | Invariant | Severity | Message |\n|---|---|---|---|---|\n";
+    for (const x of violations) {
+      out += `| ${x.vault || "(unknown)"} | ${x.scenario || "(scenario)"} | ${x.invariant} | ${x.severity === "error" ? "❌ error" : "⚠️ warning"} | ${String(x.message).slice(0, 160)} |\n`;
+    }
+    out += "\n";
+  }
+
+  const userPnl = run.userPnl || [];
+  if (userPnl.length) {
+    const pct = (bps) => (bps === null || bps === undefined ? "n/a" : `${(bps / 100).toFixed(2)}%`);
+    const val = (x, unit) => (x === null || x === undefined ? "n/a" : `${x}${unit ? ` ${unit}` : ""}`);
+    out += "## Per-User P&L\n\n";
+    out += "Deposits at entry price, withdrawals at exit price; vs HODL values both at the final pool price.\n\n";
+    out += "| User | Vault | Deposits | Withdrawals | Deposited | Returned | P&L | P&L % | vs HODL | vs HODL % | Open shares |\n";
+    out += "|---|---|---:|---:|---:|---:|---:|---:|---:|---:|---:|\n";
+    for (const r of userPnl) {
+      const f = r.formatted || {};
+      out += `| ${r.label || r.user} | ${r.vault} | ${r.deposits} | ${r.withdrawals} | ${val(f.deposited, r.valueToken)} | ${val(f.returned, r.valueToken)} | ${val(f.pnl, r.valueToken)} | ${pct(r.pnlBps)} | ${val(f.vsHold, r.valueToken)} | ${pct(r.vsHoldBps)} | ${r.openShares} |\n`;
+    }
+    out += "\n";
+  }
+
+  const attribution = run.attribution || [];
+  if (attribution.length) {
+    const val = (x) => (x === null || x === undefined ? "n/a" : x);
+    const pct = (bps) => (bps === null || bps === undefined ? "" : ` (${(bps / 100).toFixed(2)}%)`);
+    out += "## P&L Attribution\n\n";
+    out += "Value change of each position split into price drift (what holding the start tokens made), fees, ";
+    out += "impermanent loss and rebalance cost, priced off the pool's sqrtPriceX96.\n\n";
+    out += "| Vault | Position | Start | End | Price drift | Fees | IL | Rebalance | Total | vs HODL | Unit |\n";
+    out += "|---|---|---:|---:|---:|---:|---:|---:|---:|---:|---|\n";
+    for (const r of attribution) {
+      const il = r.impermanentLoss === null && r.unattributed !== null ? `${r.unattributed} (incl. fees)` : `${val(r.impermanentLoss)}${pct(r.impermanentLossBps)}`;
+      out += `| ${r.vault} | ${r.position}${r.approximate ? " ≈" : ""} | ${val(r.startValue)} | ${val(r.endValue)} | ${val(r.priceDrift)} | ${val(r.fees)}${pct(r.feesBps)} | ${il} | ${val(r.rebalance)} | ${val(r.total)} | ${val(r.vsHold)}${pct(r.vsHoldBps)} | ${r.valueToken || ""} |\n`;
+    }
+    const notes = [...new Set(attribution.flatMap((r) => r.notes || []))];
+    if (notes.length) out += `\n${notes.map((n) => `- ${n}`).join("\n")}\n`;
+    out += "\n";
+  }
+
   const diagnostics = run.diagnostics || [];
   if (diagnostics.length) {
     out += "## Diagnostics\n\n";
@@ -89,6 +135,8 @@ function createRunReporter({ suite, network }) {
     endTime: null,
     summary: { total: 0, passed: 0, failed: 0, skipped: 0 },
     vaults: [],
+    userPnl: [],
+    attribution: [],
     diagnostics: []
   };
 
@@ -108,6 +156,14 @@ function createRunReporter({ suite, network }) {
     addDiagnostic(diag) {
       run.diagnostics.push(diag);
     },
+    // Rows from test/utils/user-pnl.js createPnlLedger().summarize()
+    recordUserPnl(rows) {
+      run.userPnl.push(...rows);
+    },
+    // Rows from test/utils/attribution.js formatAttribution()
+    recordAttribution(row) {
+      run.attribution.push(row);
+    },
     recordScenario(vaultName, scenarioName, outcome) {
       run.summary.total++;
       if (outcome?.skipped) run.summary.skipped++;
@@ -128,6 +184,9 @@ function createRunReporter({ suite, network }) {
 }
 
 module.exports = {
+  tsSlug,
+  writeJson,
+  writeMarkdown,
   createRunReporter,
   generateMarkdownReport
 };
@@ -0,0 +1,255 @@
+const { ethers, network } = require("hardhat");
+const { ERC20_ABI, STRATEGY_MIN_ABI } = require("./abis");
+const { getVaultState, valueInToken1 } = require("./vault-state");
+const { TWAP_GUARD_ABI } = require("./pool-oracle");
+const { SwapHelper } = require("./swaps");
+
+const VAULT_ABI = [
+  "function deposit() external returns (uint256 shares)",
+  "function withdrawAll(uint256 amount0Min, uint256 amount1Min) external returns (uint256 amount0, uint256 amount1)",
+  "error ZeroShares()",
+  "error TooLittleReceived(uint256 amount0, uint256 amount1)"
+];
+
+// Errors a victim transaction can revert with, for decoding the mined revert data
+const VICTIM_ERRORS = new ethers.utils.Interface([...VAULT_ABI, ...STRATEGY_MIN_ABI, ...TWAP_GUARD_ABI]);
+
+const SANDWICH_ACTIONS = ["deposit", "withdraw", "rebalance"];
+
+const BPS = 10_000;
+const GAS_LIMIT = 5_000_000;
+// Tips that make Hardhat's fee-ordered mempool mine front-run, victim, back-run in that order
+const TIPS_GWEI = { front: 3, victim: 2, back: 1 };
+
+const ZERO = { amount0: ethers.constants.Zero, amount1: ethers.constants.Zero };
+
+async function balancesOf(provider, state, address) {
+  const [amount0, amount1] = await Promise.all(
+    [state.token0Address, state.token1Address].map((token) => new ethers.Contract(token, ERC20_ABI, provider).balanceOf(address))
+  );
+  return { amount0, amount1 };
+}
+
+function delta(before, after) {
+  return { amount0: after.amount0.sub(before.amount0), amount1: after.amount1.sub(before.amount1) };
+}
+
+function vaultValue(state, priceX96) {
+  const held = state.accounting.vaultBalances || ZERO;
+  const fees = state.accounting.unclaimedFees || ZERO;
+  return valueInToken1(held.amount0.add(fees.amount0), held.amount1.add(fees.amount1), priceX96);
+}
+
+/**
+ * Populated exact-input swap through the dex's periphery (DirectPoolSwapper for QuickSwap, the
+ * swap router for Lotus), plus a callStatic quote of its output at the current state (null with
+ * `quote: false`).
+ */
+async function buildSwap(helper, vaultConfig, state, { zeroForOne, amountIn }, { quote = true } = {}) {
+  const [tokenIn, tokenOut] = zeroForOne ? [state.token0Address, state.token1Address] : [state.token1Address, state.token0Address];
+  if (vaultConfig.dex === "quickswap") {
+    const swapper = helper.directPoolSwapper;
+    if (!swapper) {
+      const error = new Error("DirectPoolSwapper not configured; the QuickSwap sandwich needs quickswap.directPoolSwapper");
+      error.code = "SANDWICH_SWAPPER_MISSING";
+      throw error;
+    }
+    await helper.ensureApproval(tokenIn, swapper.address, amountIn);
+    const args = [vaultConfig.pool, zeroForOne, amountIn, 0];
+    const tx = await swapper.populateTransaction.swap(...args);
+    if (!quote) return { tx, amountOut: null };
+    const [amount0, amount1] = await swapper.callStatic.swap(...args);
+    return { tx, amountOut: (zeroForOne ? amount1 : amount0).abs() };
+  }
+  const router = helper.lotusRouter;
+  await helper.ensureApproval(tokenIn, router.address, amountIn);
+  const { timestamp } = await router.provider.getBlock("latest");
+  const params = {
+    tokenIn,
+    tokenOut,
+    fee: vaultConfig.feeTier,
+    recipient: await helper.signer.getAddress(),
+    deadline: timestamp + 600,
+    amountIn,
+    amountOutMinimum: 0,
+    sqrtPriceLimitX96: 0
+  };
+  const tx = await router.populateTransaction.exactInputSingle(params);
+  return { tx, amountOut: quote ? await router.callStatic.exactInputSingle(params) : null };
+}
+
+async function victimTransaction(vaultConfig, state, action, victimMinOut) {
+  if (action === "rebalance") {
+    return new ethers.Contract(state.strategyAddress, STRATEGY_MIN_ABI).populateTransaction.rebalance();
+  }
+  const vault = new ethers.Contract(vaultConfig.vault, VAULT_ABI);
+  if (action === "deposit") return vault.populateTransaction.deposit();
+  return vault.populateTransaction.withdrawAll(victimMinOut.amount0, victimMinOut.amount1);
+}
+
+// Revert reason of a mined transaction, decoded from its trace; null when it cannot be read.
+async function minedRevertReason(provider, txHash) {
+  try {
+    const trace = await provider.send("debug_traceTransaction", [txHash, { disableStorage: true, disableMemory: true, disableStack: true }]);
+    const data = trace.returnValue.startsWith("0x") ? trace.returnValue : `0x${trace.returnValue}`;
+    if (data.startsWith("0x08c379a0")) return ethers.utils.defaultAbiCoder.decode(["string"], `0x${data.slice(10)}`)[0];
+    return VICTIM_ERRORS.parseError(data).name;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send the transactions with automine off and mine them into a single block, in the order the
+ * mempool picks (by tip). Whatever was sent is mined even when a later send throws, so the
+ * mempool is never left holding half a bundle.
+ */
+async function mineInOneBlock(provider, signedSends) {
+  const hashes = [];
+  await provider.send("evm_setAutomine", [false]);
+  try {
+    for (const send of signedSends) hashes.push((await send()).hash);
+  } finally {
+    await provider.send("evm_mine", []);
+    await provider.send("evm_setAutomine", [true]);
+  }
+  return Promise.all(hashes.map((hash) => provider.getTransactionReceipt(hash)));
+}
+
+/**
+ * Sandwich a victim's vault action within one block on the Hardhat network (local stack or
+ * FORK=1): the attacker's price-moving swap, the victim's transaction and the attacker's swap
+ * back are mined together in that order, the way a searcher's bundle lands.
+ *   - deposit:   the victim calls deposit() with `victimDeposit` approved, then withdrawAll(0, 0)
+ *                in a later block; their loss is the shortfall of what came back
+ *   - withdraw:  the victim calls withdrawAll(victimMinOut) with the shares they hold; a refused
+ *                withdrawal is valued at the shares they kept
+ *   - rebalance: `victim` (the keeper or owner) calls rebalance(); the loss is the vault's value
+ * Each action is first run without the attack from an evm snapshot, which is then reverted, so
+ * the victim's loss is measured against that baseline. Everything is valued in token1 at the
+ * pool price before the attack; the chain is left in the attacked state.
+ *
+ * `frontRun` is `{ zeroForOne, amountIn }` (raw units); the back-run swaps the front-run's whole
+ * output back. Resolves to `{ skipped, reason }` off the Hardhat network or when there is nothing
+ * to attack, otherwise to the measured outcome; `exposed` is true when the victim lost more than
+ * `maxVictimLossBps` or the attacker came out ahead.
+ */
+async function runSandwich({ vaultConfig, attacker, victim, action, frontRun, victimDeposit, victimMinOut = ZERO, maxVictimLossBps = 10 }) {
+  if (!SANDWICH_ACTIONS.includes(action)) {
+    const error = new Error(`Unknown sandwich action "${action}" (expected ${SANDWICH_ACTIONS.join(", ")})`);
+    error.code = "SANDWICH_INVALID_ACTION";
+    throw error;
+  }
+  if (network.name !== "hardhat") {
+    return { skipped: true, reason: `needs the Hardhat network to control mining (running on ${network.name})` };
+  }
+  const provider = attacker.provider;
+  const [attackerAddress, victimAddress] = await Promise.all([attacker.getAddress(), victim.getAddress()]);
+  const initial = await getVaultState(victim, vaultConfig);
+  const priceX96 = initial.accounting.priceX96;
+  if (action === "withdraw" && !(initial.accounting.userShares && initial.accounting.userShares.gt(0))) {
+    return { skipped: true, reason: "the victim holds no shares to withdraw" };
+  }
+  if (action === "deposit") {
+    for (const [address, amount] of [[initial.token0Address, victimDeposit.amount0], [initial.token1Address, victimDeposit.amount1]]) {
+      await (await new ethers.Contract(address, ERC20_ABI, victim).approve(vaultConfig.vault, amount)).wait();
+    }
+  }
+
+  const helper = new SwapHelper(attacker);
+  const front = await buildSwap(helper, vaultConfig, initial, frontRun);
+  const victimTx = await victimTransaction(vaultConfig, initial, action, victimMinOut);
+  const { baseFeePerGas } = await provider.getBlock("latest");
+  const fees = (tip) => {
+    const maxPriorityFeePerGas = ethers.utils.parseUnits(String(tip), "gwei");
+    return { type: 2, gasLimit: GAS_LIMIT, maxPriorityFeePerGas, maxFeePerGas: baseFeePerGas.mul(2).add(maxPriorityFeePerGas) };
+  };
+
+  // The victim's outcome in token1: net value for a deposit round trip, value received plus any
+  // shares still held for a withdrawal (a refused one keeps them), the vault's value for a rebalance.
+  async function victimOutcome(before, receipt) {
+    if (action === "rebalance") return vaultValue(await getVaultState(victim, vaultConfig), priceX96);
+    const moved = delta(before, await balancesOf(provider, initial, victimAddress));
+    if (action === "withdraw") {
+      const { accounting } = await getVaultState(victim, vaultConfig);
+      const held = accounting.userShares.isZero() ? ethers.constants.Zero : vaultValue({ accounting }, priceX96).mul(accounting.userShares).div(accounting.totalSupply);
+      return valueInToken1(moved.amount0, moved.amount1, priceX96).add(held);
+    }
+    if (receipt.status !== 1) return valueInToken1(moved.amount0, moved.amount1, priceX96);
+    const deposited = { amount0: moved.amount0.mul(-1), amount1: moved.amount1.mul(-1) };
+    const exitFrom = await balancesOf(provider, initial, victimAddress);
+    await (await new ethers.Contract(vaultConfig.vault, VAULT_ABI, victim).withdrawAll(0, 0)).wait();
+    const returned = delta(exitFrom, await balancesOf(provider, initial, victimAddress));
+    return valueInToken1(returned.amount0, returned.amount1, priceX96).sub(valueInToken1(deposited.amount0, deposited.amount1, priceX96));
+  }
+
+  // Baseline: the victim's transaction alone in the same kind of block.
+  const snapshotId = await provider.send("evm_snapshot", []);
+  let baseline;
+  try {
+    const before = await balancesOf(provider, initial, victimAddress);
+    const [receipt] = await mineInOneBlock(provider, [() => victim.sendTransaction({ ...victimTx, ...fees(TIPS_GWEI.victim) })]);
+    baseline = { reverted: receipt.status !== 1, value: await victimOutcome(before, receipt) };
+  } finally {
+    await provider.send("evm_revert", [snapshotId]);
+  }
+
+  // The back-run sells the front-run's whole output; there is nothing to quote it against before
+  // the block, so it goes out without a minimum.
+  const back = await buildSwap(helper, vaultConfig, initial, { zeroForOne: !frontRun.zeroForOne, amountIn: front.amountOut }, { quote: false });
+  const nonce = await provider.getTransactionCount(attackerAddress, "pending");
+  const attackerBefore = await balancesOf(provider, initial, attackerAddress);
+  const victimBefore = await balancesOf(provider, initial, victimAddress);
+  const [frontReceipt, victimReceipt, backReceipt] = await mineInOneBlock(provider, [
+    () => attacker.sendTransaction({ ...front.tx, ...fees(TIPS_GWEI.front), nonce }),
+    () => victim.sendTransaction({ ...victimTx, ...fees(TIPS_GWEI.victim) }),
+    () => attacker.sendTransaction({ ...back.tx, ...fees(TIPS_GWEI.back), nonce: nonce + 1 })
+  ]);
+  const after = await getVaultState(victim, vaultConfig);
+  const attackerMoved = delta(attackerBefore, await balancesOf(provider, initial, attackerAddress));
+  const attacked = { reverted: victimReceipt.status !== 1, value: await victimOutcome(victimBefore, victimReceipt) };
+
+  const receipts = [frontReceipt, victimReceipt, backReceipt];
+  const victimLoss = baseline.value.sub(attacked.value);
+  const lossBase = action === "deposit" ? valueInToken1(victimDeposit.amount0, victimDeposit.amount1, priceX96) : baseline.value;
+  const victimLossBps = lossBase.isZero() ? 0 : victimLoss.mul(BPS).div(lossBase).toNumber();
+  const attackerProfit = valueInToken1(attackerMoved.amount0, attackerMoved.amount1, priceX96);
+  const frontIn = frontRun.zeroForOne ? valueInToken1(frontRun.amountIn, 0, priceX96) : ethers.BigNumber.from(frontRun.amountIn);
+  const frontOut = frontRun.zeroForOne ? front.amountOut : valueInToken1(front.amountOut, 0, priceX96);
+
+  return {
+    skipped: false,
+    action,
+    block: victimReceipt.blockNumber,
+    // front-run, victim, back-run mined back to back in one block
+    ordered: receipts.every((r) => r.blockNumber === victimReceipt.blockNumber) && receipts.every((r, i) => r.transactionIndex === frontReceipt.transactionIndex + i),
+    frontRun: {
+      zeroForOne: frontRun.zeroForOne,
+      amountIn: ethers.BigNumber.from(frontRun.amountIn).toString(),
+      amountOut: front.amountOut.toString(),
+      impactBps: frontIn.isZero() ? 0 : frontIn.sub(frontOut).mul(BPS).div(frontIn).toNumber(),
+      backRunReverted: backReceipt.status !== 1
+    },
+    tickBefore: initial.pool.tick,
+    tickAfter: after.pool.tick,
+    victimReverted: attacked.reverted,
+    victimRevertReason: attacked.reverted ? await minedRevertReason(provider, victimReceipt.transactionHash) : null,
+    baseline: baseline.value.toString(),
+    baselineReverted: baseline.reverted,
+    attacked: attacked.value.toString(),
+    victimLoss: victimLoss.toString(),
+    victimLossBps,
+    attackerProfit: attackerProfit.toString(),
+    formatted: {
+      victimLoss: `${ethers.utils.formatUnits(victimLoss, initial.user.token1Decimals)} ${initial.user.token1Symbol}`,
+      attackerProfit: `${ethers.utils.formatUnits(attackerProfit, initial.user.token1Decimals)} ${initial.user.token1Symbol}`
+    },
+    exposed: victimLossBps > maxVictimLossBps || attackerProfit.gt(0)
+  };
+}
+
+module.exports = {
+  SANDWICH_ACTIONS,
+  mineInOneBlock,
+  runSandwich
+};
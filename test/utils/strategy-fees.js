@@ -0,0 +1,49 @@
+const { ethers } = require("hardhat");
+const { withRetry, isTransientRpcError } = require("./retry");
+
+/**
+ * Read fee counters from a strategy. Every getter is optional: missing ones come back as null
+ * and `ok` is false only when none of them are readable.
+ */
+async function readStrategyFees(strategy) {
+  if (!strategy) return { ok: false };
+
+  const safe = async (fn) => {
+    try {
+      return await withRetry(fn, { retries: 4, minDelayMs: 750, maxDelayMs: 8000, shouldRetry: isTransientRpcError });
+    } catch {
+      return null;
+    }
+  };
+
+  const [fees0, fees1, unclaimed0, unclaimed1] = await Promise.all([
+    safe(() => strategy.fees0()),
+    safe(() => strategy.fees1()),
+    safe(() => strategy.unclaimedFees0()),
+    safe(() => strategy.unclaimedFees1())
+  ]);
+
+  const anyReadable = fees0 !== null || fees1 !== null || unclaimed0 !== null || unclaimed1 !== null;
+  return {
+    ok: anyReadable,
+    fees0,
+    fees1,
+    unclaimed0,
+    unclaimed1
+  };
+}
+
+function bnOrZero(x) {
+  return x === null || x === undefined ? ethers.constants.Zero : x;
+}
+
+// Raw sum across tokens; only meaningful as a "did anything accrue" signal.
+function feeSum(snapshot) {
+  if (!snapshot || !snapshot.ok) return null;
+  return bnOrZero(snapshot.fees0).add(bnOrZero(snapshot.fees1)).add(bnOrZero(snapshot.unclaimed0)).add(bnOrZero(snapshot.unclaimed1));
+}
+
+module.exports = {
+  readStrategyFees,
+  feeSum
+};
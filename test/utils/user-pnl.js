@@ -0,0 +1,96 @@
+const { ethers } = require("hardhat");
+const { valueInToken1 } = require("./vault-state");
+
+/**
+ * Per-user, per-vault ledger of deposits and withdrawals for P&L attribution.
+ *
+ * Entries carry the token amounts that moved and the pool priceX96 at the time (from the
+ * getVaultState() accounting block). Values are in raw token1 units:
+ *   deposited  - deposits valued at their entry price
+ *   returned   - withdrawals valued at their exit price
+ *   held       - the deposited tokens valued at the final price (what holding would be worth)
+ *   pnl        - returned - deposited (includes price drift of the underlying tokens)
+ *   vsHold     - withdrawals at the final price - held (the vault's edge over holding)
+ * A user who still holds shares is reported with `openShares` > 0 and partial figures.
+ */
+function createPnlLedger() {
+  const entries = new Map();
+
+  function entryFor(user, vault) {
+    const key = `${user.toLowerCase()}|${vault}`;
+    if (!entries.has(key)) entries.set(key, { user, vault, deposits: [], withdrawals: [] });
+    return entries.get(key);
+  }
+
+  const toBn = (x) => ethers.BigNumber.from(x || 0);
+  const move = ({ amount0, amount1, shares, priceX96 }) => ({
+    amount0: toBn(amount0),
+    amount1: toBn(amount1),
+    shares: toBn(shares),
+    priceX96: priceX96 ? toBn(priceX96) : null
+  });
+
+  function sumValue(list, priceOf) {
+    let total = ethers.constants.Zero;
+    for (const m of list) {
+      const price = priceOf(m);
+      if (!price) return null;
+      total = total.add(valueInToken1(m.amount0, m.amount1, price));
+    }
+    return total;
+  }
+
+  return {
+    recordDeposit(user, vault, movement) {
+      entryFor(user, vault).deposits.push(move(movement));
+    },
+    recordWithdraw(user, vault, movement) {
+      entryFor(user, vault).withdrawals.push(move(movement));
+    },
+    entries() {
+      return [...entries.values()];
+    },
+
+    /**
+     * One row per user and vault. `finals[vault]` = { priceX96, token1Decimals, token1Symbol }.
+     */
+    summarize(finals = {}) {
+      return [...entries.values()].map(({ user, vault, deposits, withdrawals }) => {
+        const final = finals[vault] || {};
+        const finalPrice = final.priceX96 ? toBn(final.priceX96) : null;
+        const sharesIn = deposits.reduce((s, m) => s.add(m.shares), ethers.constants.Zero);
+        const sharesOut = withdrawals.reduce((s, m) => s.add(m.shares), ethers.constants.Zero);
+
+        const deposited = sumValue(deposits, (m) => m.priceX96);
+        const returned = sumValue(withdrawals, (m) => m.priceX96);
+        const held = sumValue(deposits, () => finalPrice);
+        const returnedAtFinal = sumValue(withdrawals, () => finalPrice);
+        const pnl = deposited && returned ? returned.sub(deposited) : null;
+        const vsHold = held && returnedAtFinal ? returnedAtFinal.sub(held) : null;
+        const bps = (num, den) => (num && den && !den.isZero() ? num.mul(10000).div(den).toNumber() : null);
+        const fmt = (x) => (x && final.token1Decimals !== undefined ? ethers.utils.formatUnits(x, final.token1Decimals) : null);
+
+        return {
+          user,
+          vault,
+          deposits: deposits.length,
+          withdrawals: withdrawals.length,
+          openShares: sharesIn.gt(sharesOut) ? sharesIn.sub(sharesOut).toString() : "0",
+          valueToken: final.token1Symbol || null,
+          deposited: deposited ? deposited.toString() : null,
+          returned: returned ? returned.toString() : null,
+          held: held ? held.toString() : null,
+          pnl: pnl ? pnl.toString() : null,
+          pnlBps: bps(pnl, deposited),
+          vsHold: vsHold ? vsHold.toString() : null,
+          vsHoldBps: bps(vsHold, held),
+          formatted: { deposited: fmt(deposited), returned: fmt(returned), pnl: fmt(pnl), vsHold: fmt(vsHold) }
+        };
+      });
+    }
+  };
+}
+
+module.exports = {
+  createPnlLedger
+};
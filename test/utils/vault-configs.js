@@ -1,83 +1,46 @@
-const { config } = require("./config");
+const { config, getVaults } = require("../../config");
 
-function isSet(addr) {
-  return addr && addr !== "0x0000000000000000000000000000000000000000";
+/**
+ * The CLM vaults of the active config that can be tested: vault, pool and both tokens set.
+ * Fields as config/index.js getVaults(); expectedStrategy and feeTier may be null.
+ */
+function getClmVaultConfigs() {
+  return getVaults().filter((v) => v.vault && v.pool && v.token0 && v.token1);
 }
 
-function getClmVaultConfigs() {
-  const out = [];
+/**
+ * The CLM vault a name refers to: its display name or vault address (any case), or its config
+ * key as in config.vaults.vault_<key>. Null when no vault matches.
+ */
+function findVaultConfig(name) {
+  const wanted = name.toLowerCase();
+  const keyed = config.vaults?.[`vault_${name}`];
+  return getClmVaultConfigs().find((v) => v.name.toLowerCase() === wanted || v.vault.toLowerCase() === wanted || (keyed && v.vault === keyed)) || null;
+}
 
-  // Keep this config-driven, but explicit enough to include pools/tokens/feeTier.
-  const candidates = [
-    {
-      name: "Lotus USDC-mUSD",
-      dex: "lotus",
-      vault: config.vaults.vault_usdc_musd,
-      expectedStrategy: config.strategies?.strategy_usdc_musd,
-      pool: config.pools.lotus.USDC_mUSD,
-      token0: config.tokens.USDC,
-      token1: config.tokens.mUSD,
-      token0Symbol: "USDC",
-      token1Symbol: "mUSD",
-      feeTier: 500
-    },
-    {
-      name: "Lotus USDT-USDC",
-      dex: "lotus",
-      vault: config.vaults.vault_usdt_usdc,
-      expectedStrategy: config.strategies?.strategy_usdt_usdc,
-      pool: config.pools.lotus.USDT_USDC,
-      token0: config.tokens.USDT,
-      token1: config.tokens.USDC,
-      token0Symbol: "USDT",
-      token1Symbol: "USDC",
-      feeTier: 500
-    },
-    {
-      name: "Lotus wOM-mUSD",
-      dex: "lotus",
-      vault: config.vaults.vault_wom_musd,
-      expectedStrategy: config.strategies?.strategy_wom_musd,
-      pool: config.pools.lotus.wOM_mUSD,
-      token0: config.tokens.wOM,
-      token1: config.tokens.mUSD,
-      token0Symbol: "wOM",
-      token1Symbol: "mUSD",
-      feeTier: 3000
-    },
-    {
-      name: "QuickSwap USDT-mUSD",
-      dex: "quickswap",
-      vault: config.vaults.vault_usdt_musd,
-      expectedStrategy: config.strategies?.strategy_usdt_musd,
-      pool: config.pools.quickswap.USDT_mUSD,
-      token0: config.tokens.USDT,
-      token1: config.tokens.mUSD,
-      token0Symbol: "USDT",
-      token1Symbol: "mUSD",
-      feeTier: 500
-    },
-    {
-      name: "QuickSwap wOM-USDC",
-      dex: "quickswap",
-      vault: config.vaults.vault_wom_usdc,
-      expectedStrategy: config.strategies?.strategy_wom_usdc,
-      pool: config.pools.quickswap.wOM_USDC,
-      token0: config.tokens.wOM,
-      token1: config.tokens.USDC,
-      token0Symbol: "wOM",
-      token1Symbol: "USDC",
-      feeTier: 500
+/**
+ * The vaults a --vault list selects, in that order, or every CLM vault when the list is empty.
+ * @param {string[]} names
+ * @param {object} [options]
+ * @param {string} [options.errorCode] code of the error thrown for a name no vault matches
+ * @returns {object[]} getClmVaultConfigs() entries
+ */
+function selectVaults(names, { errorCode = "VAULT_UNKNOWN" } = {}) {
+  if (!names.length) return getClmVaultConfigs();
+  return names.map((name) => {
+    const vaultConfig = findVaultConfig(name);
+    if (!vaultConfig) {
+      const error = new Error(`Unknown vault: ${name}`);
+      error.code = errorCode;
+      error.details = { name };
+      throw error;
     }
-  ];
-
-  for (const c of candidates) {
-    if (isSet(c.vault) && isSet(c.pool) && isSet(c.token0) && isSet(c.token1)) out.push(c);
-  }
-
-  return out;
+    return vaultConfig;
+  });
 }
 
 module.exports = {
-  getClmVaultConfigs
+  getClmVaultConfigs,
+  findVaultConfig,
+  selectVaults
 };
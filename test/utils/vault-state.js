@@ -3,6 +3,7 @@ const TickReader = require("../../scripts/utils/TickReader");
 const { VAULT_MIN_ABI, STRATEGY_MIN_ABI, ERC20_ABI } = require("./abis");
 const { readPoolState } = require("./pool-state");
 const { withRetry } = require("./retry");
+const { readPositionValuation, compareValuation } = require("./position-valuation");
 
 async function getTokenMeta(signer, tokenAddress, fallbackSymbol) {
   const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
@@ -32,6 +33,81 @@ async function getVaultAndStrategy(signer, vaultAddress, expectedStrategy) {
   return { vault, strategyAddress, strategy };
 }
 
+const Q96 = ethers.BigNumber.from(2).pow(96);
+const PPFS_SCALE = ethers.constants.WeiPerEther;
+
+function pairOrNull(result) {
+  return result ? { amount0: result[0], amount1: result[1] } : null;
+}
+
+/**
+ * Token1 value of amount0/amount1 at a Q96 price (token0 priced in token1, raw units).
+ */
+function valueInToken1(amount0, amount1, priceX96) {
+  return ethers.BigNumber.from(amount0).mul(priceX96).div(Q96).add(amount1);
+}
+
+/**
+ * Read everything the share-accounting invariants need. Every getter is optional: unreadable
+ * values come back as null so callers can tell "not exposed" from zero.
+ *
+ * `ppfs` is the token1 value of one share (scaled by 1e18), counting unclaimed fees since the
+ * strategy claims them before pricing a deposit or withdrawal. `collectedFees` are the
+ * strategy's lifetime fees0/fees1 counters (already compounded into the balances).
+ */
+async function readVaultAccounting(signer, { vaultAddress, strategyAddress, token0Address, token1Address, sqrtPriceX96, user }) {
+  const vault = new ethers.Contract(vaultAddress, VAULT_MIN_ABI, signer);
+  const strategy = strategyAddress ? new ethers.Contract(strategyAddress, STRATEGY_MIN_ABI, signer) : null;
+  const token0 = new ethers.Contract(token0Address, ERC20_ABI, signer);
+  const token1 = new ethers.Contract(token1Address, ERC20_ABI, signer);
+  const safe = (fn) => withRetry(fn).catch(() => null);
+
+  const [totalSupply, minimumShares, userShares, vaultBalances, strategyBalances, strategyIdle, strategyPool, unclaimedFees, fees0, fees1, idle0, idle1] =
+    await Promise.all([
+      safe(() => vault.totalSupply()),
+      safe(() => vault.MINIMUM_SHARES()),
+      user ? safe(() => vault.balanceOf(user)) : null,
+      safe(() => vault.balances()),
+      strategy ? safe(() => strategy.balances()) : null,
+      strategy ? safe(() => strategy.balancesOfThis()) : null,
+      strategy ? safe(() => strategy.balancesOfPool()) : null,
+      strategy ? safe(() => strategy.unclaimedFees()) : null,
+      strategy ? safe(() => strategy.fees0()) : null,
+      strategy ? safe(() => strategy.fees1()) : null,
+      safe(() => token0.balanceOf(vaultAddress)),
+      safe(() => token1.balanceOf(vaultAddress))
+    ]);
+
+  const priceX96 = sqrtPriceX96 ? ethers.BigNumber.from(sqrtPriceX96).mul(sqrtPriceX96).div(Q96) : null;
+  const fees = pairOrNull(unclaimedFees);
+
+  let totalValue = null;
+  let ppfs = null;
+  if (vaultBalances && priceX96) {
+    totalValue = valueInToken1(vaultBalances[0], vaultBalances[1], priceX96);
+    if (fees) totalValue = totalValue.add(valueInToken1(fees.amount0, fees.amount1, priceX96));
+    if (totalSupply && !totalSupply.isZero()) ppfs = totalValue.mul(PPFS_SCALE).div(totalSupply);
+  }
+
+  return {
+    totalSupply,
+    minimumShares,
+    user: user || null,
+    userShares,
+    vaultBalances: pairOrNull(vaultBalances),
+    strategyBalances: pairOrNull(strategyBalances),
+    strategyIdle: pairOrNull(strategyIdle),
+    strategyPool: pairOrNull(strategyPool),
+    vaultIdle: idle0 && idle1 ? { amount0: idle0, amount1: idle1 } : null,
+    unclaimedFees: fees,
+    collectedFees: fees0 && fees1 ? { amount0: fees0, amount1: fees1 } : null,
+    sqrtPriceX96: sqrtPriceX96 ? ethers.BigNumber.from(sqrtPriceX96) : null,
+    priceX96,
+    totalValue,
+    ppfs
+  };
+}
+
 async function getVaultState(signer, vaultConfig) {
   const provider = signer.provider;
   const user = await withRetry(() => signer.getAddress());
@@ -86,6 +162,25 @@ async function getVaultState(signer, vaultConfig) {
 
   const paused = await withRetry(() => vault.paused()).catch(() => null);
 
+  const accounting = await readVaultAccounting(signer, {
+    vaultAddress: vaultConfig.vault,
+    strategyAddress,
+    token0Address,
+    token1Address,
+    sqrtPriceX96: pool.ok ? pool.sqrtPriceX96 : null,
+    user
+  });
+  // Independent of balances(): the strategy's pool positions valued with liquidity math.
+  accounting.valuation = await readPositionValuation(signer, {
+    vaultAddress: vaultConfig.vault,
+    strategyAddress,
+    poolAddress: vaultConfig.pool,
+    pool,
+    token0Address,
+    token1Address
+  }).catch((e) => ({ ok: false, reason: String(e.message).slice(0, 160) }));
+  accounting.valuationCheck = compareValuation(accounting.valuation, accounting);
+
   return {
     vaultAddress: vaultConfig.vault,
     strategyAddress,
@@ -106,12 +201,15 @@ async function getVaultState(signer, vaultConfig) {
       token0Symbol: token0Meta.symbol,
       token1Symbol: token1Meta.symbol
     },
-    paused
+    paused,
+    accounting
   };
 }
 
 module.exports = {
   getVaultState,
+  readVaultAccounting,
+  valueInToken1,
   getTokenMeta,
   isInRange
 };
@@ -0,0 +1,195 @@
+const { ethers } = require("hardhat");
+const { getDexAddress } = require("../../config");
+const { VAULT_MIN_ABI, STRATEGY_MIN_ABI } = require("./abis");
+const { withRetry } = require("./retry");
+
+/**
+ * On-chain wiring checks for the configured CLM vaults: does each vault point at the strategy,
+ * pool and tokens the config says, and is that pool the one the DEX factory knows for the pair?
+ *
+ * Per vault, one status (pass | fail | skip) for each WIRING_CHECKS column:
+ *   strategy    vault.strategy() is config.strategies.strategy_<key> (skip when the config has none)
+ *   pool        strategy.pool() is the configured pool
+ *   lpTokens    strategy.lpToken0()/lpToken1() are pool.token0()/token1(), in that order
+ *   poolTokens  pool.token0()/token1() are the configured pair's tokens, token0 the lower address
+ *   factory     Lotus factory.getPool(token0, token1, fee) / Algebra factory.poolByPair(token0, token1)
+ *               returns the pool
+ *   fee         pool.fee() is the config.pairs fee tier
+ *
+ * A read that reverts fails its check; checks that depend on it are skipped. checkWiring() never
+ * throws on a mismatch, the matrix carries them.
+ */
+
+const WIRING_CHECKS = ["strategy", "pool", "lpTokens", "poolTokens", "factory", "fee"];
+
+const POOL_ABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function fee() view returns (uint24)"
+];
+const LOTUS_FACTORY_ABI = ["function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)"];
+const ALGEBRA_FACTORY_ABI = ["function poolByPair(address tokenA, address tokenB) view returns (address)"];
+
+const same = (a, b) => Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+
+function pass(expected, actual) {
+  return { status: "pass", expected, actual };
+}
+
+function fail(expected, actual, detail) {
+  return { status: "fail", expected, actual, ...(detail ? { detail } : {}) };
+}
+
+function skip(detail) {
+  return { status: "skip", detail };
+}
+
+// A view call; { error } with the revert reason instead of throwing.
+async function read(fn) {
+  try {
+    return { value: await withRetry(fn, { retries: 2 }) };
+  } catch (e) {
+    return { error: String(e.reason || e.message).split("\n")[0].split(" [")[0] };
+  }
+}
+
+/**
+ * Check one vault.
+ * @param {object} vaultConfig from getClmVaultConfigs()
+ * @param {object} [options]
+ * @param {string} [options.factory] DEX factory; defaults to config <dex>.factory
+ * @returns {Promise<object>} { name, key, dex, vault, strategy, pool, ok, checks: { <check>: { status, expected, actual, detail } } }
+ */
+async function checkVaultWiring(provider, vaultConfig, { factory = getDexAddress(vaultConfig.dex, "factory") } = {}) {
+  const checks = {};
+  const row = { name: vaultConfig.name, key: vaultConfig.key, dex: vaultConfig.dex, vault: vaultConfig.vault, strategy: null, pool: vaultConfig.pool, checks };
+
+  const strategyRead = await read(() => new ethers.Contract(vaultConfig.vault, VAULT_MIN_ABI, provider).strategy());
+  const strategyAddress = strategyRead.value || null;
+  row.strategy = strategyAddress;
+  if (strategyRead.error) checks.strategy = fail(vaultConfig.expectedStrategy, null, `vault.strategy() reverted: ${strategyRead.error}`);
+  else if (!vaultConfig.expectedStrategy) checks.strategy = skip(`no strategies.strategy_${vaultConfig.key} in the config; vault.strategy() is ${strategyAddress}`);
+  else if (same(strategyAddress, vaultConfig.expectedStrategy)) checks.strategy = pass(vaultConfig.expectedStrategy, strategyAddress);
+  else checks.strategy = fail(vaultConfig.expectedStrategy, strategyAddress);
+
+  let lpTokens = null;
+  if (!strategyAddress) {
+    checks.pool = skip("vault.strategy() unreadable");
+    checks.lpTokens = skip("vault.strategy() unreadable");
+  } else {
+    const strategy = new ethers.Contract(strategyAddress, STRATEGY_MIN_ABI, provider);
+    const poolRead = await read(() => strategy.pool());
+    if (poolRead.error) checks.pool = fail(vaultConfig.pool, null, `strategy.pool() reverted: ${poolRead.error}`);
+    else checks.pool = same(poolRead.value, vaultConfig.pool) ? pass(vaultConfig.pool, poolRead.value) : fail(vaultConfig.pool, poolRead.value);
+
+    const [token0Read, token1Read] = await Promise.all([read(() => strategy.lpToken0()), read(() => strategy.lpToken1())]);
+    if (token0Read.error || token1Read.error) {
+      checks.lpTokens = fail(null, null, `strategy.lpToken0()/lpToken1() reverted: ${token0Read.error || token1Read.error}`);
+    } else {
+      lpTokens = [token0Read.value, token1Read.value];
+    }
+  }
+
+  // The configured pool is checked even when the strategy points elsewhere, so a wrong strategy
+  // and a wrong pool entry show up separately.
+  const pool = new ethers.Contract(vaultConfig.pool, POOL_ABI, provider);
+  const [poolToken0, poolToken1, poolFee] = await Promise.all([read(() => pool.token0()), read(() => pool.token1()), read(() => pool.fee())]);
+  const poolTokens = poolToken0.error || poolToken1.error ? null : [poolToken0.value, poolToken1.value];
+
+  if (lpTokens) {
+    if (!poolTokens) checks.lpTokens = skip("pool.token0()/token1() unreadable");
+    else if (same(lpTokens[0], poolTokens[0]) && same(lpTokens[1], poolTokens[1])) checks.lpTokens = pass(poolTokens, lpTokens);
+    else checks.lpTokens = fail(poolTokens, lpTokens, same(lpTokens[0], poolTokens[1]) && same(lpTokens[1], poolTokens[0]) ? "lpToken0/lpToken1 are swapped" : undefined);
+  }
+
+  const [sorted0, sorted1] = [vaultConfig.token0, vaultConfig.token1].sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1));
+  if (!poolTokens) checks.poolTokens = fail([sorted0, sorted1], null, `pool.token0()/token1() reverted: ${poolToken0.error || poolToken1.error}`);
+  else if (same(poolTokens[0], sorted0) && same(poolTokens[1], sorted1)) checks.poolTokens = pass([sorted0, sorted1], poolTokens);
+  else checks.poolTokens = fail([sorted0, sorted1], poolTokens, `pool is not ${vaultConfig.token0Symbol}/${vaultConfig.token1Symbol}`);
+
+  if (poolFee.error) checks.fee = fail(vaultConfig.feeTier, null, `pool.fee() reverted: ${poolFee.error}`);
+  else if (vaultConfig.feeTier === null || vaultConfig.feeTier === undefined) checks.fee = fail(null, Number(poolFee.value), "no config.pairs entry for the pair");
+  else checks.fee = Number(poolFee.value) === vaultConfig.feeTier ? pass(vaultConfig.feeTier, Number(poolFee.value)) : fail(vaultConfig.feeTier, Number(poolFee.value));
+
+  if (!factory) {
+    checks.factory = fail(vaultConfig.pool, null, `${vaultConfig.dex}.factory is not configured`);
+  } else {
+    // Asked for the configured tokens, so a pool on other tokens fails here as well.
+    const lookup =
+      vaultConfig.dex === "quickswap"
+        ? () => new ethers.Contract(factory, ALGEBRA_FACTORY_ABI, provider).poolByPair(sorted0, sorted1)
+        : () => new ethers.Contract(factory, LOTUS_FACTORY_ABI, provider).getPool(sorted0, sorted1, vaultConfig.feeTier ?? Number(poolFee.value || 0));
+    const call = vaultConfig.dex === "quickswap" ? "poolByPair" : "getPool";
+    const found = await read(lookup);
+    if (found.error) checks.factory = fail(vaultConfig.pool, null, `factory.${call}() reverted: ${found.error}`);
+    else if (same(found.value, vaultConfig.pool)) checks.factory = pass(vaultConfig.pool, found.value);
+    else checks.factory = fail(vaultConfig.pool, found.value, `factory.${call}() returns ${found.value === ethers.constants.AddressZero ? "no pool" : "another pool"}`);
+  }
+
+  row.ok = WIRING_CHECKS.every((c) => checks[c].status !== "fail");
+  return row;
+}
+
+/**
+ * Check every vault, in order.
+ * @returns {Promise<object>} { suite: "wiring", network, startTime, endTime, checks: WIRING_CHECKS, summary: { total, passed, failed, skipped }, ok, vaults: [row] }
+ */
+async function checkWiring(provider, vaults, { network = null } = {}) {
+  const startTime = new Date().toISOString();
+  const rows = [];
+  for (const v of vaults) rows.push(await checkVaultWiring(provider, v));
+
+  const statuses = rows.flatMap((r) => WIRING_CHECKS.map((c) => r.checks[c].status));
+  const summary = {
+    total: statuses.length,
+    passed: statuses.filter((s) => s === "pass").length,
+    failed: statuses.filter((s) => s === "fail").length,
+    skipped: statuses.filter((s) => s === "skip").length
+  };
+  return { suite: "wiring", network, startTime, endTime: new Date().toISOString(), checks: WIRING_CHECKS, summary, ok: summary.failed === 0, vaults: rows };
+}
+
+const STATUS_ICON = { pass: "✅", fail: "❌", skip: "➖" };
+
+function describe(value) {
+  if (value === null || value === undefined) return "n/a";
+  return Array.isArray(value) ? value.join(" / ") : String(value);
+}
+
+/** One check's outcome as text: the value read when it passed, "expected X, got Y." for a mismatch, then its detail. */
+function describeCheck(result) {
+  if (result.status === "pass") return describe(result.actual);
+  const mismatch = result.status === "fail" && result.actual !== null && result.actual !== undefined ? `expected ${describe(result.expected)}, got ${describe(result.actual)}.` : "";
+  return [mismatch, result.detail].filter(Boolean).join(" ");
+}
+
+/** The matrix as markdown: one row per vault, one column per check, then every mismatch. */
+function formatWiringMarkdown(matrix) {
+  let out = `# Wiring validation${matrix.network ? ` (${matrix.network})` : ""}\n\n`;
+  out += `${matrix.summary.passed} passed, ${matrix.summary.failed} failed, ${matrix.summary.skipped} skipped of ${matrix.summary.total} checks (${matrix.startTime})\n\n`;
+  out += `| Vault | ${matrix.checks.join(" | ")} |\n`;
+  out += `|---|${matrix.checks.map(() => ":---:").join("|")}|\n`;
+  for (const row of matrix.vaults) {
+    out += `| ${row.name} | ${matrix.checks.map((c) => STATUS_ICON[row.checks[c].status]).join(" | ")} |\n`;
+  }
+
+  const problems = matrix.vaults.flatMap((row) =>
+    matrix.checks.filter((c) => row.checks[c].status !== "pass").map((c) => ({ row, check: c, result: row.checks[c] }))
+  );
+  if (problems.length) {
+    out += "\n## Details\n\n";
+    for (const { row, check, result } of problems) {
+      out += `- ${STATUS_ICON[result.status]} **${row.name}** \`${check}\`: ${describeCheck(result)}\n`;
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  WIRING_CHECKS,
+  STATUS_ICON,
+  checkVaultWiring,
+  checkWiring,
+  describeCheck,
+  formatWiringMarkdown
+};